@@ -10,6 +10,7 @@ const DEFAULT_CONFIG = {
 // In-memory caches — eliminates ~90 storage reads per page load
 let cachedConfig = null;
 let cachedBindings = null;
+let compiledMatcher = null;
 
 // ============================================================================
 // Storage Helpers (cached with write-through)
@@ -25,6 +26,7 @@ async function getConfig() {
 
 async function saveConfig(config) {
   cachedConfig = config;
+  compiledMatcher = null;
   await chrome.storage.sync.set({ config });
 }
 
@@ -39,12 +41,16 @@ async function getWindowBindings() {
 async function saveWindowBindings(bindings) {
   cachedBindings = bindings;
   await chrome.storage.local.set({ windowBindings: bindings });
+  scheduleFingerprintSave();
 }
 
 // Invalidate caches when storage changes externally (e.g. from options page)
 chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName === 'sync' && changes.config) {
     cachedConfig = null;
+    compiledMatcher = null;
+    regexCache.clear();
+    startExpirySweeps().catch(e => console.error('Failed to update the expiry sweep:', e));
   }
   if (areaName === 'local' && changes.windowBindings) {
     cachedBindings = null;
@@ -54,114 +60,1836 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
 async function bindWindow(windowId, groupName) {
   console.log('Tab Shepherd bindWindow called:', { windowId, groupName });
   const bindings = await getWindowBindings();
+  const incognito = await isIncognitoWindow(windowId);
+  const config = await getConfig();
+  const multiWindow = isMultiWindow(config.groups.find(g => g.name === groupName));
+
+  // Unless the group spreads over several windows, ensure only ONE window of the
+  // same kind (normal or incognito) is bound to this group - unbind others first.
+  // Incognito bindings are tracked separately.
+  for (const [wid, gname] of Object.entries(bindings)) {
+    if (!multiWindow && gname === groupName && parseInt(wid, 10) !== windowId) {
+      if (incognito !== null && await isIncognitoWindow(parseInt(wid, 10)) === !incognito) continue;
+      delete bindings[wid];
+      console.log(`Tab Shepherd: Unbound window ${wid} from "${groupName}" (new binding to ${windowId})`);
+    }
+  }
+
+  bindings[windowId] = groupName;
+  await saveWindowBindings(bindings);
+  await refreshWindowState(windowId);
+  console.log('Tab Shepherd bindWindow saved:', bindings);
+}
+
+async function unbindWindow(windowId) {
+  const bindings = await getWindowBindings();
+  delete bindings[windowId];
+  await saveWindowBindings(bindings);
+}
+
+// true/false for an open window, null when it no longer exists
+async function isIncognitoWindow(windowId) {
+  try {
+    const win = await chrome.windows.get(windowId);
+    return !!win.incognito;
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============================================================================
+// Pattern Matching
+// ============================================================================
+
+// Compiled regexes keyed by mode + source. Cleared whenever the config changes, and
+// capped so pattern-tester drafts can't grow it without bound.
+const regexCache = new Map();
+const REGEX_CACHE_LIMIT = 2000;
+
+function cachedRegex(key, build) {
+  let regex = regexCache.get(key);
+  if (!regex) {
+    if (regexCache.size >= REGEX_CACHE_LIMIT) regexCache.clear();
+    regex = build(); // Throws for invalid patterns; callers already handle that
+    regexCache.set(key, regex);
+  }
+  return regex;
+}
+
+// ----------------------------------------------------------------------------
+// Regex safety
+// ----------------------------------------------------------------------------
+// Patterns run inside every tabs.onUpdated, so one regex that backtracks
+// catastrophically (e.g. `(a+)+$` on a long URL) hangs routing for everyone.
+// checkRegexSafety() is a conservative static check for the usual shapes, applied
+// to any group repeated with `*`, `+` or `{n,}`:
+//   - its body is nothing but repeated or optional atoms: (a+)+, (\w+\s?)*  → unsafe
+//   - two alternatives can start with the same character: (a|ab)+, (\w|\d)+  → unsafe
+//   - it repeats `.*` / `.+` around a separator: (.*,)+                      → warning
+// and, anywhere, to unbounded quantifiers next to each other (with at most
+// optional atoms between) whose atoms share a character:
+//   - three or more in a row: \d*\d*\d*x                                   → unsafe
+//   - two in a row: \w+\d+, \d+.*                                          → warning
+// Atoms are compared by the characters they match among CHARSET_SAMPLE.
+// Returns null for safe patterns, otherwise { severity: 'unsafe'|'warning', reason }.
+
+const CHARSET_SAMPLE = [
+  ...Array.from({ length: 256 }, (_, code) => String.fromCharCode(code)),
+  '\u0101', '\u0430', '\u2028', '\u3000', '\u4e2d', '\ufeff'
+];
+const atomCharsets = new Map();
+
+// Sample characters a single atom (literal, escape, class or `.`) matches
+function atomCharset(text) {
+  if (!atomCharsets.has(text)) {
+    let chars = new Set();
+    try {
+      const regex = new RegExp(`^(?:${text})$`, 'i');
+      chars = new Set(CHARSET_SAMPLE.filter(ch => regex.test(ch)));
+    } catch (e) {
+      // Left empty: an atom we can't compile overlaps nothing
+    }
+    atomCharsets.set(text, chars);
+  }
+  return atomCharsets.get(text);
+}
+
+function unionCharsets(sets) {
+  const union = new Set();
+  for (const set of sets) {
+    if (set) set.forEach(ch => union.add(ch));
+  }
+  return union;
+}
+
+function charsetsOverlap(a, b) {
+  if (!a || !b) return false;
+  for (const ch of a) {
+    if (b.has(ch)) return true;
+  }
+  return false;
+}
+
+function readQuantifier(source, i) {
+  let length = 0;
+  let unbounded = false;
+  let optional = false;
+  let repeats = false; // Can match a varying number of times, more than once
+  const ch = source[i];
+  if (ch === '*' || ch === '+' || ch === '?') {
+    length = 1;
+    unbounded = repeats = ch !== '?';
+    optional = ch !== '+';
+  } else if (ch === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+    if (!match) return null; // A literal brace
+    length = match[0].length;
+    const min = parseInt(match[1], 10);
+    const max = match[2] === undefined ? min : match[3] === '' ? Infinity : parseInt(match[3], 10);
+    unbounded = max === Infinity;
+    repeats = max > 1 && max > min;
+    optional = min === 0;
+  } else {
+    return null;
+  }
+  if (source[i + length] === '?') length++; // Lazy quantifiers backtrack just the same
+  return { length, unbounded, optional, repeats };
+}
+
+// lastUnbounded: characters of the unbounded quantifier the branch ends with (bar
+// optional atoms), or null; overlapRun: how many overlapping ones precede it
+function newBranch() {
+  return {
+    first: null,
+    firstChars: null,
+    lastChars: null,
+    lastUnbounded: null,
+    overlapRun: 0,
+    mandatory: false,
+    repeats: false,
+    broadRepeat: false
+  };
+}
+
+function checkRegexSafety(source) {
+  const stack = [{ branches: [], current: newBranch() }];
+  let warning = null;
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+    let atom;
+    if (ch === '\\') {
+      const text = source.slice(i, i + 2);
+      atom = { text, chars: atomCharset(text), broad: /^\\[SWD]$/.test(text) };
+      i += 2;
+    } else if (ch === '[') {
+      let j = i + 1;
+      if (source[j] === '^') j++;
+      if (source[j] === ']') j++;
+      while (j < source.length && source[j] !== ']') j += source[j] === '\\' ? 2 : 1;
+      const text = source.slice(i, j + 1);
+      atom = { text, chars: atomCharset(text), broad: false };
+      i = j + 1;
+    } else if (ch === '(') {
+      // Skip (?: (?= (?! (?<= (?<! and (?<name>
+      const prefix = /^\((\?(:|=|!|<=|<!|<[^>]*>))?/.exec(source.slice(i))[0];
+      stack.push({ branches: [], current: newBranch() });
+      i += prefix.length;
+      continue;
+    } else if (ch === ')') {
+      if (stack.length === 1) return null; // Unbalanced — RegExp reports it as invalid
+      const group = stack.pop();
+      group.branches.push(group.current);
+      atom = {
+        text: group.branches[0].first || '()',
+        chars: unionCharsets(group.branches.map(b => b.firstChars)),
+        group
+      };
+      i++;
+    } else if (ch === '|') {
+      const frame = stack[stack.length - 1];
+      frame.branches.push(frame.current);
+      frame.current = newBranch();
+      i++;
+      continue;
+    } else if (ch === '^' || ch === '$') {
+      i++;
+      continue;
+    } else {
+      atom = { text: ch, chars: atomCharset(ch), broad: ch === '.' };
+      i++;
+    }
+
+    const quantifier = readQuantifier(source, i);
+    if (quantifier) i += quantifier.length;
+    const unbounded = !!quantifier && quantifier.unbounded;
+    const branch = stack[stack.length - 1].current;
+    if (branch.first === null) {
+      branch.first = atom.text;
+      branch.firstChars = atom.chars;
+    }
+
+    // Two overlapping quantifiers in a row backtrack quadratically, three cubically
+    const chained = unbounded && charsetsOverlap(branch.lastUnbounded, atom.chars);
+    if (chained && branch.overlapRun > 0) {
+      return { severity: 'unsafe', reason: 'three or more adjacent quantifiers that overlap, e.g. \\d*\\d*\\d*' };
+    }
+    if (chained) {
+      warning = warning || { severity: 'warning', reason: 'adjacent quantifiers that overlap, e.g. \\w+\\d+' };
+    }
+
+    if (atom.group) {
+      const branches = atom.group.branches;
+      if (unbounded) {
+        if (branches.some(b => b.repeats && !b.mandatory)) {
+          return { severity: 'unsafe', reason: 'nested quantifier, e.g. (a+)+' };
+        }
+        const firsts = branches.filter(b => b.first !== null);
+        const overlapping = firsts.some((a, k) => firsts.slice(k + 1).some(b =>
+          a.first === b.first || charsetsOverlap(a.firstChars, b.firstChars)
+        ));
+        if (overlapping) {
+          return { severity: 'unsafe', reason: 'repeated alternatives that overlap, e.g. (a|ab)+ or (\\w|\\d)+' };
+        }
+        if (branches.some(b => b.broadRepeat)) {
+          warning = warning || { severity: 'warning', reason: 'repeated group containing .* or .+, e.g. (.*,)+' };
+        }
+      }
+      branch.repeats = branch.repeats || !!quantifier?.repeats || branches.some(b => b.repeats);
+      branch.broadRepeat = branch.broadRepeat || branches.some(b => b.broadRepeat);
+      const groupMandatory = !quantifier && branches.every(b => b.mandatory);
+      if (groupMandatory) branch.mandatory = true;
+      // What the group can end with decides whether a following quantifier overlaps
+      const trailing = unbounded
+        ? unionCharsets(branches.map(b => b.lastChars))
+        : branches.some(b => b.lastUnbounded) ? unionCharsets(branches.map(b => b.lastUnbounded)) : null;
+      if (groupMandatory || unbounded) {
+        branch.lastUnbounded = trailing;
+      } else if (trailing) {
+        branch.lastUnbounded = unionCharsets([branch.lastUnbounded, trailing]);
+      }
+      branch.overlapRun = chained ? branch.overlapRun + 1 : groupMandatory || unbounded ? 0 : branch.overlapRun;
+      branch.lastChars = unionCharsets(branches.map(b => b.lastChars));
+      continue;
+    }
+
+    branch.lastChars = atom.chars;
+    if (unbounded) {
+      branch.lastUnbounded = atom.chars;
+      branch.overlapRun = chained ? branch.overlapRun + 1 : 0;
+    } else if (!quantifier || !quantifier.optional) {
+      branch.lastUnbounded = null;
+      branch.overlapRun = 0;
+    }
+    if (quantifier && quantifier.repeats) {
+      branch.repeats = true;
+      if (atom.broad && unbounded) branch.broadRepeat = true;
+    } else if (!quantifier || !quantifier.optional) {
+      branch.mandatory = true;
+    }
+  }
+
+  return warning;
+}
+
+// Regex sources a group evaluates: regex-mode patterns and excludes, plus regex
+// conditions. Glob patterns are generated by globToRegex() and always safe.
+function findUnsafePatterns(group) {
+  const sources = [];
+  if ((group.mode || 'simple') === 'regex') {
+    (group.patterns || []).forEach(pattern => sources.push({ pattern, where: 'pattern' }));
+    (group.excludePatterns || []).forEach(pattern => sources.push({ pattern, where: 'exclude' }));
+    for (const sub of group.subgroups || []) {
+      (sub.patterns || []).forEach(pattern => sources.push({ pattern, where: `sub-group "${sub.title}"` }));
+    }
+  }
+  for (const condition of group.conditions || []) {
+    if (condition && condition.match === 'regex' && condition.value) {
+      sources.push({ pattern: condition.value.trim(), where: `${condition.type} condition` });
+    }
+  }
+
+  const issues = [];
+  for (const source of sources) {
+    const issue = source.pattern ? checkRegexSafety(source.pattern) : null;
+    if (issue) issues.push({ ...source, ...issue });
+  }
+  return issues;
+}
+
+// Unsafe patterns are refused: they compile to a regex that never matches
+const NEVER_MATCHES = /(?!)/;
+
+function buildRegex(pattern) {
+  const issue = checkRegexSafety(pattern);
+  if (issue && issue.severity === 'unsafe') {
+    console.error(`Tab Shepherd: Refusing unsafe regex "${pattern}" (${issue.reason})`);
+    return NEVER_MATCHES;
+  }
+  return new RegExp(pattern, 'i');
+}
+
+// Glob mode: `*` matches within one URL segment, `**` across segments and `?` a single
+// character. The scheme is ignored unless the glob spells one out, and a trailing
+// query string or hash is always allowed (e.g. `*.atlassian.net/browse/PROJ-*`).
+function globToRegex(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        source += '(?:.*/)?';
+        i++;
+      } else {
+        source += '.*';
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}(?:[?#].*)?$`, 'i');
+}
+
+function matchesGlob(text, glob) {
+  const subject = glob.includes('://') ? text : text.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  return cachedRegex('glob:' + glob, () => globToRegex(glob)).test(subject);
+}
+
+// mode: 'simple' (contains), 'glob' (wildcards) or 'regex' (default)
+function matchesPattern(text, pattern, mode = 'regex') {
+  if (!text || !pattern) return false;
+  try {
+    if (mode === 'glob') {
+      return matchesGlob(text, pattern);
+    } else if (mode === 'simple') {
+      // Simple mode: case-insensitive contains
+      return text.toLowerCase().includes(pattern.toLowerCase());
+    } else {
+      // Regex mode
+      return cachedRegex('re:' + pattern, () => buildRegex(pattern)).test(text);
+    }
+  } catch (e) {
+    console.error(`Invalid pattern: ${pattern}`, e);
+    return false;
+  }
+}
+
+// Structured conditions match individual parts of the URL (or the title) instead of
+// the whole string. Each condition is { type, value, match?, key? }:
+//   host  - hostname equals value or is a subdomain of it
+//   path  - pathname starts with value (match: 'prefix') or matches a regex (match: 'regex')
+//   query - query param `key` equals value (or is present when value is empty)
+//   title - title contains value (match: 'contains') or matches a regex (match: 'regex')
+//   port  - effective port equals value (80/443 are implied for http/https)
+const CONDITION_TYPES = ['host', 'path', 'query', 'title', 'port'];
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch (e) {
+    return null;
+  }
+}
+
+function effectivePort(parsed) {
+  if (parsed.port) return parsed.port;
+  if (parsed.protocol === 'https:') return '443';
+  if (parsed.protocol === 'http:') return '80';
+  return '';
+}
+
+function matchesCondition(parsed, title, condition) {
+  const value = (condition.value || '').trim();
+  try {
+    switch (condition.type) {
+      case 'host': {
+        if (!parsed || !value) return false;
+        const host = parsed.hostname.toLowerCase();
+        const wanted = value.toLowerCase();
+        return host === wanted || host.endsWith('.' + wanted);
+      }
+      case 'path': {
+        if (!parsed || !value) return false;
+        if (condition.match === 'regex') return cachedRegex('re:' + value, () => buildRegex(value)).test(parsed.pathname);
+        return parsed.pathname.toLowerCase().startsWith(value.toLowerCase());
+      }
+      case 'query': {
+        const key = (condition.key || '').trim();
+        if (!parsed || !key) return false;
+        if (!value) return parsed.searchParams.has(key);
+        return parsed.searchParams.getAll(key).includes(value);
+      }
+      case 'title': {
+        if (!title || !value) return false;
+        if (condition.match === 'regex') return cachedRegex('re:' + value, () => buildRegex(value)).test(title);
+        return title.toLowerCase().includes(value.toLowerCase());
+      }
+      case 'port':
+        return !!parsed && !!value && effectivePort(parsed) === value;
+      default:
+        return false;
+    }
+  } catch (e) {
+    console.error(`Invalid condition: ${JSON.stringify(condition)}`, e);
+    return false;
+  }
+}
+
+// conditionLogic 'all' (AND, default) or 'any' (OR). A group without conditions never
+// matches through this path — legacy pattern-only groups are handled by patterns alone.
+function matchesConditions(url, title, group) {
+  const conditions = group.conditions || [];
+  if (conditions.length === 0) return false;
+  const parsed = parseUrl(url);
+  const check = condition => matchesCondition(parsed, title, condition);
+  return group.conditionLogic === 'any' ? conditions.some(check) : conditions.every(check);
+}
+
+// Tier-1 title-name matching, configured per group with
+// group.titleMatch = { enabled, mode, aliases }:
+//   mode 'contains' - name/alias appears anywhere in the title (legacy default)
+//   mode 'word'     - name/alias appears as a whole word ("docs" but not "gdocs")
+//   mode 'tag'      - name/alias appears as a bracketed tag, e.g. "[artemis-4]"
+const TITLE_MATCH_MODES = ['contains', 'word', 'tag'];
+
+function getTitleMatchSettings(group) {
+  const settings = group.titleMatch || {};
+  return {
+    enabled: settings.enabled !== false,
+    mode: TITLE_MATCH_MODES.includes(settings.mode) ? settings.mode : 'contains',
+    aliases: (settings.aliases || []).map(a => a.trim()).filter(Boolean)
+  };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Returns testers (lowerTitle) => boolean for the group's name and aliases, or an
+// empty list when the group opts out of title-name matching
+function compileTitleTerms(group) {
+  const settings = getTitleMatchSettings(group);
+  if (!settings.enabled) return [];
+
+  return [group.name, ...settings.aliases].filter(Boolean).map(term => {
+    const lower = term.toLowerCase();
+    if (settings.mode === 'tag') {
+      const tag = lower.startsWith('[') && lower.endsWith(']') ? lower : `[${lower}]`;
+      return lowerTitle => lowerTitle.includes(tag);
+    }
+    if (settings.mode === 'word') {
+      const regex = cachedRegex('word:' + lower, () =>
+        new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegex(lower)}($|[^\\p{L}\\p{N}_])`, 'u'));
+      return lowerTitle => regex.test(lowerTitle);
+    }
+    return lowerTitle => lowerTitle.includes(lower);
+  });
+}
+
+// Returns the name or alias that puts this title in the group via tier 1, or null
+function findTitleNameMatch(title, group) {
+  if (!title) return null;
+  const lowerTitle = title.toLowerCase();
+  const settings = getTitleMatchSettings(group);
+  const terms = [group.name, ...settings.aliases].filter(Boolean);
+  const testers = compileTitleTerms(group);
+  const index = testers.findIndex(test => test(lowerTitle));
+  return index === -1 ? null : terms[index];
+}
+
+// Returns the first exclude pattern that matches the URL or title, or null.
+// Exclude patterns use the same match mode as the group's patterns.
+function findExcludeMatch(url, title, group) {
+  return (group.excludePatterns || []).find(pattern =>
+    matchesPattern(url, pattern, group.mode) || matchesPattern(title, pattern, group.mode)
+  ) || null;
+}
+
+// Returns the first positive pattern that matches the URL or title, or null
+function findPatternMatch(url, title, group) {
+  return (group.patterns || []).find(pattern =>
+    matchesPattern(url, pattern, group.mode) || matchesPattern(title, pattern, group.mode)
+  ) || null;
+}
+
+function tabMatchesGroupIgnoringExcludes(url, title, group) {
+  return !!findPatternMatch(url, title, group) || matchesConditions(url, title, group);
+}
+
+// A match on any exclude pattern disqualifies the group entirely, so the tab
+// falls through to lower-priority groups (or the catch-all).
+function tabMatchesGroup(url, title, group) {
+  return tabMatchesGroupIgnoringExcludes(url, title, group) && !findExcludeMatch(url, title, group);
+}
+
+// ============================================================================
+// Schedules
+// ============================================================================
+// group.schedule = { enabled, activeWhen, days, ranges }:
+//   days       - weekdays 0 (Sun) … 6 (Sat); empty or missing means every day
+//   ranges     - [{ start: 'HH:MM', end: 'HH:MM' }]; empty means all day. A range
+//                whose end is before its start runs overnight into the next day
+//   activeWhen - 'during' (default): group only routes inside the schedule
+//                'outside': group only routes outside it (e.g. outside work hours)
+// Groups without a schedule are always active.
+
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function isWithinSchedule(schedule, now) {
+  const day = now.getDay();
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const days = schedule.days && schedule.days.length > 0 ? schedule.days : [0, 1, 2, 3, 4, 5, 6];
+  const ranges = schedule.ranges || [];
+
+  if (ranges.length === 0) return days.includes(day);
+
+  return ranges.some(range => {
+    const start = parseTimeOfDay(range.start);
+    const end = parseTimeOfDay(range.end);
+    if (start === null || end === null) return false;
+    if (start === end) return days.includes(day);
+    if (start < end) return days.includes(day) && minutes >= start && minutes < end;
+    // Overnight: the part after midnight belongs to the previous day's schedule
+    return (days.includes(day) && minutes >= start) ||
+      (days.includes((day + 6) % 7) && minutes < end);
+  });
+}
+
+function isGroupActive(group, now = new Date()) {
+  const schedule = group.schedule;
+  if (!schedule || schedule.enabled === false) return true;
+  const within = isWithinSchedule(schedule, now);
+  return schedule.activeWhen === 'outside' ? !within : within;
+}
+
+// ============================================================================
+// Incognito Scope
+// ============================================================================
+// group.windowScope decides which kind of window a group routes in:
+//   'both' (default) - normal and incognito windows
+//   'normal'         - normal windows only
+//   'incognito'      - incognito windows only
+// Chrome can't move tabs between normal and incognito windows, so a group's
+// incognito tabs always go to a window bound in incognito, and vice versa.
+
+const WINDOW_SCOPES = ['both', 'normal', 'incognito'];
+
+function appliesToWindow(group, incognito) {
+  const scope = group.windowScope || 'both';
+  if (scope === 'normal') return !incognito;
+  if (scope === 'incognito') return !!incognito;
+  return true;
+}
+
+// ============================================================================
+// URL Normalization
+// ============================================================================
+// Patterns, conditions and excludes see a normalized copy of the URL — the tab
+// itself is never changed. config.normalization holds the global settings and
+// group.normalization can override any of them for one group (e.g. { enabled: false }):
+//   decode          - percent-decode path, query and hash; show punycode hosts in Unicode
+//   lowercaseHost   - lowercase the hostname
+//   stripWww        - drop a leading "www."
+//   stripParams     - query params to remove; a trailing * matches a prefix ("utm_*")
+//   unwrapRedirects - replace known redirector URLs (google.com/url?q=…) with their target
+// Only http(s) URLs are normalized. It is off unless switched on, so existing
+// configs keep matching the raw URL.
+
+const DEFAULT_NORMALIZATION = {
+  enabled: false,
+  decode: true,
+  lowercaseHost: true,
+  stripWww: false,
+  stripParams: ['utm_*', 'fbclid', 'gclid'],
+  unwrapRedirects: true
+};
+
+// Redirect wrappers: host, path and the query params that may carry the target
+const REDIRECTORS = [
+  { host: /(^|\.)google\.[a-z]{2,3}(\.[a-z]{2})?$/, path: '/url', params: ['q', 'url'] },
+  { host: /^(l|lm)\.facebook\.com$/, path: '/l.php', params: ['u'] },
+  { host: /^l\.instagram\.com$/, path: '/', params: ['u'] },
+  { host: /(^|\.)youtube\.com$/, path: '/redirect', params: ['q'] },
+  { host: /(^|\.)linkedin\.com$/, path: '/redir/redirect', params: ['url'] },
+  { host: /^slack-redir\.net$/, path: '/link', params: ['url'] },
+  { host: /\.safelinks\.protection\.outlook\.com$/, path: '/', params: ['url'] }
+];
+
+function getNormalization(config, group = null) {
+  return {
+    ...DEFAULT_NORMALIZATION,
+    ...(config && config.normalization),
+    ...(group && group.normalization)
+  };
+}
+
+function findRedirectTarget(parsed) {
+  const host = parsed.hostname.toLowerCase();
+  for (const redirector of REDIRECTORS) {
+    if (parsed.pathname !== redirector.path || !redirector.host.test(host)) continue;
+    for (const param of redirector.params) {
+      const target = parsed.searchParams.get(param);
+      if (target && /^https?:\/\//i.test(target)) return target;
+    }
+  }
+  return null;
+}
+
+function isStrippedParam(key, stripParams) {
+  const lower = key.toLowerCase();
+  return (stripParams || []).some(param => {
+    const wanted = (param || '').toLowerCase();
+    if (!wanted) return false;
+    return wanted.endsWith('*') ? lower.startsWith(wanted.slice(0, -1)) : lower === wanted;
+  });
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return text; // Malformed escapes stay as they are
+  }
+}
+
+// RFC 3492 decoder for one "xn--" label, without the prefix
+function decodePunycode(input) {
+  const base = 36, tMin = 1, tMax = 26, skew = 38, damp = 700;
+  const adapt = (delta, numPoints, firstTime) => {
+    delta = firstTime ? Math.floor(delta / damp) : delta >> 1;
+    delta += Math.floor(delta / numPoints);
+    let k = 0;
+    for (; delta > ((base - tMin) * tMax) >> 1; k += base) {
+      delta = Math.floor(delta / (base - tMin));
+    }
+    return Math.floor(k + ((base - tMin + 1) * delta) / (delta + skew));
+  };
+
+  const basicEnd = Math.max(input.lastIndexOf('-'), 0);
+  const output = [];
+  for (let j = 0; j < basicEnd; j++) output.push(input.charCodeAt(j));
+
+  let n = 128;
+  let bias = 72;
+  let i = 0;
+  for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < input.length;) {
+    const oldi = i;
+    for (let w = 1, k = base; ; k += base) {
+      if (index >= input.length) throw new Error('Invalid punycode');
+      const code = input.charCodeAt(index++);
+      const digit = code >= 48 && code <= 57 ? code - 22
+        : code >= 65 && code <= 90 ? code - 65
+          : code >= 97 && code <= 122 ? code - 97 : base;
+      if (digit >= base) throw new Error('Invalid punycode');
+      i += digit * w;
+      const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+      if (digit < t) break;
+      w *= base - t;
+    }
+    const length = output.length + 1;
+    bias = adapt(i - oldi, length, oldi === 0);
+    n += Math.floor(i / length);
+    i %= length;
+    output.splice(i++, 0, n);
+  }
+  return String.fromCodePoint(...output);
+}
+
+function decodeHost(host) {
+  return host.split('.').map(label => {
+    if (!label.toLowerCase().startsWith('xn--')) return label;
+    try {
+      return decodePunycode(label.slice(4));
+    } catch (e) {
+      return label;
+    }
+  }).join('.');
+}
+
+function normalizeUrl(url, settings) {
+  if (!url || !settings || settings.enabled === false) return url;
+  let source = url;
+  let parsed = parseUrl(source);
+  if (!parsed || !/^https?:$/.test(parsed.protocol)) return url;
+
+  if (settings.unwrapRedirects) {
+    // A few hops at most: wrappers are sometimes nested, but never deeply
+    for (let hops = 0; hops < 3; hops++) {
+      const target = findRedirectTarget(parsed);
+      const next = target ? parseUrl(target) : null;
+      if (!next) break;
+      source = target;
+      parsed = next;
+    }
+  }
+
+  // URL() lowercases hostnames, so take the host as written unless lowercasing
+  let host = parsed.hostname;
+  if (!settings.lowercaseHost) {
+    const written = /^[a-z][a-z0-9+.-]*:\/\/(?:[^@/?#]*@)?([^/?#:]+)/i.exec(source);
+    if (written && written[1].toLowerCase() === host) host = written[1];
+  }
+  if (settings.decode) host = decodeHost(host);
+  if (settings.stripWww) host = host.replace(/^www\./i, '');
+
+  // Params are dropped from the raw query: URLSearchParams would re-encode the ones
+  // kept ("%20" → "+")
+  let search = parsed.search;
+  const params = search ? search.slice(1).split('&') : [];
+  const kept = params.filter(param =>
+    !isStrippedParam(safeDecode(param.split('=')[0].replace(/\+/g, ' ')), settings.stripParams)
+  );
+  if (kept.length !== params.length) {
+    search = kept.length ? '?' + kept.join('&') : '';
+  }
+
+  const decode = settings.decode ? safeDecode : text => text;
+  const port = parsed.port ? ':' + parsed.port : '';
+  return `${parsed.protocol}//${host}${port}${decode(parsed.pathname)}${decode(search)}${decode(parsed.hash)}`;
+}
+
+// ============================================================================
+// Compiled Matcher
+// ============================================================================
+// findMatchingGroup runs on every tabs.onUpdated event and sortAllTabs checks every
+// tab × group, so the config is compiled once — groups pre-sorted, simple patterns
+// pre-lowercased, host-like simple patterns and host-only condition groups indexed
+// by host — and rebuilt only when the config changes. Results are identical to tabMatchesGroup().
+
+const HOST_LIKE_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const URL_HOST_REGEX = /^[a-z][a-z0-9+.-]*:\/\/(?:[^@/?#]*@)?([^/?#:]+)/;
+
+// Compiles a pattern list into testers: (text, lowerText) => boolean.
+// Invalid regexes are reported once here and dropped, like matchesPattern() would.
+function compilePatterns(patterns, mode) {
+  const testers = [];
+  for (const pattern of patterns || []) {
+    if (!pattern) continue;
+    if (mode === 'simple') {
+      const lower = pattern.toLowerCase();
+      testers.push((text, lowerText) => lowerText.includes(lower));
+      continue;
+    }
+    try {
+      if (mode === 'glob') {
+        const regex = cachedRegex('glob:' + pattern, () => globToRegex(pattern));
+        const keepScheme = pattern.includes('://');
+        testers.push(text => regex.test(keepScheme ? text : text.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')));
+      } else {
+        const regex = cachedRegex('re:' + pattern, () => buildRegex(pattern));
+        testers.push(text => regex.test(text));
+      }
+    } catch (e) {
+      console.error(`Invalid pattern: ${pattern}`, e);
+    }
+  }
+  return testers;
+}
+
+function compileMatcher(config) {
+  const toEntry = (group) => {
+    const normalization = getNormalization(config, group);
+    return {
+      group,
+      normalization,
+      normKey: JSON.stringify(normalization),
+      titleTerms: compileTitleTerms(group),
+      patterns: compilePatterns(group.patterns, group.mode),
+      excludes: compilePatterns(group.excludePatterns, group.mode)
+    };
+  };
+  const normalization = getNormalization(config);
+  const normKey = JSON.stringify(normalization);
+
+  const configOrder = config.groups.map(toEntry);
+  const byGroup = new Map(configOrder.map(entry => [entry.group, entry]));
+  const sorted = [...configOrder].sort((a, b) => (a.group.priority ?? 0) - (b.group.priority ?? 0));
+
+  // Host buckets: "github.com" → entries with that simple pattern. A bucket hit means
+  // the pattern is a substring of the URL, so the entry's pattern scan can be skipped.
+  // Buckets are looked up with the globally normalized URL, so groups that override
+  // normalization always scan.
+  const hostBuckets = new Map();
+  for (const entry of sorted) {
+    if (entry.group.mode !== 'simple' || entry.normKey !== normKey) continue;
+    for (const pattern of entry.group.patterns || []) {
+      const lower = (pattern || '').toLowerCase();
+      if (!HOST_LIKE_PATTERN.test(lower)) continue;
+      if (!hostBuckets.has(lower)) hostBuckets.set(lower, new Set());
+      hostBuckets.get(lower).add(entry);
+    }
+  }
+
+  // Host-anchored entries: no patterns and only 'host' conditions, so they can only
+  // match when the URL's host is (a subdomain of) a condition value. Indexed by that
+  // value; an entry missing from the lookup is skipped without being scanned.
+  const hostAnchored = new Set();
+  const hostConditionBuckets = new Map();
+  for (const entry of sorted) {
+    const conditions = entry.group.conditions || [];
+    if (entry.normKey !== normKey || entry.patterns.length > 0 || conditions.length === 0) continue;
+    if (!conditions.every(condition => condition.type === 'host')) continue;
+    hostAnchored.add(entry);
+    for (const condition of conditions) {
+      const value = (condition.value || '').trim().toLowerCase();
+      if (!value) continue;
+      if (!hostConditionBuckets.has(value)) hostConditionBuckets.set(value, new Set());
+      hostConditionBuckets.get(value).add(entry);
+    }
+  }
+
+  return { config, configOrder, sorted, byGroup, hostBuckets, hostAnchored, hostConditionBuckets, normalization, normKey };
+}
+
+function getCompiledMatcher(config) {
+  if (!compiledMatcher || compiledMatcher.config !== config) {
+    compiledMatcher = compileMatcher(config);
+  }
+  return compiledMatcher;
+}
+
+function makeSubject(url, title) {
+  return {
+    url: url || '',
+    title: title || '',
+    lowerUrl: url ? url.toLowerCase() : '',
+    lowerTitle: title ? title.toLowerCase() : ''
+  };
+}
+
+// Returns entry → subject, normalizing the URL once per distinct setting. Anything
+// with { normalization, normKey } works — entries, or the matcher for global settings.
+function subjectResolver(url, title) {
+  const subjects = new Map();
+  return ({ normalization, normKey }) => {
+    let subject = subjects.get(normKey);
+    if (!subject) {
+      subject = makeSubject(normalizeUrl(url, normalization), title);
+      subjects.set(normKey, subject);
+    }
+    return subject;
+  };
+}
+
+function runTesters(testers, subject) {
+  return testers.some(test =>
+    (subject.url && test(subject.url, subject.lowerUrl)) ||
+    (subject.title && test(subject.title, subject.lowerTitle))
+  );
+}
+
+function hostBucketHits(matcher, subject) {
+  const hits = new Set();
+  if (matcher.hostBuckets.size === 0) return hits;
+  const hostMatch = subject.lowerUrl.match(URL_HOST_REGEX);
+  if (!hostMatch) return hits;
+  const labels = hostMatch[1].split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const entries = matcher.hostBuckets.get(labels.slice(i).join('.'));
+    if (entries) entries.forEach(entry => hits.add(entry));
+  }
+  return hits;
+}
+
+// Host-anchored entries whose host conditions can match the subject. Uses the parsed
+// hostname, like matchesCondition(), so the lookup agrees with it exactly.
+function hostConditionHits(matcher, subject) {
+  const hits = new Set();
+  if (matcher.hostConditionBuckets.size === 0) return hits;
+  const parsed = parseUrl(subject.url);
+  if (!parsed) return hits;
+  const labels = parsed.hostname.toLowerCase().split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const entries = matcher.hostConditionBuckets.get(labels.slice(i).join('.'));
+    if (entries) entries.forEach(entry => hits.add(entry));
+  }
+  return hits;
+}
+
+function entryMatches(entry, subject, knownPositive = false) {
+  const positive = knownPositive ||
+    runTesters(entry.patterns, subject) ||
+    matchesConditions(subject.url, subject.title, entry.group);
+  return positive && !runTesters(entry.excludes, subject);
+}
+
+// Compiled equivalent of tabMatchesGroup() for groups that belong to `config`.
+// Schedules are not checked here — callers decide whether an inactive group counts.
+function groupMatches(config, group, url, title) {
+  const entry = getCompiledMatcher(config).byGroup.get(group);
+  if (!entry) return tabMatchesGroup(normalizeUrl(url, getNormalization(config, group)), title, group);
+  return entryMatches(entry, makeSubject(normalizeUrl(url, entry.normalization), title));
+}
+
+// Returns the best matching group.
+// Specificity tiers (highest wins):
+//   1. Group NAME or alias found in the title (e.g. "[artemis-4]" in title → group
+//      "artemis-4"), for groups that take part in title-name matching
+//   2. Group pattern matches URL or title, resolved by priority order
+// Exclude patterns disqualify a group in both tiers. Groups whose schedule is
+// inactive at `context.now`, or whose windowScope excludes the tab's kind of window
+// (`context.incognito`), are skipped entirely. Each group sees the URL normalized
+// with its own settings.
+function findMatchingGroup(url, title, config, context = {}) {
+  if (!config.enabled) return null;
+  const matcher = getCompiledMatcher(config);
+  const subjectFor = subjectResolver(url, title);
+  const now = context.now || new Date();
+  const active = matcher.sorted.filter(entry =>
+    isGroupActive(entry.group, now) && appliesToWindow(entry.group, context.incognito)
+  );
+  const activeSet = new Set(active);
+
+  // Tier 1: check if any group's name appears directly in the title.
+  // This is the strongest signal (e.g. PR titles like "[artemis-4] feat: ...")
+  if (title) {
+    for (const entry of matcher.configOrder) {
+      if (!activeSet.has(entry)) continue;
+      const subject = subjectFor(entry);
+      const titleHit = entry.titleTerms.some(test => test(subject.lowerTitle));
+      if (titleHit && !runTesters(entry.excludes, subject)) {
+        return entry.group;
+      }
+    }
+  }
+
+  // Tier 2: pattern-based matching, first match by priority wins
+  const hits = hostBucketHits(matcher, subjectFor(matcher));
+  const anchoredHits = hostConditionHits(matcher, subjectFor(matcher));
+  for (const entry of active) {
+    if (matcher.hostAnchored.has(entry) && !anchoredHits.has(entry)) continue;
+    if (entryMatches(entry, subjectFor(entry), hits.has(entry))) {
+      return entry.group;
+    }
+  }
+
+  return null;
+}
+
+// ============================================================================
+// Focus Behavior
+// ============================================================================
+// Whether the browser follows a routed tab to its new window:
+//   'always'     - focus the target window (the original behavior)
+//   'never'      - move silently in the background
+//   'foreground' - follow only when the tab was the active tab of the focused
+//                  window, i.e. the user was looking at it
+// Set globally (config.focus) and overridden per group (group.focus). Tabs
+// moved without following are counted until the popup is next opened.
+
+const FOCUS_MODES = ['always', 'never', 'foreground'];
+const SILENT_ROUTES_LIMIT = 20;
+
+function getFocusMode(config, group = null) {
+  return (group && group.focus) || config.focus || 'always';
+}
+
+async function shouldFollowTab(focus, tab) {
+  if (focus === 'never') return false;
+  if (focus !== 'foreground') return true;
+  if (!tab.active) return false;
+  try {
+    const sourceWindow = await chrome.windows.get(tab.windowId);
+    return !!sourceWindow.focused;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function getSilentRoutes() {
+  const result = await chrome.storage.local.get('silentRoutes');
+  return result.silentRoutes || { count: 0, recent: [] };
+}
+
+async function updateSilentRoutesBadge(count) {
+  try {
+    await chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+  } catch (e) {
+    // Badge is cosmetic
+  }
+}
+
+async function recordSilentRoute(tab, windowId, groupName) {
+  const silentRoutes = await getSilentRoutes();
+  silentRoutes.count++;
+  silentRoutes.recent = [
+    { title: tab.title || tab.url || '(no title)', group: groupName || null, windowId, at: Date.now() },
+    ...silentRoutes.recent
+  ].slice(0, SILENT_ROUTES_LIMIT);
+  await chrome.storage.local.set({ silentRoutes });
+  await updateSilentRoutesBadge(silentRoutes.count);
+}
+
+// Returns the tabs routed silently since the last call and resets the count
+async function takeSilentRoutes() {
+  const silentRoutes = await getSilentRoutes();
+  await chrome.storage.local.set({ silentRoutes: { count: 0, recent: [] } });
+  await updateSilentRoutesBadge(0);
+  return silentRoutes;
+}
+
+// ============================================================================
+// Tab Placement
+// ============================================================================
+// group.placement decides where a routed tab lands in the group's window:
+//   'end' (default), 'start' (after pinned tabs), 'afterActive' (right of the
+//   window's active tab), 'tabGroup' (at the end of the group's Chrome tab group),
+//   'domain' (next to tabs of the same site, otherwise in host order) or
+//   'title' (in title order).
+// Sort All can also re-apply 'domain' and 'title' to tabs already in place
+// (config.reorderOnSort); each Chrome tab group and each run of ungrouped tabs
+// is sorted on its own so tab groups stay intact.
+
+const TAB_PLACEMENTS = ['end', 'start', 'afterActive', 'tabGroup', 'domain', 'title'];
+const SORTED_PLACEMENTS = ['domain', 'title'];
+
+function siteKey(url) {
+  const parsed = parseUrl(url || '');
+  return parsed ? parsed.hostname.toLowerCase().replace(/^www\./, '') : '';
+}
+
+function placementKey(placement, tab) {
+  const title = (tab.title || '').toLowerCase();
+  return placement === 'domain' ? `${siteKey(tab.url)}\u0000${title}` : title;
+}
+
+function comparePlacementKeys(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Index for chrome.tabs.move of `tab` into `windowId` (-1 = end of the window)
+async function computeTabIndex(placement, tab, windowId, groupName) {
+  if (!placement || placement === 'end') return -1;
+
+  const tabs = (await chrome.tabs.query({ windowId }))
+    .filter(t => t.id !== tab.id)
+    .sort((a, b) => a.index - b.index);
+  const unpinned = tabs.filter(t => !t.pinned);
+  if (unpinned.length === 0) return -1;
+
+  switch (placement) {
+    case 'start':
+      return unpinned[0].index;
+    case 'afterActive': {
+      const active = tabs.find(t => t.active);
+      return active ? Math.max(active.index + 1, unpinned[0].index) : -1;
+    }
+    case 'tabGroup': {
+      const chromeGroups = await chrome.tabGroups.query({ windowId });
+      const chromeGroup = chromeGroups.find(g => g.title === groupName);
+      const members = chromeGroup ? tabs.filter(t => t.groupId === chromeGroup.id) : [];
+      return members.length ? members[members.length - 1].index + 1 : -1;
+    }
+    case 'domain': {
+      // Same site first: join the last tab of that site
+      const site = siteKey(tab.url);
+      const sameSite = unpinned.filter(t => siteKey(t.url) === site);
+      if (site && sameSite.length) return sameSite[sameSite.length - 1].index + 1;
+    }
+    // Falls through: no tab of the same site, insert in host order
+    case 'title': {
+      const key = placementKey(placement, tab);
+      const next = unpinned.find(t => comparePlacementKeys(placementKey(placement, t), key) > 0);
+      return next ? next.index : -1;
+    }
+    default:
+      return -1;
+  }
+}
+
+// Sorts the tabs already in `windowId` by `placement`. Returns the number of tabs moved.
+async function reorderWindowTabs(windowId, placement) {
+  if (!SORTED_PLACEMENTS.includes(placement)) return 0;
+
+  const tabs = (await chrome.tabs.query({ windowId }))
+    .filter(t => !t.pinned)
+    .sort((a, b) => a.index - b.index);
+
+  // Contiguous runs of the same Chrome tab group (-1 = ungrouped)
+  const runs = [];
+  for (const tab of tabs) {
+    const groupId = tab.groupId ?? -1;
+    const last = runs[runs.length - 1];
+    if (last && last.groupId === groupId && last.tabs[last.tabs.length - 1].index === tab.index - 1) {
+      last.tabs.push(tab);
+    } else {
+      runs.push({ groupId, tabs: [tab] });
+    }
+  }
+
+  let moved = 0;
+  for (const run of runs) {
+    const start = run.tabs[0].index;
+    const current = [...run.tabs];
+    const sorted = [...run.tabs].sort((a, b) =>
+      comparePlacementKeys(placementKey(placement, a), placementKey(placement, b)));
+    for (let i = 0; i < sorted.length; i++) {
+      const from = current.indexOf(sorted[i]);
+      if (from === i) continue;
+      await chrome.tabs.move(sorted[i].id, { index: start + i });
+      current.splice(from, 1);
+      current.splice(i, 0, sorted[i]);
+      moved++;
+    }
+  }
+  return moved;
+}
+
+// ============================================================================
+// Sub-Groups
+// ============================================================================
+// group.subgroups splits a group's window into several Chrome tab groups:
+//   [{ title: 'PRs', patterns: ['/pull/'], color: 'green', collapsed: false }, ...]
+// Sub-group patterns use the group's mode and URL normalization and are only
+// consulted for tabs that already belong to the group. The first match wins;
+// other tabs go to the tab group named after the group, as before. Sub-group
+// tab groups are created on demand.
+
+const TAB_GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange', 'grey'];
+
+function findSubgroup(config, group, url, title) {
+  const subgroups = (group && group.subgroups) || [];
+  if (subgroups.length === 0) return null;
+  const subject = normalizeUrl(url || '', getNormalization(config, group));
+  return subgroups.find(sub =>
+    sub.title && findPatternMatch(subject, title || '', { patterns: sub.patterns, mode: group.mode })
+  ) || null;
+}
+
+// Style for a newly created Chrome tab group: the sub-group's color and
+// collapsed state, or just the title for the group's own tab group
+function subgroupStyle(sub) {
+  return sub ? { color: sub.color || null, collapsed: !!sub.collapsed } : {};
+}
+
+// Groups the tabs of a window bound to `groupName`: one Chrome tab group per
+// matching sub-group, the rest under the group name. Returns the tab group titles.
+async function labelTabsBySubgroup(windowId, groupName, tabs) {
+  const config = await getConfig();
+  const group = config.groups.find(g => g.name === groupName);
+  const buckets = new Map();
+  for (const tab of tabs) {
+    const sub = findSubgroup(config, group, tab.url, tab.title);
+    const title = sub ? sub.title : groupName;
+    if (!buckets.has(title)) buckets.set(title, { style: subgroupStyle(sub), tabIds: [] });
+    buckets.get(title).tabIds.push(tab.id);
+  }
+  for (const [title, { style, tabIds }] of buckets) {
+    await groupTabsUnderName(tabIds, windowId, title, style);
+  }
+  return [...buckets.keys()];
+}
+
+// ============================================================================
+// Duplicate Tabs
+// ============================================================================
+// group.duplicates = { mode, ignoreHash, ignoreQuery } decides what happens when
+// a routed tab lands in a group window that already has the same page open:
+//   'allow'         (default) - keep both
+//   'focusExisting' - close the routed tab and activate the open copy
+//   'keepNewest'    - keep the routed tab and close the older copies
+// ignoreHash / ignoreQuery compare URLs without their #fragment / ?query.
+// Pinned copies are never closed.
+
+const DUPLICATE_MODES = ['allow', 'focusExisting', 'keepNewest'];
+const DEFAULT_DUPLICATES = { mode: 'allow', ignoreHash: true, ignoreQuery: false };
+
+function getDuplicateRules(duplicates) {
+  return { ...DEFAULT_DUPLICATES, ...duplicates };
+}
+
+function duplicateKey(url, rules) {
+  try {
+    const parsed = new URL(url);
+    if (rules.ignoreHash) parsed.hash = '';
+    if (rules.ignoreQuery) parsed.search = '';
+    return parsed.href;
+  } catch (e) {
+    return url;
+  }
+}
+
+// Applies the duplicate mode before `tab` is routed into `windowId`. Returns
+// { closed, keptExisting } — keptExisting means the routed tab itself was closed
+// and there is nothing left to move — or null when nothing was done.
+async function resolveDuplicates(duplicates, tab, windowId, { activate = true } = {}) {
+  const rules = getDuplicateRules(duplicates);
+  if (rules.mode === 'allow' || !tab.url) return null;
+
+  const key = duplicateKey(tab.url, rules);
+  const copies = (await chrome.tabs.query({ windowId }))
+    .filter(t => t.id !== tab.id && t.url && duplicateKey(t.url, rules) === key);
+  if (copies.length === 0) return null;
+
+  if (rules.mode === 'focusExisting') {
+    if (activate) await chrome.tabs.update(copies[0].id, { active: true });
+    await chrome.tabs.remove(tab.id);
+    return { closed: 1, keptExisting: true };
+  }
+  const older = copies.filter(t => !t.pinned).map(t => t.id);
+  if (older.length === 0) return null;
+  await chrome.tabs.remove(older);
+  return { closed: older.length, keptExisting: false };
+}
+
+// "Close duplicates": across each group's windows, keeps one copy of every page —
+// the active one, else a pinned one, else the first — comparing URLs by the
+// group's rules. Returns the number of tabs closed.
+async function closeDuplicateTabs() {
+  const config = await getConfig();
+  const bindings = await getWindowBindings();
+  let closed = 0;
+
+  for (const group of config.groups) {
+    const rules = getDuplicateRules(group.duplicates);
+    const copies = new Map(); // page key → tabs, in window and tab order
+    for (const [wid, groupName] of Object.entries(bindings)) {
+      if (groupName !== group.name) continue;
+      const tabs = await chrome.tabs.query({ windowId: parseInt(wid, 10) });
+      for (const tab of tabs.sort((a, b) => a.index - b.index)) {
+        if (!tab.url || tab.url.startsWith('chrome://')) continue;
+        const key = `${!!tab.incognito}|${duplicateKey(tab.url, rules)}`;
+        if (!copies.has(key)) copies.set(key, []);
+        copies.get(key).push(tab);
+      }
+    }
+
+    for (const tabs of copies.values()) {
+      if (tabs.length < 2) continue;
+      const keep = tabs.find(t => t.active) || tabs.find(t => t.pinned) || tabs[0];
+      const extra = tabs.filter(t => t !== keep && !t.pinned).map(t => t.id);
+      if (extra.length === 0) continue;
+      await chrome.tabs.remove(extra);
+      closed += extra.length;
+    }
+  }
+  return closed;
+}
+
+// ============================================================================
+// Tab Limits
+// ============================================================================
+// group.tabLimit = { max, policy } caps the tabs across a group's windows. When
+// a routed tab pushes the group over `max`, the least recently used tabs are
+//   'discard' - unloaded with chrome.tabs.discard (they stay in the tab strip,
+//               so only loaded tabs count toward the limit)
+//   'archive' - closed and kept in the archive, from which the popup reopens them
+//   'close'   - closed
+// Pinned and audible tabs neither count nor get evicted; the active tab and the
+// tab just routed count but are never evicted.
+
+const TAB_LIMIT_POLICIES = ['discard', 'archive', 'close'];
+const ARCHIVED_TABS_LIMIT = 100;
+
+async function getArchivedTabs() {
+  const result = await chrome.storage.local.get('archivedTabs');
+  return result.archivedTabs || [];
+}
+
+async function archiveTabs(tabs, groupName, reason) {
+  const archived = await getArchivedTabs();
+  const now = Date.now();
+  archived.unshift(...tabs.map(tab => ({
+    id: `${now}-${tab.id}`,
+    url: tab.url,
+    title: tab.title,
+    incognito: !!tab.incognito,
+    group: groupName,
+    reason,
+    archivedAt: now
+  })));
+  await chrome.storage.local.set({ archivedTabs: archived.slice(0, ARCHIVED_TABS_LIMIT) });
+}
+
+// Reopens an archived tab in its group's window, or in a new window bound to the
+// group when none is left. Returns the new tab id.
+async function restoreArchivedTab(entryId) {
+  const archived = await getArchivedTabs();
+  const entry = archived.find(e => e.id === entryId);
+  if (!entry) throw new Error('Archived tab not found');
+
+  let tab;
+  const windowId = await findWindowForGroup(entry.group, entry.incognito);
+  if (windowId) {
+    tab = await chrome.tabs.create({ windowId, url: entry.url, active: true });
+  } else {
+    const win = await chrome.windows.create({ url: entry.url, incognito: entry.incognito, focused: true });
+    await bindWindow(win.id, entry.group);
+    tab = win.tabs[0];
+  }
+  await chrome.storage.local.set({ archivedTabs: archived.filter(e => e.id !== entryId) });
+  return tab.id;
+}
+
+// The group's tabs that count toward its limit, least recently used first
+async function getLimitedTabs(groupName, policy) {
+  const bindings = await getWindowBindings();
+  const tabs = [];
+  for (const [wid, boundGroup] of Object.entries(bindings)) {
+    if (boundGroup !== groupName) continue;
+    tabs.push(...await chrome.tabs.query({ windowId: parseInt(wid, 10) }));
+  }
+  return tabs
+    .filter(t => !t.pinned && !t.audible && !(policy === 'discard' && t.discarded))
+    .sort((a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0));
+}
+
+// Evicts the group's least recently used tabs beyond tabLimit.max, sparing
+// `keepTabId`. Returns the number of tabs discarded, archived or closed.
+async function enforceTabLimit(groupName, tabLimit, keepTabId = null) {
+  if (!tabLimit || !tabLimit.max) return 0;
+  const policy = tabLimit.policy || 'discard';
+  const tabs = await getLimitedTabs(groupName, policy);
+  const excess = tabs.length - tabLimit.max;
+  if (excess <= 0) return 0;
+
+  const evicted = tabs.filter(t => !t.active && t.id !== keepTabId).slice(0, excess);
+  if (evicted.length === 0) return 0;
+
+  if (policy === 'discard') {
+    let discarded = 0;
+    for (const tab of evicted) {
+      try {
+        await chrome.tabs.discard(tab.id);
+        discarded++;
+      } catch (e) {
+        console.log(`Tab Shepherd: Could not discard tab ${tab.id}:`, e.message);
+      }
+    }
+    return discarded;
+  }
+  if (policy === 'archive') await archiveTabs(evicted, groupName, 'limit');
+  await chrome.tabs.remove(evicted.map(t => t.id));
+  console.log(`Tab Shepherd: "${groupName}" is over its ${tabLimit.max}-tab limit — ${policy === 'archive' ? 'archived' : 'closed'} ${evicted.length} tab(s)`);
+  return evicted.length;
+}
 
-  // Ensure only ONE window is bound to this group - unbind others first
-  for (const [wid, gname] of Object.entries(bindings)) {
-    if (gname === groupName && parseInt(wid, 10) !== windowId) {
-      delete bindings[wid];
-      console.log(`Tab Shepherd: Unbound window ${wid} from "${groupName}" (new binding to ${windowId})`);
+// Current tab counts of the groups that have windows or a limit, for the options page
+async function getTabLimitUsage() {
+  const config = await getConfig();
+  const bindings = await getWindowBindings();
+  const usage = {};
+  for (const group of config.groups) {
+    const bound = Object.values(bindings).includes(group.name);
+    if (!bound && !group.tabLimit) continue;
+    const policy = group.tabLimit && group.tabLimit.policy;
+    usage[group.name] = {
+      count: bound ? (await getLimitedTabs(group.name, policy)).length : 0,
+      max: (group.tabLimit && group.tabLimit.max) || null
+    };
+  }
+  return usage;
+}
+
+// ============================================================================
+// Inactive Tab Expiry
+// ============================================================================
+// group.expiry = { hours, action } archives or closes a group's tabs that have
+// not been activated for `hours`. Activation times come from tabs.onActivated and
+// are kept in storage.local, since the service worker doesn't live that long;
+// a sweep every EXPIRY_SWEEP_MINUTES (chrome.alarms) applies the rules. The alarm
+// only exists while some group has a rule, so other users' workers aren't woken.
+// Tabs the sweep hasn't seen activated start their clock at Chrome's lastAccessed
+// time, or at the sweep. Pinned, audible and active tabs never expire, and neither
+// does the last tab of a window.
+
+const EXPIRY_ACTIONS = ['archive', 'close'];
+const EXPIRY_ALARM = 'expire-inactive-tabs';
+const EXPIRY_SWEEP_MINUTES = 15;
+const HOUR_MS = 60 * 60 * 1000;
+
+let cachedTabActivity = null;
+
+async function getTabActivity() {
+  if (cachedTabActivity) return cachedTabActivity;
+  const result = await chrome.storage.local.get('tabActivity');
+  cachedTabActivity = result.tabActivity || {};
+  return cachedTabActivity;
+}
+
+async function saveTabActivity(activity) {
+  cachedTabActivity = activity;
+  await chrome.storage.local.set({ tabActivity: activity });
+}
+
+// Tab ids only last for one browser session: a new tab reusing an old id must not
+// inherit that tab's activation time
+async function clearTabActivity() {
+  await saveTabActivity({});
+}
+
+function hasExpiryRules(config) {
+  return config.enabled && config.groups.some(group => group.expiry && group.expiry.hours);
+}
+
+// Only kept while some group can expire tabs
+async function recordTabActivation(tabId, now = Date.now()) {
+  if (!hasExpiryRules(await getConfig())) return;
+  const activity = await getTabActivity();
+  activity[tabId] = now;
+  await saveTabActivity(activity);
+}
+
+// Alarms outlive the service worker, so only create the alarm when it is missing,
+// and clear it once no enabled group has an expiry rule
+async function startExpirySweeps() {
+  if (!hasExpiryRules(await getConfig())) {
+    await chrome.alarms.clear(EXPIRY_ALARM);
+    return;
+  }
+  if (await chrome.alarms.get(EXPIRY_ALARM)) return;
+  await chrome.alarms.create(EXPIRY_ALARM, { periodInMinutes: EXPIRY_SWEEP_MINUTES });
+}
+
+// Archives or closes the tabs that expired under their group's rule. Returns the
+// number of tabs expired.
+async function sweepExpiredTabs(now = Date.now()) {
+  const config = await getConfig();
+  const bindings = await getWindowBindings();
+  const tabs = await chrome.tabs.query({});
+
+  // Active tabs are in use right now; forget tabs that are gone
+  const activity = await getTabActivity();
+  const lastActive = {};
+  for (const tab of tabs) {
+    lastActive[tab.id] = tab.active ? now : activity[tab.id] || tab.lastAccessed || now;
+  }
+  await saveTabActivity(lastActive);
+
+  if (!config.enabled) return 0;
+
+  let expired = 0;
+  for (const group of config.groups) {
+    if (!group.expiry || !group.expiry.hours) continue;
+    const cutoff = now - group.expiry.hours * HOUR_MS;
+    let stale = tabs.filter(tab =>
+      bindings[tab.windowId] === group.name &&
+      !tab.pinned && !tab.audible && !tab.active &&
+      lastActive[tab.id] <= cutoff
+    );
+    // Never empty a window: it would close, and the closed-window archive would
+    // keep the expired tabs a second time. The most recently used one stays.
+    for (const windowId of new Set(stale.map(tab => tab.windowId))) {
+      const windowStale = stale.filter(tab => tab.windowId === windowId);
+      if (windowStale.length < tabs.filter(tab => tab.windowId === windowId).length) continue;
+      const newest = windowStale.reduce((a, b) => (lastActive[b.id] > lastActive[a.id] ? b : a));
+      stale = stale.filter(tab => tab !== newest);
     }
+    if (stale.length === 0) continue;
+
+    if (group.expiry.action === 'archive') await archiveTabs(stale, group.name, 'expired');
+    await chrome.tabs.remove(stale.map(t => t.id));
+    expired += stale.length;
+    console.log(`Tab Shepherd: Expired ${stale.length} inactive "${group.name}" tab(s)`);
   }
+  return expired;
+}
 
-  bindings[windowId] = groupName;
-  await saveWindowBindings(bindings);
-  console.log('Tab Shepherd bindWindow saved:', bindings);
+async function handleExpiryAlarm(alarm) {
+  if (alarm.name !== EXPIRY_ALARM) return;
+  try {
+    await sweepExpiredTabs();
+  } catch (e) {
+    console.error('Tab Shepherd: Inactive tab sweep failed:', e);
+  }
 }
 
-async function unbindWindow(windowId) {
+// ============================================================================
+// Multi-Window Groups
+// ============================================================================
+// group.windowPolicy lets a group bind several windows of each kind:
+//   'single'     (default) - one window; binding another replaces it
+//   'overflow'   - fill the first window with fewer than group.maxTabs tabs; when
+//                  all are full, a moved tab opens a new window for the group
+//   'roundRobin' - take turns between the bound windows
+//   'recent'     - the bound window focused most recently
+// Round-robin turns and focus times are kept in memory only; after a service
+// worker restart they start over from the first bound window.
+
+const WINDOW_POLICIES = ['single', 'overflow', 'roundRobin', 'recent'];
+const DEFAULT_MAX_TABS = 80;
+
+// "group|incognito" → window the group's last routed tab went to
+const lastRoutedWindow = new Map();
+
+// windowId → time it last gained focus
+const windowFocusTimes = new Map();
+
+function isMultiWindow(group) {
+  return !!group && (group.windowPolicy || 'single') !== 'single';
+}
+
+function noteRoutedWindow(groupName, incognito, windowId) {
+  if (groupName) lastRoutedWindow.set(`${groupName}|${!!incognito}`, windowId);
+}
+
+// Existing windows of the given kind bound to the group, in window-id order, plus
+// the ids of bound windows that no longer exist
+async function getBoundWindows(groupName, incognito, bindings) {
+  const windows = [];
+  const missing = [];
+  for (const [windowIdStr, boundGroup] of Object.entries(bindings)) {
+    if (boundGroup !== groupName) continue;
+    const windowId = parseInt(windowIdStr, 10);
+    try {
+      const win = await chrome.windows.get(windowId);
+      if (!!win.incognito === !!incognito) windows.push(win);
+    } catch (e) {
+      missing.push(windowId);
+    }
+  }
+  return { windows, missing };
+}
+
+async function chooseBoundWindow(group, windows, incognito) {
+  if (windows.length === 0) return null;
+
+  switch (group && group.windowPolicy) {
+    case 'overflow': {
+      const maxTabs = group.maxTabs || DEFAULT_MAX_TABS;
+      for (const win of windows) {
+        const tabs = await chrome.tabs.query({ windowId: win.id });
+        if (tabs.length < maxTabs) return win.id;
+      }
+      return null;
+    }
+    case 'roundRobin': {
+      const last = lastRoutedWindow.get(`${group.name}|${!!incognito}`);
+      const i = windows.findIndex(w => w.id === last);
+      return windows[(i + 1) % windows.length].id;
+    }
+    case 'recent': {
+      const focusTime = w => windowFocusTimes.get(w.id) ?? (w.focused ? Infinity : 0);
+      return windows.reduce((best, w) => focusTime(w) > focusTime(best) ? w : best).id;
+    }
+    default:
+      return windows[0].id;
+  }
+}
+
+// True when an 'overflow' group has windows of this kind but all of them are full
+async function isGroupFull(group, incognito) {
+  if (!group || group.windowPolicy !== 'overflow') return false;
+  const { windows } = await getBoundWindows(group.name, incognito, await getWindowBindings());
+  return windows.length > 0 && !(await chooseBoundWindow(group, windows, incognito));
+}
+
+// Moves the tab into a new window bound to the group. Returns the window id, or
+// null when the tab is the last one in its window.
+async function openOverflowWindow(group, tabId, focus = 'always') {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const sourceTabs = await chrome.tabs.query({ windowId: tab.windowId });
+    if (sourceTabs.length <= 1) return null;
+    const follow = await shouldFollowTab(focus, tab);
+    const windowId = await createWindowForGroup(group.name, tabId, follow);
+    await recordMove(tab, windowId, group.name, 'routed');
+    noteRoutedWindow(group.name, tab.incognito, windowId);
+    if (!follow) await recordSilentRoute(tab, windowId, group.name);
+    await labelTabsBySubgroup(windowId, group.name, [tab]);
+    console.log(`Tab Shepherd: "${group.name}" windows are full, opened window ${windowId}`);
+    return windowId;
+  } catch (e) {
+    console.error('Failed to open overflow window:', e);
+    return null;
+  }
+}
+
+// Replaces the group's bound windows of one kind with `windowIds`
+async function setGroupWindows(groupName, windowIds, incognito) {
   const bindings = await getWindowBindings();
-  delete bindings[windowId];
+  const unbound = [];
+  for (const [wid, gname] of Object.entries(bindings)) {
+    if (gname !== groupName) continue;
+    const windowIncognito = await isIncognitoWindow(parseInt(wid, 10));
+    if (windowIncognito === null || windowIncognito === !!incognito) {
+      delete bindings[wid];
+      unbound.push(parseInt(wid, 10));
+    }
+  }
+  for (const windowId of windowIds) {
+    bindings[windowId] = groupName;
+  }
   await saveWindowBindings(bindings);
+  // Cached states follow the bindings: new windows are archived if they close right away
+  for (const windowId of new Set([...unbound, ...windowIds])) await refreshWindowState(windowId);
 }
 
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) windowFocusTimes.set(windowId, Date.now());
+});
+
 // ============================================================================
-// Pattern Matching
+// Auto-Created Windows
 // ============================================================================
+// A group with createWindow set opens a window of its own for the first
+// matching tab when none of the tab's kind is bound. Flood guards:
+//   - one window per group and kind at a time: tabs that match while it is
+//     being created follow the first one into it
+//   - live routing opens at most AUTO_CREATE_LIMIT windows per
+//     AUTO_CREATE_PERIOD_MS
+//   - none in the first STARTUP_GRACE_MS after browser startup, while Chrome
+//     restores the previous session
+//   - Sort All opens at most SORT_CREATE_LIMIT per run and reports the rest
+
+const AUTO_CREATE_LIMIT = 3;
+const AUTO_CREATE_PERIOD_MS = 60 * 1000;
+const STARTUP_GRACE_MS = 30 * 1000;
+const SORT_CREATE_LIMIT = 5;
+
+// Times live routing opened a window, oldest first
+const autoCreatedTimes = [];
+
+// "group|incognito" → promise of the window being created for it
+const pendingWindowCreations = new Map();
+
+let autoCreatePausedUntil = 0;
+
+function pauseAutoCreate(ms) {
+  autoCreatePausedUntil = Date.now() + ms;
+}
 
-function matchesPattern(text, pattern, isSimpleMode = false) {
-  if (!text || !pattern) return false;
+function canAutoCreateWindow(now = Date.now()) {
+  if (now < autoCreatePausedUntil) return false;
+  while (autoCreatedTimes.length > 0 && now - autoCreatedTimes[0] >= AUTO_CREATE_PERIOD_MS) {
+    autoCreatedTimes.shift();
+  }
+  return autoCreatedTimes.length < AUTO_CREATE_LIMIT;
+}
+
+// Moves the tab into a new window bound to and labeled for the group. Returns the
+// window id, or null when a flood guard holds it back or the tab is the last one
+// in its window.
+async function autoCreateWindow(group, tabId, focus = 'always') {
   try {
-    if (isSimpleMode) {
-      // Simple mode: case-insensitive contains
-      return text.toLowerCase().includes(pattern.toLowerCase());
-    } else {
-      // Regex mode
-      const regex = new RegExp(pattern, 'i');
-      return regex.test(text);
+    const tab = await chrome.tabs.get(tabId);
+    const key = `${group.name}|${!!tab.incognito}`;
+    const pending = pendingWindowCreations.get(key);
+    if (pending) {
+      const windowId = await pending;
+      if (windowId) {
+        await moveTabToWindow(tabId, windowId, group.name, {
+          focus,
+          placement: group.placement,
+          duplicates: group.duplicates,
+          tabLimit: group.tabLimit
+        });
+      }
+      return windowId;
+    }
+
+    if (!canAutoCreateWindow()) {
+      console.log(`Tab Shepherd: Not opening a window for "${group.name}" — too many opened recently`);
+      return null;
+    }
+    const creation = (async () => {
+      const sourceTabs = await chrome.tabs.query({ windowId: tab.windowId });
+      if (sourceTabs.length <= 1) return null;
+      const follow = await shouldFollowTab(focus, tab);
+      const windowId = await createWindowForGroup(group.name, tabId, follow);
+      await recordMove(tab, windowId, group.name, 'routed');
+      autoCreatedTimes.push(Date.now());
+      noteRoutedWindow(group.name, tab.incognito, windowId);
+      if (!follow) await recordSilentRoute(tab, windowId, group.name);
+      await labelTabsBySubgroup(windowId, group.name, [tab]);
+      return windowId;
+    })();
+    pendingWindowCreations.set(key, creation);
+    try {
+      const windowId = await creation;
+      if (windowId) console.log(`Tab Shepherd: Opened window ${windowId} for "${group.name}"`);
+      return windowId;
+    } finally {
+      pendingWindowCreations.delete(key);
     }
   } catch (e) {
-    console.error(`Invalid pattern: ${pattern}`, e);
-    return false;
+    console.error('Failed to open a window for the group:', e);
+    return null;
   }
 }
 
-function tabMatchesGroup(url, title, group) {
-  const isSimple = group.mode === 'simple';
-  return group.patterns.some(pattern =>
-    matchesPattern(url, pattern, isSimple) || matchesPattern(title, pattern, isSimple)
-  );
+// ============================================================================
+// Move History
+// ============================================================================
+// Every move between windows made by moveTabToWindow or Sort All is recorded in
+// storage.local (newest first) so it can be undone: the last move on its own, or
+// the whole batch of the last Sort All run. A move is only undone while the tab
+// is still in the window it was moved to and its source window is still open;
+// anything else is skipped and dropped from the history.
+
+const MOVE_HISTORY_LIMIT = 100;
+
+async function getMoveHistory() {
+  const result = await chrome.storage.local.get('moveHistory');
+  return result.moveHistory || [];
 }
 
-// Returns the best matching group.
-// Specificity tiers (highest wins):
-//   1. Group NAME found in the title (e.g. "[artemis-4]" in title → group "artemis-4")
-//   2. Group pattern matches URL or title, resolved by priority order
-function findMatchingGroup(url, title, config) {
-  if (!config.enabled) return null;
+// Tab and window ids only last for one browser session, so the history doesn't
+// outlive it: undo must never move an unrelated tab that reused an id
+async function clearMoveHistory() {
+  await chrome.storage.local.set({ moveHistory: [] });
+}
 
-  // Tier 1: check if any group's name appears directly in the title.
-  // This is the strongest signal (e.g. PR titles like "[artemis-4] feat: ...")
-  if (title) {
-    const lowerTitle = title.toLowerCase();
-    for (const group of config.groups) {
-      if (lowerTitle.includes(group.name.toLowerCase())) {
-        return group;
-      }
-    }
+// `tab` as it was before the move
+async function recordMove(tab, toWindowId, groupName, reason, batch = null) {
+  const history = await getMoveHistory();
+  const now = Date.now();
+  history.unshift({
+    id: `${now}-${tab.id}`,
+    tabId: tab.id,
+    title: tab.title,
+    fromWindowId: tab.windowId,
+    fromIndex: tab.index,
+    toWindowId,
+    groupName,
+    reason,
+    batch,
+    movedAt: now
+  });
+  await chrome.storage.local.set({ moveHistory: history.slice(0, MOVE_HISTORY_LIMIT) });
+}
+
+// Moves the tab back. Returns null when done, otherwise why it was skipped.
+async function revertMove(entry) {
+  let tab;
+  try {
+    tab = await chrome.tabs.get(entry.tabId);
+  } catch (e) {
+    return 'the tab was closed';
   }
+  if (tab.windowId !== entry.toWindowId) return 'the tab has moved since';
+  try {
+    await chrome.windows.get(entry.fromWindowId);
+  } catch (e) {
+    return 'its window was closed';
+  }
+  const sourceTabs = await chrome.tabs.query({ windowId: entry.fromWindowId });
+  await chrome.tabs.move(entry.tabId, {
+    windowId: entry.fromWindowId,
+    index: Math.min(entry.fromIndex, sourceTabs.length)
+  });
+  return null;
+}
 
-  // Tier 2: pattern-based matching, first match by priority wins
-  const sorted = [...config.groups].sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
-  for (const group of sorted) {
-    if (tabMatchesGroup(url, title, group)) {
-      return group;
+// Reverts `entries` newest first and drops them from the history
+async function undoMoves(entries) {
+  let undone = 0;
+  const skipped = [];
+  for (const entry of entries) {
+    try {
+      const reason = await revertMove(entry);
+      if (reason) {
+        skipped.push({ title: entry.title || '(no title)', reason });
+      } else {
+        undone++;
+      }
+    } catch (e) {
+      skipped.push({ title: entry.title || '(no title)', reason: e.message });
     }
   }
+  const ids = new Set(entries.map(entry => entry.id));
+  const history = await getMoveHistory();
+  await chrome.storage.local.set({ moveHistory: history.filter(entry => !ids.has(entry.id)) });
+  return { undone, skipped };
+}
 
-  return null;
+async function undoLastMove() {
+  const [last] = await getMoveHistory();
+  if (!last) return { undone: 0, skipped: [] };
+  return undoMoves([last]);
+}
+
+// Reverts every move of the most recent Sort All run
+async function undoSortAll() {
+  const history = await getMoveHistory();
+  const last = history.find(entry => entry.batch);
+  if (!last) return { undone: 0, skipped: [] };
+  return undoMoves(history.filter(entry => entry.batch === last.batch));
 }
 
 // ============================================================================
 // Window Management
 // ============================================================================
 
-async function findWindowForGroup(groupName) {
+// Only windows of the requested kind count: a group can have one normal and one
+// incognito window, and tabs never cross between them.
+// Picks among the group's bound windows of the tab's kind according to the
+// group's window policy (see Multi-Window Groups). Null when none is bound — or,
+// for 'overflow', when every bound window is full.
+async function findWindowForGroup(groupName, incognito = false) {
   const bindings = await getWindowBindings();
+  const { windows, missing } = await getBoundWindows(groupName, incognito, bindings);
 
-  // Find window ID bound to this group
-  for (const [windowIdStr, boundGroup] of Object.entries(bindings)) {
-    if (boundGroup === groupName) {
-      const windowId = parseInt(windowIdStr, 10);
-      // Verify window still exists
-      try {
-        await chrome.windows.get(windowId);
-        return windowId;
-      } catch (e) {
-        // Window no longer exists, clean up binding
-        delete bindings[windowIdStr];
-        await saveWindowBindings(bindings);
-      }
-    }
+  if (missing.length > 0) {
+    // Window no longer exists, clean up binding
+    for (const windowId of missing) delete bindings[windowId];
+    await saveWindowBindings(bindings);
   }
 
-  return null;
+  const config = await getConfig();
+  return chooseBoundWindow(config.groups.find(g => g.name === groupName), windows, incognito);
 }
 
-async function createWindowForGroup(groupName, tabId) {
-  // Create new window with the tab
+async function createWindowForGroup(groupName, tabId, focused = true) {
+  // Create new window with the tab — of the tab's kind, or the move fails
+  const tab = await chrome.tabs.get(tabId);
   const newWindow = await chrome.windows.create({
     tabId: tabId,
-    focused: true
+    focused,
+    incognito: !!tab.incognito
   });
 
   // Bind the new window to this group
@@ -170,7 +1898,13 @@ async function createWindowForGroup(groupName, tabId) {
   return newWindow.id;
 }
 
-async function moveTabToWindow(tabId, windowId, groupName) {
+async function moveTabToWindow(tabId, windowId, groupName, {
+  focus = 'always',
+  placement = 'end',
+  duplicates = null,
+  tabLimit = null,
+  reason = 'routed'
+} = {}) {
   try {
     const tabBefore = await chrome.tabs.get(tabId);
     // Guard: don't move the last tab out of a window (Chrome auto-closes empty windows)
@@ -179,15 +1913,37 @@ async function moveTabToWindow(tabId, windowId, groupName) {
       console.log('Tab Shepherd: Skipping move — would empty source window');
       return false;
     }
+    // Guard: Chrome rejects moves between normal and incognito windows
+    const targetWindow = await chrome.windows.get(windowId);
+    if (!!targetWindow.incognito !== !!tabBefore.incognito) {
+      console.log('Tab Shepherd: Skipping move — crosses the incognito boundary');
+      return false;
+    }
+    const follow = await shouldFollowTab(focus, tabBefore);
+    // The target window may already have this page open
+    const duplicate = await resolveDuplicates(duplicates, tabBefore, windowId);
+    if (duplicate && duplicate.keptExisting) {
+      console.log('Tab Shepherd: Closed routed tab — its page is already open in the target window');
+      if (follow) await chrome.windows.update(windowId, { focused: true });
+      return true;
+    }
     const wasActive = tabBefore.active;
-    await chrome.tabs.move(tabId, { windowId: windowId, index: -1 });
+    const index = await computeTabIndex(placement, tabBefore, windowId, groupName);
+    await chrome.tabs.move(tabId, { windowId: windowId, index });
+    await recordMove(tabBefore, windowId, groupName, reason);
     if (groupName) {
       await addTabToExistingChromeGroup(tabId, windowId, groupName);
     }
     if (wasActive) {
       await chrome.tabs.update(tabId, { active: true });
     }
-    await chrome.windows.update(windowId, { focused: true });
+    noteRoutedWindow(groupName, tabBefore.incognito, windowId);
+    if (follow) {
+      await chrome.windows.update(windowId, { focused: true });
+    } else {
+      await recordSilentRoute(tabBefore, windowId, groupName);
+    }
+    if (tabLimit) await enforceTabLimit(groupName, tabLimit, tabId);
     return true;
   } catch (e) {
     console.error('Failed to move tab:', e);
@@ -195,8 +1951,29 @@ async function moveTabToWindow(tabId, windowId, groupName) {
   }
 }
 
+// Puts the tab into the group's Chrome tab group in `windowId` if one exists —
+// or, when one of the group's sub-groups matches the tab, into that sub-group's
+// tab group, creating it if needed
 async function addTabToExistingChromeGroup(tabId, windowId, groupName) {
   try {
+    const config = await getConfig();
+    const group = config.groups.find(g => g.name === groupName);
+    if (group && group.subgroups && group.subgroups.length) {
+      const tab = await chrome.tabs.get(tabId);
+      const sub = findSubgroup(config, group, tab.url || tab.pendingUrl, tab.title);
+      if (sub) {
+        await groupTabsUnderName([tabId], windowId, sub.title, subgroupStyle(sub));
+        return true;
+      }
+      // Left a sub-group's page: take it out of that sub-group's tab group
+      if (tab.groupId !== undefined && tab.groupId !== -1) {
+        const current = await chrome.tabGroups.get(tab.groupId);
+        if (group.subgroups.some(s => s.title === current.title)) {
+          await chrome.tabs.ungroup(tabId);
+        }
+      }
+    }
+
     const groups = await chrome.tabGroups.query({ windowId });
     const match = groups.find(g => g.title === groupName);
     if (match) {
@@ -210,6 +1987,467 @@ async function addTabToExistingChromeGroup(tabId, windowId, groupName) {
   }
 }
 
+// Adds tabs to the Chrome tab group titled `groupName` in `windowId`, creating it
+// when the window has none yet — with `style.color` or a color no other tab group
+// uses, and collapsed if `style.collapsed`
+async function groupTabsUnderName(tabIds, windowId, groupName, style = {}) {
+  // Check if there's already a tab group with this name in the window
+  const existingGroups = await chrome.tabGroups.query({ windowId });
+  const existing = existingGroups.find(g => g.title === groupName);
+
+  if (existing) {
+    // Add tabs to existing group
+    await chrome.tabs.group({ tabIds, groupId: existing.id });
+    return existing.id;
+  }
+
+  // Create new group with unique color
+  const newGroupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+
+  // Pick a color not used by other tab groups across all windows
+  let availableColor = style.color;
+  if (!availableColor) {
+    const allTabGroups = await chrome.tabGroups.query({});
+    const usedColors = new Set(allTabGroups.map(g => g.color));
+    availableColor = TAB_GROUP_COLORS.find(c => !usedColors.has(c)) || TAB_GROUP_COLORS[0];
+  }
+  const collapsed = !!style.collapsed;
+
+  await chrome.tabGroups.update(newGroupId, { title: groupName, color: availableColor, collapsed });
+
+  // Retry loop — Chrome has a race condition that can leave groups grey/unnamed.
+  // Check at 150ms and again at 300ms to enforce the update.
+  for (const delay of [150, 300]) {
+    await new Promise(r => setTimeout(r, delay));
+    try {
+      const verified = await chrome.tabGroups.get(newGroupId);
+      if (verified.title !== groupName || verified.color !== availableColor) {
+        console.log(`Tab Shepherd: Group update did not stick at ${delay}ms, retrying...`);
+        await chrome.tabGroups.update(newGroupId, { title: groupName, color: availableColor, collapsed });
+      } else {
+        break; // Already correct, no need to check further
+      }
+    } catch (e) {
+      break; // Group was removed, stop retrying
+    }
+  }
+  return newGroupId;
+}
+
+// ============================================================================
+// Routing Actions
+// ============================================================================
+// group.action decides what happens to a tab that matches a group but sits in
+// another window:
+//   'move'      (default) - move it to the group's window
+//   'group'     - leave it in place, inside a Chrome tab group named after the group
+//   'duplicate' - open a copy in the group's window and keep the original
+//   'notify'    - show a notification whose "Send there" button moves it
+// 'duplicate' and 'notify' act once per tab and URL, not on every update.
+//
+// Both maps below are mirrored to storage.session: the service worker can be
+// restarted while a tab stays open or a notification is still showing.
+
+const ROUTING_ACTIONS = ['move', 'group', 'duplicate', 'notify'];
+
+// tabId → "action url" last handled, so reloads don't copy or notify again
+const handledRoutes = new Map();
+
+// notification id → { tabId, groupName, windowId } for "Send there"
+const routeNotifications = new Map();
+
+let routeStateLoaded = null;
+
+// Fills both maps from storage.session, once per service worker
+function loadRouteState() {
+  if (!routeStateLoaded) {
+    routeStateLoaded = chrome.storage.session.get('routeState').then(({ routeState }) => {
+      for (const [tabId, key] of Object.entries(routeState?.handled || {})) {
+        if (!handledRoutes.has(Number(tabId))) handledRoutes.set(Number(tabId), key);
+      }
+      for (const [id, route] of Object.entries(routeState?.notifications || {})) {
+        if (!routeNotifications.has(id)) routeNotifications.set(id, route);
+      }
+    });
+  }
+  return routeStateLoaded;
+}
+
+async function saveRouteState() {
+  await chrome.storage.session.set({
+    routeState: {
+      handled: Object.fromEntries(handledRoutes),
+      notifications: Object.fromEntries(routeNotifications)
+    }
+  });
+}
+
+async function forgetRoutes(tabId) {
+  await loadRouteState();
+  const notificationId = `route-${tabId}`;
+  const hadNotification = routeNotifications.delete(notificationId);
+  if (!handledRoutes.delete(tabId) && !hadNotification) return;
+  if (hadNotification) chrome.notifications.clear(notificationId);
+  await saveRouteState();
+}
+
+async function isInNamedTabGroup(tabId, groupName) {
+  const tab = await chrome.tabs.get(tabId);
+  if (tab.groupId === undefined || tab.groupId === -1) return false;
+  const tabGroup = await chrome.tabGroups.get(tab.groupId);
+  return tabGroup.title === groupName;
+}
+
+async function onceForTab(tabId, action, url) {
+  await loadRouteState();
+  const key = `${action} ${url}`;
+  if (handledRoutes.get(tabId) === key) return false;
+  handledRoutes.set(tabId, key);
+  await saveRouteState();
+  return true;
+}
+
+async function duplicateTabToWindow(tab, windowId, groupName) {
+  if (!(await onceForTab(tab.id, 'duplicate', tab.url))) return false;
+  try {
+    const copy = await chrome.tabs.create({ windowId, url: tab.url, active: false });
+    noteRoutedWindow(groupName, copy.incognito, windowId);
+    await addTabToExistingChromeGroup(copy.id, windowId, groupName);
+    return true;
+  } catch (e) {
+    console.error('Failed to copy tab:', e);
+    return false;
+  }
+}
+
+async function notifyRoute(tab, windowId, groupName) {
+  if (!(await onceForTab(tab.id, 'notify', tab.url))) return false;
+  const notificationId = `route-${tab.id}`;
+  routeNotifications.set(notificationId, { tabId: tab.id, groupName, windowId });
+  await saveRouteState();
+  try {
+    await chrome.notifications.create(notificationId, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: `Belongs in "${groupName}"`,
+      message: tab.title || tab.url,
+      buttons: [{ title: 'Send there' }]
+    });
+    return true;
+  } catch (e) {
+    routeNotifications.delete(notificationId);
+    await saveRouteState();
+    console.error('Failed to show notification:', e);
+    return false;
+  }
+}
+
+// Applies the group's action to a tab outside the group's window. Returns what
+// happened: 'moved', 'grouped', 'copied', 'notified' or null.
+async function applyRoutingAction(group, tab, targetWindowId, focus = 'always') {
+  switch (group.action || 'move') {
+    case 'group':
+      try {
+        const sub = findSubgroup(await getConfig(), group, tab.url, tab.title);
+        const tabGroupTitle = sub ? sub.title : group.name;
+        if (await isInNamedTabGroup(tab.id, tabGroupTitle)) return null;
+        await groupTabsUnderName([tab.id], tab.windowId, tabGroupTitle, subgroupStyle(sub));
+        return 'grouped';
+      } catch (e) {
+        console.error('Failed to group tab in place:', e);
+        return null;
+      }
+    case 'duplicate':
+      return targetWindowId && await duplicateTabToWindow(tab, targetWindowId, group.name) ? 'copied' : null;
+    case 'notify':
+      return targetWindowId && await notifyRoute(tab, targetWindowId, group.name) ? 'notified' : null;
+    default:
+      return targetWindowId &&
+        await moveTabToWindow(tab.id, targetWindowId, group.name, {
+          focus,
+          placement: group.placement,
+          duplicates: group.duplicates,
+          tabLimit: group.tabLimit
+        }) ? 'moved' : null;
+  }
+}
+
+async function handleRouteNotificationButton(notificationId) {
+  await loadRouteState();
+  const route = routeNotifications.get(notificationId);
+  if (!route) return;
+  routeNotifications.delete(notificationId);
+  await saveRouteState();
+  await chrome.notifications.clear(notificationId);
+  const config = await getConfig();
+  const group = config.groups.find(g => g.name === route.groupName);
+  await moveTabToWindow(route.tabId, route.windowId, route.groupName, {
+    placement: group && group.placement,
+    duplicates: group && group.duplicates,
+    tabLimit: group && group.tabLimit,
+    reason: 'notification'
+  });
+}
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId) => {
+  await handleRouteNotificationButton(notificationId);
+});
+
+chrome.notifications.onClosed.addListener(async (notificationId) => {
+  await loadRouteState();
+  if (routeNotifications.delete(notificationId)) await saveRouteState();
+});
+
+// ============================================================================
+// Window Fingerprints
+// ============================================================================
+// Window ids change when Chrome restarts, so each bound window's fingerprint —
+// its tab URLs, tab group titles and bounds — is kept in storage.local
+// (windowFingerprints, keyed by window id) and refreshed a few seconds after
+// its tabs or bounds change. On startup every restored window is scored
+// against every saved fingerprint and the best overall assignment wins, so one
+// group can't take a window another group fits better.
+//
+// Incognito windows get no fingerprint: their URLs must not reach the disk, and
+// Chrome doesn't restore them anyway.
+//
+// A closed window's fingerprint is kept, stamped with closedAt: Chrome may
+// report every window closing on shutdown. Prints closed within
+// FINGERPRINT_SHUTDOWN_MS of the last one closed count at startup; older ones
+// were closed on purpose and are dropped.
+
+const FINGERPRINT_DELAY_MS = 5000;
+const FINGERPRINT_MAX_URLS = 200;
+const FINGERPRINT_SHUTDOWN_MS = 30 * 1000;
+
+// Share of a window's score that comes from its fingerprint; the rest is the
+// share of its tabs matching the group's patterns
+const FINGERPRINT_WEIGHT = 0.8;
+const FINGERPRINT_PARTS = { urls: 0.6, tabGroups: 0.25, bounds: 0.15 };
+
+// A window with no tab matching the group must resemble its fingerprint at least
+// this much to be bound to it
+const MIN_FINGERPRINT_SIMILARITY = 0.3;
+
+// Bindings scoring below CONFIDENT_SCORE, or within CONFIDENCE_MARGIN of another
+// group's score for the same window, are reported in the popup
+const CONFIDENT_SCORE = 0.5;
+const CONFIDENCE_MARGIN = 0.15;
+
+let fingerprintTimer = null;
+
+async function getWindowFingerprints() {
+  const result = await chrome.storage.local.get('windowFingerprints');
+  return result.windowFingerprints || {};
+}
+
+// What a window looks like now: the parts a fingerprint records, plus its tabs
+async function describeWindow(win) {
+  const tabs = (win.tabs || []).filter(t => t.url);
+  const tabGroups = await chrome.tabGroups.query({ windowId: win.id });
+  return {
+    id: win.id,
+    incognito: !!win.incognito,
+    tabs,
+    urls: [...new Set(tabs.map(t => t.url))].slice(0, FINGERPRINT_MAX_URLS),
+    tabGroups: [...new Set(tabGroups.map(g => g.title).filter(Boolean))],
+    bounds: { left: win.left, top: win.top, width: win.width, height: win.height }
+  };
+}
+
+async function captureFingerprint(win, groupName) {
+  const { incognito, urls, tabGroups, bounds } = await describeWindow(win);
+  return { group: groupName, incognito, urls, tabGroups, bounds, savedAt: Date.now(), closedAt: null };
+}
+
+// Records the fingerprint of every bound normal window. Prints of windows that are
+// gone are kept for the next startup unless dropClosed is set (startup has used them).
+async function saveWindowFingerprints(dropClosed = false) {
+  const bindings = await getWindowBindings();
+  const windows = await chrome.windows.getAll({ populate: true });
+  const openIds = new Set(windows.map(w => String(w.id)));
+  const fingerprints = {};
+  if (!dropClosed) {
+    for (const [windowId, fingerprint] of Object.entries(await getWindowFingerprints())) {
+      if (!openIds.has(windowId) && !fingerprint.incognito) fingerprints[windowId] = fingerprint;
+    }
+  }
+  for (const win of windows) {
+    if (bindings[win.id] && !win.incognito) fingerprints[win.id] = await captureFingerprint(win, bindings[win.id]);
+  }
+  await chrome.storage.local.set({ windowFingerprints: fingerprints });
+}
+
+function scheduleFingerprintSave() {
+  clearTimeout(fingerprintTimer);
+  fingerprintTimer = setTimeout(() => {
+    fingerprintTimer = null;
+    saveWindowFingerprints().catch(e => console.error('Failed to save window fingerprints:', e));
+  }, FINGERPRINT_DELAY_MS);
+}
+
+async function markFingerprintClosed(windowId) {
+  const fingerprints = await getWindowFingerprints();
+  if (!fingerprints[windowId]) return;
+  fingerprints[windowId].closedAt = Date.now();
+  await chrome.storage.local.set({ windowFingerprints: fingerprints });
+}
+
+// Fingerprints still open at shutdown, or closed along with the last window
+function usableFingerprints(fingerprints) {
+  const prints = Object.values(fingerprints);
+  const lastClosed = Math.max(0, ...prints.map(fp => fp.closedAt || 0));
+  return prints.filter(fp => !fp.closedAt || lastClosed - fp.closedAt <= FINGERPRINT_SHUTDOWN_MS);
+}
+
+// Jaccard similarity of two lists, or null when both are empty (nothing to compare)
+function setSimilarity(a, b) {
+  if (a.length === 0 && b.length === 0) return null;
+  const setA = new Set(a);
+  const setB = new Set(b);
+  let shared = 0;
+  for (const item of setA) if (setB.has(item)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+function boundsSimilarity(a, b) {
+  if (!a || !b || [a.left, a.width, b.left, b.width].some(n => typeof n !== 'number')) return null;
+  const distance = Math.abs(a.left - b.left) + Math.abs(a.top - b.top) +
+    Math.abs(a.width - b.width) + Math.abs(a.height - b.height);
+  return Math.max(0, 1 - distance / 1000);
+}
+
+// 0..1: how much a window looks like the one a fingerprint was taken of
+function fingerprintSimilarity(fingerprint, snapshot) {
+  const parts = [
+    [FINGERPRINT_PARTS.urls, setSimilarity(fingerprint.urls, snapshot.urls)],
+    [FINGERPRINT_PARTS.tabGroups, setSimilarity(fingerprint.tabGroups, snapshot.tabGroups)],
+    [FINGERPRINT_PARTS.bounds, boundsSimilarity(fingerprint.bounds, snapshot.bounds)]
+  ].filter(([, similarity]) => similarity !== null);
+  const weight = parts.reduce((sum, [w]) => sum + w, 0);
+  return weight === 0 ? 0 : parts.reduce((sum, [w, similarity]) => sum + w * similarity, 0) / weight;
+}
+
+function matchingShare(config, group, snapshot) {
+  if (snapshot.tabs.length === 0) return 0;
+  const matching = snapshot.tabs.filter(tab => groupMatches(config, group, tab.url, tab.title)).length;
+  return matching / snapshot.tabs.length;
+}
+
+// Score of binding the window to a slot (a group, a kind and maybe a fingerprint),
+// or null when the window can't be bound to it
+function slotScore(config, slot, snapshot) {
+  if (slot.incognito !== snapshot.incognito) return null;
+  const share = matchingShare(config, slot.group, snapshot);
+  if (!slot.fingerprint) return share > 0 ? share : null;
+  const similarity = fingerprintSimilarity(slot.fingerprint, snapshot);
+  if (share === 0 && similarity < MIN_FINGERPRINT_SIMILARITY) return null;
+  return FINGERPRINT_WEIGHT * similarity + (1 - FINGERPRINT_WEIGHT) * share;
+}
+
+// Rows for the assignment: one per usable fingerprint (only the newest for a
+// single-window group), or one per kind for groups without any
+function buildSlots(config, fingerprints) {
+  const slots = [];
+  for (const group of config.groups) {
+    for (const incognito of [false, true]) {
+      if (!appliesToWindow(group, incognito)) continue;
+      const prints = fingerprints
+        .filter(fp => fp.group === group.name && !!fp.incognito === incognito)
+        .sort((a, b) => b.savedAt - a.savedAt);
+      const kept = isMultiWindow(group) ? prints : prints.slice(0, 1);
+      if (kept.length === 0) {
+        slots.push({ group, incognito, fingerprint: null });
+      } else {
+        for (const fingerprint of kept) slots.push({ group, incognito, fingerprint });
+      }
+    }
+  }
+  return slots;
+}
+
+// Hungarian algorithm: picks at most one column per row and one row per column so
+// that the total score is highest. scores[row][col] is a number in 0..1 or null
+// (not allowed). Returns the chosen column for each row, or -1.
+function bestAssignment(scores) {
+  const rows = scores.length;
+  const cols = rows > 0 ? scores[0].length : 0;
+  const n = Math.max(rows, cols);
+  if (n === 0) return [];
+
+  // Square cost matrix; disallowed and padding cells cost as much as a zero score
+  const cost = (r, c) => (r < rows && c < cols && scores[r][c] !== null ? 1 - scores[r][c] : 1);
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const match = new Array(n + 1).fill(0); // column → row (1-based, 0 = none)
+  const way = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    match[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = match[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const reduced = cost(i0 - 1, j - 1) - u[i0] - v[j];
+        if (reduced < minv[j]) {
+          minv[j] = reduced;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[match[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (match[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      match[j0] = match[j1];
+      j0 = j1;
+    } while (j0 !== 0);
+  }
+
+  const assignment = new Array(rows).fill(-1);
+  for (let j = 1; j <= n; j++) {
+    const r = match[j] - 1;
+    if (r >= 0 && r < rows && j - 1 < cols && scores[r][j - 1] !== null) assignment[r] = j - 1;
+  }
+  return assignment;
+}
+
+// Why a binding chosen at startup may be wrong, or null when it looks right
+function lowConfidenceReason(slot, score, runnerUp) {
+  if (!slot.fingerprint) return 'matched by URL patterns only';
+  if (score < CONFIDENT_SCORE) return `only ${Math.round(score * 100)}% like its window before the restart`;
+  if (runnerUp && runnerUp.score >= score - CONFIDENCE_MARGIN) return `"${runnerUp.group}" fits almost as well`;
+  return null;
+}
+
+async function getLowConfidenceBindings() {
+  const result = await chrome.storage.local.get('lowConfidenceBindings');
+  const bindings = await getWindowBindings();
+  // Bindings the user has changed since are settled
+  return (result.lowConfidenceBindings || []).filter(entry => bindings[entry.windowId] === entry.group);
+}
+
+async function dismissLowConfidenceBindings() {
+  await chrome.storage.local.set({ lowConfidenceBindings: [] });
+}
+
 // ============================================================================
 // Auto-Rebind on Startup
 // ============================================================================
@@ -218,38 +2456,115 @@ async function rebindWindowsOnStartup() {
   const config = await getConfig();
   if (!config.enabled || config.groups.length === 0) return;
 
-  const windows = await chrome.windows.getAll({ populate: true });
-  const newBindings = {};
+  const windows = (await chrome.windows.getAll({ populate: true })).filter(w => w.type === 'normal');
+  const snapshots = [];
+  for (const win of windows) snapshots.push(await describeWindow(win));
+  const slots = buildSlots(config, usableFingerprints(await getWindowFingerprints()));
 
-  // For each group, find a window that has tabs matching its patterns
-  for (const group of config.groups) {
-    for (const window of windows) {
-      // Skip if this window is already bound
-      if (Object.values(newBindings).includes(group.name)) continue;
-      if (newBindings[window.id]) continue;
+  // Score every slot against every window, then take the best overall assignment
+  const scores = slots.map(slot => snapshots.map(snapshot => slotScore(config, slot, snapshot)));
+  const assignment = bestAssignment(scores);
 
-      // Check if any tab in this window matches the group
-      const hasMatchingTab = window.tabs?.some(tab =>
-        tab.url && tabMatchesGroup(tab.url, tab.title, group)
-      );
+  const newBindings = {};
+  const lowConfidence = [];
+  assignment.forEach((col, row) => {
+    if (col === -1) return;
+    const slot = slots[row];
+    const snapshot = snapshots[col];
+    const score = scores[row][col];
+    // Best score another group would have had for this window
+    const runnerUp = slots
+      .map((other, i) => ({ group: other.group.name, score: scores[i][col] }))
+      .filter(entry => entry.group !== slot.group.name && entry.score !== null)
+      .sort((a, b) => b.score - a.score)[0];
+    newBindings[snapshot.id] = slot.group.name;
+    const reason = lowConfidenceReason(slot, score, runnerUp);
+    if (reason) lowConfidence.push({ windowId: snapshot.id, group: slot.group.name, score: Math.round(score * 100), reason });
+    console.log(`Tab Shepherd: Bound window ${snapshot.id} to group "${slot.group.name}" (score ${score.toFixed(2)})`);
+  });
 
-      if (hasMatchingTab) {
-        newBindings[window.id] = group.name;
-        console.log(`Tab Shepherd: Bound window ${window.id} to group "${group.name}"`);
-        break;
-      }
-    }
+  // Multi-window groups without fingerprints also take any other window with a
+  // matching tab, as before fingerprints existed
+  for (const snapshot of snapshots) {
+    if (newBindings[snapshot.id]) continue;
+    const slot = slots.find(candidate =>
+      !candidate.fingerprint && isMultiWindow(candidate.group) && slotScore(config, candidate, snapshot) !== null);
+    if (!slot) continue;
+    newBindings[snapshot.id] = slot.group.name;
+    lowConfidence.push({
+      windowId: snapshot.id,
+      group: slot.group.name,
+      score: Math.round(slotScore(config, slot, snapshot) * 100),
+      reason: 'matched by URL patterns only'
+    });
   }
 
   await saveWindowBindings(newBindings);
+  await chrome.storage.local.set({ lowConfidenceBindings: lowConfidence });
+  // Fingerprints and cached window states now describe the restored windows
+  // under their new ids
+  await saveWindowFingerprints(true);
+  await chrome.storage.local.set({ windowStates: {} });
+  for (const windowId of Object.keys(newBindings)) scheduleWindowStateCache(parseInt(windowId, 10));
   console.log('Tab Shepherd: Window bindings restored', newBindings);
 }
 
+// ============================================================================
+// Opener-Aware Routing
+// ============================================================================
+// Tabs opened from a tab in a bound window can stay with their parent, per the
+// parent group's keepChildren setting:
+//   'above' - the child stays in the parent's window, ahead of any pattern match
+//   'below' - the child follows patterns first, but stays with the parent instead
+//             of going to the catch-all window when no group matches
+// tabId → { windowId, groupName }. In memory only: it covers the burst of events
+// right after a link is opened, which is when routing would pull the tab away.
+const childTabs = new Map();
+
+async function rememberChildTab(tab) {
+  if (!tab.openerTabId) return;
+
+  let opener;
+  try {
+    opener = await chrome.tabs.get(tab.openerTabId);
+  } catch (e) {
+    return; // Opener already closed
+  }
+
+  const bindings = await getWindowBindings();
+  const groupName = bindings[opener.windowId];
+  if (!groupName) return;
+
+  const config = await getConfig();
+  const group = config.groups.find(g => g.name === groupName);
+  if (!group || (group.keepChildren !== 'above' && group.keepChildren !== 'below')) return;
+
+  childTabs.set(tab.id, { windowId: opener.windowId, groupName });
+}
+
+// Returns { windowId, groupName, mode } while the child is still in its parent's
+// window and that group still keeps children, otherwise null
+function getChildRule(tabId, currentWindowId, config) {
+  const child = childTabs.get(tabId);
+  if (!child) return null;
+
+  // Once the tab leaves the parent window (e.g. the user moved it), it routes normally
+  if (child.windowId !== currentWindowId) {
+    childTabs.delete(tabId);
+    return null;
+  }
+
+  const group = config.groups.find(g => g.name === child.groupName);
+  const mode = group && group.keepChildren;
+  if (mode !== 'above' && mode !== 'below') return null;
+  return { ...child, mode };
+}
+
 // ============================================================================
 // Tab Event Handlers
 // ============================================================================
 
-async function handleTabNavigation(tabId, url, title, currentWindowId) {
+async function handleTabNavigation(tabId, url, title, currentWindowId, incognito = false) {
   const config = await getConfig();
   if (!config.enabled) return;
 
@@ -258,7 +2573,21 @@ async function handleTabNavigation(tabId, url, title, currentWindowId) {
     return;
   }
 
-  const matchingGroup = findMatchingGroup(url, title, config);
+  // Transit hosts (e.g. SSO logins) are only passed through mid-redirect
+  if (isTransitUrl(url, config)) return;
+
+  // Tabs restored with a saved session stay put until they leave their site
+  if (isRestoredInPlace(tabId, url)) return;
+
+  // Children of a group that keeps them "above" patterns stay with their parent
+  const childRule = getChildRule(tabId, currentWindowId, config);
+  if (childRule && childRule.mode === 'above') {
+    await addTabToExistingChromeGroup(tabId, currentWindowId, childRule.groupName);
+    console.log(`Tab Shepherd: Kept child tab in its parent's "${childRule.groupName}" window`);
+    return;
+  }
+
+  const matchingGroup = findMatchingGroup(url, title, config, { incognito });
   const bindings = await getWindowBindings();
   const currentWindowGroup = bindings[currentWindowId];
 
@@ -269,23 +2598,40 @@ async function handleTabNavigation(tabId, url, title, currentWindowId) {
       return;
     }
 
-    // Only move if the group is assigned to a window
-    let targetWindowId = await findWindowForGroup(matchingGroup.name);
+    // Only act if the group is assigned to a window of the tab's kind — except
+    // 'group', which works in place
+    const targetWindowId = await findWindowForGroup(matchingGroup.name, incognito);
+
+    // Every window of an 'overflow' group is full: the tab starts a new one
+    if (!targetWindowId && (matchingGroup.action || 'move') === 'move' && await isGroupFull(matchingGroup, incognito)) {
+      await openOverflowWindow(matchingGroup, tabId, getFocusMode(config, matchingGroup));
+      return;
+    }
+
+    // No window of the tab's kind yet: groups that create their own open one
+    if (!targetWindowId && (matchingGroup.action || 'move') === 'move' && matchingGroup.createWindow) {
+      await autoCreateWindow(matchingGroup, tabId, getFocusMode(config, matchingGroup));
+      return;
+    }
 
-    if (targetWindowId && targetWindowId !== currentWindowId) {
-      // Move tab to existing assigned window and add to Chrome tab group
-      await moveTabToWindow(tabId, targetWindowId, matchingGroup.name);
-      console.log(`Tab Shepherd: Moved tab to "${matchingGroup.name}" window (matched URL or title)`);
+    if (targetWindowId !== currentWindowId && (targetWindowId || matchingGroup.action === 'group')) {
+      const tab = { id: tabId, url, title, windowId: currentWindowId };
+      const result = await applyRoutingAction(matchingGroup, tab, targetWindowId, getFocusMode(config, matchingGroup));
+      console.log(`Tab Shepherd: Tab ${result || 'not routed'} for "${matchingGroup.name}" (matched URL or title)`);
     }
     // If no window is assigned to this group, leave the tab where it is
+  } else if (childRule) {
+    // "below": no group claimed the child, so it stays with its parent
+    console.log(`Tab Shepherd: Kept unmatched child tab in its parent's "${childRule.groupName}" window`);
   } else if (config.catchAllWindowId) {
     // No matching group - use catch-all window if configured
     if (currentWindowId === config.catchAllWindowId) return;
 
     // Verify catch-all window still exists
     try {
-      await chrome.windows.get(config.catchAllWindowId);
-      await moveTabToWindow(tabId, config.catchAllWindowId);
+      const catchAll = await chrome.windows.get(config.catchAllWindowId);
+      if (!!catchAll.incognito !== !!incognito) return; // Can't cross the incognito boundary
+      await moveTabToWindow(tabId, config.catchAllWindowId, undefined, { focus: getFocusMode(config) });
       console.log(`Tab Shepherd: Moved unmatched tab to catch-all window`);
     } catch (e) {
       // Catch-all window no longer exists
@@ -294,26 +2640,119 @@ async function handleTabNavigation(tabId, url, title, currentWindowId) {
   }
 }
 
-// Listen for tab updates — route on URL change or when page finishes loading
+// ============================================================================
+// Debounced Routing
+// ============================================================================
+// A redirect chain (app → SSO login → app) fires onUpdated for every hop. Each
+// tab waits until its events have been quiet for config.settleDelay ms, then
+// routes whatever it shows at that point, so only the final URL decides.
+// config.transitHosts lists hosts (and their subdomains) that are never routed.
+
+const DEFAULT_SETTLE_DELAY = 750;
+
+// tabId → pending timeout. In memory only: a lost timer just means the tab is
+// routed on its next update instead.
+const pendingRoutes = new Map();
+
+function isTransitUrl(url, config) {
+  const hosts = config.transitHosts || [];
+  if (hosts.length === 0) return false;
+  const parsed = parseUrl(url);
+  if (!parsed || !parsed.hostname) return false;
+  const host = parsed.hostname.toLowerCase();
+  return hosts.some(entry => {
+    const wanted = (entry || '').trim().toLowerCase().replace(/^\*\./, '');
+    return !!wanted && (host === wanted || host.endsWith('.' + wanted));
+  });
+}
+
+async function scheduleRouting(tabId) {
+  const config = await getConfig();
+  const delay = config.settleDelay ?? DEFAULT_SETTLE_DELAY;
+
+  // Cleared after the await, so the latest event always owns the timer
+  clearTimeout(pendingRoutes.get(tabId));
+  pendingRoutes.delete(tabId);
+
+  if (delay <= 0) {
+    await routeSettledTab(tabId);
+    return;
+  }
+  pendingRoutes.set(tabId, setTimeout(() => routeSettledTab(tabId), delay));
+}
+
+async function routeSettledTab(tabId) {
+  pendingRoutes.delete(tabId);
+
+  // Re-read the tab: the URL it settled on is what gets routed
+  let tab;
+  try {
+    tab = await chrome.tabs.get(tabId);
+  } catch (e) {
+    return; // Closed while settling
+  }
+
+  const url = tab.url || tab.pendingUrl;
+  if (url && !url.startsWith('chrome://') && !url.startsWith('chrome-extension://')) {
+    await handleTabNavigation(tab.id, url, tab.title, tab.windowId, tab.incognito);
+  }
+}
+
+// Listen for tab updates — route once the URL or page load has settled
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.url || changeInfo.status === 'complete') {
-    if (tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')) {
-      await handleTabNavigation(tabId, tab.url, tab.title, tab.windowId);
-    }
+    await scheduleRouting(tabId);
+  }
+  if (changeInfo.status === 'complete') scheduleFingerprintSave();
+  if (changeInfo.url || changeInfo.status === 'complete') {
+    refreshWindowState(tab?.windowId);
+  } else if (changeInfo.pinned !== undefined || changeInfo.groupId !== undefined) {
+    scheduleWindowStateCache(tab?.windowId);
   }
 });
 
 // Listen for new tabs
 chrome.tabs.onCreated.addListener(async (tab) => {
-  const url = tab.pendingUrl || tab.url;
-  if (url && !url.startsWith('chrome://') && !url.startsWith('chrome-extension://')) {
-    await handleTabNavigation(tab.id, url, tab.title, tab.windowId);
-  }
+  refreshWindowState(tab.windowId);
+  await rememberChildTab(tab);
+  await scheduleRouting(tab.id);
+});
+
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  // Keep the closing window's last state for the archive
+  if (!removeInfo?.isWindowClosing) scheduleWindowStateCache(removeInfo?.windowId);
+  childTabs.delete(tabId);
+  restoredTabs.delete(tabId);
+  forgetRoutes(tabId).catch(e => console.error('Failed to forget routes:', e));
+  clearTimeout(pendingRoutes.get(tabId));
+  pendingRoutes.delete(tabId);
+  scheduleFingerprintSave();
 });
 
-// Clean up bindings when windows are closed
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  recordTabActivation(tabId).catch(e => console.error('Failed to record tab activation:', e));
+});
+
+// Moves between windows and new bounds change window fingerprints and cached states
+chrome.tabs.onAttached.addListener((tabId, attachInfo) => {
+  scheduleFingerprintSave();
+  scheduleWindowStateCache(attachInfo.newWindowId);
+});
+chrome.tabs.onDetached.addListener((tabId, detachInfo) => scheduleWindowStateCache(detachInfo.oldWindowId));
+chrome.tabs.onMoved.addListener((tabId, moveInfo) => scheduleWindowStateCache(moveInfo.windowId));
+chrome.tabGroups.onUpdated.addListener((group) => scheduleWindowStateCache(group.windowId));
+chrome.windows.onBoundsChanged.addListener((win) => {
+  scheduleFingerprintSave();
+  scheduleWindowStateCache(win.id);
+});
+
+// Archive and clean up bindings when windows are closed
 chrome.windows.onRemoved.addListener(async (windowId) => {
+  windowFocusTimes.delete(windowId);
+  await archiveClosedWindow(windowId);
+  await markFingerprintClosed(windowId);
   await unbindWindow(windowId);
+  await noteWindowClosed();
   console.log(`Tab Shepherd: Unbound closed window ${windowId}`);
 });
 
@@ -321,14 +2760,30 @@ chrome.windows.onRemoved.addListener(async (windowId) => {
 // Sort All Tabs
 // ============================================================================
 
-async function sortAllTabs() {
+// options.reorder: also re-apply 'domain' / 'title' placement to tabs already in
+// place (defaults to config.reorderOnSort)
+async function sortAllTabs(options = {}) {
   const config = await getConfig();
   console.log('Tab Shepherd: sortAllTabs called', { enabled: config.enabled, groupCount: config.groups.length });
 
-  if (!config.enabled || config.groups.length === 0) return { moved: 0, errors: [] };
+  if (!config.enabled || config.groups.length === 0) {
+    return { moved: 0, grouped: 0, copied: 0, notified: 0, reordered: 0, duplicatesClosed: 0, limited: 0, errors: [], skipped: [] };
+  }
 
+  const reorder = options.reorder ?? !!config.reorderOnSort;
   let movedCount = 0;
+  let reorderedCount = 0;
+  let createdWindows = 0;
+  let duplicatesClosed = 0;
+  let limitedCount = 0;
+  // Moves of this run share a batch, so "Undo Sort All" can revert them together
+  const batch = `sort-${Date.now()}`;
+  // Tabs handled by a group action other than 'move', keyed by applyRoutingAction's result
+  const actionCounts = { grouped: 0, copied: 0, notified: 0 };
   const errors = [];
+  // Tabs that match a group whose only window is on the other side of the
+  // incognito boundary — reported instead of moved
+  const skipped = [];
 
   // Process each group in priority order to avoid conflicts
   const sortedGroups = [...config.groups].sort((a, b) => a.priority - b.priority);
@@ -336,28 +2791,40 @@ async function sortAllTabs() {
 
   let windows = await chrome.windows.getAll({ populate: true });
   let bindings = await getWindowBindings();
+  const now = new Date();
 
   for (const group of sortedGroups) {
+    // Same schedules as live routing: inactive groups don't claim tabs
+    if (!isGroupActive(group, now)) {
+      console.log(`Tab Shepherd: Skipping "${group.name}" — outside its schedule`);
+      continue;
+    }
 
     console.log(`Tab Shepherd: Processing group "${group.name}" with patterns:`, group.patterns);
     console.log('Tab Shepherd: Current bindings:', bindings);
 
-    // Find or establish the target window for this group
-    let targetWindowId = await findWindowForGroup(group.name);
-    console.log(`Tab Shepherd: Target window for "${group.name}":`, targetWindowId);
+    // Whether this group has windows of each kind
+    const targets = {
+      normal: (await getBoundWindows(group.name, false, bindings)).windows.length > 0,
+      incognito: (await getBoundWindows(group.name, true, bindings)).windows.length > 0
+    };
+    console.log(`Tab Shepherd: Target windows for "${group.name}":`, targets);
 
     // Collect tabs that match this group but aren't in the right window
     const tabsToMove = [];
     for (const window of windows) {
       if (window.type !== 'normal') continue;
+      const incognito = !!window.incognito;
+      if (!appliesToWindow(group, incognito)) continue;
 
       for (const tab of window.tabs || []) {
         if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
           continue;
         }
+        if (isTransitUrl(tab.url, config)) continue;
 
         // Check if this tab matches the current group
-        const matches = tabMatchesGroup(tab.url, tab.title, group);
+        const matches = groupMatches(config, group, tab.url, tab.title);
         if (!matches) continue;
 
         console.log(`Tab Shepherd: Tab matches "${group.name}":`, { url: tab.url, title: tab.title, windowId: window.id });
@@ -379,16 +2846,31 @@ async function sortAllTabs() {
           }
         }
 
+        // Never plan a move across the incognito boundary ('group' stays in place,
+        // groups that create their own windows open one of the tab's kind)
+        if (group.action !== 'group' && !group.createWindow &&
+            !targets[incognito ? 'incognito' : 'normal'] && targets[incognito ? 'normal' : 'incognito']) {
+          skipped.push({
+            title: tab.title || '(no title)',
+            url: tab.url,
+            group: group.name,
+            reason: incognito
+              ? `"${group.name}" only has a normal window; incognito tabs can't move there`
+              : `"${group.name}" only has an incognito window; normal tabs can't move there`
+          });
+          continue;
+        }
+
         console.log(`Tab Shepherd: Will move tab to "${group.name}"`);
-        tabsToMove.push({ tab, sourceWindowId: window.id });
+        tabsToMove.push({ tab, sourceWindowId: window.id, incognito });
       }
     }
 
     // Process moves for this group
-    for (const { tab, sourceWindowId } of tabsToMove) {
+    for (const { tab, sourceWindowId, incognito } of tabsToMove) {
       try {
         // Re-check target window (might have been created in previous iteration)
-        targetWindowId = await findWindowForGroup(group.name);
+        const targetWindowId = await findWindowForGroup(group.name, incognito);
 
         // Verify tab still exists and is in expected window
         let currentTab;
@@ -398,6 +2880,30 @@ async function sortAllTabs() {
           continue; // Tab no longer exists
         }
 
+        // Actions other than 'move' leave the tab where it is
+        if ((group.action || 'move') !== 'move') {
+          if (targetWindowId === currentTab.windowId) {
+            await addTabToExistingChromeGroup(tab.id, targetWindowId, group.name);
+            continue;
+          }
+          const result = await applyRoutingAction(group, currentTab, targetWindowId);
+          if (result) actionCounts[result]++;
+          continue;
+        }
+
+        // Every window of an 'overflow' group is full: start a new one
+        if (!targetWindowId && await isGroupFull(group, incognito)) {
+          const sourceTabs = await chrome.tabs.query({ windowId: currentTab.windowId });
+          if (sourceTabs.length <= 1) continue;
+          const overflowWindowId = await createWindowForGroup(group.name, tab.id, false);
+          await recordMove(currentTab, overflowWindowId, group.name, 'sortAll', batch);
+          await labelTabsBySubgroup(overflowWindowId, group.name, [currentTab]);
+          noteRoutedWindow(group.name, incognito, overflowWindowId);
+          movedCount++;
+          bindings = await getWindowBindings();
+          continue;
+        }
+
         // Only move if the group has an assigned window
         if (targetWindowId) {
           if (targetWindowId !== currentTab.windowId) {
@@ -407,17 +2913,43 @@ async function sortAllTabs() {
               console.log('Tab Shepherd: Skipping move — would empty source window');
               continue;
             }
-            await chrome.tabs.move(tab.id, { windowId: targetWindowId, index: -1 });
+            const duplicate = await resolveDuplicates(group.duplicates, currentTab, targetWindowId, { activate: false });
+            if (duplicate) duplicatesClosed += duplicate.closed;
+            if (duplicate && duplicate.keptExisting) continue;
+            const index = await computeTabIndex(group.placement, currentTab, targetWindowId, group.name);
+            await chrome.tabs.move(tab.id, { windowId: targetWindowId, index });
+            await recordMove(currentTab, targetWindowId, group.name, 'sortAll', batch);
+            noteRoutedWindow(group.name, incognito, targetWindowId);
             movedCount++;
             // Re-fetch bindings after move (window state may have changed)
             bindings = await getWindowBindings();
             console.log(`Tab Shepherd: Moved tab to "${group.name}" window`);
           }
           await addTabToExistingChromeGroup(tab.id, targetWindowId, group.name);
+        } else if (group.createWindow) {
+          // No window assigned: groups that create their own open one, within
+          // the per-run limit; others leave the tab where it is
+          if (createdWindows >= SORT_CREATE_LIMIT) {
+            skipped.push({
+              title: currentTab.title || '(no title)',
+              url: currentTab.url,
+              group: group.name,
+              reason: `Sort All opens at most ${SORT_CREATE_LIMIT} new windows at a time; sort again to open one for "${group.name}"`
+            });
+            continue;
+          }
+          const sourceTabs = await chrome.tabs.query({ windowId: currentTab.windowId });
+          if (sourceTabs.length <= 1) continue;
+          const newWindowId = await createWindowForGroup(group.name, tab.id, false);
+          await recordMove(currentTab, newWindowId, group.name, 'sortAll', batch);
+          await labelTabsBySubgroup(newWindowId, group.name, [currentTab]);
+          noteRoutedWindow(group.name, incognito, newWindowId);
+          createdWindows++;
+          movedCount++;
+          bindings = await getWindowBindings();
         }
-        // If no window is assigned to this group, skip this tab
       } catch (e) {
-        errors.push(`Failed to move tab "${tab.title}": ${e.message}`);
+        errors.push(`Failed to route tab "${tab.title}": ${e.message}`);
       }
     }
 
@@ -427,7 +2959,454 @@ async function sortAllTabs() {
     }
   }
 
-  return { moved: movedCount, errors };
+  if (reorder) {
+    bindings = await getWindowBindings();
+    for (const [windowId, groupName] of Object.entries(bindings)) {
+      const group = config.groups.find(g => g.name === groupName);
+      if (!group || !SORTED_PLACEMENTS.includes(group.placement)) continue;
+      try {
+        reorderedCount += await reorderWindowTabs(parseInt(windowId, 10), group.placement);
+      } catch (e) {
+        errors.push(`Failed to reorder the "${groupName}" window: ${e.message}`);
+      }
+    }
+  }
+
+  // Tab limits apply once everything is in place
+  for (const group of config.groups) {
+    if (!group.tabLimit) continue;
+    try {
+      limitedCount += await enforceTabLimit(group.name, group.tabLimit);
+    } catch (e) {
+      errors.push(`Failed to apply the tab limit of "${group.name}": ${e.message}`);
+    }
+  }
+
+  return {
+    moved: movedCount,
+    ...actionCounts,
+    reordered: reorderedCount,
+    duplicatesClosed,
+    limited: limitedCount,
+    errors,
+    skipped
+  };
+}
+
+// ============================================================================
+// Explain Routing
+// ============================================================================
+// Produces the full decision trace behind findMatchingGroup + handleTabNavigation
+// for one URL/title: tier-1 title hits, every group in priority order, the binding
+// lookup and the catch-all fallback. Read-only — never moves tabs or edits bindings.
+
+async function explainRouting(url, title, currentWindowId = null, tabId = null, incognito = false) {
+  const config = await getConfig();
+  const bindings = await getWindowBindings();
+  const childRule = tabId ? getChildRule(tabId, currentWindowId, config) : null;
+  const trace = {
+    url: url || '',
+    normalizedUrl: normalizeUrl(url || '', getNormalization(config)),
+    title: title || '',
+    currentWindowId,
+    incognito: !!incognito,
+    currentWindowGroup: currentWindowId ? bindings[currentWindowId] || null : null,
+    skipped: null,
+    titleHits: [],
+    groups: [],
+    matchedGroup: null,
+    tier: null,
+    action: null,
+    subgroup: null,
+    binding: null,
+    catchAll: null,
+    opener: childRule,
+    outcome: ''
+  };
+
+  if (!config.enabled) {
+    trace.skipped = 'Tab Shepherd is disabled';
+    trace.outcome = 'Not routed: Tab Shepherd is disabled';
+    return trace;
+  }
+  if (!url || url.startsWith('chrome://') || url.startsWith('chrome-extension://')) {
+    trace.skipped = 'Internal browser pages are never routed';
+    trace.outcome = 'Not routed: internal browser page';
+    return trace;
+  }
+  if (isTransitUrl(url, config)) {
+    trace.skipped = 'Transit hosts (e.g. sign-in pages) are never routed';
+    trace.outcome = 'Not routed: transit host, routing waits for the final URL';
+    return trace;
+  }
+
+  if (childRule && childRule.mode === 'above') {
+    trace.outcome = `Stays: opened from a tab in the "${childRule.groupName}" window, which keeps its children`;
+    return trace;
+  }
+
+  // Tier 1: title-name hits, in config order (first active, non-excluded hit wins)
+  const now = new Date();
+  for (const group of config.groups) {
+    const term = findTitleNameMatch(title, group);
+    if (!term) continue;
+    const excludedBy = findExcludeMatch(normalizeUrl(url, getNormalization(config, group)), title, group);
+    const inactive = !isGroupActive(group, now);
+    const outOfScope = !appliesToWindow(group, incognito);
+    trace.titleHits.push({ group: group.name, term, excludedBy, inactive, outOfScope });
+    if (!excludedBy && !inactive && !outOfScope && !trace.matchedGroup) {
+      trace.matchedGroup = group.name;
+      trace.tier = 1;
+    }
+  }
+
+  // Tier 2: every group in priority order
+  const sorted = [...config.groups].sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+  for (const group of sorted) {
+    const groupUrl = normalizeUrl(url, getNormalization(config, group));
+    const pattern = findPatternMatch(groupUrl, title, group);
+    const conditionMatch = !pattern && matchesConditions(groupUrl, title, group);
+    const excludedBy = pattern || conditionMatch ? findExcludeMatch(groupUrl, title, group) : null;
+    const inactive = !isGroupActive(group, now);
+    const outOfScope = !appliesToWindow(group, incognito);
+    const matched = (!!pattern || conditionMatch) && !excludedBy && !inactive && !outOfScope;
+    trace.groups.push({
+      name: group.name,
+      priority: group.priority ?? 0,
+      pattern,
+      conditionMatch,
+      excludedBy,
+      inactive,
+      outOfScope,
+      normalizedUrl: groupUrl,
+      matched,
+      chosen: false
+    });
+    if (matched && !trace.matchedGroup) {
+      trace.matchedGroup = group.name;
+      trace.tier = 2;
+    }
+  }
+  const chosen = trace.groups.find(g => g.name === trace.matchedGroup);
+  if (chosen) chosen.chosen = true;
+
+  if (trace.matchedGroup) {
+    // Binding lookup for the matched group, among windows of the tab's kind,
+    // picked by the group's window policy
+    const matchedConfig = config.groups.find(g => g.name === trace.matchedGroup);
+    const boundWindowIds = Object.entries(bindings)
+      .filter(([, name]) => name === trace.matchedGroup)
+      .map(([wid]) => parseInt(wid, 10));
+    const { windows: kindWindows } = await getBoundWindows(trace.matchedGroup, incognito, bindings);
+    const windowId = await chooseBoundWindow(matchedConfig, kindWindows, incognito);
+    const overflow = !windowId && kindWindows.length > 0;
+    let otherKindWindowId = null;
+    for (const wid of boundWindowIds) {
+      const windowIncognito = await isIncognitoWindow(wid);
+      if (windowIncognito !== null && windowIncognito !== !!incognito) {
+        otherKindWindowId = otherKindWindowId || wid;
+      }
+    }
+    trace.binding = {
+      group: trace.matchedGroup,
+      boundWindowIds,
+      windowId,
+      otherKindWindowId,
+      policy: matchedConfig?.windowPolicy || 'single',
+      overflow
+    };
+    trace.action = matchedConfig?.action || 'move';
+    trace.subgroup = findSubgroup(config, matchedConfig, url, title)?.title || null;
+
+    const via = trace.tier === 1 ? 'title name' : chosen?.pattern ? `pattern "${chosen.pattern}"` : 'conditions';
+    if (trace.currentWindowGroup === trace.matchedGroup) {
+      trace.outcome = `Stays: already in the "${trace.matchedGroup}" window (tier ${trace.tier}, ${via})`;
+    } else if (trace.action === 'group') {
+      trace.outcome = `Grouped in place under a "${trace.matchedGroup}" tab group (tier ${trace.tier}, ${via})`;
+    } else if (windowId && windowId !== currentWindowId && trace.action === 'duplicate') {
+      trace.outcome = `Copied to the "${trace.matchedGroup}" window ${windowId}, original stays (tier ${trace.tier}, ${via})`;
+    } else if (windowId && windowId !== currentWindowId && trace.action === 'notify') {
+      trace.outcome = `Notifies that it belongs in the "${trace.matchedGroup}" window ${windowId} (tier ${trace.tier}, ${via})`;
+    } else if (windowId && windowId !== currentWindowId) {
+      trace.outcome = `Moves to the "${trace.matchedGroup}" window ${windowId} (tier ${trace.tier}, ${via})`;
+    } else if (overflow && trace.action === 'move') {
+      trace.outcome = `Opens a new "${trace.matchedGroup}" window: all ${kindWindows.length} of its windows are full (tier ${trace.tier}, ${via})`;
+    } else if (!windowId && matchedConfig?.createWindow && trace.action === 'move') {
+      trace.outcome = `Opens a new "${trace.matchedGroup}" window: none is bound yet (tier ${trace.tier}, ${via})`;
+    } else if (!windowId && otherKindWindowId) {
+      trace.outcome = `Left in place: "${trace.matchedGroup}" matched (tier ${trace.tier}, ${via}) but its only window is ${incognito ? 'a normal' : 'an incognito'} window`;
+    } else {
+      trace.outcome = `Left in place: "${trace.matchedGroup}" matched (tier ${trace.tier}, ${via}) but no window is assigned`;
+    }
+  } else {
+    // Catch-all fallback
+    const catchAllWindowId = config.catchAllWindowId || null;
+    const catchAllIncognito = catchAllWindowId ? await isIncognitoWindow(catchAllWindowId) : null;
+    const exists = catchAllIncognito !== null;
+    const crossesIncognito = exists && catchAllIncognito !== !!incognito;
+    trace.catchAll = { windowId: catchAllWindowId, exists, crossesIncognito };
+
+    if (childRule) {
+      trace.outcome = `Stays: no group matched and it was opened from the "${childRule.groupName}" window`;
+    } else if (!catchAllWindowId) {
+      trace.outcome = 'Left in place: no group matched and no catch-all window is set';
+    } else if (currentWindowId === catchAllWindowId) {
+      trace.outcome = 'Stays: no group matched and the tab is already in the catch-all window';
+    } else if (crossesIncognito) {
+      trace.outcome = `Left in place: no group matched and the catch-all window is ${incognito ? 'a normal' : 'an incognito'} window`;
+    } else if (exists) {
+      trace.outcome = `Moves to the catch-all window ${catchAllWindowId}: no group matched`;
+    } else {
+      trace.outcome = `Left in place: no group matched and catch-all window ${catchAllWindowId} no longer exists`;
+    }
+  }
+
+  return trace;
+}
+
+// ============================================================================
+// Group Sessions
+// ============================================================================
+// "Save & close" snapshots a group's window — tabs in order, pinned state, Chrome
+// tab groups and bounds — into storage.local (groupSessions: group name → newest
+// first, at most SESSIONS_PER_GROUP) and closes it. Restoring recreates the
+// window and binds it to the group. Restored tabs aren't routed away until they
+// navigate to another site, so the window comes back as it was saved.
+
+const SESSIONS_PER_GROUP = 5;
+
+// tabId → site it was restored with
+const restoredTabs = new Map();
+
+function isRestoredInPlace(tabId, url) {
+  if (!restoredTabs.has(tabId)) return false;
+  if (restoredTabs.get(tabId) === siteKey(url)) return true;
+  restoredTabs.delete(tabId);
+  return false;
+}
+
+async function getGroupSessions() {
+  const result = await chrome.storage.local.get('groupSessions');
+  return result.groupSessions || {};
+}
+
+async function saveGroupSessions(sessions) {
+  await chrome.storage.local.set({ groupSessions: sessions });
+}
+
+// Everything needed to rebuild the window. Internal pages can't be reopened and
+// are left out.
+async function snapshotWindow(windowId) {
+  const win = await chrome.windows.get(windowId);
+  const tabs = (await chrome.tabs.query({ windowId }))
+    .filter(t => t.url && !t.url.startsWith('chrome://') && !t.url.startsWith('chrome-extension://'))
+    .sort((a, b) => a.index - b.index);
+  const tabGroups = await chrome.tabGroups.query({ windowId });
+  const groupIndex = new Map(tabGroups.map((g, i) => [g.id, i]));
+  return {
+    incognito: !!win.incognito,
+    bounds: { left: win.left, top: win.top, width: win.width, height: win.height, state: win.state },
+    tabs: tabs.map(t => ({
+      url: t.url,
+      title: t.title || '',
+      pinned: !!t.pinned,
+      tabGroup: groupIndex.has(t.groupId) ? groupIndex.get(t.groupId) : null
+    })),
+    tabGroups: tabGroups.map(g => ({ title: g.title || '', color: g.color, collapsed: !!g.collapsed }))
+  };
+}
+
+// Opens a window with the snapshot's tabs and binds it to the group. Returns the
+// new window id.
+async function restoreWindowSnapshot(snapshot, groupName) {
+  const [first, ...rest] = snapshot.tabs;
+  const { state, ...bounds } = snapshot.bounds || {};
+  const placement = state && state !== 'normal'
+    ? { state }
+    : Object.fromEntries(Object.entries(bounds).filter(([, value]) => typeof value === 'number'));
+  const win = await chrome.windows.create({ url: first?.url, focused: true, incognito: !!snapshot.incognito, ...placement });
+  await bindWindow(win.id, groupName);
+
+  const created = [win.tabs?.[0] || (await chrome.tabs.query({ windowId: win.id }))[0]];
+  restoredTabs.set(created[0].id, siteKey(first?.url || ''));
+  if (first?.pinned) await chrome.tabs.update(created[0].id, { pinned: true });
+  for (const tab of rest) {
+    const newTab = await chrome.tabs.create({ windowId: win.id, url: tab.url, pinned: tab.pinned, active: false });
+    restoredTabs.set(newTab.id, siteKey(tab.url));
+    created.push(newTab);
+  }
+
+  for (const [i, tabGroup] of (snapshot.tabGroups || []).entries()) {
+    const tabIds = created.filter((_, j) => snapshot.tabs[j].tabGroup === i).map(t => t.id);
+    if (tabIds.length === 0) continue;
+    const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: win.id } });
+    await chrome.tabGroups.update(groupId, { title: tabGroup.title, color: tabGroup.color, collapsed: tabGroup.collapsed });
+  }
+  return win.id;
+}
+
+// Snapshots the group's window (`windowId`, or every window bound to the group)
+// as new sessions, then closes it. Returns the number of windows saved.
+async function saveAndCloseGroup(groupName, windowId = null) {
+  const bindings = await getWindowBindings();
+  const windowIds = windowId
+    ? [windowId]
+    : Object.keys(bindings).filter(wid => bindings[wid] === groupName).map(wid => parseInt(wid, 10));
+  const sessions = await getGroupSessions();
+  let saved = 0;
+
+  for (const wid of windowIds) {
+    const snapshot = await snapshotWindow(wid);
+    if (snapshot.tabs.length === 0) continue;
+    const session = { id: `${Date.now()}-${wid}`, savedAt: Date.now(), ...snapshot };
+    sessions[groupName] = [session, ...(sessions[groupName] || [])].slice(0, SESSIONS_PER_GROUP);
+    await saveGroupSessions(sessions);
+    sessionClosedWindows.add(wid);
+    await chrome.windows.remove(wid);
+    saved++;
+  }
+  return saved;
+}
+
+async function restoreGroupSession(groupName, sessionId) {
+  const sessions = await getGroupSessions();
+  const session = (sessions[groupName] || []).find(s => s.id === sessionId);
+  if (!session) throw new Error('Session not found');
+  return restoreWindowSnapshot(session, groupName);
+}
+
+async function deleteGroupSession(groupName, sessionId) {
+  const sessions = await getGroupSessions();
+  sessions[groupName] = (sessions[groupName] || []).filter(s => s.id !== sessionId);
+  if (sessions[groupName].length === 0) delete sessions[groupName];
+  await saveGroupSessions(sessions);
+}
+
+// ============================================================================
+// Closed Window Archive
+// ============================================================================
+// By the time windows.onRemoved fires, a window's tabs are gone. So the
+// background keeps the last known state of every bound window (windowStates in
+// storage.local, surviving service-worker restarts). Binding a window, opening a
+// tab and navigating refresh it right away, so a window closed moments later is
+// archived as it was; smaller changes (moves, pins, tab groups) are written once
+// they have settled for WINDOW_STATE_DELAY_MS. When a bound window closes, that
+// state moves to closedGroupWindows — newest first, at most CLOSED_WINDOWS_LIMIT
+// — from where the popup can reopen it with its binding.
+//
+// Incognito windows are never cached: their URLs must not reach the disk.
+// Shutdown closes every window, and Chrome restores them itself. As with window
+// fingerprints, the time the last window closed is kept (lastWindowClosedAt), and
+// at the next startup the windows archived within FINGERPRINT_SHUTDOWN_MS of it
+// are dropped from the archive.
+
+const CLOSED_WINDOWS_LIMIT = 10;
+const WINDOW_STATE_DELAY_MS = 2000;
+
+// windowId → pending state refresh
+const windowStateTimers = new Map();
+
+// Refreshes run one at a time: each rewrites the whole windowStates map
+let windowStateWrites = Promise.resolve();
+
+// Windows closed by "Save & close" — already saved as a session
+const sessionClosedWindows = new Set();
+
+async function getWindowStates() {
+  const result = await chrome.storage.local.get('windowStates');
+  return result.windowStates || {};
+}
+
+async function getClosedGroupWindows() {
+  const result = await chrome.storage.local.get('closedGroupWindows');
+  return result.closedGroupWindows || [];
+}
+
+// Records the window's current state if it is bound and not incognito, or forgets it
+async function cacheWindowState(windowId) {
+  const bindings = await getWindowBindings();
+  const states = await getWindowStates();
+  const incognito = await isIncognitoWindow(windowId);
+  if (incognito === null) return; // Closed in the meantime; the cached state stands
+  if (bindings[windowId] && !incognito) {
+    let state;
+    try {
+      state = { group: bindings[windowId], ...(await snapshotWindow(windowId)) };
+    } catch (e) {
+      return;
+    }
+    if (JSON.stringify(state) === JSON.stringify(states[windowId])) return;
+    states[windowId] = state;
+  } else if (states[windowId]) {
+    delete states[windowId];
+  } else {
+    return;
+  }
+  await chrome.storage.local.set({ windowStates: states });
+}
+
+// Caches the window's state now, replacing any pending refresh
+function refreshWindowState(windowId) {
+  if (windowId === undefined || windowId === chrome.windows.WINDOW_ID_NONE) return windowStateWrites;
+  clearTimeout(windowStateTimers.get(windowId));
+  windowStateTimers.delete(windowId);
+  windowStateWrites = windowStateWrites
+    .then(() => cacheWindowState(windowId))
+    .catch(e => console.error('Failed to cache window state:', e));
+  return windowStateWrites;
+}
+
+// Debounced: the state is cached once the window has been quiet for WINDOW_STATE_DELAY_MS
+function scheduleWindowStateCache(windowId) {
+  if (windowId === undefined || windowId === chrome.windows.WINDOW_ID_NONE) return;
+  clearTimeout(windowStateTimers.get(windowId));
+  windowStateTimers.set(windowId, setTimeout(() => refreshWindowState(windowId), WINDOW_STATE_DELAY_MS));
+}
+
+// Moves a closed window's cached state to the archive. A pending refresh can't run
+// anymore (the tabs are gone), but one already started is waited for.
+async function archiveClosedWindow(windowId) {
+  clearTimeout(windowStateTimers.get(windowId));
+  windowStateTimers.delete(windowId);
+  await windowStateWrites;
+
+  const states = await getWindowStates();
+  const state = states[windowId];
+  if (!state) return;
+  delete states[windowId];
+  await chrome.storage.local.set({ windowStates: states });
+  if (sessionClosedWindows.delete(windowId) || state.tabs.length === 0) return;
+
+  const { group, ...snapshot } = state;
+  const closed = await getClosedGroupWindows();
+  closed.unshift({ id: `${Date.now()}-${windowId}`, group, closedAt: Date.now(), ...snapshot });
+  await chrome.storage.local.set({ closedGroupWindows: closed.slice(0, CLOSED_WINDOWS_LIMIT) });
+  console.log(`Tab Shepherd: Archived closed "${group}" window ${windowId} (${snapshot.tabs.length} tabs)`);
+}
+
+// Called after a window closes: once none are left, Chrome is shutting down
+async function noteWindowClosed() {
+  if ((await chrome.windows.getAll()).length > 0) return;
+  await chrome.storage.local.set({ lastWindowClosedAt: Date.now() });
+}
+
+// At startup: forget the windows archived by the last shutdown, which Chrome restores
+async function dropShutdownArchive() {
+  const { lastWindowClosedAt } = await chrome.storage.local.get('lastWindowClosedAt');
+  if (!lastWindowClosedAt) return;
+  const closed = await getClosedGroupWindows();
+  const kept = closed.filter(entry => lastWindowClosedAt - entry.closedAt > FINGERPRINT_SHUTDOWN_MS);
+  await chrome.storage.local.set({ closedGroupWindows: kept, lastWindowClosedAt: null });
+}
+
+// Reopens an archived window with its tabs and binding. Returns the new window id.
+async function reopenClosedWindow(entryId) {
+  const closed = await getClosedGroupWindows();
+  const entry = closed.find(e => e.id === entryId);
+  if (!entry) throw new Error('Closed window not found');
+  const windowId = await restoreWindowSnapshot(entry, entry.group);
+  await chrome.storage.local.set({ closedGroupWindows: closed.filter(e => e.id !== entryId) });
+  return windowId;
 }
 
 // ============================================================================
@@ -470,7 +3449,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         break;
 
       case 'sortAllTabs':
-        const result = await sortAllTabs();
+        const result = await sortAllTabs({ reorder: message.reorder });
         sendResponse(result);
         break;
 
@@ -512,6 +3491,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
               tabGroupName,
               firstTabUrl: firstTab?.url || '(empty)',
               firstTabTitle: firstTab?.title || '(no tabs)',
+              incognito: !!w.incognito,
               boundGroup: allBindings[w.id] || null
             };
           });
@@ -519,26 +3499,36 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         break;
 
       case 'bindWindowToGroup':
-        // Unbind any window currently bound to this group first
-        const currentBindings = await getWindowBindings();
-        for (const [wid, gname] of Object.entries(currentBindings)) {
-          if (gname === message.groupName && parseInt(wid) !== message.windowId) {
-            delete currentBindings[wid];
-          }
-        }
-        if (message.windowId) {
-          currentBindings[message.windowId] = message.groupName;
-        }
-        await saveWindowBindings(currentBindings);
+        // message.windowIds replaces the group's windows of that kind (and drops
+        // closed ones); a single message.windowId is accepted too
+        await setGroupWindows(
+          message.groupName,
+          message.windowIds || (message.windowId ? [message.windowId] : []),
+          message.incognito
+        );
         sendResponse({ success: true });
         break;
 
+      case 'checkPatterns':
+        // Regex safety issues for each group (saved or draft), in the same order
+        sendResponse((message.groups || []).map(group => findUnsafePatterns(group || {})));
+        break;
+
       case 'testPatterns':
-        // Test patterns against all open tabs
+        // Test a draft group (patterns + conditions + excludes) against all open tabs
         const testWindows = await chrome.windows.getAll({ populate: true });
         const testBindings = await getWindowBindings();
-        const patterns = message.patterns || [];
-        const isSimpleMode = message.simpleMode || false;
+        const draftGroup = {
+          patterns: (message.patterns || []).filter(p => p.trim()),
+          mode: message.mode || 'simple',
+          conditions: message.conditions || [],
+          conditionLogic: message.conditionLogic || 'all',
+          excludePatterns: (message.excludePatterns || []).filter(p => p.trim()),
+          subgroups: message.subgroups || [],
+          normalization: message.normalization || null
+        };
+        const testConfig = await getConfig();
+        const testNormalization = getNormalization(testConfig, draftGroup);
 
         const allTabs = [];
         for (const win of testWindows) {
@@ -550,34 +3540,21 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
               continue;
             }
 
-            // Test each pattern
-            let matches = false;
-            for (const pattern of patterns) {
-              if (!pattern.trim()) continue;
-              try {
-                if (isSimpleMode) {
-                  // Simple "contains" mode (case-insensitive)
-                  const lowerPattern = pattern.toLowerCase();
-                  matches = (tab.url && tab.url.toLowerCase().includes(lowerPattern)) ||
-                            (tab.title && tab.title.toLowerCase().includes(lowerPattern));
-                } else {
-                  // Regex mode
-                  const regex = new RegExp(pattern, 'i');
-                  matches = regex.test(tab.url) || regex.test(tab.title || '');
-                }
-                if (matches) break;
-              } catch (e) {
-                // Invalid regex, skip
-              }
-            }
+            // Report tabs that matched but were removed by an exclude rule
+            const normalizedUrl = normalizeUrl(tab.url, testNormalization);
+            const included = tabMatchesGroupIgnoringExcludes(normalizedUrl, tab.title, draftGroup);
+            const excludedBy = included ? findExcludeMatch(normalizedUrl, tab.title, draftGroup) : null;
 
             allTabs.push({
               id: tab.id,
               url: tab.url,
+              normalizedUrl,
               title: tab.title || '(no title)',
               windowId: win.id,
               windowGroup,
-              matches
+              matches: included && !excludedBy,
+              excludedBy,
+              subgroup: included && !excludedBy ? findSubgroup(testConfig, draftGroup, tab.url, tab.title)?.title || null : null
             });
           }
         }
@@ -609,65 +3586,127 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
           // Get all tabs in the window
           const windowTabs = await chrome.tabs.query({ windowId: message.windowId });
-          const tabIds = windowTabs
-            .filter(t => !t.url.startsWith('chrome://') && !t.url.startsWith('chrome-extension://'))
-            .map(t => t.id);
+          const labelTabs = windowTabs
+            .filter(t => !t.url.startsWith('chrome://') && !t.url.startsWith('chrome-extension://'));
 
-          if (tabIds.length === 0) {
+          if (labelTabs.length === 0) {
             sendResponse({ error: 'No tabs to group' });
             break;
           }
 
-          // Check if there's already a tab group with this name in the window
-          const existingGroups = await chrome.tabGroups.query({ windowId: message.windowId });
-          let existingGroupId = null;
-          for (const g of existingGroups) {
-            if (g.title === groupName) {
-              existingGroupId = g.id;
-              break;
-            }
-          }
+          const tabGroups = await labelTabsBySubgroup(message.windowId, groupName, labelTabs);
+          sendResponse({ success: true, tabGroups });
+        } catch (e) {
+          console.error('Failed to label window:', e);
+          sendResponse({ error: e.message });
+        }
+        break;
 
-          if (existingGroupId) {
-            // Add tabs to existing group
-            await chrome.tabs.group({ tabIds, groupId: existingGroupId });
+      case 'explainRouting':
+        // Explain a URL/title directly, or an open tab by id
+        try {
+          if (message.tabId) {
+            const explainTab = await chrome.tabs.get(message.tabId);
+            const explainUrl = explainTab.pendingUrl || explainTab.url;
+            sendResponse(await explainRouting(explainUrl, explainTab.title, explainTab.windowId, explainTab.id, explainTab.incognito));
           } else {
-            // Create new group with unique color
-            const newGroupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: message.windowId } });
-
-            // Pick a color not used by other tab groups across all windows
-            const TAB_GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange', 'grey'];
-            const allTabGroups = await chrome.tabGroups.query({});
-            const usedColors = new Set(allTabGroups.map(g => g.color));
-            const availableColor = TAB_GROUP_COLORS.find(c => !usedColors.has(c)) || TAB_GROUP_COLORS[0];
-
-            await chrome.tabGroups.update(newGroupId, { title: groupName, color: availableColor, collapsed: false });
-
-            // Retry loop — Chrome has a race condition that can leave groups grey/unnamed.
-            // Check at 150ms and again at 300ms to enforce the update.
-            for (const delay of [150, 300]) {
-              await new Promise(r => setTimeout(r, delay));
-              try {
-                const verified = await chrome.tabGroups.get(newGroupId);
-                if (verified.title !== groupName || verified.color !== availableColor) {
-                  console.log(`Tab Shepherd: Group update did not stick at ${delay}ms, retrying...`);
-                  await chrome.tabGroups.update(newGroupId, { title: groupName, color: availableColor, collapsed: false });
-                } else {
-                  break; // Already correct, no need to check further
-                }
-              } catch (e) {
-                break; // Group was removed, stop retrying
-              }
-            }
+            sendResponse(await explainRouting(message.url, message.title, message.windowId || null, null, !!message.incognito));
           }
+        } catch (e) {
+          sendResponse({ error: e.message });
+        }
+        break;
 
-          sendResponse({ success: true });
+      case 'getGroupSessions':
+        sendResponse(await getGroupSessions());
+        break;
+
+      case 'saveAndCloseGroup':
+        try {
+          const saved = await saveAndCloseGroup(message.groupName, message.windowId || null);
+          sendResponse(saved > 0 ? { success: true, saved } : { error: 'No tabs to save' });
         } catch (e) {
-          console.error('Failed to label window:', e);
+          console.error('Failed to save group session:', e);
+          sendResponse({ error: e.message });
+        }
+        break;
+
+      case 'restoreGroupSession':
+        try {
+          const windowId = await restoreGroupSession(message.groupName, message.sessionId);
+          sendResponse({ success: true, windowId });
+        } catch (e) {
+          console.error('Failed to restore group session:', e);
+          sendResponse({ error: e.message });
+        }
+        break;
+
+      case 'deleteGroupSession':
+        await deleteGroupSession(message.groupName, message.sessionId);
+        sendResponse({ success: true });
+        break;
+
+      case 'closeDuplicateTabs':
+        sendResponse({ closed: await closeDuplicateTabs() });
+        break;
+
+      case 'getMoveHistory':
+        sendResponse(await getMoveHistory());
+        break;
+
+      case 'undoLastMove':
+        sendResponse(await undoLastMove());
+        break;
+
+      case 'undoSortAll':
+        sendResponse(await undoSortAll());
+        break;
+
+      case 'getArchivedTabs':
+        sendResponse(await getArchivedTabs());
+        break;
+
+      case 'restoreArchivedTab':
+        try {
+          const tabId = await restoreArchivedTab(message.entryId);
+          sendResponse({ success: true, tabId });
+        } catch (e) {
+          console.error('Failed to restore archived tab:', e);
+          sendResponse({ error: e.message });
+        }
+        break;
+
+      case 'getTabLimitUsage':
+        sendResponse(await getTabLimitUsage());
+        break;
+
+      case 'getClosedGroupWindows':
+        sendResponse(await getClosedGroupWindows());
+        break;
+
+      case 'reopenClosedWindow':
+        try {
+          const windowId = await reopenClosedWindow(message.entryId);
+          sendResponse({ success: true, windowId });
+        } catch (e) {
+          console.error('Failed to reopen closed window:', e);
           sendResponse({ error: e.message });
         }
         break;
 
+      case 'getLowConfidenceBindings':
+        sendResponse(await getLowConfidenceBindings());
+        break;
+
+      case 'dismissLowConfidenceBindings':
+        await dismissLowConfidenceBindings();
+        sendResponse({ success: true });
+        break;
+
+      case 'takeSilentRoutes':
+        sendResponse(await takeSilentRoutes());
+        break;
+
       case 'getAllTabs':
         // Get all tabs for pattern testing preview
         const previewWindows = await chrome.windows.getAll({ populate: true });
@@ -703,9 +3742,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // Initialization
 // ============================================================================
 
+chrome.commands.onCommand.addListener(async (command) => {
+  if (command === 'close-duplicates') {
+    const closed = await closeDuplicateTabs();
+    console.log(`Tab Shepherd: Closed ${closed} duplicate tab(s)`);
+  } else if (command === 'undo-last-move' || command === 'undo-sort-all') {
+    const result = command === 'undo-last-move' ? await undoLastMove() : await undoSortAll();
+    console.log(`Tab Shepherd: Undid ${result.undone} move(s), skipped ${result.skipped.length}`);
+  }
+});
+
+chrome.alarms.onAlarm.addListener(handleExpiryAlarm);
+
 chrome.runtime.onStartup.addListener(async () => {
   console.log('Tab Shepherd: Browser startup, rebinding windows...');
+  // Session restore reloads every tab at once — don't open a window for each
+  pauseAutoCreate(STARTUP_GRACE_MS);
+  await clearTabActivity();
+  await clearMoveHistory();
+  await dropShutdownArchive();
   await rebindWindowsOnStartup();
+  // The badge doesn't survive a browser restart; the count does
+  await updateSilentRoutesBadge((await getSilentRoutes()).count);
 });
 
 chrome.runtime.onInstalled.addListener(async (details) => {
@@ -720,4 +3778,5 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 (async () => {
   console.log('Tab Shepherd: Service worker started');
   await getWindowBindings(); // Warm up the cache
+  await startExpirySweeps();
 })();
@@ -12,8 +12,23 @@
 let mockStorage = {};
 let mockWindows = [];
 let mockTabs = [];
+let mockSessionStorage = {};
+let mockAlarms = {}; // name -> { alarm, timer }
+const alarmListeners = [];
 let nextWindowId = 1000;
 let nextTabId = 2000;
+let mockTabGroups = [];
+let nextGroupId = 3000;
+let mockNotifications = {};
+
+// Tab order within a window is the order of mockTabs; refresh each tab's index from it
+function indexTabs() {
+  const counts = {};
+  for (const tab of mockTabs) {
+    tab.index = counts[tab.windowId] = (counts[tab.windowId] ?? -1) + 1;
+  }
+  return mockTabs;
+}
 
 const chrome = {
   storage: {
@@ -32,14 +47,23 @@ const chrome = {
       set: jest.fn(async (data) => {
         Object.assign(mockStorage, data);
       })
+    },
+    session: {
+      get: jest.fn(async (key) => {
+        return { [key]: mockSessionStorage[key] };
+      }),
+      set: jest.fn(async (data) => {
+        Object.assign(mockSessionStorage, structuredClone(data));
+      })
     }
   },
   windows: {
-    getAll: jest.fn(async ({ populate }) => {
+    WINDOW_ID_NONE: -1,
+    getAll: jest.fn(async ({ populate } = {}) => {
       if (populate) {
         return mockWindows.map(w => ({
           ...w,
-          tabs: mockTabs.filter(t => t.windowId === w.id)
+          tabs: indexTabs().filter(t => t.windowId === w.id)
         }));
       }
       return mockWindows;
@@ -49,8 +73,8 @@ const chrome = {
       if (!win) throw new Error('Window not found');
       return win;
     }),
-    create: jest.fn(async ({ tabId, focused }) => {
-      const newWindow = { id: nextWindowId++, type: 'normal', focused };
+    create: jest.fn(async ({ tabId, url, focused, incognito }) => {
+      const newWindow = { id: nextWindowId++, type: 'normal', focused, incognito: !!incognito };
       mockWindows.push(newWindow);
 
       // Move the tab to the new window
@@ -59,8 +83,19 @@ const chrome = {
         tab.windowId = newWindow.id;
       }
 
+      // Or open the URL in it
+      if (url) {
+        const newTab = { id: nextTabId++, windowId: newWindow.id, url, title: url, active: true, incognito: !!incognito };
+        mockTabs.push(newTab);
+        return { ...newWindow, tabs: [newTab] };
+      }
+
       return newWindow;
     }),
+    remove: jest.fn(async (windowId) => {
+      mockWindows = mockWindows.filter(w => w.id !== windowId);
+      mockTabs = mockTabs.filter(t => t.windowId !== windowId);
+    }),
     update: jest.fn(async (windowId, updateInfo) => {
       const win = mockWindows.find(w => w.id === windowId);
       if (win) Object.assign(win, updateInfo);
@@ -69,21 +104,104 @@ const chrome = {
   },
   tabs: {
     get: jest.fn(async (tabId) => {
-      const tab = mockTabs.find(t => t.id === tabId);
+      const tab = indexTabs().find(t => t.id === tabId);
       if (!tab) throw new Error('Tab not found');
-      return tab;
+      return { ...tab }; // A snapshot, like Chrome's
     }),
     move: jest.fn(async (tabId, { windowId, index }) => {
       const tab = mockTabs.find(t => t.id === tabId);
       if (tab) {
-        tab.windowId = windowId;
+        mockTabs.splice(mockTabs.indexOf(tab), 1);
+        tab.windowId = windowId ?? tab.windowId;
+        const windowTabs = mockTabs.filter(t => t.windowId === tab.windowId);
+        const before = index === -1 ? undefined : windowTabs[index];
+        mockTabs.splice(before ? mockTabs.indexOf(before) : mockTabs.length, 0, tab);
+        indexTabs();
       }
       return tab;
     }),
-    query: jest.fn(async () => mockTabs)
+    update: jest.fn(async (tabId, updateInfo) => {
+      const tab = mockTabs.find(t => t.id === tabId);
+      if (tab) Object.assign(tab, updateInfo);
+      return tab;
+    }),
+    query: jest.fn(async (queryInfo = {}) => indexTabs().filter(t =>
+      (queryInfo.windowId === undefined || t.windowId === queryInfo.windowId) &&
+      (queryInfo.active === undefined || !!t.active === queryInfo.active)
+    )),
+    create: jest.fn(async ({ windowId, url, active, pinned }) => {
+      const incognito = !!mockWindows.find(w => w.id === windowId)?.incognito;
+      const tab = { id: nextTabId++, windowId, url, title: url, active, pinned: !!pinned, incognito };
+      mockTabs.push(tab);
+      return tab;
+    }),
+    group: jest.fn(async ({ tabIds, groupId, createProperties }) => {
+      if (groupId === undefined) {
+        const tab = mockTabs.find(t => t.id === tabIds[0]);
+        groupId = nextGroupId++;
+        mockTabGroups.push({ id: groupId, windowId: createProperties?.windowId ?? tab.windowId, title: '', color: 'grey' });
+      }
+      for (const tab of mockTabs.filter(t => tabIds.includes(t.id))) tab.groupId = groupId;
+      return groupId;
+    }),
+    ungroup: jest.fn(async (tabIds) => {
+      for (const tab of mockTabs.filter(t => [].concat(tabIds).includes(t.id))) tab.groupId = -1;
+    }),
+    remove: jest.fn(async (tabIds) => {
+      const ids = [].concat(tabIds);
+      mockTabs = mockTabs.filter(t => !ids.includes(t.id));
+    }),
+    discard: jest.fn(async (tabId) => {
+      const tab = mockTabs.find(t => t.id === tabId);
+      if (!tab || tab.active) throw new Error('Cannot discard tab');
+      tab.discarded = true;
+      return tab;
+    })
   },
   tabGroups: {
-    query: jest.fn(async () => [])
+    query: jest.fn(async (queryInfo = {}) => mockTabGroups.filter(g =>
+      queryInfo.windowId === undefined || g.windowId === queryInfo.windowId
+    )),
+    get: jest.fn(async (groupId) => {
+      const group = mockTabGroups.find(g => g.id === groupId);
+      if (!group) throw new Error('Group not found');
+      return group;
+    }),
+    update: jest.fn(async (groupId, updateInfo) => {
+      const group = mockTabGroups.find(g => g.id === groupId);
+      if (group) Object.assign(group, updateInfo);
+      return group;
+    })
+  },
+  notifications: {
+    create: jest.fn(async (id, options) => {
+      mockNotifications[id] = options;
+      return id;
+    }),
+    clear: jest.fn(async (id) => {
+      delete mockNotifications[id];
+      return true;
+    })
+  },
+  action: {
+    setBadgeText: jest.fn(async () => {})
+  },
+  // Periodic alarms fire through setInterval, so fake timers drive them
+  alarms: {
+    get: jest.fn(async (name) => mockAlarms[name]?.alarm),
+    create: jest.fn(async (name, { periodInMinutes }) => {
+      clearInterval(mockAlarms[name]?.timer);
+      const alarm = { name, periodInMinutes };
+      const timer = setInterval(() => alarmListeners.forEach(listener => listener(alarm)), periodInMinutes * 60 * 1000);
+      mockAlarms[name] = { alarm, timer };
+    }),
+    clear: jest.fn(async (name) => {
+      clearInterval(mockAlarms[name]?.timer);
+      const existed = !!mockAlarms[name];
+      delete mockAlarms[name];
+      return existed;
+    }),
+    onAlarm: { addListener: jest.fn(listener => alarmListeners.push(listener)) }
   },
   runtime: {
     onMessage: { addListener: jest.fn() },
@@ -117,485 +235,5756 @@ async function saveWindowBindings(bindings) {
 
 async function bindWindow(windowId, groupName) {
   const bindings = await getWindowBindings();
+  const incognito = await isIncognitoWindow(windowId);
+  const config = await getConfig();
+  const multiWindow = isMultiWindow(config.groups.find(g => g.name === groupName));
 
-  // Ensure only ONE window is bound to this group - unbind others first
+  // Unless the group spreads over several windows, ensure only ONE window of the
+  // same kind (normal or incognito) is bound to this group - unbind others first.
+  // Incognito bindings are tracked separately.
   for (const [wid, gname] of Object.entries(bindings)) {
-    if (gname === groupName && parseInt(wid, 10) !== windowId) {
+    if (!multiWindow && gname === groupName && parseInt(wid, 10) !== windowId) {
+      if (incognito !== null && await isIncognitoWindow(parseInt(wid, 10)) === !incognito) continue;
       delete bindings[wid];
     }
   }
 
   bindings[windowId] = groupName;
   await saveWindowBindings(bindings);
+  await refreshWindowState(windowId);
+}
+
+async function unbindWindow(windowId) {
+  const bindings = await getWindowBindings();
+  delete bindings[windowId];
+  await saveWindowBindings(bindings);
 }
 
-function matchesPattern(text, pattern, isSimpleMode = false) {
-  if (!text) return false;
+async function isIncognitoWindow(windowId) {
   try {
-    if (isSimpleMode) {
-      return text.toLowerCase().includes(pattern.toLowerCase());
-    }
-    const regex = new RegExp(pattern, 'i');
-    return regex.test(text);
+    const win = await chrome.windows.get(windowId);
+    return !!win.incognito;
   } catch (e) {
-    return false;
+    return null;
   }
 }
 
-function tabMatchesGroup(url, title, group) {
-  const isSimple = group.mode === 'simple';
-  return group.patterns.some(pattern =>
-    matchesPattern(url, pattern, isSimple) || matchesPattern(title, pattern, isSimple)
-  );
+const regexCache = new Map();
+const REGEX_CACHE_LIMIT = 2000;
+
+function cachedRegex(key, build) {
+  let regex = regexCache.get(key);
+  if (!regex) {
+    if (regexCache.size >= REGEX_CACHE_LIMIT) regexCache.clear();
+    regex = build(); // Throws for invalid patterns; callers already handle that
+    regexCache.set(key, regex);
+  }
+  return regex;
 }
 
-async function findWindowForGroup(groupName) {
-  const bindings = await getWindowBindings();
+function readQuantifier(source, i) {
+  let length = 0;
+  let unbounded = false;
+  let optional = false;
+  let repeats = false; // Can match a varying number of times, more than once
+  const ch = source[i];
+  if (ch === '*' || ch === '+' || ch === '?') {
+    length = 1;
+    unbounded = repeats = ch !== '?';
+    optional = ch !== '+';
+  } else if (ch === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+    if (!match) return null; // A literal brace
+    length = match[0].length;
+    const min = parseInt(match[1], 10);
+    const max = match[2] === undefined ? min : match[3] === '' ? Infinity : parseInt(match[3], 10);
+    unbounded = max === Infinity;
+    repeats = max > 1 && max > min;
+    optional = min === 0;
+  } else {
+    return null;
+  }
+  if (source[i + length] === '?') length++; // Lazy quantifiers backtrack just the same
+  return { length, unbounded, optional, repeats };
+}
 
-  for (const [windowIdStr, boundGroup] of Object.entries(bindings)) {
-    if (boundGroup === groupName) {
-      const windowId = parseInt(windowIdStr, 10);
-      try {
-        await chrome.windows.get(windowId);
-        return windowId;
-      } catch (e) {
-        delete bindings[windowIdStr];
-        await saveWindowBindings(bindings);
-      }
+const CHARSET_SAMPLE = [
+  ...Array.from({ length: 256 }, (_, code) => String.fromCharCode(code)),
+  '\u0101', '\u0430', '\u2028', '\u3000', '\u4e2d', '\ufeff'
+];
+const atomCharsets = new Map();
+
+// Sample characters a single atom (literal, escape, class or `.`) matches
+function atomCharset(text) {
+  if (!atomCharsets.has(text)) {
+    let chars = new Set();
+    try {
+      const regex = new RegExp(`^(?:${text})$`, 'i');
+      chars = new Set(CHARSET_SAMPLE.filter(ch => regex.test(ch)));
+    } catch (e) {
+      // Left empty: an atom we can't compile overlaps nothing
     }
+    atomCharsets.set(text, chars);
   }
+  return atomCharsets.get(text);
+}
 
-  return null;
+function unionCharsets(sets) {
+  const union = new Set();
+  for (const set of sets) {
+    if (set) set.forEach(ch => union.add(ch));
+  }
+  return union;
 }
 
-async function createWindowForGroup(groupName, tabId) {
-  const newWindow = await chrome.windows.create({
-    tabId: tabId,
-    focused: true
-  });
+function charsetsOverlap(a, b) {
+  if (!a || !b) return false;
+  for (const ch of a) {
+    if (b.has(ch)) return true;
+  }
+  return false;
+}
 
-  await bindWindow(newWindow.id, groupName);
-  return newWindow.id;
+function newBranch() {
+  return {
+    first: null,
+    firstChars: null,
+    lastChars: null,
+    lastUnbounded: null,
+    overlapRun: 0,
+    mandatory: false,
+    repeats: false,
+    broadRepeat: false
+  };
 }
 
-async function sortAllTabs() {
-  const config = await getConfig();
-  if (!config.enabled || config.groups.length === 0) return { moved: 0, errors: [] };
+function checkRegexSafety(source) {
+  const stack = [{ branches: [], current: newBranch() }];
+  let warning = null;
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+    let atom;
+    if (ch === '\\') {
+      const text = source.slice(i, i + 2);
+      atom = { text, chars: atomCharset(text), broad: /^\\[SWD]$/.test(text) };
+      i += 2;
+    } else if (ch === '[') {
+      let j = i + 1;
+      if (source[j] === '^') j++;
+      if (source[j] === ']') j++;
+      while (j < source.length && source[j] !== ']') j += source[j] === '\\' ? 2 : 1;
+      const text = source.slice(i, j + 1);
+      atom = { text, chars: atomCharset(text), broad: false };
+      i = j + 1;
+    } else if (ch === '(') {
+      // Skip (?: (?= (?! (?<= (?<! and (?<name>
+      const prefix = /^\((\?(:|=|!|<=|<!|<[^>]*>))?/.exec(source.slice(i))[0];
+      stack.push({ branches: [], current: newBranch() });
+      i += prefix.length;
+      continue;
+    } else if (ch === ')') {
+      if (stack.length === 1) return null; // Unbalanced — RegExp reports it as invalid
+      const group = stack.pop();
+      group.branches.push(group.current);
+      atom = {
+        text: group.branches[0].first || '()',
+        chars: unionCharsets(group.branches.map(b => b.firstChars)),
+        group
+      };
+      i++;
+    } else if (ch === '|') {
+      const frame = stack[stack.length - 1];
+      frame.branches.push(frame.current);
+      frame.current = newBranch();
+      i++;
+      continue;
+    } else if (ch === '^' || ch === '$') {
+      i++;
+      continue;
+    } else {
+      atom = { text: ch, chars: atomCharset(ch), broad: ch === '.' };
+      i++;
+    }
 
-  let movedCount = 0;
-  const errors = [];
+    const quantifier = readQuantifier(source, i);
+    if (quantifier) i += quantifier.length;
+    const unbounded = !!quantifier && quantifier.unbounded;
+    const branch = stack[stack.length - 1].current;
+    if (branch.first === null) {
+      branch.first = atom.text;
+      branch.firstChars = atom.chars;
+    }
 
-  const sortedGroups = [...config.groups].sort((a, b) => a.priority - b.priority);
+    // Two overlapping quantifiers in a row backtrack quadratically, three cubically
+    const chained = unbounded && charsetsOverlap(branch.lastUnbounded, atom.chars);
+    if (chained && branch.overlapRun > 0) {
+      return { severity: 'unsafe', reason: 'three or more adjacent quantifiers that overlap, e.g. \\d*\\d*\\d*' };
+    }
+    if (chained) {
+      warning = warning || { severity: 'warning', reason: 'adjacent quantifiers that overlap, e.g. \\w+\\d+' };
+    }
 
-  for (const group of sortedGroups) {
-    const windows = await chrome.windows.getAll({ populate: true });
-    const bindings = await getWindowBindings();
+    if (atom.group) {
+      const branches = atom.group.branches;
+      if (unbounded) {
+        if (branches.some(b => b.repeats && !b.mandatory)) {
+          return { severity: 'unsafe', reason: 'nested quantifier, e.g. (a+)+' };
+        }
+        const firsts = branches.filter(b => b.first !== null);
+        const overlapping = firsts.some((a, k) => firsts.slice(k + 1).some(b =>
+          a.first === b.first || charsetsOverlap(a.firstChars, b.firstChars)
+        ));
+        if (overlapping) {
+          return { severity: 'unsafe', reason: 'repeated alternatives that overlap, e.g. (a|ab)+ or (\\w|\\d)+' };
+        }
+        if (branches.some(b => b.broadRepeat)) {
+          warning = warning || { severity: 'warning', reason: 'repeated group containing .* or .+, e.g. (.*,)+' };
+        }
+      }
+      branch.repeats = branch.repeats || !!quantifier?.repeats || branches.some(b => b.repeats);
+      branch.broadRepeat = branch.broadRepeat || branches.some(b => b.broadRepeat);
+      const groupMandatory = !quantifier && branches.every(b => b.mandatory);
+      if (groupMandatory) branch.mandatory = true;
+      // What the group can end with decides whether a following quantifier overlaps
+      const trailing = unbounded
+        ? unionCharsets(branches.map(b => b.lastChars))
+        : branches.some(b => b.lastUnbounded) ? unionCharsets(branches.map(b => b.lastUnbounded)) : null;
+      if (groupMandatory || unbounded) {
+        branch.lastUnbounded = trailing;
+      } else if (trailing) {
+        branch.lastUnbounded = unionCharsets([branch.lastUnbounded, trailing]);
+      }
+      branch.overlapRun = chained ? branch.overlapRun + 1 : groupMandatory || unbounded ? 0 : branch.overlapRun;
+      branch.lastChars = unionCharsets(branches.map(b => b.lastChars));
+      continue;
+    }
 
-    let targetWindowId = await findWindowForGroup(group.name);
+    branch.lastChars = atom.chars;
+    if (unbounded) {
+      branch.lastUnbounded = atom.chars;
+      branch.overlapRun = chained ? branch.overlapRun + 1 : 0;
+    } else if (!quantifier || !quantifier.optional) {
+      branch.lastUnbounded = null;
+      branch.overlapRun = 0;
+    }
+    if (quantifier && quantifier.repeats) {
+      branch.repeats = true;
+      if (atom.broad && unbounded) branch.broadRepeat = true;
+    } else if (!quantifier || !quantifier.optional) {
+      branch.mandatory = true;
+    }
+  }
 
-    const tabsToMove = [];
-    for (const window of windows) {
-      if (window.type !== 'normal') continue;
+  return warning;
+}
 
-      for (const tab of window.tabs || []) {
-        if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
-          continue;
-        }
+// Regex sources a group evaluates: regex-mode patterns and excludes, plus regex
+// conditions. Glob patterns are generated by globToRegex() and always safe.
+function findUnsafePatterns(group) {
+  const sources = [];
+  if ((group.mode || 'simple') === 'regex') {
+    (group.patterns || []).forEach(pattern => sources.push({ pattern, where: 'pattern' }));
+    (group.excludePatterns || []).forEach(pattern => sources.push({ pattern, where: 'exclude' }));
+    for (const sub of group.subgroups || []) {
+      (sub.patterns || []).forEach(pattern => sources.push({ pattern, where: `sub-group "${sub.title}"` }));
+    }
+  }
+  for (const condition of group.conditions || []) {
+    if (condition && condition.match === 'regex' && condition.value) {
+      sources.push({ pattern: condition.value.trim(), where: `${condition.type} condition` });
+    }
+  }
 
-        if (!tabMatchesGroup(tab.url, tab.title, group)) continue;
+  const issues = [];
+  for (const source of sources) {
+    const issue = source.pattern ? checkRegexSafety(source.pattern) : null;
+    if (issue) issues.push({ ...source, ...issue });
+  }
+  return issues;
+}
 
-        const currentWindowGroup = bindings[window.id];
-        if (currentWindowGroup === group.name) continue;
+// Unsafe patterns are refused: they compile to a regex that never matches
+const NEVER_MATCHES = /(?!)/;
 
-        if (currentWindowGroup) {
-          const currentGroupConfig = config.groups.find(g => g.name === currentWindowGroup);
-          if (currentGroupConfig && currentGroupConfig.priority < group.priority) {
-            continue;
-          }
-        }
+function buildRegex(pattern) {
+  const issue = checkRegexSafety(pattern);
+  if (issue && issue.severity === 'unsafe') {
+    return NEVER_MATCHES;
+  }
+  return new RegExp(pattern, 'i');
+}
 
-        tabsToMove.push({ tab, sourceWindowId: window.id });
+function globToRegex(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        source += '(?:.*/)?';
+        i++;
+      } else {
+        source += '.*';
       }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
     }
+  }
+  return new RegExp(`^${source}(?:[?#].*)?$`, 'i');
+}
 
-    for (const { tab } of tabsToMove) {
-      try {
-        targetWindowId = await findWindowForGroup(group.name);
+function matchesGlob(text, glob) {
+  const subject = glob.includes('://') ? text : text.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  return cachedRegex('glob:' + glob, () => globToRegex(glob)).test(subject);
+}
 
-        let currentTab;
-        try {
-          currentTab = await chrome.tabs.get(tab.id);
-        } catch (e) {
-          continue;
-        }
+function matchesPattern(text, pattern, mode = 'regex') {
+  if (!text || !pattern) return false;
+  try {
+    if (mode === 'glob') {
+      return matchesGlob(text, pattern);
+    } else if (mode === 'simple') {
+      // Simple mode: case-insensitive contains
+      return text.toLowerCase().includes(pattern.toLowerCase());
+    } else {
+      // Regex mode
+      return cachedRegex('re:' + pattern, () => buildRegex(pattern)).test(text);
+    }
+  } catch (e) {
+    return false;
+  }
+}
 
-        if (targetWindowId && targetWindowId !== currentTab.windowId) {
-          await chrome.tabs.move(tab.id, { windowId: targetWindowId, index: -1 });
-          movedCount++;
-        } else if (!targetWindowId) {
-          targetWindowId = await createWindowForGroup(group.name, tab.id);
-          movedCount++;
-        }
-      } catch (e) {
-        errors.push(`Failed to move tab "${tab.title}": ${e.message}`);
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch (e) {
+    return null;
+  }
+}
+
+function effectivePort(parsed) {
+  if (parsed.port) return parsed.port;
+  if (parsed.protocol === 'https:') return '443';
+  if (parsed.protocol === 'http:') return '80';
+  return '';
+}
+
+function matchesCondition(parsed, title, condition) {
+  const value = (condition.value || '').trim();
+  try {
+    switch (condition.type) {
+      case 'host': {
+        if (!parsed || !value) return false;
+        const host = parsed.hostname.toLowerCase();
+        const wanted = value.toLowerCase();
+        return host === wanted || host.endsWith('.' + wanted);
       }
+      case 'path': {
+        if (!parsed || !value) return false;
+        if (condition.match === 'regex') return cachedRegex('re:' + value, () => buildRegex(value)).test(parsed.pathname);
+        return parsed.pathname.toLowerCase().startsWith(value.toLowerCase());
+      }
+      case 'query': {
+        const key = (condition.key || '').trim();
+        if (!parsed || !key) return false;
+        if (!value) return parsed.searchParams.has(key);
+        return parsed.searchParams.getAll(key).includes(value);
+      }
+      case 'title': {
+        if (!title || !value) return false;
+        if (condition.match === 'regex') return cachedRegex('re:' + value, () => buildRegex(value)).test(title);
+        return title.toLowerCase().includes(value.toLowerCase());
+      }
+      case 'port':
+        return !!parsed && !!value && effectivePort(parsed) === value;
+      default:
+        return false;
     }
+  } catch (e) {
+    return false;
   }
+}
 
-  return { moved: movedCount, errors };
+function matchesConditions(url, title, group) {
+  const conditions = group.conditions || [];
+  if (conditions.length === 0) return false;
+  const parsed = parseUrl(url);
+  const check = condition => matchesCondition(parsed, title, condition);
+  return group.conditionLogic === 'any' ? conditions.some(check) : conditions.every(check);
 }
 
-// ============================================================================
-// Test Helpers
-// ============================================================================
 
-function resetMocks() {
-  mockStorage = {};
-  mockWindows = [];
-  mockTabs = [];
-  nextWindowId = 1000;
-  nextTabId = 2000;
-  jest.clearAllMocks();
-}
+const TITLE_MATCH_MODES = ['contains', 'word', 'tag'];
 
-function createWindow(id = null) {
-  const win = { id: id || nextWindowId++, type: 'normal', focused: false };
-  mockWindows.push(win);
-  return win;
+function getTitleMatchSettings(group) {
+  const settings = group.titleMatch || {};
+  return {
+    enabled: settings.enabled !== false,
+    mode: TITLE_MATCH_MODES.includes(settings.mode) ? settings.mode : 'contains',
+    aliases: (settings.aliases || []).map(a => a.trim()).filter(Boolean)
+  };
 }
 
-function createTab(windowId, url, title = '') {
-  const tab = { id: nextTabId++, windowId, url, title: title || url };
-  mockTabs.push(tab);
-  return tab;
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-function setConfig(config) {
-  mockStorage.config = config;
+// Returns testers (lowerTitle) => boolean for the group's name and aliases, or an
+// empty list when the group opts out of title-name matching
+function compileTitleTerms(group) {
+  const settings = getTitleMatchSettings(group);
+  if (!settings.enabled) return [];
+
+  return [group.name, ...settings.aliases].filter(Boolean).map(term => {
+    const lower = term.toLowerCase();
+    if (settings.mode === 'tag') {
+      const tag = lower.startsWith('[') && lower.endsWith(']') ? lower : `[${lower}]`;
+      return lowerTitle => lowerTitle.includes(tag);
+    }
+    if (settings.mode === 'word') {
+      const regex = cachedRegex('word:' + lower, () =>
+        new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegex(lower)}($|[^\\p{L}\\p{N}_])`, 'u'));
+      return lowerTitle => regex.test(lowerTitle);
+    }
+    return lowerTitle => lowerTitle.includes(lower);
+  });
 }
 
-function setBindings(bindings) {
-  mockStorage.windowBindings = bindings;
+// Returns the name or alias that puts this title in the group via tier 1, or null
+function findTitleNameMatch(title, group) {
+  if (!title) return null;
+  const lowerTitle = title.toLowerCase();
+  const settings = getTitleMatchSettings(group);
+  const terms = [group.name, ...settings.aliases].filter(Boolean);
+  const testers = compileTitleTerms(group);
+  const index = testers.findIndex(test => test(lowerTitle));
+  return index === -1 ? null : terms[index];
 }
 
-function getTabsByWindow(windowId) {
-  return mockTabs.filter(t => t.windowId === windowId);
+function findExcludeMatch(url, title, group) {
+  return (group.excludePatterns || []).find(pattern =>
+    matchesPattern(url, pattern, group.mode) || matchesPattern(title, pattern, group.mode)
+  ) || null;
 }
 
-// ============================================================================
-// Happy Path Tests
-// ============================================================================
+function findPatternMatch(url, title, group) {
+  return (group.patterns || []).find(pattern =>
+    matchesPattern(url, pattern, group.mode) || matchesPattern(title, pattern, group.mode)
+  ) || null;
+}
 
-describe('Tab Shepherd - Happy Path Tests', () => {
-  beforeEach(() => {
-    resetMocks();
-  });
+function tabMatchesGroupIgnoringExcludes(url, title, group) {
+  return !!findPatternMatch(url, title, group) || matchesConditions(url, title, group);
+}
 
-  describe('Basic Sorting', () => {
-    test('moves tab to correct window when pattern matches URL', async () => {
-      // Setup: Window A (3003), Window B (3004), tab in wrong window
-      const windowA = createWindow(100);
-      const windowB = createWindow(200);
+function tabMatchesGroup(url, title, group) {
+  return tabMatchesGroupIgnoringExcludes(url, title, group) && !findExcludeMatch(url, title, group);
+}
 
-      createTab(100, 'http://localhost:3003/app', 'App 3003');
-      createTab(200, 'http://localhost:3004/app', 'App 3004');
-      const misplacedTab = createTab(200, 'http://localhost:3003/other', 'Other 3003'); // In wrong window!
+// Reference (uncompiled) tiered matching — the compiled matcher must agree with it
+function findMatchingGroupUncompiled(url, title, config, context = {}) {
+  if (!config.enabled) return null;
+  const now = context.now || new Date();
+
+  if (title) {
+    for (const group of config.groups) {
+      if (!isGroupActive(group, now) || !appliesToWindow(group, context.incognito)) continue;
+      const groupUrl = normalizeUrl(url, getNormalization(config, group));
+      if (findTitleNameMatch(title, group) && !findExcludeMatch(groupUrl, title, group)) {
+        return group;
+      }
+    }
+  }
 
-      setConfig({
-        enabled: true,
-        groups: [
-          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple' },
-          { name: '3004', patterns: ['localhost:3004'], priority: 1, mode: 'simple' }
-        ]
-      });
+  const sorted = [...config.groups].sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+  for (const group of sorted) {
+    const groupUrl = normalizeUrl(url, getNormalization(config, group));
+    if (isGroupActive(group, now) && appliesToWindow(group, context.incognito) && tabMatchesGroup(groupUrl, title, group)) {
+      return group;
+    }
+  }
 
-      setBindings({ 100: '3003', 200: '3004' });
+  return null;
+}
 
-      // Act
-      const result = await sortAllTabs();
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
 
-      // Assert
-      expect(result.moved).toBe(1);
-      expect(result.errors).toHaveLength(0);
-      expect(misplacedTab.windowId).toBe(100); // Should now be in window A
-    });
+function isWithinSchedule(schedule, now) {
+  const day = now.getDay();
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const days = schedule.days && schedule.days.length > 0 ? schedule.days : [0, 1, 2, 3, 4, 5, 6];
+  const ranges = schedule.ranges || [];
+
+  if (ranges.length === 0) return days.includes(day);
+
+  return ranges.some(range => {
+    const start = parseTimeOfDay(range.start);
+    const end = parseTimeOfDay(range.end);
+    if (start === null || end === null) return false;
+    if (start === end) return days.includes(day);
+    if (start < end) return days.includes(day) && minutes >= start && minutes < end;
+    // Overnight: the part after midnight belongs to the previous day's schedule
+    return (days.includes(day) && minutes >= start) ||
+      (days.includes((day + 6) % 7) && minutes < end);
+  });
+}
 
-    test('moves tab to correct window when pattern matches title', async () => {
-      // Setup: Tab with matching title but non-matching URL
-      const windowA = createWindow(100);
-      const windowB = createWindow(200);
+function isGroupActive(group, now = new Date()) {
+  const schedule = group.schedule;
+  if (!schedule || schedule.enabled === false) return true;
+  const within = isWithinSchedule(schedule, now);
+  return schedule.activeWhen === 'outside' ? !within : within;
+}
 
-      createTab(100, 'http://localhost:3003/app', 'Development Server 3003');
-      const misplacedTab = createTab(200, 'http://example.com/page', 'Feature branch - 3003'); // Title matches!
+function appliesToWindow(group, incognito) {
+  const scope = group.windowScope || 'both';
+  if (scope === 'normal') return !incognito;
+  if (scope === 'incognito') return !!incognito;
+  return true;
+}
 
-      setConfig({
-        enabled: true,
-        groups: [
-          { name: '3003', patterns: ['3003'], priority: 0, mode: 'simple' }
-        ]
-      });
+const DEFAULT_NORMALIZATION = {
+  enabled: false,
+  decode: true,
+  lowercaseHost: true,
+  stripWww: false,
+  stripParams: ['utm_*', 'fbclid', 'gclid'],
+  unwrapRedirects: true
+};
 
-      setBindings({ 100: '3003' });
+// Redirect wrappers: host, path and the query params that may carry the target
+const REDIRECTORS = [
+  { host: /(^|\.)google\.[a-z]{2,3}(\.[a-z]{2})?$/, path: '/url', params: ['q', 'url'] },
+  { host: /^(l|lm)\.facebook\.com$/, path: '/l.php', params: ['u'] },
+  { host: /^l\.instagram\.com$/, path: '/', params: ['u'] },
+  { host: /(^|\.)youtube\.com$/, path: '/redirect', params: ['q'] },
+  { host: /(^|\.)linkedin\.com$/, path: '/redir/redirect', params: ['url'] },
+  { host: /^slack-redir\.net$/, path: '/link', params: ['url'] },
+  { host: /\.safelinks\.protection\.outlook\.com$/, path: '/', params: ['url'] }
+];
+
+function getNormalization(config, group = null) {
+  return {
+    ...DEFAULT_NORMALIZATION,
+    ...(config && config.normalization),
+    ...(group && group.normalization)
+  };
+}
 
-      // Act
-      const result = await sortAllTabs();
+function findRedirectTarget(parsed) {
+  const host = parsed.hostname.toLowerCase();
+  for (const redirector of REDIRECTORS) {
+    if (parsed.pathname !== redirector.path || !redirector.host.test(host)) continue;
+    for (const param of redirector.params) {
+      const target = parsed.searchParams.get(param);
+      if (target && /^https?:\/\//i.test(target)) return target;
+    }
+  }
+  return null;
+}
 
-      // Assert
-      expect(result.moved).toBe(1);
-      expect(misplacedTab.windowId).toBe(100);
-    });
+function isStrippedParam(key, stripParams) {
+  const lower = key.toLowerCase();
+  return (stripParams || []).some(param => {
+    const wanted = (param || '').toLowerCase();
+    if (!wanted) return false;
+    return wanted.endsWith('*') ? lower.startsWith(wanted.slice(0, -1)) : lower === wanted;
+  });
+}
 
-    test('creates new window when no window is bound to group', async () => {
-      // Setup: Unbound window with a tab that matches a group
-      const windowA = createWindow(100); // Unbound window
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return text; // Malformed escapes stay as they are
+  }
+}
 
-      const newGroupTab = createTab(100, 'http://localhost:3003/app', 'App 3003');
+// RFC 3492 decoder for one "xn--" label, without the prefix
+function decodePunycode(input) {
+  const base = 36, tMin = 1, tMax = 26, skew = 38, damp = 700;
+  const adapt = (delta, numPoints, firstTime) => {
+    delta = firstTime ? Math.floor(delta / damp) : delta >> 1;
+    delta += Math.floor(delta / numPoints);
+    let k = 0;
+    for (; delta > ((base - tMin) * tMax) >> 1; k += base) {
+      delta = Math.floor(delta / (base - tMin));
+    }
+    return Math.floor(k + ((base - tMin + 1) * delta) / (delta + skew));
+  };
+
+  const basicEnd = Math.max(input.lastIndexOf('-'), 0);
+  const output = [];
+  for (let j = 0; j < basicEnd; j++) output.push(input.charCodeAt(j));
+
+  let n = 128;
+  let bias = 72;
+  let i = 0;
+  for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < input.length;) {
+    const oldi = i;
+    for (let w = 1, k = base; ; k += base) {
+      if (index >= input.length) throw new Error('Invalid punycode');
+      const code = input.charCodeAt(index++);
+      const digit = code >= 48 && code <= 57 ? code - 22
+        : code >= 65 && code <= 90 ? code - 65
+          : code >= 97 && code <= 122 ? code - 97 : base;
+      if (digit >= base) throw new Error('Invalid punycode');
+      i += digit * w;
+      const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+      if (digit < t) break;
+      w *= base - t;
+    }
+    const length = output.length + 1;
+    bias = adapt(i - oldi, length, oldi === 0);
+    n += Math.floor(i / length);
+    i %= length;
+    output.splice(i++, 0, n);
+  }
+  return String.fromCodePoint(...output);
+}
 
-      setConfig({
-        enabled: true,
-        groups: [
-          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple' }
-        ]
-      });
+function decodeHost(host) {
+  return host.split('.').map(label => {
+    if (!label.toLowerCase().startsWith('xn--')) return label;
+    try {
+      return decodePunycode(label.slice(4));
+    } catch (e) {
+      return label;
+    }
+  }).join('.');
+}
+
+function normalizeUrl(url, settings) {
+  if (!url || !settings || settings.enabled === false) return url;
+  let source = url;
+  let parsed = parseUrl(source);
+  if (!parsed || !/^https?:$/.test(parsed.protocol)) return url;
+
+  if (settings.unwrapRedirects) {
+    // A few hops at most: wrappers are sometimes nested, but never deeply
+    for (let hops = 0; hops < 3; hops++) {
+      const target = findRedirectTarget(parsed);
+      const next = target ? parseUrl(target) : null;
+      if (!next) break;
+      source = target;
+      parsed = next;
+    }
+  }
+
+  // URL() lowercases hostnames, so take the host as written unless lowercasing
+  let host = parsed.hostname;
+  if (!settings.lowercaseHost) {
+    const written = /^[a-z][a-z0-9+.-]*:\/\/(?:[^@/?#]*@)?([^/?#:]+)/i.exec(source);
+    if (written && written[1].toLowerCase() === host) host = written[1];
+  }
+  if (settings.decode) host = decodeHost(host);
+  if (settings.stripWww) host = host.replace(/^www\./i, '');
+
+  // Params are dropped from the raw query: URLSearchParams would re-encode the ones
+  // kept ("%20" → "+")
+  let search = parsed.search;
+  const params = search ? search.slice(1).split('&') : [];
+  const kept = params.filter(param =>
+    !isStrippedParam(safeDecode(param.split('=')[0].replace(/\+/g, ' ')), settings.stripParams)
+  );
+  if (kept.length !== params.length) {
+    search = kept.length ? '?' + kept.join('&') : '';
+  }
+
+  const decode = settings.decode ? safeDecode : text => text;
+  const port = parsed.port ? ':' + parsed.port : '';
+  return `${parsed.protocol}//${host}${port}${decode(parsed.pathname)}${decode(search)}${decode(parsed.hash)}`;
+}
+
+let compiledMatcher = null;
+
+const HOST_LIKE_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const URL_HOST_REGEX = /^[a-z][a-z0-9+.-]*:\/\/(?:[^@/?#]*@)?([^/?#:]+)/;
+
+// Compiles a pattern list into testers: (text, lowerText) => boolean.
+// Invalid regexes are reported once here and dropped, like matchesPattern() would.
+function compilePatterns(patterns, mode) {
+  const testers = [];
+  for (const pattern of patterns || []) {
+    if (!pattern) continue;
+    if (mode === 'simple') {
+      const lower = pattern.toLowerCase();
+      testers.push((text, lowerText) => lowerText.includes(lower));
+      continue;
+    }
+    try {
+      if (mode === 'glob') {
+        const regex = cachedRegex('glob:' + pattern, () => globToRegex(pattern));
+        const keepScheme = pattern.includes('://');
+        testers.push(text => regex.test(keepScheme ? text : text.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')));
+      } else {
+        const regex = cachedRegex('re:' + pattern, () => buildRegex(pattern));
+        testers.push(text => regex.test(text));
+      }
+    } catch (e) {
+    }
+  }
+  return testers;
+}
+
+function compileMatcher(config) {
+  const toEntry = (group) => {
+    const normalization = getNormalization(config, group);
+    return {
+      group,
+      normalization,
+      normKey: JSON.stringify(normalization),
+      titleTerms: compileTitleTerms(group),
+      patterns: compilePatterns(group.patterns, group.mode),
+      excludes: compilePatterns(group.excludePatterns, group.mode)
+    };
+  };
+  const normalization = getNormalization(config);
+  const normKey = JSON.stringify(normalization);
+
+  const configOrder = config.groups.map(toEntry);
+  const byGroup = new Map(configOrder.map(entry => [entry.group, entry]));
+  const sorted = [...configOrder].sort((a, b) => (a.group.priority ?? 0) - (b.group.priority ?? 0));
+
+  // Host buckets: "github.com" → entries with that simple pattern. A bucket hit means
+  // the pattern is a substring of the URL, so the entry's pattern scan can be skipped.
+  // Buckets are looked up with the globally normalized URL, so groups that override
+  // normalization always scan.
+  const hostBuckets = new Map();
+  for (const entry of sorted) {
+    if (entry.group.mode !== 'simple' || entry.normKey !== normKey) continue;
+    for (const pattern of entry.group.patterns || []) {
+      const lower = (pattern || '').toLowerCase();
+      if (!HOST_LIKE_PATTERN.test(lower)) continue;
+      if (!hostBuckets.has(lower)) hostBuckets.set(lower, new Set());
+      hostBuckets.get(lower).add(entry);
+    }
+  }
+
+  // Host-anchored entries: no patterns and only 'host' conditions, so they can only
+  // match when the URL's host is (a subdomain of) a condition value. Indexed by that
+  // value; an entry missing from the lookup is skipped without being scanned.
+  const hostAnchored = new Set();
+  const hostConditionBuckets = new Map();
+  for (const entry of sorted) {
+    const conditions = entry.group.conditions || [];
+    if (entry.normKey !== normKey || entry.patterns.length > 0 || conditions.length === 0) continue;
+    if (!conditions.every(condition => condition.type === 'host')) continue;
+    hostAnchored.add(entry);
+    for (const condition of conditions) {
+      const value = (condition.value || '').trim().toLowerCase();
+      if (!value) continue;
+      if (!hostConditionBuckets.has(value)) hostConditionBuckets.set(value, new Set());
+      hostConditionBuckets.get(value).add(entry);
+    }
+  }
+
+  return { config, configOrder, sorted, byGroup, hostBuckets, hostAnchored, hostConditionBuckets, normalization, normKey };
+}
+
+function getCompiledMatcher(config) {
+  if (!compiledMatcher || compiledMatcher.config !== config) {
+    compiledMatcher = compileMatcher(config);
+  }
+  return compiledMatcher;
+}
+
+function makeSubject(url, title) {
+  return {
+    url: url || '',
+    title: title || '',
+    lowerUrl: url ? url.toLowerCase() : '',
+    lowerTitle: title ? title.toLowerCase() : ''
+  };
+}
+
+// Returns entry → subject, normalizing the URL once per distinct setting. Anything
+// with { normalization, normKey } works — entries, or the matcher for global settings.
+function subjectResolver(url, title) {
+  const subjects = new Map();
+  return ({ normalization, normKey }) => {
+    let subject = subjects.get(normKey);
+    if (!subject) {
+      subject = makeSubject(normalizeUrl(url, normalization), title);
+      subjects.set(normKey, subject);
+    }
+    return subject;
+  };
+}
+
+function runTesters(testers, subject) {
+  return testers.some(test =>
+    (subject.url && test(subject.url, subject.lowerUrl)) ||
+    (subject.title && test(subject.title, subject.lowerTitle))
+  );
+}
+
+function hostBucketHits(matcher, subject) {
+  const hits = new Set();
+  if (matcher.hostBuckets.size === 0) return hits;
+  const hostMatch = subject.lowerUrl.match(URL_HOST_REGEX);
+  if (!hostMatch) return hits;
+  const labels = hostMatch[1].split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const entries = matcher.hostBuckets.get(labels.slice(i).join('.'));
+    if (entries) entries.forEach(entry => hits.add(entry));
+  }
+  return hits;
+}
+
+// Host-anchored entries whose host conditions can match the subject. Uses the parsed
+// hostname, like matchesCondition(), so the lookup agrees with it exactly.
+function hostConditionHits(matcher, subject) {
+  const hits = new Set();
+  if (matcher.hostConditionBuckets.size === 0) return hits;
+  const parsed = parseUrl(subject.url);
+  if (!parsed) return hits;
+  const labels = parsed.hostname.toLowerCase().split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const entries = matcher.hostConditionBuckets.get(labels.slice(i).join('.'));
+    if (entries) entries.forEach(entry => hits.add(entry));
+  }
+  return hits;
+}
+
+function entryMatches(entry, subject, knownPositive = false) {
+  const positive = knownPositive ||
+    runTesters(entry.patterns, subject) ||
+    matchesConditions(subject.url, subject.title, entry.group);
+  return positive && !runTesters(entry.excludes, subject);
+}
+
+// Compiled equivalent of tabMatchesGroup() for groups that belong to `config`
+function groupMatches(config, group, url, title) {
+  const entry = getCompiledMatcher(config).byGroup.get(group);
+  if (!entry) return tabMatchesGroup(normalizeUrl(url, getNormalization(config, group)), title, group);
+  return entryMatches(entry, makeSubject(normalizeUrl(url, entry.normalization), title));
+}
+
+function findMatchingGroup(url, title, config, context = {}) {
+  if (!config.enabled) return null;
+  const matcher = getCompiledMatcher(config);
+  const subjectFor = subjectResolver(url, title);
+  const now = context.now || new Date();
+  const active = matcher.sorted.filter(entry =>
+    isGroupActive(entry.group, now) && appliesToWindow(entry.group, context.incognito)
+  );
+  const activeSet = new Set(active);
+
+  // Tier 1: check if any group's name appears directly in the title.
+  // This is the strongest signal (e.g. PR titles like "[artemis-4] feat: ...")
+  if (title) {
+    for (const entry of matcher.configOrder) {
+      if (!activeSet.has(entry)) continue;
+      const subject = subjectFor(entry);
+      const titleHit = entry.titleTerms.some(test => test(subject.lowerTitle));
+      if (titleHit && !runTesters(entry.excludes, subject)) {
+        return entry.group;
+      }
+    }
+  }
+
+  // Tier 2: pattern-based matching, first match by priority wins
+  const hits = hostBucketHits(matcher, subjectFor(matcher));
+  const anchoredHits = hostConditionHits(matcher, subjectFor(matcher));
+  for (const entry of active) {
+    if (matcher.hostAnchored.has(entry) && !anchoredHits.has(entry)) continue;
+    if (entryMatches(entry, subjectFor(entry), hits.has(entry))) {
+      return entry.group;
+    }
+  }
+
+  return null;
+}
+
+async function explainRouting(url, title, currentWindowId = null, tabId = null, incognito = false) {
+  const config = await getConfig();
+  const bindings = await getWindowBindings();
+  const childRule = tabId ? getChildRule(tabId, currentWindowId, config) : null;
+  const trace = {
+    url: url || '',
+    normalizedUrl: normalizeUrl(url || '', getNormalization(config)),
+    title: title || '',
+    currentWindowId,
+    incognito: !!incognito,
+    currentWindowGroup: currentWindowId ? bindings[currentWindowId] || null : null,
+    skipped: null,
+    titleHits: [],
+    groups: [],
+    matchedGroup: null,
+    tier: null,
+    action: null,
+    subgroup: null,
+    binding: null,
+    catchAll: null,
+    opener: childRule,
+    outcome: ''
+  };
+
+  if (!config.enabled) {
+    trace.skipped = 'Tab Shepherd is disabled';
+    trace.outcome = 'Not routed: Tab Shepherd is disabled';
+    return trace;
+  }
+  if (!url || url.startsWith('chrome://') || url.startsWith('chrome-extension://')) {
+    trace.skipped = 'Internal browser pages are never routed';
+    trace.outcome = 'Not routed: internal browser page';
+    return trace;
+  }
+  if (isTransitUrl(url, config)) {
+    trace.skipped = 'Transit hosts (e.g. sign-in pages) are never routed';
+    trace.outcome = 'Not routed: transit host, routing waits for the final URL';
+    return trace;
+  }
+
+  if (childRule && childRule.mode === 'above') {
+    trace.outcome = `Stays: opened from a tab in the "${childRule.groupName}" window, which keeps its children`;
+    return trace;
+  }
+
+  // Tier 1: title-name hits, in config order (first active, non-excluded hit wins)
+  const now = new Date();
+  for (const group of config.groups) {
+    const term = findTitleNameMatch(title, group);
+    if (!term) continue;
+    const excludedBy = findExcludeMatch(normalizeUrl(url, getNormalization(config, group)), title, group);
+    const inactive = !isGroupActive(group, now);
+    const outOfScope = !appliesToWindow(group, incognito);
+    trace.titleHits.push({ group: group.name, term, excludedBy, inactive, outOfScope });
+    if (!excludedBy && !inactive && !outOfScope && !trace.matchedGroup) {
+      trace.matchedGroup = group.name;
+      trace.tier = 1;
+    }
+  }
+
+  // Tier 2: every group in priority order
+  const sorted = [...config.groups].sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+  for (const group of sorted) {
+    const groupUrl = normalizeUrl(url, getNormalization(config, group));
+    const pattern = findPatternMatch(groupUrl, title, group);
+    const conditionMatch = !pattern && matchesConditions(groupUrl, title, group);
+    const excludedBy = pattern || conditionMatch ? findExcludeMatch(groupUrl, title, group) : null;
+    const inactive = !isGroupActive(group, now);
+    const outOfScope = !appliesToWindow(group, incognito);
+    const matched = (!!pattern || conditionMatch) && !excludedBy && !inactive && !outOfScope;
+    trace.groups.push({
+      name: group.name,
+      priority: group.priority ?? 0,
+      pattern,
+      conditionMatch,
+      excludedBy,
+      inactive,
+      outOfScope,
+      normalizedUrl: groupUrl,
+      matched,
+      chosen: false
+    });
+    if (matched && !trace.matchedGroup) {
+      trace.matchedGroup = group.name;
+      trace.tier = 2;
+    }
+  }
+  const chosen = trace.groups.find(g => g.name === trace.matchedGroup);
+  if (chosen) chosen.chosen = true;
+
+  if (trace.matchedGroup) {
+    // Binding lookup for the matched group, among windows of the tab's kind,
+    // picked by the group's window policy
+    const matchedConfig = config.groups.find(g => g.name === trace.matchedGroup);
+    const boundWindowIds = Object.entries(bindings)
+      .filter(([, name]) => name === trace.matchedGroup)
+      .map(([wid]) => parseInt(wid, 10));
+    const { windows: kindWindows } = await getBoundWindows(trace.matchedGroup, incognito, bindings);
+    const windowId = await chooseBoundWindow(matchedConfig, kindWindows, incognito);
+    const overflow = !windowId && kindWindows.length > 0;
+    let otherKindWindowId = null;
+    for (const wid of boundWindowIds) {
+      const windowIncognito = await isIncognitoWindow(wid);
+      if (windowIncognito !== null && windowIncognito !== !!incognito) {
+        otherKindWindowId = otherKindWindowId || wid;
+      }
+    }
+    trace.binding = {
+      group: trace.matchedGroup,
+      boundWindowIds,
+      windowId,
+      otherKindWindowId,
+      policy: matchedConfig?.windowPolicy || 'single',
+      overflow
+    };
+    trace.action = matchedConfig?.action || 'move';
+    trace.subgroup = findSubgroup(config, matchedConfig, url, title)?.title || null;
+
+    const via = trace.tier === 1 ? 'title name' : chosen?.pattern ? `pattern "${chosen.pattern}"` : 'conditions';
+    if (trace.currentWindowGroup === trace.matchedGroup) {
+      trace.outcome = `Stays: already in the "${trace.matchedGroup}" window (tier ${trace.tier}, ${via})`;
+    } else if (trace.action === 'group') {
+      trace.outcome = `Grouped in place under a "${trace.matchedGroup}" tab group (tier ${trace.tier}, ${via})`;
+    } else if (windowId && windowId !== currentWindowId && trace.action === 'duplicate') {
+      trace.outcome = `Copied to the "${trace.matchedGroup}" window ${windowId}, original stays (tier ${trace.tier}, ${via})`;
+    } else if (windowId && windowId !== currentWindowId && trace.action === 'notify') {
+      trace.outcome = `Notifies that it belongs in the "${trace.matchedGroup}" window ${windowId} (tier ${trace.tier}, ${via})`;
+    } else if (windowId && windowId !== currentWindowId) {
+      trace.outcome = `Moves to the "${trace.matchedGroup}" window ${windowId} (tier ${trace.tier}, ${via})`;
+    } else if (overflow && trace.action === 'move') {
+      trace.outcome = `Opens a new "${trace.matchedGroup}" window: all ${kindWindows.length} of its windows are full (tier ${trace.tier}, ${via})`;
+    } else if (!windowId && matchedConfig?.createWindow && trace.action === 'move') {
+      trace.outcome = `Opens a new "${trace.matchedGroup}" window: none is bound yet (tier ${trace.tier}, ${via})`;
+    } else if (!windowId && otherKindWindowId) {
+      trace.outcome = `Left in place: "${trace.matchedGroup}" matched (tier ${trace.tier}, ${via}) but its only window is ${incognito ? 'a normal' : 'an incognito'} window`;
+    } else {
+      trace.outcome = `Left in place: "${trace.matchedGroup}" matched (tier ${trace.tier}, ${via}) but no window is assigned`;
+    }
+  } else {
+    // Catch-all fallback
+    const catchAllWindowId = config.catchAllWindowId || null;
+    const catchAllIncognito = catchAllWindowId ? await isIncognitoWindow(catchAllWindowId) : null;
+    const exists = catchAllIncognito !== null;
+    const crossesIncognito = exists && catchAllIncognito !== !!incognito;
+    trace.catchAll = { windowId: catchAllWindowId, exists, crossesIncognito };
+
+    if (childRule) {
+      trace.outcome = `Stays: no group matched and it was opened from the "${childRule.groupName}" window`;
+    } else if (!catchAllWindowId) {
+      trace.outcome = 'Left in place: no group matched and no catch-all window is set';
+    } else if (currentWindowId === catchAllWindowId) {
+      trace.outcome = 'Stays: no group matched and the tab is already in the catch-all window';
+    } else if (crossesIncognito) {
+      trace.outcome = `Left in place: no group matched and the catch-all window is ${incognito ? 'a normal' : 'an incognito'} window`;
+    } else if (exists) {
+      trace.outcome = `Moves to the catch-all window ${catchAllWindowId}: no group matched`;
+    } else {
+      trace.outcome = `Left in place: no group matched and catch-all window ${catchAllWindowId} no longer exists`;
+    }
+  }
+
+  return trace;
+}
+
+const FOCUS_MODES = ['always', 'never', 'foreground'];
+const SILENT_ROUTES_LIMIT = 20;
+
+function getFocusMode(config, group = null) {
+  return (group && group.focus) || config.focus || 'always';
+}
+
+async function shouldFollowTab(focus, tab) {
+  if (focus === 'never') return false;
+  if (focus !== 'foreground') return true;
+  if (!tab.active) return false;
+  try {
+    const sourceWindow = await chrome.windows.get(tab.windowId);
+    return !!sourceWindow.focused;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function getSilentRoutes() {
+  const result = await chrome.storage.local.get('silentRoutes');
+  return result.silentRoutes || { count: 0, recent: [] };
+}
+
+async function updateSilentRoutesBadge(count) {
+  try {
+    await chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+  } catch (e) {
+    // Badge is cosmetic
+  }
+}
+
+async function recordSilentRoute(tab, windowId, groupName) {
+  const silentRoutes = await getSilentRoutes();
+  silentRoutes.count++;
+  silentRoutes.recent = [
+    { title: tab.title || tab.url || '(no title)', group: groupName || null, windowId, at: Date.now() },
+    ...silentRoutes.recent
+  ].slice(0, SILENT_ROUTES_LIMIT);
+  await chrome.storage.local.set({ silentRoutes });
+  await updateSilentRoutesBadge(silentRoutes.count);
+}
+
+// Returns the tabs routed silently since the last call and resets the count
+async function takeSilentRoutes() {
+  const silentRoutes = await getSilentRoutes();
+  await chrome.storage.local.set({ silentRoutes: { count: 0, recent: [] } });
+  await updateSilentRoutesBadge(0);
+  return silentRoutes;
+}
+
+const TAB_PLACEMENTS = ['end', 'start', 'afterActive', 'tabGroup', 'domain', 'title'];
+const SORTED_PLACEMENTS = ['domain', 'title'];
+
+function siteKey(url) {
+  const parsed = parseUrl(url || '');
+  return parsed ? parsed.hostname.toLowerCase().replace(/^www\./, '') : '';
+}
+
+function placementKey(placement, tab) {
+  const title = (tab.title || '').toLowerCase();
+  return placement === 'domain' ? `${siteKey(tab.url)}\u0000${title}` : title;
+}
+
+function comparePlacementKeys(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Index for chrome.tabs.move of `tab` into `windowId` (-1 = end of the window)
+async function computeTabIndex(placement, tab, windowId, groupName) {
+  if (!placement || placement === 'end') return -1;
+
+  const tabs = (await chrome.tabs.query({ windowId }))
+    .filter(t => t.id !== tab.id)
+    .sort((a, b) => a.index - b.index);
+  const unpinned = tabs.filter(t => !t.pinned);
+  if (unpinned.length === 0) return -1;
+
+  switch (placement) {
+    case 'start':
+      return unpinned[0].index;
+    case 'afterActive': {
+      const active = tabs.find(t => t.active);
+      return active ? Math.max(active.index + 1, unpinned[0].index) : -1;
+    }
+    case 'tabGroup': {
+      const chromeGroups = await chrome.tabGroups.query({ windowId });
+      const chromeGroup = chromeGroups.find(g => g.title === groupName);
+      const members = chromeGroup ? tabs.filter(t => t.groupId === chromeGroup.id) : [];
+      return members.length ? members[members.length - 1].index + 1 : -1;
+    }
+    case 'domain': {
+      // Same site first: join the last tab of that site
+      const site = siteKey(tab.url);
+      const sameSite = unpinned.filter(t => siteKey(t.url) === site);
+      if (site && sameSite.length) return sameSite[sameSite.length - 1].index + 1;
+    }
+    // Falls through: no tab of the same site, insert in host order
+    case 'title': {
+      const key = placementKey(placement, tab);
+      const next = unpinned.find(t => comparePlacementKeys(placementKey(placement, t), key) > 0);
+      return next ? next.index : -1;
+    }
+    default:
+      return -1;
+  }
+}
+
+// Sorts the tabs already in `windowId` by `placement`. Returns the number of tabs moved.
+async function reorderWindowTabs(windowId, placement) {
+  if (!SORTED_PLACEMENTS.includes(placement)) return 0;
+
+  const tabs = (await chrome.tabs.query({ windowId }))
+    .filter(t => !t.pinned)
+    .sort((a, b) => a.index - b.index);
+
+  // Contiguous runs of the same Chrome tab group (-1 = ungrouped)
+  const runs = [];
+  for (const tab of tabs) {
+    const groupId = tab.groupId ?? -1;
+    const last = runs[runs.length - 1];
+    if (last && last.groupId === groupId && last.tabs[last.tabs.length - 1].index === tab.index - 1) {
+      last.tabs.push(tab);
+    } else {
+      runs.push({ groupId, tabs: [tab] });
+    }
+  }
+
+  let moved = 0;
+  for (const run of runs) {
+    const start = run.tabs[0].index;
+    const current = [...run.tabs];
+    const sorted = [...run.tabs].sort((a, b) =>
+      comparePlacementKeys(placementKey(placement, a), placementKey(placement, b)));
+    for (let i = 0; i < sorted.length; i++) {
+      const from = current.indexOf(sorted[i]);
+      if (from === i) continue;
+      await chrome.tabs.move(sorted[i].id, { index: start + i });
+      current.splice(from, 1);
+      current.splice(i, 0, sorted[i]);
+      moved++;
+    }
+  }
+  return moved;
+}
+
+const TAB_GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange', 'grey'];
+
+function findSubgroup(config, group, url, title) {
+  const subgroups = (group && group.subgroups) || [];
+  if (subgroups.length === 0) return null;
+  const subject = normalizeUrl(url || '', getNormalization(config, group));
+  return subgroups.find(sub =>
+    sub.title && findPatternMatch(subject, title || '', { patterns: sub.patterns, mode: group.mode })
+  ) || null;
+}
+
+// Style for a newly created Chrome tab group: the sub-group's color and
+// collapsed state, or just the title for the group's own tab group
+function subgroupStyle(sub) {
+  return sub ? { color: sub.color || null, collapsed: !!sub.collapsed } : {};
+}
+
+// Groups the tabs of a window bound to `groupName`: one Chrome tab group per
+// matching sub-group, the rest under the group name. Returns the tab group titles.
+async function labelTabsBySubgroup(windowId, groupName, tabs) {
+  const config = await getConfig();
+  const group = config.groups.find(g => g.name === groupName);
+  const buckets = new Map();
+  for (const tab of tabs) {
+    const sub = findSubgroup(config, group, tab.url, tab.title);
+    const title = sub ? sub.title : groupName;
+    if (!buckets.has(title)) buckets.set(title, { style: subgroupStyle(sub), tabIds: [] });
+    buckets.get(title).tabIds.push(tab.id);
+  }
+  for (const [title, { style, tabIds }] of buckets) {
+    await groupTabsUnderName(tabIds, windowId, title, style);
+  }
+  return [...buckets.keys()];
+}
+
+const WINDOW_POLICIES = ['single', 'overflow', 'roundRobin', 'recent'];
+const DEFAULT_MAX_TABS = 80;
+
+// "group|incognito" → window the group's last routed tab went to
+const lastRoutedWindow = new Map();
+
+// windowId → time it last gained focus
+const windowFocusTimes = new Map();
+
+function isMultiWindow(group) {
+  return !!group && (group.windowPolicy || 'single') !== 'single';
+}
+
+function noteRoutedWindow(groupName, incognito, windowId) {
+  if (groupName) lastRoutedWindow.set(`${groupName}|${!!incognito}`, windowId);
+}
+
+// Existing windows of the given kind bound to the group, in window-id order, plus
+// the ids of bound windows that no longer exist
+async function getBoundWindows(groupName, incognito, bindings) {
+  const windows = [];
+  const missing = [];
+  for (const [windowIdStr, boundGroup] of Object.entries(bindings)) {
+    if (boundGroup !== groupName) continue;
+    const windowId = parseInt(windowIdStr, 10);
+    try {
+      const win = await chrome.windows.get(windowId);
+      if (!!win.incognito === !!incognito) windows.push(win);
+    } catch (e) {
+      missing.push(windowId);
+    }
+  }
+  return { windows, missing };
+}
+
+async function chooseBoundWindow(group, windows, incognito) {
+  if (windows.length === 0) return null;
+
+  switch (group && group.windowPolicy) {
+    case 'overflow': {
+      const maxTabs = group.maxTabs || DEFAULT_MAX_TABS;
+      for (const win of windows) {
+        const tabs = await chrome.tabs.query({ windowId: win.id });
+        if (tabs.length < maxTabs) return win.id;
+      }
+      return null;
+    }
+    case 'roundRobin': {
+      const last = lastRoutedWindow.get(`${group.name}|${!!incognito}`);
+      const i = windows.findIndex(w => w.id === last);
+      return windows[(i + 1) % windows.length].id;
+    }
+    case 'recent': {
+      const focusTime = w => windowFocusTimes.get(w.id) ?? (w.focused ? Infinity : 0);
+      return windows.reduce((best, w) => focusTime(w) > focusTime(best) ? w : best).id;
+    }
+    default:
+      return windows[0].id;
+  }
+}
+
+// True when an 'overflow' group has windows of this kind but all of them are full
+async function isGroupFull(group, incognito) {
+  if (!group || group.windowPolicy !== 'overflow') return false;
+  const { windows } = await getBoundWindows(group.name, incognito, await getWindowBindings());
+  return windows.length > 0 && !(await chooseBoundWindow(group, windows, incognito));
+}
+
+// Moves the tab into a new window bound to the group. Returns the window id, or
+// null when the tab is the last one in its window.
+async function openOverflowWindow(group, tabId, focus = 'always') {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const sourceTabs = await chrome.tabs.query({ windowId: tab.windowId });
+    if (sourceTabs.length <= 1) return null;
+    const follow = await shouldFollowTab(focus, tab);
+    const windowId = await createWindowForGroup(group.name, tabId, follow);
+    await recordMove(tab, windowId, group.name, 'routed');
+    noteRoutedWindow(group.name, tab.incognito, windowId);
+    if (!follow) await recordSilentRoute(tab, windowId, group.name);
+    await labelTabsBySubgroup(windowId, group.name, [tab]);
+    return windowId;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Replaces the group's bound windows of one kind with `windowIds`
+async function setGroupWindows(groupName, windowIds, incognito) {
+  const bindings = await getWindowBindings();
+  const unbound = [];
+  for (const [wid, gname] of Object.entries(bindings)) {
+    if (gname !== groupName) continue;
+    const windowIncognito = await isIncognitoWindow(parseInt(wid, 10));
+    if (windowIncognito === null || windowIncognito === !!incognito) {
+      delete bindings[wid];
+      unbound.push(parseInt(wid, 10));
+    }
+  }
+  for (const windowId of windowIds) {
+    bindings[windowId] = groupName;
+  }
+  await saveWindowBindings(bindings);
+  // Cached states follow the bindings: new windows are archived if they close right away
+  for (const windowId of new Set([...unbound, ...windowIds])) await refreshWindowState(windowId);
+}
+
+const AUTO_CREATE_LIMIT = 3;
+const AUTO_CREATE_PERIOD_MS = 60 * 1000;
+const STARTUP_GRACE_MS = 30 * 1000;
+const SORT_CREATE_LIMIT = 5;
+
+// Times live routing opened a window, oldest first
+const autoCreatedTimes = [];
+
+// "group|incognito" → promise of the window being created for it
+const pendingWindowCreations = new Map();
+
+let autoCreatePausedUntil = 0;
+
+function pauseAutoCreate(ms) {
+  autoCreatePausedUntil = Date.now() + ms;
+}
+
+function canAutoCreateWindow(now = Date.now()) {
+  if (now < autoCreatePausedUntil) return false;
+  while (autoCreatedTimes.length > 0 && now - autoCreatedTimes[0] >= AUTO_CREATE_PERIOD_MS) {
+    autoCreatedTimes.shift();
+  }
+  return autoCreatedTimes.length < AUTO_CREATE_LIMIT;
+}
+
+// Moves the tab into a new window bound to and labeled for the group. Returns the
+// window id, or null when a flood guard holds it back or the tab is the last one
+// in its window.
+async function autoCreateWindow(group, tabId, focus = 'always') {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const key = `${group.name}|${!!tab.incognito}`;
+    const pending = pendingWindowCreations.get(key);
+    if (pending) {
+      const windowId = await pending;
+      if (windowId) {
+        await moveTabToWindow(tabId, windowId, group.name, {
+          focus,
+          placement: group.placement,
+          duplicates: group.duplicates,
+          tabLimit: group.tabLimit
+        });
+      }
+      return windowId;
+    }
+
+    if (!canAutoCreateWindow()) {
+      return null;
+    }
+    const creation = (async () => {
+      const sourceTabs = await chrome.tabs.query({ windowId: tab.windowId });
+      if (sourceTabs.length <= 1) return null;
+      const follow = await shouldFollowTab(focus, tab);
+      const windowId = await createWindowForGroup(group.name, tabId, follow);
+      await recordMove(tab, windowId, group.name, 'routed');
+      autoCreatedTimes.push(Date.now());
+      noteRoutedWindow(group.name, tab.incognito, windowId);
+      if (!follow) await recordSilentRoute(tab, windowId, group.name);
+      await labelTabsBySubgroup(windowId, group.name, [tab]);
+      return windowId;
+    })();
+    pendingWindowCreations.set(key, creation);
+    try {
+      const windowId = await creation;
+      if (windowId) console.log(`Tab Shepherd: Opened window ${windowId} for "${group.name}"`);
+      return windowId;
+    } finally {
+      pendingWindowCreations.delete(key);
+    }
+  } catch (e) {
+    return null;
+  }
+}
+
+const FINGERPRINT_DELAY_MS = 5000;
+const FINGERPRINT_MAX_URLS = 200;
+const FINGERPRINT_SHUTDOWN_MS = 30 * 1000;
+
+// Share of a window's score that comes from its fingerprint; the rest is the
+// share of its tabs matching the group's patterns
+const FINGERPRINT_WEIGHT = 0.8;
+const FINGERPRINT_PARTS = { urls: 0.6, tabGroups: 0.25, bounds: 0.15 };
+
+// A window with no tab matching the group must resemble its fingerprint at least
+// this much to be bound to it
+const MIN_FINGERPRINT_SIMILARITY = 0.3;
+
+// Bindings scoring below CONFIDENT_SCORE, or within CONFIDENCE_MARGIN of another
+// group's score for the same window, are reported in the popup
+const CONFIDENT_SCORE = 0.5;
+const CONFIDENCE_MARGIN = 0.15;
+
+let fingerprintTimer = null;
+
+async function getWindowFingerprints() {
+  const result = await chrome.storage.local.get('windowFingerprints');
+  return result.windowFingerprints || {};
+}
+
+// What a window looks like now: the parts a fingerprint records, plus its tabs
+async function describeWindow(win) {
+  const tabs = (win.tabs || []).filter(t => t.url);
+  const tabGroups = await chrome.tabGroups.query({ windowId: win.id });
+  return {
+    id: win.id,
+    incognito: !!win.incognito,
+    tabs,
+    urls: [...new Set(tabs.map(t => t.url))].slice(0, FINGERPRINT_MAX_URLS),
+    tabGroups: [...new Set(tabGroups.map(g => g.title).filter(Boolean))],
+    bounds: { left: win.left, top: win.top, width: win.width, height: win.height }
+  };
+}
+
+async function captureFingerprint(win, groupName) {
+  const { incognito, urls, tabGroups, bounds } = await describeWindow(win);
+  return { group: groupName, incognito, urls, tabGroups, bounds, savedAt: Date.now(), closedAt: null };
+}
+
+// Records the fingerprint of every bound window. Prints of windows that are gone
+// are kept for the next startup unless dropClosed is set (startup has used them).
+async function saveWindowFingerprints(dropClosed = false) {
+  const bindings = await getWindowBindings();
+  const windows = await chrome.windows.getAll({ populate: true });
+  const openIds = new Set(windows.map(w => String(w.id)));
+  const fingerprints = {};
+  if (!dropClosed) {
+    for (const [windowId, fingerprint] of Object.entries(await getWindowFingerprints())) {
+      if (!openIds.has(windowId) && !fingerprint.incognito) fingerprints[windowId] = fingerprint;
+    }
+  }
+  for (const win of windows) {
+    if (bindings[win.id] && !win.incognito) fingerprints[win.id] = await captureFingerprint(win, bindings[win.id]);
+  }
+  await chrome.storage.local.set({ windowFingerprints: fingerprints });
+}
+
+function scheduleFingerprintSave() {
+  clearTimeout(fingerprintTimer);
+  fingerprintTimer = setTimeout(() => {
+    fingerprintTimer = null;
+    saveWindowFingerprints().catch(e => console.error('Failed to save window fingerprints:', e));
+  }, FINGERPRINT_DELAY_MS);
+}
+
+async function markFingerprintClosed(windowId) {
+  const fingerprints = await getWindowFingerprints();
+  if (!fingerprints[windowId]) return;
+  fingerprints[windowId].closedAt = Date.now();
+  await chrome.storage.local.set({ windowFingerprints: fingerprints });
+}
+
+// Fingerprints still open at shutdown, or closed along with the last window
+function usableFingerprints(fingerprints) {
+  const prints = Object.values(fingerprints);
+  const lastClosed = Math.max(0, ...prints.map(fp => fp.closedAt || 0));
+  return prints.filter(fp => !fp.closedAt || lastClosed - fp.closedAt <= FINGERPRINT_SHUTDOWN_MS);
+}
+
+// Jaccard similarity of two lists, or null when both are empty (nothing to compare)
+function setSimilarity(a, b) {
+  if (a.length === 0 && b.length === 0) return null;
+  const setA = new Set(a);
+  const setB = new Set(b);
+  let shared = 0;
+  for (const item of setA) if (setB.has(item)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+function boundsSimilarity(a, b) {
+  if (!a || !b || [a.left, a.width, b.left, b.width].some(n => typeof n !== 'number')) return null;
+  const distance = Math.abs(a.left - b.left) + Math.abs(a.top - b.top) +
+    Math.abs(a.width - b.width) + Math.abs(a.height - b.height);
+  return Math.max(0, 1 - distance / 1000);
+}
+
+// 0..1: how much a window looks like the one a fingerprint was taken of
+function fingerprintSimilarity(fingerprint, snapshot) {
+  const parts = [
+    [FINGERPRINT_PARTS.urls, setSimilarity(fingerprint.urls, snapshot.urls)],
+    [FINGERPRINT_PARTS.tabGroups, setSimilarity(fingerprint.tabGroups, snapshot.tabGroups)],
+    [FINGERPRINT_PARTS.bounds, boundsSimilarity(fingerprint.bounds, snapshot.bounds)]
+  ].filter(([, similarity]) => similarity !== null);
+  const weight = parts.reduce((sum, [w]) => sum + w, 0);
+  return weight === 0 ? 0 : parts.reduce((sum, [w, similarity]) => sum + w * similarity, 0) / weight;
+}
+
+function matchingShare(config, group, snapshot) {
+  if (snapshot.tabs.length === 0) return 0;
+  const matching = snapshot.tabs.filter(tab => groupMatches(config, group, tab.url, tab.title)).length;
+  return matching / snapshot.tabs.length;
+}
+
+// Score of binding the window to a slot (a group, a kind and maybe a fingerprint),
+// or null when the window can't be bound to it
+function slotScore(config, slot, snapshot) {
+  if (slot.incognito !== snapshot.incognito) return null;
+  const share = matchingShare(config, slot.group, snapshot);
+  if (!slot.fingerprint) return share > 0 ? share : null;
+  const similarity = fingerprintSimilarity(slot.fingerprint, snapshot);
+  if (share === 0 && similarity < MIN_FINGERPRINT_SIMILARITY) return null;
+  return FINGERPRINT_WEIGHT * similarity + (1 - FINGERPRINT_WEIGHT) * share;
+}
+
+// Rows for the assignment: one per usable fingerprint (only the newest for a
+// single-window group), or one per kind for groups without any
+function buildSlots(config, fingerprints) {
+  const slots = [];
+  for (const group of config.groups) {
+    for (const incognito of [false, true]) {
+      if (!appliesToWindow(group, incognito)) continue;
+      const prints = fingerprints
+        .filter(fp => fp.group === group.name && !!fp.incognito === incognito)
+        .sort((a, b) => b.savedAt - a.savedAt);
+      const kept = isMultiWindow(group) ? prints : prints.slice(0, 1);
+      if (kept.length === 0) {
+        slots.push({ group, incognito, fingerprint: null });
+      } else {
+        for (const fingerprint of kept) slots.push({ group, incognito, fingerprint });
+      }
+    }
+  }
+  return slots;
+}
+
+// Hungarian algorithm: picks at most one column per row and one row per column so
+// that the total score is highest. scores[row][col] is a number in 0..1 or null
+// (not allowed). Returns the chosen column for each row, or -1.
+function bestAssignment(scores) {
+  const rows = scores.length;
+  const cols = rows > 0 ? scores[0].length : 0;
+  const n = Math.max(rows, cols);
+  if (n === 0) return [];
+
+  // Square cost matrix; disallowed and padding cells cost as much as a zero score
+  const cost = (r, c) => (r < rows && c < cols && scores[r][c] !== null ? 1 - scores[r][c] : 1);
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const match = new Array(n + 1).fill(0); // column → row (1-based, 0 = none)
+  const way = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    match[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = match[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const reduced = cost(i0 - 1, j - 1) - u[i0] - v[j];
+        if (reduced < minv[j]) {
+          minv[j] = reduced;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[match[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (match[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      match[j0] = match[j1];
+      j0 = j1;
+    } while (j0 !== 0);
+  }
+
+  const assignment = new Array(rows).fill(-1);
+  for (let j = 1; j <= n; j++) {
+    const r = match[j] - 1;
+    if (r >= 0 && r < rows && j - 1 < cols && scores[r][j - 1] !== null) assignment[r] = j - 1;
+  }
+  return assignment;
+}
+
+// Why a binding chosen at startup may be wrong, or null when it looks right
+function lowConfidenceReason(slot, score, runnerUp) {
+  if (!slot.fingerprint) return 'matched by URL patterns only';
+  if (score < CONFIDENT_SCORE) return `only ${Math.round(score * 100)}% like its window before the restart`;
+  if (runnerUp && runnerUp.score >= score - CONFIDENCE_MARGIN) return `"${runnerUp.group}" fits almost as well`;
+  return null;
+}
+
+async function getLowConfidenceBindings() {
+  const result = await chrome.storage.local.get('lowConfidenceBindings');
+  const bindings = await getWindowBindings();
+  // Bindings the user has changed since are settled
+  return (result.lowConfidenceBindings || []).filter(entry => bindings[entry.windowId] === entry.group);
+}
+
+async function dismissLowConfidenceBindings() {
+  await chrome.storage.local.set({ lowConfidenceBindings: [] });
+}
+
+async function rebindWindowsOnStartup() {
+  const config = await getConfig();
+  if (!config.enabled || config.groups.length === 0) return;
+
+  const windows = (await chrome.windows.getAll({ populate: true })).filter(w => w.type === 'normal');
+  const snapshots = [];
+  for (const win of windows) snapshots.push(await describeWindow(win));
+  const slots = buildSlots(config, usableFingerprints(await getWindowFingerprints()));
+
+  // Score every slot against every window, then take the best overall assignment
+  const scores = slots.map(slot => snapshots.map(snapshot => slotScore(config, slot, snapshot)));
+  const assignment = bestAssignment(scores);
+
+  const newBindings = {};
+  const lowConfidence = [];
+  assignment.forEach((col, row) => {
+    if (col === -1) return;
+    const slot = slots[row];
+    const snapshot = snapshots[col];
+    const score = scores[row][col];
+    // Best score another group would have had for this window
+    const runnerUp = slots
+      .map((other, i) => ({ group: other.group.name, score: scores[i][col] }))
+      .filter(entry => entry.group !== slot.group.name && entry.score !== null)
+      .sort((a, b) => b.score - a.score)[0];
+    newBindings[snapshot.id] = slot.group.name;
+    const reason = lowConfidenceReason(slot, score, runnerUp);
+    if (reason) lowConfidence.push({ windowId: snapshot.id, group: slot.group.name, score: Math.round(score * 100), reason });
+  });
+
+  // Multi-window groups without fingerprints also take any other window with a
+  // matching tab, as before fingerprints existed
+  for (const snapshot of snapshots) {
+    if (newBindings[snapshot.id]) continue;
+    const slot = slots.find(candidate =>
+      !candidate.fingerprint && isMultiWindow(candidate.group) && slotScore(config, candidate, snapshot) !== null);
+    if (!slot) continue;
+    newBindings[snapshot.id] = slot.group.name;
+    lowConfidence.push({
+      windowId: snapshot.id,
+      group: slot.group.name,
+      score: Math.round(slotScore(config, slot, snapshot) * 100),
+      reason: 'matched by URL patterns only'
+    });
+  }
+
+  await saveWindowBindings(newBindings);
+  await chrome.storage.local.set({ lowConfidenceBindings: lowConfidence });
+  // Fingerprints and cached window states now describe the restored windows
+  // under their new ids
+  await saveWindowFingerprints(true);
+  await chrome.storage.local.set({ windowStates: {} });
+  for (const windowId of Object.keys(newBindings)) scheduleWindowStateCache(parseInt(windowId, 10));
+}
+
+const SESSIONS_PER_GROUP = 5;
+
+// tabId → site it was restored with
+const restoredTabs = new Map();
+
+function isRestoredInPlace(tabId, url) {
+  if (!restoredTabs.has(tabId)) return false;
+  if (restoredTabs.get(tabId) === siteKey(url)) return true;
+  restoredTabs.delete(tabId);
+  return false;
+}
+
+async function getGroupSessions() {
+  const result = await chrome.storage.local.get('groupSessions');
+  return result.groupSessions || {};
+}
+
+async function saveGroupSessions(sessions) {
+  await chrome.storage.local.set({ groupSessions: sessions });
+}
+
+// Everything needed to rebuild the window. Internal pages can't be reopened and
+// are left out.
+async function snapshotWindow(windowId) {
+  const win = await chrome.windows.get(windowId);
+  const tabs = (await chrome.tabs.query({ windowId }))
+    .filter(t => t.url && !t.url.startsWith('chrome://') && !t.url.startsWith('chrome-extension://'))
+    .sort((a, b) => a.index - b.index);
+  const tabGroups = await chrome.tabGroups.query({ windowId });
+  const groupIndex = new Map(tabGroups.map((g, i) => [g.id, i]));
+  return {
+    incognito: !!win.incognito,
+    bounds: { left: win.left, top: win.top, width: win.width, height: win.height, state: win.state },
+    tabs: tabs.map(t => ({
+      url: t.url,
+      title: t.title || '',
+      pinned: !!t.pinned,
+      tabGroup: groupIndex.has(t.groupId) ? groupIndex.get(t.groupId) : null
+    })),
+    tabGroups: tabGroups.map(g => ({ title: g.title || '', color: g.color, collapsed: !!g.collapsed }))
+  };
+}
+
+// Opens a window with the snapshot's tabs and binds it to the group. Returns the
+// new window id.
+async function restoreWindowSnapshot(snapshot, groupName) {
+  const [first, ...rest] = snapshot.tabs;
+  const { state, ...bounds } = snapshot.bounds || {};
+  const placement = state && state !== 'normal'
+    ? { state }
+    : Object.fromEntries(Object.entries(bounds).filter(([, value]) => typeof value === 'number'));
+  const win = await chrome.windows.create({ url: first?.url, focused: true, incognito: !!snapshot.incognito, ...placement });
+  await bindWindow(win.id, groupName);
+
+  const created = [win.tabs?.[0] || (await chrome.tabs.query({ windowId: win.id }))[0]];
+  restoredTabs.set(created[0].id, siteKey(first?.url || ''));
+  if (first?.pinned) await chrome.tabs.update(created[0].id, { pinned: true });
+  for (const tab of rest) {
+    const newTab = await chrome.tabs.create({ windowId: win.id, url: tab.url, pinned: tab.pinned, active: false });
+    restoredTabs.set(newTab.id, siteKey(tab.url));
+    created.push(newTab);
+  }
+
+  for (const [i, tabGroup] of (snapshot.tabGroups || []).entries()) {
+    const tabIds = created.filter((_, j) => snapshot.tabs[j].tabGroup === i).map(t => t.id);
+    if (tabIds.length === 0) continue;
+    const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: win.id } });
+    await chrome.tabGroups.update(groupId, { title: tabGroup.title, color: tabGroup.color, collapsed: tabGroup.collapsed });
+  }
+  return win.id;
+}
+
+// Snapshots the group's window (`windowId`, or every window bound to the group)
+// as new sessions, then closes it. Returns the number of windows saved.
+async function saveAndCloseGroup(groupName, windowId = null) {
+  const bindings = await getWindowBindings();
+  const windowIds = windowId
+    ? [windowId]
+    : Object.keys(bindings).filter(wid => bindings[wid] === groupName).map(wid => parseInt(wid, 10));
+  const sessions = await getGroupSessions();
+  let saved = 0;
+
+  for (const wid of windowIds) {
+    const snapshot = await snapshotWindow(wid);
+    if (snapshot.tabs.length === 0) continue;
+    const session = { id: `${Date.now()}-${wid}`, savedAt: Date.now(), ...snapshot };
+    sessions[groupName] = [session, ...(sessions[groupName] || [])].slice(0, SESSIONS_PER_GROUP);
+    await saveGroupSessions(sessions);
+    sessionClosedWindows.add(wid);
+    await chrome.windows.remove(wid);
+    saved++;
+  }
+  return saved;
+}
+
+async function restoreGroupSession(groupName, sessionId) {
+  const sessions = await getGroupSessions();
+  const session = (sessions[groupName] || []).find(s => s.id === sessionId);
+  if (!session) throw new Error('Session not found');
+  return restoreWindowSnapshot(session, groupName);
+}
+
+async function deleteGroupSession(groupName, sessionId) {
+  const sessions = await getGroupSessions();
+  sessions[groupName] = (sessions[groupName] || []).filter(s => s.id !== sessionId);
+  if (sessions[groupName].length === 0) delete sessions[groupName];
+  await saveGroupSessions(sessions);
+}
+
+const CLOSED_WINDOWS_LIMIT = 10;
+const WINDOW_STATE_DELAY_MS = 2000;
+
+// windowId → pending state refresh
+const windowStateTimers = new Map();
+
+let windowStateWrites = Promise.resolve();
+
+// Windows closed by "Save & close" — already saved as a session
+const sessionClosedWindows = new Set();
+
+async function getWindowStates() {
+  const result = await chrome.storage.local.get('windowStates');
+  return result.windowStates || {};
+}
+
+async function getClosedGroupWindows() {
+  const result = await chrome.storage.local.get('closedGroupWindows');
+  return result.closedGroupWindows || [];
+}
+
+// Records the window's current state if it is bound, or forgets it if not
+async function cacheWindowState(windowId) {
+  const bindings = await getWindowBindings();
+  const states = await getWindowStates();
+  const incognito = await isIncognitoWindow(windowId);
+  if (incognito === null) return; // Closed in the meantime; the cached state stands
+  if (bindings[windowId] && !incognito) {
+    let state;
+    try {
+      state = { group: bindings[windowId], ...(await snapshotWindow(windowId)) };
+    } catch (e) {
+      return;
+    }
+    if (JSON.stringify(state) === JSON.stringify(states[windowId])) return;
+    states[windowId] = state;
+  } else if (states[windowId]) {
+    delete states[windowId];
+  } else {
+    return;
+  }
+  await chrome.storage.local.set({ windowStates: states });
+}
+
+// Caches the window's state now, replacing any pending refresh
+function refreshWindowState(windowId) {
+  if (windowId === undefined || windowId === chrome.windows.WINDOW_ID_NONE) return windowStateWrites;
+  clearTimeout(windowStateTimers.get(windowId));
+  windowStateTimers.delete(windowId);
+  windowStateWrites = windowStateWrites
+    .then(() => cacheWindowState(windowId))
+    .catch(e => console.error('Failed to cache window state:', e));
+  return windowStateWrites;
+}
+
+function scheduleWindowStateCache(windowId) {
+  if (windowId === undefined || windowId === chrome.windows.WINDOW_ID_NONE) return;
+  clearTimeout(windowStateTimers.get(windowId));
+  windowStateTimers.set(windowId, setTimeout(() => refreshWindowState(windowId), WINDOW_STATE_DELAY_MS));
+}
+
+// Moves a closed window's cached state to the archive. A pending refresh can't run
+// anymore (the tabs are gone), but one already started is waited for.
+async function archiveClosedWindow(windowId) {
+  clearTimeout(windowStateTimers.get(windowId));
+  windowStateTimers.delete(windowId);
+  await windowStateWrites;
+
+  const states = await getWindowStates();
+  const state = states[windowId];
+  if (!state) return;
+  delete states[windowId];
+  await chrome.storage.local.set({ windowStates: states });
+  if (sessionClosedWindows.delete(windowId) || state.tabs.length === 0) return;
+
+  const { group, ...snapshot } = state;
+  const closed = await getClosedGroupWindows();
+  closed.unshift({ id: `${Date.now()}-${windowId}`, group, closedAt: Date.now(), ...snapshot });
+  await chrome.storage.local.set({ closedGroupWindows: closed.slice(0, CLOSED_WINDOWS_LIMIT) });
+}
+
+// Called after a window closes: once none are left, Chrome is shutting down
+async function noteWindowClosed() {
+  if ((await chrome.windows.getAll()).length > 0) return;
+  await chrome.storage.local.set({ lastWindowClosedAt: Date.now() });
+}
+
+// At startup: forget the windows archived by the last shutdown, which Chrome restores
+async function dropShutdownArchive() {
+  const { lastWindowClosedAt } = await chrome.storage.local.get('lastWindowClosedAt');
+  if (!lastWindowClosedAt) return;
+  const closed = await getClosedGroupWindows();
+  const kept = closed.filter(entry => lastWindowClosedAt - entry.closedAt > FINGERPRINT_SHUTDOWN_MS);
+  await chrome.storage.local.set({ closedGroupWindows: kept, lastWindowClosedAt: null });
+}
+
+// Reopens an archived window with its tabs and binding. Returns the new window id.
+async function reopenClosedWindow(entryId) {
+  const closed = await getClosedGroupWindows();
+  const entry = closed.find(e => e.id === entryId);
+  if (!entry) throw new Error('Closed window not found');
+  const windowId = await restoreWindowSnapshot(entry, entry.group);
+  await chrome.storage.local.set({ closedGroupWindows: closed.filter(e => e.id !== entryId) });
+  return windowId;
+}
+
+const DUPLICATE_MODES = ['allow', 'focusExisting', 'keepNewest'];
+const DEFAULT_DUPLICATES = { mode: 'allow', ignoreHash: true, ignoreQuery: false };
+
+function getDuplicateRules(duplicates) {
+  return { ...DEFAULT_DUPLICATES, ...duplicates };
+}
+
+function duplicateKey(url, rules) {
+  try {
+    const parsed = new URL(url);
+    if (rules.ignoreHash) parsed.hash = '';
+    if (rules.ignoreQuery) parsed.search = '';
+    return parsed.href;
+  } catch (e) {
+    return url;
+  }
+}
+
+// Applies the duplicate mode before `tab` is routed into `windowId`. Returns
+// { closed, keptExisting } — keptExisting means the routed tab itself was closed
+// and there is nothing left to move — or null when nothing was done.
+async function resolveDuplicates(duplicates, tab, windowId, { activate = true } = {}) {
+  const rules = getDuplicateRules(duplicates);
+  if (rules.mode === 'allow' || !tab.url) return null;
+
+  const key = duplicateKey(tab.url, rules);
+  const copies = (await chrome.tabs.query({ windowId }))
+    .filter(t => t.id !== tab.id && t.url && duplicateKey(t.url, rules) === key);
+  if (copies.length === 0) return null;
+
+  if (rules.mode === 'focusExisting') {
+    if (activate) await chrome.tabs.update(copies[0].id, { active: true });
+    await chrome.tabs.remove(tab.id);
+    return { closed: 1, keptExisting: true };
+  }
+  const older = copies.filter(t => !t.pinned).map(t => t.id);
+  if (older.length === 0) return null;
+  await chrome.tabs.remove(older);
+  return { closed: older.length, keptExisting: false };
+}
+
+// "Close duplicates": across each group's windows, keeps one copy of every page —
+// the active one, else a pinned one, else the first — comparing URLs by the
+// group's rules. Returns the number of tabs closed.
+async function closeDuplicateTabs() {
+  const config = await getConfig();
+  const bindings = await getWindowBindings();
+  let closed = 0;
+
+  for (const group of config.groups) {
+    const rules = getDuplicateRules(group.duplicates);
+    const copies = new Map(); // page key → tabs, in window and tab order
+    for (const [wid, groupName] of Object.entries(bindings)) {
+      if (groupName !== group.name) continue;
+      const tabs = await chrome.tabs.query({ windowId: parseInt(wid, 10) });
+      for (const tab of tabs.sort((a, b) => a.index - b.index)) {
+        if (!tab.url || tab.url.startsWith('chrome://')) continue;
+        const key = `${!!tab.incognito}|${duplicateKey(tab.url, rules)}`;
+        if (!copies.has(key)) copies.set(key, []);
+        copies.get(key).push(tab);
+      }
+    }
+
+    for (const tabs of copies.values()) {
+      if (tabs.length < 2) continue;
+      const keep = tabs.find(t => t.active) || tabs.find(t => t.pinned) || tabs[0];
+      const extra = tabs.filter(t => t !== keep && !t.pinned).map(t => t.id);
+      if (extra.length === 0) continue;
+      await chrome.tabs.remove(extra);
+      closed += extra.length;
+    }
+  }
+  return closed;
+}
+
+const TAB_LIMIT_POLICIES = ['discard', 'archive', 'close'];
+const ARCHIVED_TABS_LIMIT = 100;
+
+async function getArchivedTabs() {
+  const result = await chrome.storage.local.get('archivedTabs');
+  return result.archivedTabs || [];
+}
+
+async function archiveTabs(tabs, groupName, reason) {
+  const archived = await getArchivedTabs();
+  const now = Date.now();
+  archived.unshift(...tabs.map(tab => ({
+    id: `${now}-${tab.id}`,
+    url: tab.url,
+    title: tab.title,
+    incognito: !!tab.incognito,
+    group: groupName,
+    reason,
+    archivedAt: now
+  })));
+  await chrome.storage.local.set({ archivedTabs: archived.slice(0, ARCHIVED_TABS_LIMIT) });
+}
+
+// Reopens an archived tab in its group's window, or in a new window bound to the
+// group when none is left. Returns the new tab id.
+async function restoreArchivedTab(entryId) {
+  const archived = await getArchivedTabs();
+  const entry = archived.find(e => e.id === entryId);
+  if (!entry) throw new Error('Archived tab not found');
+
+  let tab;
+  const windowId = await findWindowForGroup(entry.group, entry.incognito);
+  if (windowId) {
+    tab = await chrome.tabs.create({ windowId, url: entry.url, active: true });
+  } else {
+    const win = await chrome.windows.create({ url: entry.url, incognito: entry.incognito, focused: true });
+    await bindWindow(win.id, entry.group);
+    tab = win.tabs[0];
+  }
+  await chrome.storage.local.set({ archivedTabs: archived.filter(e => e.id !== entryId) });
+  return tab.id;
+}
+
+// The group's tabs that count toward its limit, least recently used first
+async function getLimitedTabs(groupName, policy) {
+  const bindings = await getWindowBindings();
+  const tabs = [];
+  for (const [wid, boundGroup] of Object.entries(bindings)) {
+    if (boundGroup !== groupName) continue;
+    tabs.push(...await chrome.tabs.query({ windowId: parseInt(wid, 10) }));
+  }
+  return tabs
+    .filter(t => !t.pinned && !t.audible && !(policy === 'discard' && t.discarded))
+    .sort((a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0));
+}
+
+// Evicts the group's least recently used tabs beyond tabLimit.max, sparing
+// `keepTabId`. Returns the number of tabs discarded, archived or closed.
+async function enforceTabLimit(groupName, tabLimit, keepTabId = null) {
+  if (!tabLimit || !tabLimit.max) return 0;
+  const policy = tabLimit.policy || 'discard';
+  const tabs = await getLimitedTabs(groupName, policy);
+  const excess = tabs.length - tabLimit.max;
+  if (excess <= 0) return 0;
+
+  const evicted = tabs.filter(t => !t.active && t.id !== keepTabId).slice(0, excess);
+  if (evicted.length === 0) return 0;
+
+  if (policy === 'discard') {
+    let discarded = 0;
+    for (const tab of evicted) {
+      try {
+        await chrome.tabs.discard(tab.id);
+        discarded++;
+      } catch (e) {
+      }
+    }
+    return discarded;
+  }
+  if (policy === 'archive') await archiveTabs(evicted, groupName, 'limit');
+  await chrome.tabs.remove(evicted.map(t => t.id));
+  return evicted.length;
+}
+
+// Current tab counts of the groups that have windows or a limit, for the options page
+async function getTabLimitUsage() {
+  const config = await getConfig();
+  const bindings = await getWindowBindings();
+  const usage = {};
+  for (const group of config.groups) {
+    const bound = Object.values(bindings).includes(group.name);
+    if (!bound && !group.tabLimit) continue;
+    const policy = group.tabLimit && group.tabLimit.policy;
+    usage[group.name] = {
+      count: bound ? (await getLimitedTabs(group.name, policy)).length : 0,
+      max: (group.tabLimit && group.tabLimit.max) || null
+    };
+  }
+  return usage;
+}
+
+const EXPIRY_ACTIONS = ['archive', 'close'];
+const EXPIRY_ALARM = 'expire-inactive-tabs';
+const EXPIRY_SWEEP_MINUTES = 15;
+const HOUR_MS = 60 * 60 * 1000;
+
+let cachedTabActivity = null;
+
+async function getTabActivity() {
+  if (cachedTabActivity) return cachedTabActivity;
+  const result = await chrome.storage.local.get('tabActivity');
+  cachedTabActivity = result.tabActivity || {};
+  return cachedTabActivity;
+}
+
+async function saveTabActivity(activity) {
+  cachedTabActivity = activity;
+  await chrome.storage.local.set({ tabActivity: activity });
+}
+
+// Tab ids only last for one browser session: a new tab reusing an old id must not
+// inherit that tab's activation time
+async function clearTabActivity() {
+  await saveTabActivity({});
+}
+
+function hasExpiryRules(config) {
+  return config.enabled && config.groups.some(group => group.expiry && group.expiry.hours);
+}
+
+// Only kept while some group can expire tabs
+async function recordTabActivation(tabId, now = Date.now()) {
+  if (!hasExpiryRules(await getConfig())) return;
+  const activity = await getTabActivity();
+  activity[tabId] = now;
+  await saveTabActivity(activity);
+}
+
+// Alarms outlive the service worker, so only create the alarm when it is missing,
+// and clear it once no enabled group has an expiry rule
+async function startExpirySweeps() {
+  if (!hasExpiryRules(await getConfig())) {
+    await chrome.alarms.clear(EXPIRY_ALARM);
+    return;
+  }
+  if (await chrome.alarms.get(EXPIRY_ALARM)) return;
+  await chrome.alarms.create(EXPIRY_ALARM, { periodInMinutes: EXPIRY_SWEEP_MINUTES });
+}
+
+// Archives or closes the tabs that expired under their group's rule. Returns the
+// number of tabs expired.
+async function sweepExpiredTabs(now = Date.now()) {
+  const config = await getConfig();
+  const bindings = await getWindowBindings();
+  const tabs = await chrome.tabs.query({});
+
+  // Active tabs are in use right now; forget tabs that are gone
+  const activity = await getTabActivity();
+  const lastActive = {};
+  for (const tab of tabs) {
+    lastActive[tab.id] = tab.active ? now : activity[tab.id] || tab.lastAccessed || now;
+  }
+  await saveTabActivity(lastActive);
+
+  if (!config.enabled) return 0;
+
+  let expired = 0;
+  for (const group of config.groups) {
+    if (!group.expiry || !group.expiry.hours) continue;
+    const cutoff = now - group.expiry.hours * HOUR_MS;
+    let stale = tabs.filter(tab =>
+      bindings[tab.windowId] === group.name &&
+      !tab.pinned && !tab.audible && !tab.active &&
+      lastActive[tab.id] <= cutoff
+    );
+    // Never empty a window: it would close, and the closed-window archive would
+    // keep the expired tabs a second time. The most recently used one stays.
+    for (const windowId of new Set(stale.map(tab => tab.windowId))) {
+      const windowStale = stale.filter(tab => tab.windowId === windowId);
+      if (windowStale.length < tabs.filter(tab => tab.windowId === windowId).length) continue;
+      const newest = windowStale.reduce((a, b) => (lastActive[b.id] > lastActive[a.id] ? b : a));
+      stale = stale.filter(tab => tab !== newest);
+    }
+    if (stale.length === 0) continue;
+
+    if (group.expiry.action === 'archive') await archiveTabs(stale, group.name, 'expired');
+    await chrome.tabs.remove(stale.map(t => t.id));
+    expired += stale.length;
+  }
+  return expired;
+}
+
+async function handleExpiryAlarm(alarm) {
+  if (alarm.name !== EXPIRY_ALARM) return;
+  try {
+    await sweepExpiredTabs();
+  } catch (e) {
+  }
+}
+
+const MOVE_HISTORY_LIMIT = 100;
+
+async function getMoveHistory() {
+  const result = await chrome.storage.local.get('moveHistory');
+  return result.moveHistory || [];
+}
+
+// `tab` as it was before the move
+// Tab and window ids only last for one browser session, so the history doesn't
+// outlive it: undo must never move an unrelated tab that reused an id
+async function clearMoveHistory() {
+  await chrome.storage.local.set({ moveHistory: [] });
+}
+
+async function recordMove(tab, toWindowId, groupName, reason, batch = null) {
+  const history = await getMoveHistory();
+  const now = Date.now();
+  history.unshift({
+    id: `${now}-${tab.id}`,
+    tabId: tab.id,
+    title: tab.title,
+    fromWindowId: tab.windowId,
+    fromIndex: tab.index,
+    toWindowId,
+    groupName,
+    reason,
+    batch,
+    movedAt: now
+  });
+  await chrome.storage.local.set({ moveHistory: history.slice(0, MOVE_HISTORY_LIMIT) });
+}
+
+// Moves the tab back. Returns null when done, otherwise why it was skipped.
+async function revertMove(entry) {
+  let tab;
+  try {
+    tab = await chrome.tabs.get(entry.tabId);
+  } catch (e) {
+    return 'the tab was closed';
+  }
+  if (tab.windowId !== entry.toWindowId) return 'the tab has moved since';
+  try {
+    await chrome.windows.get(entry.fromWindowId);
+  } catch (e) {
+    return 'its window was closed';
+  }
+  const sourceTabs = await chrome.tabs.query({ windowId: entry.fromWindowId });
+  await chrome.tabs.move(entry.tabId, {
+    windowId: entry.fromWindowId,
+    index: Math.min(entry.fromIndex, sourceTabs.length)
+  });
+  return null;
+}
+
+// Reverts `entries` newest first and drops them from the history
+async function undoMoves(entries) {
+  let undone = 0;
+  const skipped = [];
+  for (const entry of entries) {
+    try {
+      const reason = await revertMove(entry);
+      if (reason) {
+        skipped.push({ title: entry.title || '(no title)', reason });
+      } else {
+        undone++;
+      }
+    } catch (e) {
+      skipped.push({ title: entry.title || '(no title)', reason: e.message });
+    }
+  }
+  const ids = new Set(entries.map(entry => entry.id));
+  const history = await getMoveHistory();
+  await chrome.storage.local.set({ moveHistory: history.filter(entry => !ids.has(entry.id)) });
+  return { undone, skipped };
+}
+
+async function undoLastMove() {
+  const [last] = await getMoveHistory();
+  if (!last) return { undone: 0, skipped: [] };
+  return undoMoves([last]);
+}
+
+// Reverts every move of the most recent Sort All run
+async function undoSortAll() {
+  const history = await getMoveHistory();
+  const last = history.find(entry => entry.batch);
+  if (!last) return { undone: 0, skipped: [] };
+  return undoMoves(history.filter(entry => entry.batch === last.batch));
+}
+
+async function findWindowForGroup(groupName, incognito = false) {
+  const bindings = await getWindowBindings();
+  const { windows, missing } = await getBoundWindows(groupName, incognito, bindings);
+
+  if (missing.length > 0) {
+    // Window no longer exists, clean up binding
+    for (const windowId of missing) delete bindings[windowId];
+    await saveWindowBindings(bindings);
+  }
+
+  const config = await getConfig();
+  return chooseBoundWindow(config.groups.find(g => g.name === groupName), windows, incognito);
+}
+
+async function createWindowForGroup(groupName, tabId, focused = true) {
+  // Create new window with the tab — of the tab's kind, or the move fails
+  const tab = await chrome.tabs.get(tabId);
+  const newWindow = await chrome.windows.create({
+    tabId: tabId,
+    focused,
+    incognito: !!tab.incognito
+  });
+
+  // Bind the new window to this group
+  await bindWindow(newWindow.id, groupName);
+
+  return newWindow.id;
+}
+
+async function moveTabToWindow(tabId, windowId, groupName, {
+  focus = 'always',
+  placement = 'end',
+  duplicates = null,
+  tabLimit = null,
+  reason = 'routed'
+} = {}) {
+  try {
+    const tabBefore = await chrome.tabs.get(tabId);
+    // Guard: don't move the last tab out of a window (Chrome auto-closes empty windows)
+    const sourceTabs = await chrome.tabs.query({ windowId: tabBefore.windowId });
+    if (sourceTabs.length <= 1) {
+      return false;
+    }
+    // Guard: Chrome rejects moves between normal and incognito windows
+    const targetWindow = await chrome.windows.get(windowId);
+    if (!!targetWindow.incognito !== !!tabBefore.incognito) {
+      return false;
+    }
+    const follow = await shouldFollowTab(focus, tabBefore);
+    // The target window may already have this page open
+    const duplicate = await resolveDuplicates(duplicates, tabBefore, windowId);
+    if (duplicate && duplicate.keptExisting) {
+      if (follow) await chrome.windows.update(windowId, { focused: true });
+      return true;
+    }
+    const wasActive = tabBefore.active;
+    const index = await computeTabIndex(placement, tabBefore, windowId, groupName);
+    await chrome.tabs.move(tabId, { windowId: windowId, index });
+    await recordMove(tabBefore, windowId, groupName, reason);
+    if (groupName) {
+      await addTabToExistingChromeGroup(tabId, windowId, groupName);
+    }
+    if (wasActive) {
+      await chrome.tabs.update(tabId, { active: true });
+    }
+    noteRoutedWindow(groupName, tabBefore.incognito, windowId);
+    if (follow) {
+      await chrome.windows.update(windowId, { focused: true });
+    } else {
+      await recordSilentRoute(tabBefore, windowId, groupName);
+    }
+    if (tabLimit) await enforceTabLimit(groupName, tabLimit, tabId);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function addTabToExistingChromeGroup(tabId, windowId, groupName) {
+  try {
+    const config = await getConfig();
+    const group = config.groups.find(g => g.name === groupName);
+    if (group && group.subgroups && group.subgroups.length) {
+      const tab = await chrome.tabs.get(tabId);
+      const sub = findSubgroup(config, group, tab.url || tab.pendingUrl, tab.title);
+      if (sub) {
+        await groupTabsUnderName([tabId], windowId, sub.title, subgroupStyle(sub));
+        return true;
+      }
+      // Left a sub-group's page: take it out of that sub-group's tab group
+      if (tab.groupId !== undefined && tab.groupId !== -1) {
+        const current = await chrome.tabGroups.get(tab.groupId);
+        if (group.subgroups.some(s => s.title === current.title)) {
+          await chrome.tabs.ungroup(tabId);
+        }
+      }
+    }
+
+    const groups = await chrome.tabGroups.query({ windowId });
+    const match = groups.find(g => g.title === groupName);
+    if (match) {
+      await chrome.tabs.group({ tabIds: [tabId], groupId: match.id });
+      return true;
+    }
+    return false;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Adds tabs to the Chrome tab group titled `groupName` in `windowId`, creating it
+// (with a color no other tab group uses) when the window has none yet
+async function groupTabsUnderName(tabIds, windowId, groupName, style = {}) {
+  // Check if there's already a tab group with this name in the window
+  const existingGroups = await chrome.tabGroups.query({ windowId });
+  const existing = existingGroups.find(g => g.title === groupName);
+
+  if (existing) {
+    // Add tabs to existing group
+    await chrome.tabs.group({ tabIds, groupId: existing.id });
+    return existing.id;
+  }
+
+  // Create new group with unique color
+  const newGroupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+
+  // Pick a color not used by other tab groups across all windows
+  let availableColor = style.color;
+  if (!availableColor) {
+    const allTabGroups = await chrome.tabGroups.query({});
+    const usedColors = new Set(allTabGroups.map(g => g.color));
+    availableColor = TAB_GROUP_COLORS.find(c => !usedColors.has(c)) || TAB_GROUP_COLORS[0];
+  }
+  const collapsed = !!style.collapsed;
+
+  await chrome.tabGroups.update(newGroupId, { title: groupName, color: availableColor, collapsed });
+
+  // Retry loop — Chrome has a race condition that can leave groups grey/unnamed.
+  // Check at 150ms and again at 300ms to enforce the update.
+  for (const delay of [150, 300]) {
+    await new Promise(r => setTimeout(r, delay));
+    try {
+      const verified = await chrome.tabGroups.get(newGroupId);
+      if (verified.title !== groupName || verified.color !== availableColor) {
+        await chrome.tabGroups.update(newGroupId, { title: groupName, color: availableColor, collapsed });
+      } else {
+        break; // Already correct, no need to check further
+      }
+    } catch (e) {
+      break; // Group was removed, stop retrying
+    }
+  }
+  return newGroupId;
+}
+
+const ROUTING_ACTIONS = ['move', 'group', 'duplicate', 'notify'];
+
+// tabId → "action url" last handled, so reloads don't copy or notify again
+const handledRoutes = new Map();
+
+// notification id → { tabId, groupName, windowId } for "Send there"
+const routeNotifications = new Map();
+
+let routeStateLoaded = null;
+
+// Fills both maps from storage.session, once per service worker
+function loadRouteState() {
+  if (!routeStateLoaded) {
+    routeStateLoaded = chrome.storage.session.get('routeState').then(({ routeState }) => {
+      for (const [tabId, key] of Object.entries(routeState?.handled || {})) {
+        if (!handledRoutes.has(Number(tabId))) handledRoutes.set(Number(tabId), key);
+      }
+      for (const [id, route] of Object.entries(routeState?.notifications || {})) {
+        if (!routeNotifications.has(id)) routeNotifications.set(id, route);
+      }
+    });
+  }
+  return routeStateLoaded;
+}
+
+async function saveRouteState() {
+  await chrome.storage.session.set({
+    routeState: {
+      handled: Object.fromEntries(handledRoutes),
+      notifications: Object.fromEntries(routeNotifications)
+    }
+  });
+}
+
+async function forgetRoutes(tabId) {
+  await loadRouteState();
+  const notificationId = `route-${tabId}`;
+  const hadNotification = routeNotifications.delete(notificationId);
+  if (!handledRoutes.delete(tabId) && !hadNotification) return;
+  if (hadNotification) chrome.notifications.clear(notificationId);
+  await saveRouteState();
+}
+
+async function isInNamedTabGroup(tabId, groupName) {
+  const tab = await chrome.tabs.get(tabId);
+  if (tab.groupId === undefined || tab.groupId === -1) return false;
+  const tabGroup = await chrome.tabGroups.get(tab.groupId);
+  return tabGroup.title === groupName;
+}
+
+async function onceForTab(tabId, action, url) {
+  await loadRouteState();
+  const key = `${action} ${url}`;
+  if (handledRoutes.get(tabId) === key) return false;
+  handledRoutes.set(tabId, key);
+  await saveRouteState();
+  return true;
+}
+
+async function duplicateTabToWindow(tab, windowId, groupName) {
+  if (!(await onceForTab(tab.id, 'duplicate', tab.url))) return false;
+  try {
+    const copy = await chrome.tabs.create({ windowId, url: tab.url, active: false });
+    noteRoutedWindow(groupName, copy.incognito, windowId);
+    await addTabToExistingChromeGroup(copy.id, windowId, groupName);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function notifyRoute(tab, windowId, groupName) {
+  if (!(await onceForTab(tab.id, 'notify', tab.url))) return false;
+  const notificationId = `route-${tab.id}`;
+  routeNotifications.set(notificationId, { tabId: tab.id, groupName, windowId });
+  await saveRouteState();
+  try {
+    await chrome.notifications.create(notificationId, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: `Belongs in "${groupName}"`,
+      message: tab.title || tab.url,
+      buttons: [{ title: 'Send there' }]
+    });
+    return true;
+  } catch (e) {
+    routeNotifications.delete(notificationId);
+    await saveRouteState();
+    return false;
+  }
+}
+
+// Applies the group's action to a tab outside the group's window. Returns what
+// happened: 'moved', 'grouped', 'copied', 'notified' or null.
+async function applyRoutingAction(group, tab, targetWindowId, focus = 'always') {
+  switch (group.action || 'move') {
+    case 'group':
+      try {
+        const sub = findSubgroup(await getConfig(), group, tab.url, tab.title);
+        const tabGroupTitle = sub ? sub.title : group.name;
+        if (await isInNamedTabGroup(tab.id, tabGroupTitle)) return null;
+        await groupTabsUnderName([tab.id], tab.windowId, tabGroupTitle, subgroupStyle(sub));
+        return 'grouped';
+      } catch (e) {
+        return null;
+      }
+    case 'duplicate':
+      return targetWindowId && await duplicateTabToWindow(tab, targetWindowId, group.name) ? 'copied' : null;
+    case 'notify':
+      return targetWindowId && await notifyRoute(tab, targetWindowId, group.name) ? 'notified' : null;
+    default:
+      return targetWindowId &&
+        await moveTabToWindow(tab.id, targetWindowId, group.name, {
+          focus,
+          placement: group.placement,
+          duplicates: group.duplicates,
+          tabLimit: group.tabLimit
+        }) ? 'moved' : null;
+  }
+}
+
+async function handleRouteNotificationButton(notificationId) {
+  await loadRouteState();
+  const route = routeNotifications.get(notificationId);
+  if (!route) return;
+  routeNotifications.delete(notificationId);
+  await saveRouteState();
+  await chrome.notifications.clear(notificationId);
+  const config = await getConfig();
+  const group = config.groups.find(g => g.name === route.groupName);
+  await moveTabToWindow(route.tabId, route.windowId, route.groupName, {
+    placement: group && group.placement,
+    duplicates: group && group.duplicates,
+    tabLimit: group && group.tabLimit,
+    reason: 'notification'
+  });
+}
+
+const childTabs = new Map();
+
+async function rememberChildTab(tab) {
+  if (!tab.openerTabId) return;
+
+  let opener;
+  try {
+    opener = await chrome.tabs.get(tab.openerTabId);
+  } catch (e) {
+    return; // Opener already closed
+  }
+
+  const bindings = await getWindowBindings();
+  const groupName = bindings[opener.windowId];
+  if (!groupName) return;
+
+  const config = await getConfig();
+  const group = config.groups.find(g => g.name === groupName);
+  if (!group || (group.keepChildren !== 'above' && group.keepChildren !== 'below')) return;
+
+  childTabs.set(tab.id, { windowId: opener.windowId, groupName });
+}
+
+// Returns { windowId, groupName, mode } while the child is still in its parent's
+// window and that group still keeps children, otherwise null
+function getChildRule(tabId, currentWindowId, config) {
+  const child = childTabs.get(tabId);
+  if (!child) return null;
+
+  // Once the tab leaves the parent window (e.g. the user moved it), it routes normally
+  if (child.windowId !== currentWindowId) {
+    childTabs.delete(tabId);
+    return null;
+  }
+
+  const group = config.groups.find(g => g.name === child.groupName);
+  const mode = group && group.keepChildren;
+  if (mode !== 'above' && mode !== 'below') return null;
+  return { ...child, mode };
+}
+
+async function handleTabNavigation(tabId, url, title, currentWindowId, incognito = false) {
+  const config = await getConfig();
+  if (!config.enabled) return;
+
+  // Skip chrome:// and other internal URLs
+  if (!url || url.startsWith('chrome://') || url.startsWith('chrome-extension://')) {
+    return;
+  }
+
+  // Transit hosts (e.g. SSO logins) are only passed through mid-redirect
+  if (isTransitUrl(url, config)) return;
+
+  // Tabs restored with a saved session stay put until they leave their site
+  if (isRestoredInPlace(tabId, url)) return;
+
+  // Children of a group that keeps them "above" patterns stay with their parent
+  const childRule = getChildRule(tabId, currentWindowId, config);
+  if (childRule && childRule.mode === 'above') {
+    await addTabToExistingChromeGroup(tabId, currentWindowId, childRule.groupName);
+    return;
+  }
+
+  const matchingGroup = findMatchingGroup(url, title, config, { incognito });
+  const bindings = await getWindowBindings();
+  const currentWindowGroup = bindings[currentWindowId];
+
+  if (matchingGroup) {
+    // If tab is already in the correct window, just ensure it's in the Chrome tab group
+    if (currentWindowGroup === matchingGroup.name) {
+      await addTabToExistingChromeGroup(tabId, currentWindowId, matchingGroup.name);
+      return;
+    }
+
+    // Only act if the group is assigned to a window of the tab's kind — except
+    // 'group', which works in place
+    const targetWindowId = await findWindowForGroup(matchingGroup.name, incognito);
+
+    // Every window of an 'overflow' group is full: the tab starts a new one
+    if (!targetWindowId && (matchingGroup.action || 'move') === 'move' && await isGroupFull(matchingGroup, incognito)) {
+      await openOverflowWindow(matchingGroup, tabId, getFocusMode(config, matchingGroup));
+      return;
+    }
+
+    // No window of the tab's kind yet: groups that create their own open one
+    if (!targetWindowId && (matchingGroup.action || 'move') === 'move' && matchingGroup.createWindow) {
+      await autoCreateWindow(matchingGroup, tabId, getFocusMode(config, matchingGroup));
+      return;
+    }
+
+    if (targetWindowId !== currentWindowId && (targetWindowId || matchingGroup.action === 'group')) {
+      const tab = { id: tabId, url, title, windowId: currentWindowId };
+      const result = await applyRoutingAction(matchingGroup, tab, targetWindowId, getFocusMode(config, matchingGroup));
+    }
+    // If no window is assigned to this group, leave the tab where it is
+  } else if (childRule) {
+    // "below": no group claimed the child, so it stays with its parent
+  } else if (config.catchAllWindowId) {
+    // No matching group - use catch-all window if configured
+    if (currentWindowId === config.catchAllWindowId) return;
+
+    // Verify catch-all window still exists
+    try {
+      const catchAll = await chrome.windows.get(config.catchAllWindowId);
+      if (!!catchAll.incognito !== !!incognito) return; // Can't cross the incognito boundary
+      await moveTabToWindow(tabId, config.catchAllWindowId, undefined, { focus: getFocusMode(config) });
+    } catch (e) {
+      // Catch-all window no longer exists
+    }
+  }
+}
+
+const DEFAULT_SETTLE_DELAY = 750;
+
+// tabId → pending timeout. In memory only: a lost timer just means the tab is
+// routed on its next update instead.
+const pendingRoutes = new Map();
+
+function isTransitUrl(url, config) {
+  const hosts = config.transitHosts || [];
+  if (hosts.length === 0) return false;
+  const parsed = parseUrl(url);
+  if (!parsed || !parsed.hostname) return false;
+  const host = parsed.hostname.toLowerCase();
+  return hosts.some(entry => {
+    const wanted = (entry || '').trim().toLowerCase().replace(/^\*\./, '');
+    return !!wanted && (host === wanted || host.endsWith('.' + wanted));
+  });
+}
+
+async function scheduleRouting(tabId) {
+  const config = await getConfig();
+  const delay = config.settleDelay ?? DEFAULT_SETTLE_DELAY;
+
+  // Cleared after the await, so the latest event always owns the timer
+  clearTimeout(pendingRoutes.get(tabId));
+  pendingRoutes.delete(tabId);
+
+  if (delay <= 0) {
+    await routeSettledTab(tabId);
+    return;
+  }
+  pendingRoutes.set(tabId, setTimeout(() => routeSettledTab(tabId), delay));
+}
+
+async function routeSettledTab(tabId) {
+  pendingRoutes.delete(tabId);
+
+  // Re-read the tab: the URL it settled on is what gets routed
+  let tab;
+  try {
+    tab = await chrome.tabs.get(tabId);
+  } catch (e) {
+    return; // Closed while settling
+  }
+
+  const url = tab.url || tab.pendingUrl;
+  if (url && !url.startsWith('chrome://') && !url.startsWith('chrome-extension://')) {
+    await handleTabNavigation(tab.id, url, tab.title, tab.windowId, tab.incognito);
+  }
+}
+
+async function sortAllTabs(options = {}) {
+  const config = await getConfig();
+
+  if (!config.enabled || config.groups.length === 0) {
+    return { moved: 0, grouped: 0, copied: 0, notified: 0, reordered: 0, duplicatesClosed: 0, limited: 0, errors: [], skipped: [] };
+  }
+
+  const reorder = options.reorder ?? !!config.reorderOnSort;
+  let movedCount = 0;
+  let reorderedCount = 0;
+  let createdWindows = 0;
+  let duplicatesClosed = 0;
+  let limitedCount = 0;
+  // Moves of this run share a batch, so "Undo Sort All" can revert them together
+  const batch = `sort-${Date.now()}`;
+  // Tabs handled by a group action other than 'move', keyed by applyRoutingAction's result
+  const actionCounts = { grouped: 0, copied: 0, notified: 0 };
+  const errors = [];
+  // Tabs that match a group whose only window is on the other side of the
+  // incognito boundary — reported instead of moved
+  const skipped = [];
+
+  // Process each group in priority order to avoid conflicts
+  const sortedGroups = [...config.groups].sort((a, b) => a.priority - b.priority);
+
+  let windows = await chrome.windows.getAll({ populate: true });
+  let bindings = await getWindowBindings();
+  const now = new Date();
+
+  for (const group of sortedGroups) {
+    // Same schedules as live routing: inactive groups don't claim tabs
+    if (!isGroupActive(group, now)) {
+      continue;
+    }
+
+
+    // Whether this group has windows of each kind
+    const targets = {
+      normal: (await getBoundWindows(group.name, false, bindings)).windows.length > 0,
+      incognito: (await getBoundWindows(group.name, true, bindings)).windows.length > 0
+    };
+
+    // Collect tabs that match this group but aren't in the right window
+    const tabsToMove = [];
+    for (const window of windows) {
+      if (window.type !== 'normal') continue;
+      const incognito = !!window.incognito;
+      if (!appliesToWindow(group, incognito)) continue;
+
+      for (const tab of window.tabs || []) {
+        if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
+          continue;
+        }
+        if (isTransitUrl(tab.url, config)) continue;
+
+        // Check if this tab matches the current group
+        const matches = groupMatches(config, group, tab.url, tab.title);
+        if (!matches) continue;
+
+
+        // If already in the correct window, just ensure it's in the Chrome tab group
+        const currentWindowGroup = bindings[window.id];
+        if (currentWindowGroup === group.name) {
+          await addTabToExistingChromeGroup(tab.id, window.id, group.name);
+          continue;
+        }
+
+        // Skip if in a window bound to a HIGHER priority group
+        if (currentWindowGroup) {
+          const currentGroupConfig = config.groups.find(g => g.name === currentWindowGroup);
+          if (currentGroupConfig && currentGroupConfig.priority < group.priority) {
+            continue; // Higher priority group owns this window, don't steal tabs
+          }
+        }
+
+        // Never plan a move across the incognito boundary ('group' stays in place,
+        // groups that create their own windows open one of the tab's kind)
+        if (group.action !== 'group' && !group.createWindow &&
+            !targets[incognito ? 'incognito' : 'normal'] && targets[incognito ? 'normal' : 'incognito']) {
+          skipped.push({
+            title: tab.title || '(no title)',
+            url: tab.url,
+            group: group.name,
+            reason: incognito
+              ? `"${group.name}" only has a normal window; incognito tabs can't move there`
+              : `"${group.name}" only has an incognito window; normal tabs can't move there`
+          });
+          continue;
+        }
+
+        tabsToMove.push({ tab, sourceWindowId: window.id, incognito });
+      }
+    }
+
+    // Process moves for this group
+    for (const { tab, sourceWindowId, incognito } of tabsToMove) {
+      try {
+        // Re-check target window (might have been created in previous iteration)
+        const targetWindowId = await findWindowForGroup(group.name, incognito);
+
+        // Verify tab still exists and is in expected window
+        let currentTab;
+        try {
+          currentTab = await chrome.tabs.get(tab.id);
+        } catch (e) {
+          continue; // Tab no longer exists
+        }
+
+        // Actions other than 'move' leave the tab where it is
+        if ((group.action || 'move') !== 'move') {
+          if (targetWindowId === currentTab.windowId) {
+            await addTabToExistingChromeGroup(tab.id, targetWindowId, group.name);
+            continue;
+          }
+          const result = await applyRoutingAction(group, currentTab, targetWindowId);
+          if (result) actionCounts[result]++;
+          continue;
+        }
+
+        // Every window of an 'overflow' group is full: start a new one
+        if (!targetWindowId && await isGroupFull(group, incognito)) {
+          const sourceTabs = await chrome.tabs.query({ windowId: currentTab.windowId });
+          if (sourceTabs.length <= 1) continue;
+          const overflowWindowId = await createWindowForGroup(group.name, tab.id, false);
+          await recordMove(currentTab, overflowWindowId, group.name, 'sortAll', batch);
+          await labelTabsBySubgroup(overflowWindowId, group.name, [currentTab]);
+          noteRoutedWindow(group.name, incognito, overflowWindowId);
+          movedCount++;
+          bindings = await getWindowBindings();
+          continue;
+        }
+
+        // Only move if the group has an assigned window
+        if (targetWindowId) {
+          if (targetWindowId !== currentTab.windowId) {
+            // Guard: don't move the last tab out of a window
+            const sourceTabs = await chrome.tabs.query({ windowId: currentTab.windowId });
+            if (sourceTabs.length <= 1) {
+              continue;
+            }
+            const duplicate = await resolveDuplicates(group.duplicates, currentTab, targetWindowId, { activate: false });
+            if (duplicate) duplicatesClosed += duplicate.closed;
+            if (duplicate && duplicate.keptExisting) continue;
+            const index = await computeTabIndex(group.placement, currentTab, targetWindowId, group.name);
+            await chrome.tabs.move(tab.id, { windowId: targetWindowId, index });
+            await recordMove(currentTab, targetWindowId, group.name, 'sortAll', batch);
+            noteRoutedWindow(group.name, incognito, targetWindowId);
+            movedCount++;
+            // Re-fetch bindings after move (window state may have changed)
+            bindings = await getWindowBindings();
+          }
+          await addTabToExistingChromeGroup(tab.id, targetWindowId, group.name);
+        } else if (group.createWindow) {
+          // No window assigned: groups that create their own open one, within
+          // the per-run limit; others leave the tab where it is
+          if (createdWindows >= SORT_CREATE_LIMIT) {
+            skipped.push({
+              title: currentTab.title || '(no title)',
+              url: currentTab.url,
+              group: group.name,
+              reason: `Sort All opens at most ${SORT_CREATE_LIMIT} new windows at a time; sort again to open one for "${group.name}"`
+            });
+            continue;
+          }
+          const sourceTabs = await chrome.tabs.query({ windowId: currentTab.windowId });
+          if (sourceTabs.length <= 1) continue;
+          const newWindowId = await createWindowForGroup(group.name, tab.id, false);
+          await recordMove(currentTab, newWindowId, group.name, 'sortAll', batch);
+          await labelTabsBySubgroup(newWindowId, group.name, [currentTab]);
+          noteRoutedWindow(group.name, incognito, newWindowId);
+          createdWindows++;
+          movedCount++;
+          bindings = await getWindowBindings();
+        }
+      } catch (e) {
+        errors.push(`Failed to route tab "${tab.title}": ${e.message}`);
+      }
+    }
+
+    // Re-fetch windows for next group iteration (tabs may have moved)
+    if (tabsToMove.length > 0) {
+      windows = await chrome.windows.getAll({ populate: true });
+    }
+  }
+
+  if (reorder) {
+    bindings = await getWindowBindings();
+    for (const [windowId, groupName] of Object.entries(bindings)) {
+      const group = config.groups.find(g => g.name === groupName);
+      if (!group || !SORTED_PLACEMENTS.includes(group.placement)) continue;
+      try {
+        reorderedCount += await reorderWindowTabs(parseInt(windowId, 10), group.placement);
+      } catch (e) {
+        errors.push(`Failed to reorder the "${groupName}" window: ${e.message}`);
+      }
+    }
+  }
+
+  // Tab limits apply once everything is in place
+  for (const group of config.groups) {
+    if (!group.tabLimit) continue;
+    try {
+      limitedCount += await enforceTabLimit(group.name, group.tabLimit);
+    } catch (e) {
+      errors.push(`Failed to apply the tab limit of "${group.name}": ${e.message}`);
+    }
+  }
+
+  return {
+    moved: movedCount,
+    ...actionCounts,
+    reordered: reorderedCount,
+    duplicatesClosed,
+    limited: limitedCount,
+    errors,
+    skipped
+  };
+}
+
+// ============================================================================
+// Test Helpers
+// ============================================================================
+
+function resetMocks() {
+  childTabs.clear();
+  lastRoutedWindow.clear();
+  windowFocusTimes.clear();
+  autoCreatedTimes.length = 0;
+  pendingWindowCreations.clear();
+  autoCreatePausedUntil = 0;
+  clearTimeout(fingerprintTimer);
+  restoredTabs.clear();
+  windowStateTimers.forEach(timer => clearTimeout(timer));
+  windowStateTimers.clear();
+  windowStateWrites = Promise.resolve();
+  sessionClosedWindows.clear();
+  handledRoutes.clear();
+  routeNotifications.clear();
+  routeStateLoaded = null;
+  mockSessionStorage = {};
+  pendingRoutes.forEach(timer => clearTimeout(timer));
+  pendingRoutes.clear();
+  cachedTabActivity = null;
+  Object.values(mockAlarms).forEach(({ timer }) => clearInterval(timer));
+  mockAlarms = {};
+  alarmListeners.length = 0;
+  mockStorage = {};
+  mockWindows = [];
+  mockTabs = [];
+  mockTabGroups = [];
+  nextGroupId = 3000;
+  mockNotifications = {};
+  nextWindowId = 1000;
+  nextTabId = 2000;
+  jest.clearAllMocks();
+}
+
+function createWindow(id = null, incognito = false) {
+  const win = { id: id || nextWindowId++, type: 'normal', focused: false, incognito };
+  mockWindows.push(win);
+  return win;
+}
+
+function createTab(windowId, url, title = '') {
+  const incognito = !!mockWindows.find(w => w.id === windowId)?.incognito;
+  const tab = { id: nextTabId++, windowId, url, title: title || url, incognito };
+  mockTabs.push(tab);
+  return tab;
+}
+
+function setConfig(config) {
+  mockStorage.config = config;
+}
+
+function setBindings(bindings) {
+  mockStorage.windowBindings = bindings;
+}
+
+function getTabsByWindow(windowId) {
+  return mockTabs.filter(t => t.windowId === windowId);
+}
+
+// ============================================================================
+// Happy Path Tests
+// ============================================================================
+
+describe('Tab Shepherd - Happy Path Tests', () => {
+  beforeEach(() => {
+    resetMocks();
+  });
+
+  describe('Basic Sorting', () => {
+    test('moves tab to correct window when pattern matches URL', async () => {
+      // Setup: Window A (3003), Window B (3004), tab in wrong window
+      const windowA = createWindow(100);
+      const windowB = createWindow(200);
+
+      createTab(100, 'http://localhost:3003/app', 'App 3003');
+      createTab(200, 'http://localhost:3004/app', 'App 3004');
+      const misplacedTab = createTab(200, 'http://localhost:3003/other', 'Other 3003'); // In wrong window!
+
+      setConfig({
+        enabled: true,
+        groups: [
+          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple' },
+          { name: '3004', patterns: ['localhost:3004'], priority: 1, mode: 'simple' }
+        ]
+      });
+
+      setBindings({ 100: '3003', 200: '3004' });
+
+      // Act
+      const result = await sortAllTabs();
+
+      // Assert
+      expect(result.moved).toBe(1);
+      expect(result.errors).toHaveLength(0);
+      expect(misplacedTab.windowId).toBe(100); // Should now be in window A
+    });
+
+    test('moves tab to correct window when pattern matches title', async () => {
+      // Setup: Tab with matching title but non-matching URL
+      const windowA = createWindow(100);
+      const windowB = createWindow(200);
+
+      createTab(100, 'http://localhost:3003/app', 'Development Server 3003');
+      const misplacedTab = createTab(200, 'http://example.com/page', 'Feature branch - 3003'); // Title matches!
+      createTab(200, 'https://news.example.org/', 'News'); // Keeps window B open
+
+      setConfig({
+        enabled: true,
+        groups: [
+          { name: '3003', patterns: ['3003'], priority: 0, mode: 'simple' }
+        ]
+      });
+
+      setBindings({ 100: '3003' });
+
+      // Act
+      const result = await sortAllTabs();
+
+      // Assert
+      expect(result.moved).toBe(1);
+      expect(misplacedTab.windowId).toBe(100);
+    });
+
+    test('never moves the last tab out of a window', async () => {
+      createWindow(100);
+      createWindow(200);
+      createTab(100, 'http://localhost:3003/app', 'App 3003');
+      const loneTab = createTab(200, 'http://localhost:3003/other', 'Other 3003');
+
+      setConfig({
+        enabled: true,
+        groups: [
+          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple' }
+        ]
+      });
+      setBindings({ 100: '3003' });
+
+      const result = await sortAllTabs();
+
+      expect(result.moved).toBe(0);
+      expect(loneTab.windowId).toBe(200);
+    });
+
+    test('creates new window when no window is bound to group', async () => {
+      // Setup: Unbound window with a tab that matches a group
+      const windowA = createWindow(100); // Unbound window
+
+      const newGroupTab = createTab(100, 'http://localhost:3003/app', 'App 3003');
+      createTab(100, 'https://news.example.org/', 'News'); // Keeps window A open
+
+      setConfig({
+        enabled: true,
+        groups: [
+          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple', createWindow: true }
+        ]
+      });
 
       setBindings({}); // No windows bound
 
-      // Act
+      // Act
+      const result = await sortAllTabs();
+
+      // Assert
+      expect(result.moved).toBe(1);
+      expect(newGroupTab.windowId).not.toBe(100); // Should be in a NEW window
+      expect(mockWindows.length).toBe(2); // New window was created
+
+      // Verify the new window is bound to the group
+      const bindings = await getWindowBindings();
+      expect(Object.values(bindings)).toContain('3003');
+    });
+
+    test('tabs in higher-priority window stay put even if matching lower-priority group', async () => {
+      // Setup: Tab in high-priority window matches a lower-priority group
+      // This is intentional behavior - higher priority windows "own" their tabs
+      const windowA = createWindow(100);
+
+      createTab(100, 'http://localhost:3003/app', 'App 3003');
+      const mixedTab = createTab(100, 'http://localhost:3004/app', 'App 3004'); // Matches lower priority
+
+      setConfig({
+        enabled: true,
+        groups: [
+          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple' }, // Higher priority
+          { name: '3004', patterns: ['localhost:3004'], priority: 1, mode: 'simple' }  // Lower priority
+        ]
+      });
+
+      setBindings({ 100: '3003' }); // Window bound to higher priority group
+
+      // Act
+      const result = await sortAllTabs();
+
+      // Assert: Tab stays in the higher-priority window (not moved)
+      expect(result.moved).toBe(0);
+      expect(mixedTab.windowId).toBe(100);
+    });
+
+    test('does not move tab already in correct window', async () => {
+      // Setup: All tabs already in correct windows
+      const windowA = createWindow(100);
+      const windowB = createWindow(200);
+
+      createTab(100, 'http://localhost:3003/app', 'App 3003');
+      createTab(200, 'http://localhost:3004/app', 'App 3004');
+
+      setConfig({
+        enabled: true,
+        groups: [
+          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple' },
+          { name: '3004', patterns: ['localhost:3004'], priority: 1, mode: 'simple' }
+        ]
+      });
+
+      setBindings({ 100: '3003', 200: '3004' });
+
+      // Act
+      const result = await sortAllTabs();
+
+      // Assert
+      expect(result.moved).toBe(0);
+      expect(chrome.tabs.move).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('User Bug Scenario - Multiple Windows Same Group', () => {
+    test('scenario: Window A=3003, new Window B=3004, sort should not create duplicate bindings', async () => {
+      /**
+       * User's original bug:
+       * 1. Window A assigned to 3003
+       * 2. New window B assigned to 3004
+       * 3. Click Sort All Tabs
+       * 4. Result: New window C created for 3003, A shows 3004, B unassigned
+       *
+       * Expected: No new windows created, bindings stay correct
+       */
+      const windowA = createWindow(100);
+      const windowB = createWindow(200);
+
+      // Window A has 3003 tab
+      createTab(100, 'http://localhost:3003/app', 'App 3003');
+      // Window B has 3004 tab
+      createTab(200, 'http://localhost:3004/app', 'App 3004');
+
+      setConfig({
+        enabled: true,
+        groups: [
+          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple' },
+          { name: '3004', patterns: ['localhost:3004'], priority: 1, mode: 'simple' }
+        ]
+      });
+
+      setBindings({ 100: '3003', 200: '3004' });
+
+      // Act
+      const result = await sortAllTabs();
+      const bindingsAfter = await getWindowBindings();
+
+      // Assert
+      expect(result.moved).toBe(0); // No tabs should move
+      expect(result.errors).toHaveLength(0);
+      expect(mockWindows.length).toBe(2); // No new windows created
+      expect(bindingsAfter[100]).toBe('3003'); // Window A still 3003
+      expect(bindingsAfter[200]).toBe('3004'); // Window B still 3004
+    });
+
+    test('scenario: tabs in unbound window get sorted to correct bound windows', async () => {
+      /**
+       * Window A bound to 3003, Window B bound to 3004, Window C unbound
+       * Window C has mixed tabs (some 3003, some 3004)
+       * Sort should move tabs to correct windows
+       */
+      const windowA = createWindow(100);
+      const windowB = createWindow(200);
+      const windowC = createWindow(300); // Unbound
+
+      createTab(100, 'http://localhost:3003/main', 'Main 3003');
+      createTab(200, 'http://localhost:3004/main', 'Main 3004');
+
+      // Mixed tabs in unbound window
+      const tab3003 = createTab(300, 'http://localhost:3003/other', 'Other 3003');
+      const tab3004 = createTab(300, 'http://localhost:3004/other', 'Other 3004');
+      createTab(300, 'https://news.example.org/', 'News'); // Keeps window C open
+
+      setConfig({
+        enabled: true,
+        groups: [
+          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple' },
+          { name: '3004', patterns: ['localhost:3004'], priority: 1, mode: 'simple' }
+        ]
+      });
+
+      setBindings({ 100: '3003', 200: '3004' }); // Window C not bound
+
+      // Act
+      const result = await sortAllTabs();
+
+      // Assert
+      expect(result.moved).toBe(2);
+      expect(tab3003.windowId).toBe(100); // Moved to window A
+      expect(tab3004.windowId).toBe(200); // Moved to window B
+    });
+
+    test('bindWindow enforces one window per group', async () => {
+      // Setup: Window A already bound to 3003
+      setBindings({ 100: '3003' });
+
+      // Act: Bind Window B to 3003
+      await bindWindow(200, '3003');
+
+      // Assert: Window A should be unbound, only Window B bound to 3003
+      const bindings = await getWindowBindings();
+      expect(bindings[100]).toBeUndefined();
+      expect(bindings[200]).toBe('3003');
+    });
+  });
+
+  describe('Priority Handling', () => {
+    test('higher priority group processes first', async () => {
+      // Setup: Tab matches multiple groups, should go to higher priority
+      const windowA = createWindow(100);
+      const windowB = createWindow(200);
+
+      createTab(100, 'http://localhost:3003/app', 'Work App');
+      // This tab matches both "localhost" and "3004" patterns
+      const multiMatchTab = createTab(200, 'http://localhost:3004/app', 'Dev App');
+      createTab(200, 'https://news.example.org/', 'News'); // Keeps window B open
+
+      setConfig({
+        enabled: true,
+        groups: [
+          { name: 'Development', patterns: ['localhost'], priority: 0, mode: 'simple' }, // Higher priority
+          { name: '3004', patterns: ['3004'], priority: 1, mode: 'simple' }
+        ]
+      });
+
+      setBindings({ 100: 'Development' });
+
+      // Act
+      const result = await sortAllTabs();
+
+      // Assert: Tab should go to Development window (higher priority)
+      expect(multiMatchTab.windowId).toBe(100);
+    });
+
+    test('does not steal tabs from higher priority window', async () => {
+      // Setup: Tab in high-priority window matches low-priority group too
+      const windowA = createWindow(100);
+      const windowB = createWindow(200);
+
+      // This tab is in "Development" window and matches localhost:3004
+      const tab = createTab(100, 'http://localhost:3004/app', 'Dev App');
+
+      setConfig({
+        enabled: true,
+        groups: [
+          { name: 'Development', patterns: ['localhost'], priority: 0, mode: 'simple' }, // Higher priority
+          { name: '3004', patterns: ['3004'], priority: 1, mode: 'simple' }
+        ]
+      });
+
+      setBindings({ 100: 'Development', 200: '3004' });
+
+      // Act
+      const result = await sortAllTabs();
+
+      // Assert: Tab should stay in Development (won't be stolen by lower priority)
+      expect(tab.windowId).toBe(100);
+      expect(result.moved).toBe(0);
+    });
+  });
+
+  describe('Regex Mode', () => {
+    test('matches tabs using regex patterns', async () => {
+      const windowA = createWindow(100);
+      const windowB = createWindow(200);
+
+      createTab(100, 'http://localhost:3000/app', 'App 3000');
+      const tab3001 = createTab(200, 'http://localhost:3001/app', 'App 3001');
+      const tab3002 = createTab(200, 'http://localhost:3002/app', 'App 3002');
+      createTab(200, 'https://news.example.org/', 'News'); // Keeps window B open
+
+      setConfig({
+        enabled: true,
+        groups: [
+          { name: 'Dev Ports', patterns: ['localhost:300[0-2]'], priority: 0, mode: 'regex' }
+        ]
+      });
+
+      setBindings({ 100: 'Dev Ports' });
+
+      // Act
+      const result = await sortAllTabs();
+
+      // Assert: Both tabs should move to window A (regex matches 3000-3002)
+      expect(result.moved).toBe(2);
+      expect(tab3001.windowId).toBe(100);
+      expect(tab3002.windowId).toBe(100);
+    });
+  });
+
+  describe('Regex Safety', () => {
+    test('flags nested quantifiers and overlapping alternatives as unsafe', () => {
+      for (const pattern of ['(a+)+$', '(\\w+\\s?)*', '(?:x+x+)+y', '((ab)+)+', '(\\d{1,3})+', '(a|ab)+', '(?<n>a*)*']) {
+        expect(checkRegexSafety(pattern)).toMatchObject({ severity: 'unsafe' });
+      }
+    });
+
+    test('flags alternatives and adjacent quantifiers whose characters overlap', () => {
+      for (const pattern of ['(\\w|\\d)+$', '([a-z]|[0-9a-f])+$', '\\d*\\d*\\d*x', '\\w+-?\\d+\\w*!']) {
+        expect(checkRegexSafety(pattern)).toMatchObject({ severity: 'unsafe' });
+      }
+    });
+
+    test('overlapping patterns are refused before they can backtrack', () => {
+      const started = Date.now();
+      expect(matchesPattern('a'.repeat(25) + '!', '(\\w|\\d)+$')).toBe(false);
+      expect(matchesPattern('0'.repeat(25) + '!', '([a-z]|[0-9a-f])+$')).toBe(false);
+      expect(matchesPattern('1'.repeat(3000), '\\d*\\d*\\d*x')).toBe(false);
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    test('warns about repeated groups containing .*', () => {
+      expect(checkRegexSafety('(.*,)+$')).toMatchObject({ severity: 'warning' });
+    });
+
+    test('warns about two adjacent quantifiers that overlap', () => {
+      for (const pattern of ['/issues/\\d+.*', '\\w+-?\\d+$', '(\\.\\w+)*\\w*$']) {
+        expect(checkRegexSafety(pattern)).toMatchObject({ severity: 'warning' });
+      }
+    });
+
+    test('accepts common URL patterns', () => {
+      const patterns = [
+        'github\\.com/(org|team)/.*',
+        '^https?://(www\\.)?example\\.com',
+        '([a-z0-9-]+\\.)+atlassian\\.net',
+        '[(]a+[)]+',
+        '\\(a+\\)+',
+        '(foo|bar)+',
+        '(b{2})+',
+        '(a|b)+$',
+        '\\w*(\\.\\w+)*$',
+        '\\d+-\\d+'
+      ];
+      for (const pattern of patterns) {
+        expect(checkRegexSafety(pattern)).toBeNull();
+      }
+    });
+
+    test('findUnsafePatterns covers regex patterns, excludes and regex conditions', () => {
+      const issues = findUnsafePatterns({
+        mode: 'regex',
+        patterns: ['github\\.com', '(a+)+'],
+        excludePatterns: ['(.*,)+'],
+        conditions: [{ type: 'path', match: 'regex', value: '(x|xy)*' }, { type: 'host', value: '(a+)+' }]
+      });
+
+      expect(issues.map(i => [i.where, i.pattern, i.severity])).toEqual([
+        ['pattern', '(a+)+', 'unsafe'],
+        ['exclude', '(.*,)+', 'warning'],
+        ['path condition', '(x|xy)*', 'unsafe']
+      ]);
+      expect(findUnsafePatterns({ mode: 'simple', patterns: ['(a+)+'] })).toEqual([]);
+    });
+
+    test('unsafe patterns are refused and never match', () => {
+      const config = {
+        enabled: true,
+        groups: [
+          { name: 'Bad', patterns: ['(a+)+$'], mode: 'regex', priority: 0 },
+          { name: 'Good', patterns: ['aaa'], mode: 'regex', priority: 1 }
+        ]
+      };
+      const url = 'https://example.com/' + 'a'.repeat(40) + '!';
+
+      expect(matchesPattern(url, '(a+)+$')).toBe(false);
+      expect(findMatchingGroup(url, 'Title', config).name).toBe('Good');
+    });
+  });
+
+  describe('URL Normalization', () => {
+    const defaults = getNormalization({ normalization: { enabled: true } });
+
+    test('is off unless the config switches it on', () => {
+      const url = 'https://example.com/?utm_source=x';
+      expect(getNormalization({}).enabled).toBe(false);
+      expect(normalizeUrl(url, getNormalization({}))).toBe(url);
+      expect(findMatchingGroup(url, 'T', { enabled: true, groups: [{ name: 'Tracked', patterns: ['utm_source'], mode: 'simple', priority: 0 }] }).name).toBe('Tracked');
+    });
+
+    test('strips tracking params, decodes and unwraps redirectors with the default settings', () => {
+      expect(normalizeUrl('https://example.com/caf%C3%A9?utm_source=x&id=2&fbclid=abc#top', defaults))
+        .toBe('https://example.com/café?id=2#top');
+      expect(normalizeUrl('https://www.google.com/url?sa=t&q=https%3A%2F%2Fgithub.com%2Forg%3Futm_medium%3Dx&usg=1', defaults))
+        .toBe('https://github.com/org');
+      expect(normalizeUrl('https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.org%2Fpost&h=x', defaults))
+        .toBe('https://example.org/post');
+    });
+
+    test('keeps the encoding of the params it does not strip', () => {
+      const raw = { ...defaults, decode: false };
+      expect(normalizeUrl('https://example.com/search?q=a%20b&utm_source=x&tag=c+d', raw))
+        .toBe('https://example.com/search?q=a%20b&tag=c+d');
+      expect(normalizeUrl('https://example.com/?utm%5Fsource=x&id=1', raw)).toBe('https://example.com/?id=1');
+    });
+
+    test('decodes punycode hosts and optionally strips www', () => {
+      expect(normalizeUrl('https://xn--bcher-kva.example/', defaults)).toBe('https://bücher.example/');
+      expect(normalizeUrl('https://WWW.Example.com/a', { ...defaults, stripWww: true })).toBe('https://example.com/a');
+      expect(normalizeUrl('https://WWW.Example.com/a', { ...defaults, lowercaseHost: false })).toBe('https://WWW.Example.com/a');
+    });
+
+    test('leaves non-http URLs, malformed escapes and disabled settings alone', () => {
+      expect(normalizeUrl('file:///tmp/a%20b', defaults)).toBe('file:///tmp/a%20b');
+      expect(normalizeUrl('https://example.com/%E0%A4%A', defaults)).toBe('https://example.com/%E0%A4%A');
+      expect(normalizeUrl('https://example.com/?utm_source=x', { enabled: false })).toBe('https://example.com/?utm_source=x');
+    });
+
+    test('routes on the normalized URL, with per-group overrides', async () => {
+      createWindow(100);
+      createWindow(200);
+      createWindow(300);
+      createTab(100, 'https://example.com/', 'Home');
+      createTab(200, 'https://example.org/', 'Other');
+      setConfig({
+        enabled: true,
+        normalization: { enabled: true, stripWww: true },
+        groups: [
+          { name: 'Raw', patterns: ['^https://www\\.news\\.example/'], mode: 'regex', priority: 0, normalization: { enabled: false } },
+          { name: 'GitHub', patterns: ['^https://github\\.com/'], mode: 'regex', priority: 1 }
+        ]
+      });
+      setBindings({ 100: 'GitHub', 200: 'Raw' });
+
+      const wrapped = createTab(300, 'https://www.google.com/url?q=https://www.github.com/org/repo', 'Redirect');
+      createTab(300, 'https://example.net/', 'Misc');
+      await handleTabNavigation(wrapped.id, wrapped.url, wrapped.title, wrapped.windowId);
+      const raw = createTab(300, 'https://www.news.example/story', 'Story');
+      await handleTabNavigation(raw.id, raw.url, raw.title, raw.windowId);
+
+      expect(wrapped.windowId).toBe(100);
+      expect(raw.windowId).toBe(200);
+    });
+
+    test('compiled matcher agrees with per-group normalization', () => {
+      const config = {
+        enabled: true,
+        normalization: { enabled: true },
+        groups: [
+          { name: 'Tracked', patterns: ['utm_source'], mode: 'simple', priority: 0, normalization: { enabled: false } },
+          { name: 'Example', patterns: ['example.com'], mode: 'simple', priority: 1 }
+        ]
+      };
+      for (const url of ['https://example.com/?utm_source=x', 'https://www.google.com/url?q=https://example.com/', 'https://other.test/']) {
+        expect(findMatchingGroup(url, 'T', config)?.name).toBe(findMatchingGroupUncompiled(url, 'T', config)?.name);
+      }
+      expect(findMatchingGroup('https://example.com/?utm_source=x', 'T', config).name).toBe('Tracked');
+    });
+
+    test('explainRouting reports the normalized URL', async () => {
+      setConfig({ enabled: true, normalization: { enabled: true }, groups: [{ name: 'GitHub', patterns: ['github.com/org?'], mode: 'simple', priority: 0 }] });
+
+      const trace = await explainRouting('https://github.com/org?utm_source=mail', 'Org');
+
+      expect(trace.normalizedUrl).toBe('https://github.com/org');
+      expect(trace.groups[0]).toMatchObject({ normalizedUrl: 'https://github.com/org', matched: false });
+    });
+  });
+
+  describe('Structured Conditions', () => {
+    test('host condition matches the host and its subdomains, not the title', () => {
+      const group = { name: 'GitHub', patterns: [], conditions: [{ type: 'host', value: 'github.com' }] };
+
+      expect(tabMatchesGroup('https://github.com/myorg', 'Repo', group)).toBe(true);
+      expect(tabMatchesGroup('https://api.github.com/repos', 'API', group)).toBe(true);
+      expect(tabMatchesGroup('https://example.com/', 'Why I love github.com', group)).toBe(false);
+      expect(tabMatchesGroup('https://notgithub.com/', 'Other', group)).toBe(false);
+    });
+
+    test('AND logic requires every condition (host + path prefix)', () => {
+      const group = {
+        name: 'MyOrg',
+        patterns: [],
+        conditionLogic: 'all',
+        conditions: [
+          { type: 'host', value: 'github.com' },
+          { type: 'path', value: '/myorg', match: 'prefix' }
+        ]
+      };
+
+      expect(tabMatchesGroup('https://github.com/myorg/repo', 'Repo', group)).toBe(true);
+      expect(tabMatchesGroup('https://github.com/other/repo', 'Repo', group)).toBe(false);
+      expect(tabMatchesGroup('https://gitlab.com/myorg/repo', 'Repo', group)).toBe(false);
+    });
+
+    test('OR logic accepts any condition', () => {
+      const group = {
+        name: 'Dev',
+        patterns: [],
+        conditionLogic: 'any',
+        conditions: [
+          { type: 'port', value: '3004' },
+          { type: 'query', key: 'window', value: 'artemis-4' }
+        ]
+      };
+
+      expect(tabMatchesGroup('http://localhost:3004/', 'App', group)).toBe(true);
+      expect(tabMatchesGroup('https://example.com/?window=artemis-4', 'Page', group)).toBe(true);
+      expect(tabMatchesGroup('https://example.com/?window=other', 'Page', group)).toBe(false);
+    });
+
+    test('path regex, title and implicit port conditions', () => {
+      expect(matchesCondition(parseUrl('https://x.com/pull/42'), '', { type: 'path', value: '^/pull/\\d+$', match: 'regex' })).toBe(true);
+      expect(matchesCondition(null, '[ART-12] Fix', { type: 'title', value: 'art-12' })).toBe(true);
+      expect(matchesCondition(parseUrl('https://x.com/'), '', { type: 'port', value: '443' })).toBe(true);
+      expect(matchesCondition(parseUrl('https://x.com/?debug'), '', { type: 'query', key: 'debug', value: '' })).toBe(true);
+    });
+
+    test('legacy pattern-only groups still match URL or title', () => {
+      const group = { name: 'Legacy', patterns: ['github.com'], mode: 'simple' };
+
+      expect(tabMatchesGroup('https://github.com/', 'Home', group)).toBe(true);
+      expect(tabMatchesGroup('https://example.com/', 'github.com mention', group)).toBe(true);
+    });
+
+    test('sortAllTabs routes tabs by conditions', async () => {
+      createWindow(100);
+      createWindow(200);
+      createTab(100, 'https://github.com/myorg/a', 'A');
+      createTab(200, 'https://example.com/', 'Other');
+      const orgTab = createTab(200, 'https://github.com/myorg/b', 'B');
+      const otherOrgTab = createTab(200, 'https://github.com/other/c', 'C');
+
+      setConfig({
+        enabled: true,
+        groups: [
+          {
+            name: 'MyOrg',
+            patterns: [],
+            priority: 0,
+            conditions: [
+              { type: 'host', value: 'github.com' },
+              { type: 'path', value: '/myorg', match: 'prefix' }
+            ]
+          }
+        ]
+      });
+      setBindings({ 100: 'MyOrg' });
+
+      const result = await sortAllTabs();
+
+      expect(result.moved).toBe(1);
+      expect(orgTab.windowId).toBe(100);
+      expect(otherOrgTab.windowId).toBe(200);
+    });
+  });
+
+  describe('Glob Mode', () => {
+    test('* stays within a segment, ** crosses segments', () => {
+      expect(matchesPattern('https://acme.atlassian.net/browse/PROJ-123', '*.atlassian.net/browse/PROJ-*', 'glob')).toBe(true);
+      expect(matchesPattern('https://acme.atlassian.net/browse/OTHER-1', '*.atlassian.net/browse/PROJ-*', 'glob')).toBe(false);
+      expect(matchesPattern('https://github.com/org/repo/pull/1', 'github.com/*/pull/*', 'glob')).toBe(false);
+      expect(matchesPattern('https://github.com/org/repo/pull/1', 'github.com/**/pull/*', 'glob')).toBe(true);
+      expect(matchesPattern('https://github.com/pull/1', 'github.com/**/pull/*', 'glob')).toBe(true);
+    });
+
+    test('? matches one character and regex characters are literal', () => {
+      expect(matchesPattern('http://localhost:3004/', 'localhost:300?/**', 'glob')).toBe(true);
+      expect(matchesPattern('http://localhost:30045/', 'localhost:300?/**', 'glob')).toBe(false);
+      expect(matchesPattern('https://githubXcom/', 'github.com/**', 'glob')).toBe(false);
+    });
+
+    test('query string and hash are allowed after the glob; scheme only when given', () => {
+      expect(matchesPattern('https://docs.google.com/doc?id=1#h', 'docs.google.com/doc', 'glob')).toBe(true);
+      expect(matchesPattern('http://example.com/', 'https://example.com/', 'glob')).toBe(false);
+      expect(matchesPattern('https://example.com/', 'https://example.com/', 'glob')).toBe(true);
+    });
+
+    test('glob groups route through tabMatchesGroup', () => {
+      const group = { name: 'Jira', patterns: ['*.atlassian.net/browse/PROJ-*'], mode: 'glob' };
+
+      expect(tabMatchesGroup('https://acme.atlassian.net/browse/PROJ-9', 'PROJ-9', group)).toBe(true);
+      expect(tabMatchesGroup('https://acme.atlassian.net/wiki', 'Wiki', group)).toBe(false);
+    });
+  });
+
+  describe('Compiled Matcher', () => {
+    const config = {
+      enabled: true,
+      groups: [
+        { name: 'artemis-4', patterns: ['localhost:300[4-6]'], mode: 'regex', priority: 0 },
+        { name: 'GitHub', patterns: ['github.com'], excludePatterns: ['gist.github.com'], mode: 'simple', priority: 1 },
+        { name: 'Jira', patterns: ['*.atlassian.net/browse/**'], mode: 'glob', priority: 2 },
+        { name: 'Docs', patterns: ['docs.google.com', 'notion'], mode: 'simple', priority: 3 },
+        { name: 'MyOrg', patterns: [], conditions: [{ type: 'host', value: 'gitlab.com' }, { type: 'path', value: '/myorg' }], priority: 4 },
+        { name: 'Broken', patterns: ['(unclosed'], mode: 'regex', priority: 5 },
+        { name: 'Hub', patterns: ['hub'], mode: 'simple', priority: 6 },
+        { name: 'Intranet', patterns: [], conditions: [{ type: 'host', value: 'corp.example' }, { type: 'host', value: 'Wiki.Internal' }], conditionLogic: 'any', priority: 7 }
+      ]
+    };
+
+    const cases = [
+      ['http://localhost:3005/app', 'App'],
+      ['https://github.com/org/repo', 'Repo'],
+      ['https://api.github.com/repos', 'API'],
+      ['https://gist.github.com/x', 'Gist'],
+      ['https://example.com/?ref=github.com', 'Referral'],
+      ['https://example.com/', 'Shared via docs.google.com'],
+      ['https://acme.atlassian.net/browse/PROJ-1', 'Issue'],
+      ['https://gitlab.com/myorg/repo', 'GitLab'],
+      ['https://gitlab.com/other/repo', 'GitLab other'],
+      ['https://www.notion.so/page', 'Page'],
+      ['https://example.com/', '[artemis-4] feat: thing'],
+      ['https://gist.github.com/y', 'GitHub gist'],
+      ['https://example.com/', 'Nothing here'],
+      ['https://hr.corp.example/people', 'People'],
+      ['https://wiki.internal/', 'Wiki'],
+      ['https://notcorp.example/', 'Lookalike'],
+      ['https://example.com/?next=corp.example', 'Redirect'],
+      ['not a url', '']
+    ];
+
+    test.each(cases)('matches the uncompiled tiers for %s', (url, title) => {
+      expect(findMatchingGroup(url, title, config)).toBe(findMatchingGroupUncompiled(url, title, config));
+    });
+
+    test('groupMatches agrees with tabMatchesGroup for every group', () => {
+      for (const [url, title] of cases) {
+        for (const group of config.groups) {
+          expect(groupMatches(config, group, url, title)).toBe(tabMatchesGroup(url, title, group));
+        }
+      }
+    });
+
+    test('is compiled once per config and rebuilt when the config object changes', () => {
+      compiledMatcher = null;
+      findMatchingGroup('https://github.com/', 'x', config);
+      const first = compiledMatcher;
+      findMatchingGroup('https://notion.so/', 'y', config);
+      expect(compiledMatcher).toBe(first);
+
+      const updated = { ...config, groups: [...config.groups] };
+      findMatchingGroup('https://github.com/', 'x', updated);
+      expect(compiledMatcher).not.toBe(first);
+    });
+
+    test('regex patterns and conditions share one compiled regex per source', () => {
+      regexCache.clear();
+      const group = { name: 'Org', patterns: [], conditions: [{ type: 'path', value: '^/org/', match: 'regex' }] };
+
+      expect(tabMatchesGroup('https://github.com/org/repo', 'Repo', group)).toBe(true);
+      const compiled = regexCache.get('re:^/org/');
+      expect(matchesPattern('/org/other', '^/org/')).toBe(true);
+      expect(regexCache.get('re:^/org/')).toBe(compiled);
+      expect(matchesPattern('https://github.com/', '')).toBe(false);
+    });
+
+    test('host buckets index host-like simple patterns', () => {
+      const matcher = compileMatcher(config);
+      const hits = hostBucketHits(matcher, makeSubject('https://api.github.com/repos', 'API'));
+
+      expect([...hits].map(e => e.group.name)).toEqual(['GitHub']);
+      expect(matcher.hostBuckets.has('notion')).toBe(false);
+    });
+
+    test('groups with only host conditions are skipped outside their host', () => {
+      const matcher = compileMatcher(config);
+      const anchored = [...matcher.hostAnchored].map(e => e.group.name);
+      const hitNames = url => [...hostConditionHits(matcher, makeSubject(url, ''))].map(e => e.group.name);
+
+      // MyOrg also has a path condition, so it is always scanned
+      expect(anchored).toEqual(['Intranet']);
+      expect(hitNames('https://hr.corp.example/people')).toEqual(['Intranet']);
+      expect(hitNames('https://notcorp.example/')).toEqual([]);
+      expect(hitNames('https://example.com/?next=corp.example')).toEqual([]);
+    });
+  });
+
+  describe('Title-Name Matching', () => {
+    const pattern = { name: 'Fallback', patterns: ['example.com'], mode: 'simple', priority: 0 };
+
+    test('legacy groups match their name anywhere in the title', () => {
+      const docs = { name: 'docs', patterns: ['notion.so'], mode: 'simple', priority: 1 };
+      const config = { enabled: true, groups: [pattern, docs] };
+
+      expect(findMatchingGroup('https://example.com/', 'Gdocs export', config)).toBe(docs);
+    });
+
+    test('disabled groups are skipped in tier 1', () => {
+      const docs = { name: 'docs', patterns: ['notion.so'], mode: 'simple', priority: 1, titleMatch: { enabled: false } };
+      const config = { enabled: true, groups: [pattern, docs] };
+
+      expect(findMatchingGroup('https://example.com/', 'API docs', config)).toBe(pattern);
+    });
+
+    test('whole-word mode ignores partial words', () => {
+      const docs = { name: 'docs', patterns: [], priority: 1, titleMatch: { mode: 'word' } };
+
+      expect(findTitleNameMatch('Gdocs export', docs)).toBeNull();
+      expect(findTitleNameMatch('API docs - Home', docs)).toBe('docs');
+      expect(findTitleNameMatch('Docs', docs)).toBe('docs');
+    });
+
+    test('tag mode requires a bracketed name or alias', () => {
+      const artemis = { name: 'artemis-4', patterns: [], titleMatch: { mode: 'tag', aliases: ['ART'] } };
+
+      expect(findTitleNameMatch('artemis-4 notes', artemis)).toBeNull();
+      expect(findTitleNameMatch('[artemis-4] feat: login', artemis)).toBe('artemis-4');
+      expect(findTitleNameMatch('[art] fix: logout', artemis)).toBe('ART');
+    });
+
+    test('aliases are matched like the name', () => {
+      const artemis = { name: 'artemis-4', patterns: [], priority: 1, titleMatch: { mode: 'contains', aliases: ['[a4]'] } };
+      const config = { enabled: true, groups: [pattern, artemis] };
+
+      expect(findMatchingGroup('https://example.com/', '[A4] review', config)).toBe(artemis);
+      expect(findMatchingGroupUncompiled('https://example.com/', '[A4] review', config)).toBe(artemis);
+    });
+  });
+
+  describe('Schedules', () => {
+    // 2024-01-08 is a Monday
+    const mondayAt = (hh, mm = 0) => new Date(2024, 0, 8, hh, mm);
+    const saturdayAt = (hh, mm = 0) => new Date(2024, 0, 13, hh, mm);
+    const workHours = { days: [1, 2, 3, 4, 5], ranges: [{ start: '09:00', end: '18:00' }] };
+
+    test('groups without a schedule are always active', () => {
+      expect(isGroupActive({ name: 'Any' }, mondayAt(3))).toBe(true);
+      expect(isGroupActive({ name: 'Off', schedule: { ...workHours, enabled: false } }, saturdayAt(3))).toBe(true);
+    });
+
+    test('"during" schedules are active only inside the weekday and time range', () => {
+      const group = { name: 'Work', schedule: { ...workHours, activeWhen: 'during' } };
+
+      expect(isGroupActive(group, mondayAt(9))).toBe(true);
+      expect(isGroupActive(group, mondayAt(17, 59))).toBe(true);
+      expect(isGroupActive(group, mondayAt(18))).toBe(false);
+      expect(isGroupActive(group, saturdayAt(12))).toBe(false);
+    });
+
+    test('"outside" schedules invert the range (distraction window after hours)', () => {
+      const social = { name: 'Social', schedule: { ...workHours, activeWhen: 'outside' } };
+
+      expect(isGroupActive(social, mondayAt(12))).toBe(false);
+      expect(isGroupActive(social, mondayAt(20))).toBe(true);
+      expect(isGroupActive(social, saturdayAt(12))).toBe(true);
+    });
+
+    test('overnight ranges continue past midnight on the following day', () => {
+      const night = { name: 'Night', schedule: { days: [1], ranges: [{ start: '22:00', end: '02:00' }] } };
+      const tuesdayAt = (hh) => new Date(2024, 0, 9, hh);
+
+      expect(isGroupActive(night, mondayAt(23))).toBe(true);
+      expect(isGroupActive(night, tuesdayAt(1))).toBe(true);
+      expect(isGroupActive(night, tuesdayAt(23))).toBe(false);
+    });
+
+    test('findMatchingGroup skips inactive groups and falls through', () => {
+      const config = {
+        enabled: true,
+        groups: [
+          { name: 'Social', patterns: ['reddit.com'], mode: 'simple', priority: 0, schedule: { ...workHours, activeWhen: 'outside' } },
+          { name: 'blocked-later', patterns: ['reddit.com'], mode: 'simple', priority: 1, schedule: workHours }
+        ]
+      };
+
+      expect(findMatchingGroup('https://reddit.com/', 'Reddit', config, { now: mondayAt(10) }).name).toBe('blocked-later');
+      expect(findMatchingGroup('https://reddit.com/', 'Reddit', config, { now: mondayAt(20) }).name).toBe('Social');
+      expect(findMatchingGroupUncompiled('https://reddit.com/', 'Reddit', config, { now: mondayAt(10) }).name).toBe('blocked-later');
+    });
+
+    test('sortAllTabs does not route tabs for inactive groups', async () => {
+      jest.useFakeTimers({ now: mondayAt(10), doNotFake: ['nextTick', 'setImmediate'] });
+      try {
+        createWindow(100);
+        createWindow(200);
+        createTab(100, 'https://x.com/home', 'Home');
+        const redditTab = createTab(200, 'https://reddit.com/r/all', 'Reddit');
+        createTab(200, 'https://example.com/', 'Example');
+
+        setConfig({
+          enabled: true,
+          groups: [{ name: 'Social', patterns: ['reddit.com'], mode: 'simple', priority: 0, schedule: { ...workHours, activeWhen: 'outside' } }]
+        });
+        setBindings({ 100: 'Social' });
+
+        const result = await sortAllTabs();
+
+        expect(result.moved).toBe(0);
+        expect(redditTab.windowId).toBe(200);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('Exclusion Patterns', () => {
+    const github = {
+      name: 'GitHub',
+      patterns: ['github.com'],
+      excludePatterns: ['github.com/notifications', 'gist.github.com'],
+      mode: 'simple',
+      priority: 0
+    };
+
+    test('exclude pattern disqualifies an otherwise matching group', () => {
+      expect(tabMatchesGroup('https://github.com/myorg/repo', 'Repo', github)).toBe(true);
+      expect(tabMatchesGroup('https://github.com/notifications', 'Notifications', github)).toBe(false);
+      expect(tabMatchesGroup('https://gist.github.com/abc', 'Gist', github)).toBe(false);
+      expect(findExcludeMatch('https://gist.github.com/abc', 'Gist', github)).toBe('gist.github.com');
+    });
+
+    test('excluded tab falls through to a lower-priority group', () => {
+      const config = {
+        enabled: true,
+        groups: [github, { name: 'Inbox', patterns: ['notifications'], mode: 'simple', priority: 1 }]
+      };
+
+      expect(findMatchingGroup('https://github.com/notifications', 'Notifications', config).name).toBe('Inbox');
+      expect(findMatchingGroup('https://gist.github.com/abc', 'Gist', config)).toBeNull();
+    });
+
+    test('exclude also applies to title-name matches', () => {
+      const config = { enabled: true, groups: [github] };
+
+      expect(findMatchingGroup('https://gist.github.com/abc', 'GitHub gist', config)).toBeNull();
+    });
+
+    test('regex-mode groups use regex excludes', () => {
+      const group = { name: 'Docs', patterns: ['docs\\.'], excludePatterns: ['/settings$'], mode: 'regex' };
+
+      expect(tabMatchesGroup('https://docs.example.com/page', 'Page', group)).toBe(true);
+      expect(tabMatchesGroup('https://docs.example.com/settings', 'Settings', group)).toBe(false);
+    });
+  });
+
+  describe('Explain Routing', () => {
+    const groups = [
+      { name: 'artemis-4', patterns: ['localhost:3004'], mode: 'simple', priority: 0, titleMatch: { mode: 'tag' } },
+      { name: 'GitHub', patterns: ['github.com'], excludePatterns: ['gist.github.com'], mode: 'simple', priority: 1 },
+      { name: 'Dev', patterns: [], conditions: [{ type: 'host', value: 'github.com' }], priority: 2 }
+    ];
+
+    test('reports the tier-2 pattern, every group and the binding lookup', async () => {
+      createWindow(100);
+      createWindow(200);
+      setConfig({ enabled: true, groups });
+      setBindings({ 100: 'GitHub' });
+
+      const trace = await explainRouting('https://github.com/org/repo', 'Repo', 200);
+
+      expect(trace.tier).toBe(2);
+      expect(trace.matchedGroup).toBe('GitHub');
+      expect(trace.groups.map(g => [g.name, g.matched])).toEqual([
+        ['artemis-4', false], ['GitHub', true], ['Dev', true]
+      ]);
+      expect(trace.groups[1]).toMatchObject({ pattern: 'github.com', chosen: true });
+      expect(trace.groups[2]).toMatchObject({ conditionMatch: true, chosen: false });
+      expect(trace.binding).toEqual({ group: 'GitHub', boundWindowIds: [100], windowId: 100, otherKindWindowId: null, policy: 'single', overflow: false });
+      expect(trace.outcome).toMatch(/Moves to the "GitHub" window 100/);
+    });
+
+    test('reports tier-1 title hits and exclusions', async () => {
+      createWindow(100);
+      setConfig({ enabled: true, groups });
+      setBindings({});
+
+      const trace = await explainRouting('https://gist.github.com/x', '[artemis-4] notes', 100);
+
+      expect(trace.tier).toBe(1);
+      expect(trace.titleHits).toEqual([{ group: 'artemis-4', term: 'artemis-4', excludedBy: null, inactive: false, outOfScope: false }]);
+      expect(trace.groups.find(g => g.name === 'GitHub')).toMatchObject({ excludedBy: 'gist.github.com', matched: false });
+      expect(trace.outcome).toMatch(/no window is assigned/);
+    });
+
+    test('falls back to the catch-all window', async () => {
+      createWindow(100);
+      createWindow(300);
+      setConfig({ enabled: true, groups, catchAllWindowId: 300 });
+      setBindings({});
+
+      const trace = await explainRouting('https://example.com/', 'Example', 100);
+
+      expect(trace.matchedGroup).toBeNull();
+      expect(trace.catchAll).toEqual({ windowId: 300, exists: true, crossesIncognito: false });
+      expect(trace.outcome).toMatch(/catch-all window 300/);
+    });
+
+    test('explains why internal pages and disabled configs are skipped', async () => {
+      setConfig({ enabled: true, groups });
+      expect((await explainRouting('chrome://settings', 'Settings')).skipped).toMatch(/Internal/);
+
+      setConfig({ enabled: false, groups });
+      expect((await explainRouting('https://github.com/', 'GitHub')).skipped).toMatch(/disabled/);
+    });
+  });
+
+  describe('Opener-Aware Routing', () => {
+    function setup(keepChildren) {
+      createWindow(100);
+      createWindow(200);
+      createWindow(300);
+      const parent = createTab(100, 'https://dev.example.com/research', 'Research');
+      createTab(200, 'https://github.com/', 'GitHub');
+      createTab(300, 'https://example.org/', 'Misc');
+
+      setConfig({
+        enabled: true,
+        catchAllWindowId: 300,
+        groups: [
+          { name: 'artemis-dev', patterns: ['dev.example.com'], mode: 'simple', priority: 0, keepChildren },
+          { name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 1 }
+        ]
+      });
+      setBindings({ 100: 'artemis-dev', 200: 'GitHub' });
+      return parent;
+    }
+
+    async function openChild(parent, url) {
+      const child = createTab(parent.windowId, url, url);
+      child.openerTabId = parent.id;
+      await rememberChildTab(child);
+      await handleTabNavigation(child.id, url, child.title, child.windowId);
+      return child;
+    }
+
+    test('"above" keeps a child with its parent even when another group matches', async () => {
+      const parent = setup('above');
+
+      const child = await openChild(parent, 'https://github.com/org/repo');
+
+      expect(child.windowId).toBe(100);
+      expect(chrome.tabs.move).not.toHaveBeenCalled();
+    });
+
+    test('"below" lets patterns win but keeps unmatched children out of the catch-all', async () => {
+      const parent = setup('below');
+
+      const matched = await openChild(parent, 'https://github.com/org/repo');
+      const unmatched = await openChild(parent, 'https://blog.example.net/post');
+
+      expect(matched.windowId).toBe(200);
+      expect(unmatched.windowId).toBe(100);
+    });
+
+    test('without keepChildren, children route normally', async () => {
+      const parent = setup(undefined);
+
+      const child = await openChild(parent, 'https://blog.example.net/post');
+
+      expect(childTabs.has(child.id)).toBe(false);
+      expect(child.windowId).toBe(300);
+    });
+
+    test('a child moved out of the parent window is forgotten', async () => {
+      const parent = setup('above');
+      const child = await openChild(parent, 'https://github.com/org/repo');
+
+      child.windowId = 300;
+      await handleTabNavigation(child.id, child.url, child.title, child.windowId);
+
+      expect(child.windowId).toBe(200);
+      expect(childTabs.has(child.id)).toBe(false);
+    });
+  });
+
+  describe('Routing Actions', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      createWindow(100);
+      createWindow(200);
+      createTab(100, 'https://example.org/', 'Home');
+      createTab(200, 'https://github.com/', 'GitHub');
+      setConfig({
+        enabled: true,
+        catchAllWindowId: null,
+        groups: [
+          { name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 0, action: 'move' }
+        ]
+      });
+      setBindings({ 200: 'GitHub' });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    function setAction(action) {
+      mockStorage.config.groups[0].action = action;
+    }
+
+    test('"group" leaves the tab in its window inside a named tab group', async () => {
+      setAction('group');
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+
+      const routing = handleTabNavigation(tab.id, tab.url, tab.title, 100);
+      await jest.advanceTimersByTimeAsync(500);
+      await routing;
+
+      expect(tab.windowId).toBe(100);
+      const tabGroup = mockTabGroups.find(g => g.id === tab.groupId);
+      expect(tabGroup).toMatchObject({ windowId: 100, title: 'GitHub' });
+
+      // Already grouped: later updates don't regroup it
+      chrome.tabs.group.mockClear();
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+      expect(chrome.tabs.group).not.toHaveBeenCalled();
+    });
+
+    test('"group" works without a bound window', async () => {
+      setAction('group');
+      setBindings({});
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+
+      const routing = handleTabNavigation(tab.id, tab.url, tab.title, 100);
+      await jest.advanceTimersByTimeAsync(500);
+      await routing;
+
+      expect(mockTabGroups.find(g => g.id === tab.groupId)?.title).toBe('GitHub');
+    });
+
+    test('"duplicate" opens one copy in the group window and keeps the original', async () => {
+      setAction('duplicate');
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+
+      expect(tab.windowId).toBe(100);
+      expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ windowId: 200, url: 'https://github.com/org/repo', active: false });
+
+      // A new URL in the same tab is copied again
+      await handleTabNavigation(tab.id, 'https://github.com/org/other', tab.title, 100);
+      expect(chrome.tabs.create).toHaveBeenCalledTimes(2);
+    });
+
+    test('"notify" shows one notification and "Send there" moves the tab', async () => {
+      setAction('notify');
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+
+      expect(tab.windowId).toBe(100);
+      expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+      const notificationId = `route-${tab.id}`;
+      expect(mockNotifications[notificationId]).toMatchObject({ title: 'Belongs in "GitHub"', message: 'Repo' });
+
+      await handleRouteNotificationButton(notificationId);
+      expect(tab.windowId).toBe(200);
+      expect(mockNotifications[notificationId]).toBeUndefined();
+      expect(routeNotifications.size).toBe(0);
+    });
+
+    // What a service worker restart leaves: empty in-memory state, storage.session intact
+    function restartServiceWorker() {
+      handledRoutes.clear();
+      routeNotifications.clear();
+      routeStateLoaded = null;
+    }
+
+    test('"Send there" still works after the service worker restarts', async () => {
+      setAction('notify');
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+
+      restartServiceWorker();
+      await handleRouteNotificationButton(`route-${tab.id}`);
+
+      expect(tab.windowId).toBe(200);
+      expect(mockSessionStorage.routeState.notifications).toEqual({});
+    });
+
+    test('"duplicate" remembers its tabs across a service worker restart', async () => {
+      setAction('duplicate');
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+
+      restartServiceWorker();
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+
+      expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('closing a tab forgets its routes and clears its notification', async () => {
+      setAction('notify');
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+
+      restartServiceWorker();
+      await forgetRoutes(tab.id);
+
+      expect(mockNotifications[`route-${tab.id}`]).toBeUndefined();
+      expect(mockSessionStorage.routeState).toEqual({ handled: {}, notifications: {} });
+    });
+
+    test('sortAllTabs applies each group\'s action and counts the results', async () => {
+      setConfig({
+        enabled: true,
+        catchAllWindowId: null,
+        groups: [
+          { name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 0, action: 'duplicate' },
+          { name: 'Docs', patterns: ['docs.google.com'], mode: 'simple', priority: 1, action: 'group' },
+          { name: 'Mail', patterns: ['mail.google.com'], mode: 'simple', priority: 2, action: 'notify' }
+        ]
+      });
+      createWindow(300);
+      setBindings({ 200: 'GitHub', 300: 'Mail' });
+      const repo = createTab(100, 'https://github.com/org/repo', 'Repo');
+      const doc = createTab(100, 'https://docs.google.com/d/1', 'Doc');
+      const mail = createTab(100, 'https://mail.google.com/', 'Inbox');
+
+      const sorting = sortAllTabs();
+      await jest.advanceTimersByTimeAsync(500);
+      const result = await sorting;
+
+      expect(result).toMatchObject({ moved: 0, grouped: 1, copied: 1, notified: 1, errors: [] });
+      expect([repo, doc, mail].map(t => t.windowId)).toEqual([100, 100, 100]);
+      expect(getTabsByWindow(200).map(t => t.url)).toContain('https://github.com/org/repo');
+      expect(mockTabGroups.find(g => g.id === doc.groupId)?.title).toBe('Docs');
+    });
+
+    test('explainRouting describes the action', async () => {
+      setAction('notify');
+      const trace = await explainRouting('https://github.com/org/repo', 'Repo', 100);
+      expect(trace.action).toBe('notify');
+      expect(trace.outcome).toMatch(/^Notifies that it belongs in the "GitHub" window 200/);
+
+      setAction('group');
+      expect((await explainRouting('https://github.com/org/repo', 'Repo', 100)).outcome)
+        .toMatch(/^Grouped in place under a "GitHub" tab group/);
+    });
+  });
+
+  describe('Window Focus', () => {
+    beforeEach(() => {
+      createWindow(100);
+      createWindow(200);
+      createWindow(300);
+      createTab(100, 'https://example.org/', 'Home');
+      createTab(200, 'https://github.com/', 'GitHub');
+      createTab(300, 'https://misc.example/', 'Misc');
+      setConfig({
+        enabled: true,
+        catchAllWindowId: 300,
+        groups: [
+          { name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 0 }
+        ]
+      });
+      setBindings({ 200: 'GitHub' });
+    });
+
+    function focusCalls() {
+      return chrome.windows.update.mock.calls.filter(([, info]) => info.focused);
+    }
+
+    test('follows routed tabs by default', async () => {
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+
+      expect(tab.windowId).toBe(200);
+      expect(focusCalls()).toEqual([[200, { focused: true }]]);
+      expect((await getSilentRoutes()).count).toBe(0);
+    });
+
+    test('"never" moves silently and counts the tab until the popup takes the count', async () => {
+      mockStorage.config.focus = 'never';
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+
+      expect(tab.windowId).toBe(200);
+      expect(focusCalls()).toEqual([]);
+      expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '1' });
+
+      const taken = await takeSilentRoutes();
+      expect(taken.count).toBe(1);
+      expect(taken.recent[0]).toMatchObject({ title: 'Repo', group: 'GitHub', windowId: 200 });
+      expect((await getSilentRoutes()).count).toBe(0);
+      expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '' });
+    });
+
+    test('a group setting overrides the global one', async () => {
+      mockStorage.config.focus = 'never';
+      mockStorage.config.groups[0].focus = 'always';
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+
+      expect(focusCalls()).toEqual([[200, { focused: true }]]);
+    });
+
+    test('"foreground" follows only the active tab of the focused window', async () => {
+      mockStorage.config.focus = 'foreground';
+      mockWindows.find(w => w.id === 100).focused = true;
+      const background = createTab(100, 'https://github.com/org/one', 'One');
+      const foreground = createTab(100, 'https://github.com/org/two', 'Two');
+      foreground.active = true;
+
+      await handleTabNavigation(background.id, background.url, background.title, 100);
+      expect(focusCalls()).toEqual([]);
+      expect((await getSilentRoutes()).count).toBe(1);
+
+      await handleTabNavigation(foreground.id, foreground.url, foreground.title, 100);
+      expect(focusCalls()).toEqual([[200, { focused: true }]]);
+      expect((await getSilentRoutes()).count).toBe(1);
+    });
+
+    test('catch-all moves use the global setting', async () => {
+      mockStorage.config.focus = 'never';
+      const tab = createTab(100, 'https://unmatched.example/', 'Unmatched');
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+
+      expect(tab.windowId).toBe(300);
+      expect(focusCalls()).toEqual([]);
+      expect((await getSilentRoutes()).recent[0]).toMatchObject({ title: 'Unmatched', group: null });
+    });
+  });
+
+  describe('Tab Placement', () => {
+    let work;
+
+    beforeEach(() => {
+      createWindow(100);
+      work = createWindow(200);
+      createTab(100, 'https://example.org/', 'Home');
+      createTab(200, 'https://github.com/a', 'Alpha');
+      createTab(200, 'https://docs.example.com/x', 'Docs');
+      createTab(200, 'https://github.com/c', 'Charlie');
+      setConfig({
+        enabled: true,
+        catchAllWindowId: null,
+        groups: [
+          { name: 'Work', patterns: ['github.com', 'docs.example.com', 'jira.example.com'], mode: 'simple', priority: 0 }
+        ]
+      });
+      setBindings({ 200: 'Work' });
+    });
+
+    function titlesIn(windowId) {
+      return indexTabs().filter(t => t.windowId === windowId).map(t => t.title);
+    }
+
+    async function route(url, title, placement) {
+      mockStorage.config.groups[0].placement = placement;
+      const tab = createTab(100, url, title);
+      await handleTabNavigation(tab.id, tab.url, tab.title, 100);
+      return tab;
+    }
+
+    test('"end" appends and "start" goes after pinned tabs', async () => {
+      getTabsByWindow(200)[0].pinned = true;
+      await route('https://jira.example.com/1', 'Jira', 'end');
+      expect(titlesIn(200)).toEqual(['Alpha', 'Docs', 'Charlie', 'Jira']);
+
+      await route('https://jira.example.com/2', 'Jira 2', 'start');
+      expect(titlesIn(200)).toEqual(['Alpha', 'Jira 2', 'Docs', 'Charlie', 'Jira']);
+    });
+
+    test('"afterActive" lands right of the active tab', async () => {
+      getTabsByWindow(200)[0].active = true;
+      await route('https://jira.example.com/1', 'Jira', 'afterActive');
+      expect(titlesIn(200)).toEqual(['Alpha', 'Jira', 'Docs', 'Charlie']);
+    });
+
+    test('"tabGroup" lands at the end of the group\'s Chrome tab group', async () => {
+      mockTabGroups.push({ id: 3100, windowId: 200, title: 'Work', color: 'blue' });
+      getTabsByWindow(200).slice(0, 2).forEach(t => { t.groupId = 3100; });
+      const tab = await route('https://jira.example.com/1', 'Jira', 'tabGroup');
+      expect(titlesIn(200)).toEqual(['Alpha', 'Docs', 'Jira', 'Charlie']);
+      expect(tab.groupId).toBe(3100);
+    });
+
+    test('"domain" keeps tabs of the same site together', async () => {
+      await route('https://github.com/b', 'Bravo', 'domain');
+      expect(titlesIn(200)).toEqual(['Alpha', 'Docs', 'Charlie', 'Bravo']);
+
+      // No tab of this site yet: inserted in host order
+      await route('https://www.api.github.com/', 'API', 'domain');
+      expect(titlesIn(200)[0]).toBe('API');
+    });
+
+    test('"title" inserts in title order', async () => {
+      await route('https://jira.example.com/1', 'Bug', 'title');
+      expect(titlesIn(200)).toEqual(['Alpha', 'Bug', 'Docs', 'Charlie']);
+    });
+
+    test('sortAllTabs places moved tabs and reorders in place only when asked', async () => {
+      mockStorage.config.groups[0].placement = 'domain';
+      createTab(100, 'https://github.com/b', 'Bravo');
+
+      const first = await sortAllTabs();
+      expect(first).toMatchObject({ moved: 1, reordered: 0 });
+      expect(titlesIn(200)).toEqual(['Alpha', 'Docs', 'Charlie', 'Bravo']);
+
+      const second = await sortAllTabs({ reorder: true });
+      expect(second.reordered).toBeGreaterThan(0);
+      expect(titlesIn(200)).toEqual(['Docs', 'Alpha', 'Bravo', 'Charlie']);
+    });
+
+    test('reordering keeps Chrome tab groups intact', async () => {
+      mockTabGroups.push({ id: 3100, windowId: work.id, title: 'Work', color: 'blue' });
+      createTab(200, 'https://github.com/b', 'Bravo');
+      // [Alpha, Docs] grouped, [Charlie, Bravo] ungrouped
+      getTabsByWindow(200).slice(0, 2).forEach(t => { t.groupId = 3100; });
+
+      await reorderWindowTabs(200, 'title');
+      expect(titlesIn(200)).toEqual(['Alpha', 'Docs', 'Bravo', 'Charlie']);
+      expect(getTabsByWindow(200).slice(0, 2).every(t => t.groupId === 3100)).toBe(true);
+    });
+  });
+
+  describe('Sub-Groups', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      createWindow(100);
+      createWindow(200);
+      createTab(100, 'https://example.org/', 'Home');
+      createTab(200, 'https://github.com/', 'GitHub');
+      setConfig({
+        enabled: true,
+        catchAllWindowId: null,
+        groups: [{
+          name: 'GitHub',
+          patterns: ['github.com'],
+          mode: 'simple',
+          priority: 0,
+          subgroups: [
+            { title: 'PRs', patterns: ['/pull/'], color: 'green', collapsed: true },
+            { title: 'Issues', patterns: ['/issues/'] }
+          ]
+        }]
+      });
+      setBindings({ 200: 'GitHub' });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    async function settle(promise) {
+      await jest.advanceTimersByTimeAsync(500);
+      return promise;
+    }
+
+    function tabGroupOf(tab) {
+      return mockTabGroups.find(g => g.id === tab.groupId);
+    }
+
+    test('findSubgroup picks the first matching sub-group', () => {
+      const group = mockStorage.config.groups[0];
+      expect(findSubgroup(mockStorage.config, group, 'https://github.com/org/repo/pull/1', '')?.title).toBe('PRs');
+      expect(findSubgroup(mockStorage.config, group, 'https://github.com/org/repo/issues/2', '')?.title).toBe('Issues');
+      expect(findSubgroup(mockStorage.config, group, 'https://github.com/org/repo', '')).toBeNull();
+    });
+
+    test('routed tabs land in their sub-group\'s tab group with its color and collapsed state', async () => {
+      const pr = createTab(100, 'https://github.com/org/repo/pull/1', 'PR');
+      await settle(handleTabNavigation(pr.id, pr.url, pr.title, 100));
+
+      expect(pr.windowId).toBe(200);
+      expect(tabGroupOf(pr)).toMatchObject({ windowId: 200, title: 'PRs', color: 'green', collapsed: true });
+
+      // A second PR joins the existing tab group
+      const pr2 = createTab(100, 'https://github.com/org/repo/pull/2', 'PR 2');
+      await settle(handleTabNavigation(pr2.id, pr2.url, pr2.title, 100));
+      expect(pr2.groupId).toBe(pr.groupId);
+      expect(mockTabGroups.filter(g => g.title === 'PRs')).toHaveLength(1);
+    });
+
+    test('a tab that leaves a sub-group\'s pages leaves its tab group', async () => {
+      const tab = createTab(200, 'https://github.com/org/repo/issues/3', 'Issue');
+      await settle(handleTabNavigation(tab.id, tab.url, tab.title, 200));
+      expect(tabGroupOf(tab).title).toBe('Issues');
+
+      tab.url = 'https://github.com/org/repo';
+      await settle(handleTabNavigation(tab.id, tab.url, tab.title, 200));
+      expect(tab.groupId).toBe(-1);
+    });
+
+    test('labelTabsBySubgroup creates one tab group per sub-group', async () => {
+      const pr = createTab(200, 'https://github.com/org/repo/pull/1', 'PR');
+      const issue = createTab(200, 'https://github.com/org/repo/issues/2', 'Issue');
+      const titles = await settle(labelTabsBySubgroup(200, 'GitHub', getTabsByWindow(200)));
+
+      expect(titles.sort()).toEqual(['GitHub', 'Issues', 'PRs']);
+      expect(tabGroupOf(pr).title).toBe('PRs');
+      expect(tabGroupOf(issue).title).toBe('Issues');
+      expect(tabGroupOf(getTabsByWindow(200)[0]).title).toBe('GitHub');
+    });
+
+    test('explainRouting names the sub-group and regex safety covers its patterns', async () => {
+      const trace = await explainRouting('https://github.com/org/repo/pull/1', 'PR', 100);
+      expect(trace.subgroup).toBe('PRs');
+
+      const issues = findUnsafePatterns({ mode: 'regex', patterns: [], subgroups: [{ title: 'Bad', patterns: ['(a+)+$'] }] });
+      expect(issues).toEqual([expect.objectContaining({ where: 'sub-group "Bad"', severity: 'unsafe' })]);
+    });
+  });
+
+  describe('Multi-Window Groups', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      createWindow(100);
+      createWindow(200);
+      createWindow(300);
+      createTab(100, 'https://example.org/', 'Home');
+      createTab(100, 'https://example.org/about', 'About');
+      createTab(200, 'https://docs.example.com/', 'Docs 1');
+      createTab(300, 'https://docs.example.com/b', 'Docs 2');
+      setConfig({
+        enabled: true,
+        catchAllWindowId: null,
+        groups: [{ name: 'Docs', patterns: ['docs.example.com'], mode: 'simple', priority: 0, windowPolicy: 'overflow', maxTabs: 2 }]
+      });
+      setBindings({ 200: 'Docs', 300: 'Docs' });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    async function settle(promise) {
+      await jest.advanceTimersByTimeAsync(500);
+      return promise;
+    }
+
+    function setPolicy(windowPolicy) {
+      mockStorage.config.groups[0].windowPolicy = windowPolicy;
+    }
+
+    test('bindWindow keeps every window of a multi-window group', async () => {
+      createWindow(400);
+      await bindWindow(400, 'Docs');
+      expect(mockStorage.windowBindings).toEqual({ 200: 'Docs', 300: 'Docs', 400: 'Docs' });
+    });
+
+    test('overflow fills windows in order, then opens a new one', async () => {
+      const first = createTab(100, 'https://docs.example.com/1', 'One');
+      await settle(handleTabNavigation(first.id, first.url, first.title, 100));
+      expect(first.windowId).toBe(200);
+
+      const second = createTab(100, 'https://docs.example.com/2', 'Two');
+      await settle(handleTabNavigation(second.id, second.url, second.title, 100));
+      expect(second.windowId).toBe(300);
+
+      const third = createTab(100, 'https://docs.example.com/3', 'Three');
+      await settle(handleTabNavigation(third.id, third.url, third.title, 100));
+      expect(chrome.windows.create).toHaveBeenCalledWith(expect.objectContaining({ tabId: third.id }));
+      expect(mockStorage.windowBindings[third.windowId]).toBe('Docs');
+      expect(Object.values(mockStorage.windowBindings).filter(g => g === 'Docs')).toHaveLength(3);
+      expect(mockTabGroups.find(g => g.id === third.groupId)).toMatchObject({ windowId: third.windowId, title: 'Docs' });
+    });
+
+    test('Sort All labels the tab that opens an overflow window', async () => {
+      createTab(200, 'https://docs.example.com/c', 'Docs 3');
+      createTab(300, 'https://docs.example.com/d', 'Docs 4');
+      const extra = createTab(100, 'https://docs.example.com/e', 'Docs 5');
+
+      const result = await settle(sortAllTabs());
+
+      expect(result.moved).toBe(1);
+      expect(mockStorage.windowBindings[extra.windowId]).toBe('Docs');
+      expect(mockTabGroups.find(g => g.id === extra.groupId)).toMatchObject({ windowId: extra.windowId, title: 'Docs' });
+    });
+
+    test('roundRobin alternates between the group\'s windows', async () => {
+      setPolicy('roundRobin');
+      const targets = [];
+      for (const n of [1, 2, 3]) {
+        const tab = createTab(100, `https://docs.example.com/${n}`, `Doc ${n}`);
+        await settle(handleTabNavigation(tab.id, tab.url, tab.title, 100));
+        targets.push(tab.windowId);
+      }
+      expect(targets).toEqual([200, 300, 200]);
+    });
+
+    test('recent picks the most recently focused window', async () => {
+      setPolicy('recent');
+      windowFocusTimes.set(200, 1000);
+      windowFocusTimes.set(300, 2000);
+      const tab = createTab(100, 'https://docs.example.com/1', 'One');
+      await settle(handleTabNavigation(tab.id, tab.url, tab.title, 100));
+      expect(tab.windowId).toBe(300);
+    });
+
+    test('setGroupWindows replaces the group\'s bindings', async () => {
+      createWindow(400);
+      await setGroupWindows('Docs', [300, 400], false);
+      expect(mockStorage.windowBindings).toEqual({ 300: 'Docs', 400: 'Docs' });
+    });
+
+    test('explainRouting reports the policy and when every window is full', async () => {
+      createTab(200, 'https://docs.example.com/c', 'Docs 3');
+      createTab(300, 'https://docs.example.com/d', 'Docs 4');
+      const trace = await explainRouting('https://docs.example.com/new', 'New', 100);
+      expect(trace.binding).toMatchObject({ boundWindowIds: [200, 300], policy: 'overflow', overflow: true });
+      expect(trace.outcome).toMatch(/Opens a new "Docs" window: all 2 of its windows are full/);
+    });
+  });
+
+  describe('Auto-Created Windows', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      createWindow(100);
+      createTab(100, 'https://example.org/', 'Home');
+      setConfig({
+        enabled: true,
+        catchAllWindowId: null,
+        groups: ['a', 'b', 'c', 'd', 'e', 'f'].map((site, i) => ({
+          name: `Site ${site.toUpperCase()}`,
+          patterns: [`${site}.example.com`],
+          mode: 'simple',
+          priority: i,
+          createWindow: true
+        }))
+      });
+      setBindings({});
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    async function settle(promise) {
+      await jest.advanceTimersByTimeAsync(500);
+      return promise;
+    }
+
+    async function route(site) {
+      const tab = createTab(100, `https://${site}.example.com/`, site);
+      await settle(handleTabNavigation(tab.id, tab.url, tab.title, 100));
+      return tab;
+    }
+
+    test('the first matching tab opens a bound, labeled window', async () => {
+      const tab = await route('a');
+
+      expect(tab.windowId).not.toBe(100);
+      expect(mockStorage.windowBindings[tab.windowId]).toBe('Site A');
+      expect(mockTabGroups.find(g => g.id === tab.groupId)).toMatchObject({ windowId: tab.windowId, title: 'Site A' });
+
+      // Later tabs join it instead of opening another
+      const next = await route('a');
+      expect(next.windowId).toBe(tab.windowId);
+      expect(chrome.windows.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('groups without the setting leave the tab in place', async () => {
+      mockStorage.config.groups[0].createWindow = false;
+      const tab = await route('a');
+      expect(tab.windowId).toBe(100);
+      expect(chrome.windows.create).not.toHaveBeenCalled();
+    });
+
+    test('tabs that match while the window is being created follow it', async () => {
+      const first = createTab(100, 'https://a.example.com/1', 'One');
+      const second = createTab(100, 'https://a.example.com/2', 'Two');
+      await settle(Promise.all([
+        handleTabNavigation(first.id, first.url, first.title, 100),
+        handleTabNavigation(second.id, second.url, second.title, 100)
+      ]));
+
+      expect(chrome.windows.create).toHaveBeenCalledTimes(1);
+      expect(second.windowId).toBe(first.windowId);
+    });
+
+    test('live routing opens at most AUTO_CREATE_LIMIT windows per period', async () => {
+      for (const site of ['a', 'b', 'c']) await route(site);
+      const held = await route('d');
+      expect(held.windowId).toBe(100);
+      expect(chrome.windows.create).toHaveBeenCalledTimes(AUTO_CREATE_LIMIT);
+
+      await jest.advanceTimersByTimeAsync(AUTO_CREATE_PERIOD_MS);
+      const later = await route('d');
+      expect(later.windowId).not.toBe(100);
+    });
+
+    test('no windows are opened during the startup grace period', async () => {
+      pauseAutoCreate(STARTUP_GRACE_MS);
+      expect((await route('a')).windowId).toBe(100);
+
+      await jest.advanceTimersByTimeAsync(STARTUP_GRACE_MS);
+      expect((await route('a')).windowId).not.toBe(100);
+    });
+
+    test('Sort All opens at most SORT_CREATE_LIMIT windows and reports the rest', async () => {
+      const tabs = ['a', 'b', 'c', 'd', 'e', 'f'].map(site => createTab(100, `https://${site}.example.com/`, site));
+      // Each new window's tab group is verified on a timer
+      const pending = sortAllTabs();
+      await jest.advanceTimersByTimeAsync(SORT_CREATE_LIMIT * 500);
+      const result = await pending;
+
+      expect(result.moved).toBe(SORT_CREATE_LIMIT);
+      expect(tabs[5].windowId).toBe(100);
+      expect(result.skipped).toEqual([expect.objectContaining({ group: 'Site F', reason: expect.stringMatching(/at most 5 new windows/) })]);
+    });
+
+    test('explainRouting says a window will be opened', async () => {
+      const trace = await explainRouting('https://a.example.com/', 'A', 100);
+      expect(trace.outcome).toMatch(/Opens a new "Site A" window: none is bound yet/);
+    });
+  });
+
+  describe('Window Identity', () => {
+    // Windows restored after a restart: 100 mixes GitHub and Docs tabs, 200 is all GitHub
+    beforeEach(() => {
+      Object.assign(createWindow(100), { left: 0, top: 0, width: 1200, height: 800 });
+      Object.assign(createWindow(200), { left: 1200, top: 0, width: 800, height: 800 });
+      createTab(100, 'https://github.com/org/a', 'A');
+      createTab(100, 'https://docs.example.com/x', 'X');
+      createTab(100, 'https://docs.example.com/y', 'Y');
+      createTab(200, 'https://github.com/org/b', 'B');
+      createTab(200, 'https://github.com/org/c', 'C');
+      setConfig({
+        enabled: true,
+        groups: [
+          { name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 0, titleMatch: { enabled: false } },
+          { name: 'Docs', patterns: ['docs.example.com'], mode: 'simple', priority: 1, titleMatch: { enabled: false } }
+        ]
+      });
+      setBindings({});
+    });
+
+    function fingerprint(group, urls, extra = {}) {
+      return { group, incognito: false, urls, tabGroups: [], bounds: null, savedAt: 1, closedAt: null, ...extra };
+    }
+
+    test('bestAssignment maximizes the total score instead of taking the first best pair', () => {
+      expect(bestAssignment([[0.9, 0.8], [0.85, null]])).toEqual([1, 0]);
+      expect(bestAssignment([[null, null], [0.4, 0.6], [0.5, 0.1]])).toEqual([-1, 1, 0]);
+      expect(bestAssignment([])).toEqual([]);
+    });
+
+    test('without fingerprints, a group no longer steals the window another group needs', async () => {
+      await rebindWindowsOnStartup();
+
+      expect(mockStorage.windowBindings).toEqual({ 100: 'Docs', 200: 'GitHub' });
+      expect(mockStorage.lowConfidenceBindings.map(e => e.reason))
+        .toEqual(['matched by URL patterns only', 'matched by URL patterns only']);
+    });
+
+    test('fingerprints from before the restart decide, with confident bindings not reported', async () => {
+      mockStorage.windowFingerprints = {
+        1: fingerprint('Docs', ['https://github.com/org/a', 'https://docs.example.com/x', 'https://docs.example.com/y'],
+          { bounds: { left: 0, top: 0, width: 1200, height: 800 } }),
+        2: fingerprint('GitHub', ['https://github.com/org/b', 'https://github.com/org/c'],
+          { bounds: { left: 1200, top: 0, width: 800, height: 800 } })
+      };
+      await rebindWindowsOnStartup();
+
+      expect(mockStorage.windowBindings).toEqual({ 100: 'Docs', 200: 'GitHub' });
+      expect(mockStorage.lowConfidenceBindings).toEqual([]);
+      // Fingerprints are re-keyed by the new window ids
+      expect(Object.keys(mockStorage.windowFingerprints).sort()).toEqual(['100', '200']);
+      expect(mockStorage.windowFingerprints[100]).toMatchObject({ group: 'Docs', bounds: { left: 0, width: 1200 } });
+    });
+
+    test('a fingerprint can claim a window none of whose tabs match the group', async () => {
+      const win = createWindow(300);
+      createTab(300, 'https://news.example.net/', 'News');
+      mockStorage.windowFingerprints = { 7: fingerprint('Docs', ['https://news.example.net/']) };
+      await rebindWindowsOnStartup();
+
+      expect(mockStorage.windowBindings[win.id]).toBe('Docs');
+    });
+
+    test('incognito windows are never fingerprinted', async () => {
+      createWindow(300, true);
+      createTab(300, 'https://github.com/private', 'Private');
+      mockStorage.windowFingerprints = { 9: fingerprint('GitHub', ['https://github.com/old'], { incognito: true, closedAt: 5 }) };
+      setBindings({ 200: 'GitHub', 300: 'GitHub' });
+
+      await saveWindowFingerprints();
+
+      expect(Object.keys(mockStorage.windowFingerprints)).toEqual(['200']);
+    });
+
+    test('fingerprints of windows closed long before shutdown are ignored', () => {
+      const prints = {
+        1: fingerprint('Docs', [], { closedAt: 1000 }),
+        2: fingerprint('GitHub', [], { closedAt: 1000 + FINGERPRINT_SHUTDOWN_MS + 60000 }),
+        3: fingerprint('GitHub', [])
+      };
+      expect(usableFingerprints(prints).map(fp => fp.group)).toEqual(['GitHub', 'GitHub']);
+    });
+
+    test('close runners-up are reported, and settled once the binding changes', async () => {
+      mockStorage.windowFingerprints = {
+        1: fingerprint('GitHub', ['https://github.com/org/b', 'https://github.com/org/c']),
+        2: fingerprint('Docs', ['https://github.com/org/b', 'https://github.com/org/c'], { savedAt: 0 })
+      };
+      setConfig({
+        enabled: true,
+        groups: [
+          { name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 0, titleMatch: { enabled: false } },
+          { name: 'Docs', patterns: ['github.com/org'], mode: 'simple', priority: 1, titleMatch: { enabled: false } }
+        ]
+      });
+      await rebindWindowsOnStartup();
+
+      const reported = await getLowConfidenceBindings();
+      expect(reported).toContainEqual(expect.objectContaining({ windowId: 200, reason: expect.stringMatching(/fits almost as well/) }));
+
+      mockStorage.windowBindings[200] = 'Docs';
+      expect((await getLowConfidenceBindings()).some(e => e.windowId === 200)).toBe(false);
+    });
+
+    test('saveWindowFingerprints records bound windows and keeps prints of windows that are gone', async () => {
+      mockTabGroups.push({ id: 1, windowId: 200, title: 'PRs' });
+      setBindings({ 200: 'GitHub' });
+      mockStorage.windowFingerprints = { 9: fingerprint('Docs', ['https://docs.example.com/old']) };
+      await saveWindowFingerprints();
+
+      expect(mockStorage.windowFingerprints[9].group).toBe('Docs');
+      expect(mockStorage.windowFingerprints[200]).toMatchObject({
+        group: 'GitHub',
+        urls: ['https://github.com/org/b', 'https://github.com/org/c'],
+        tabGroups: ['PRs'],
+        bounds: { left: 1200, top: 0, width: 800, height: 800 }
+      });
+
+      await saveWindowFingerprints(true);
+      expect(Object.keys(mockStorage.windowFingerprints)).toEqual(['200']);
+    });
+  });
+
+  describe('Group Sessions', () => {
+    beforeEach(() => {
+      createWindow(100);
+      Object.assign(createWindow(200), { left: 10, top: 20, width: 900, height: 700, state: 'normal' });
+      createTab(100, 'https://example.org/', 'Home');
+      const pinned = createTab(200, 'https://mail.example.com/', 'Mail');
+      pinned.pinned = true;
+      const pr = createTab(200, 'https://github.com/org/repo/pull/1', 'PR');
+      createTab(200, 'https://github.com/org/repo', 'Repo');
+      mockTabGroups.push({ id: 1, windowId: 200, title: 'Review', color: 'green', collapsed: true });
+      pr.groupId = 1;
+      setConfig({
+        enabled: true,
+        catchAllWindowId: 100,
+        groups: [{ name: 'Project', patterns: ['github.com'], mode: 'simple', priority: 0 }]
+      });
+      setBindings({ 200: 'Project' });
+    });
+
+    test('save & close snapshots tabs, order, pinned state and tab groups, then closes the window', async () => {
+      const saved = await saveAndCloseGroup('Project');
+
+      expect(saved).toBe(1);
+      expect(chrome.windows.remove).toHaveBeenCalledWith(200);
+      const [session] = mockStorage.groupSessions.Project;
+      expect(session.tabs).toEqual([
+        { url: 'https://mail.example.com/', title: 'Mail', pinned: true, tabGroup: null },
+        { url: 'https://github.com/org/repo/pull/1', title: 'PR', pinned: false, tabGroup: 0 },
+        { url: 'https://github.com/org/repo', title: 'Repo', pinned: false, tabGroup: null }
+      ]);
+      expect(session.tabGroups).toEqual([{ title: 'Review', color: 'green', collapsed: true }]);
+      expect(session.bounds).toMatchObject({ left: 10, top: 20, width: 900, height: 700 });
+    });
+
+    test('restore recreates the window as saved and binds it', async () => {
+      await saveAndCloseGroup('Project');
+      const [session] = mockStorage.groupSessions.Project;
+
+      const windowId = await restoreGroupSession('Project', session.id);
+
+      expect(chrome.windows.create).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://mail.example.com/', left: 10, top: 20, width: 900, height: 700
+      }));
+      expect(mockStorage.windowBindings[windowId]).toBe('Project');
+      const tabs = getTabsByWindow(windowId);
+      expect(tabs.map(t => t.url)).toEqual(session.tabs.map(t => t.url));
+      expect(tabs[0].pinned).toBe(true);
+      expect(mockTabGroups.find(g => g.id === tabs[1].groupId)).toMatchObject({ title: 'Review', color: 'green', collapsed: true });
+      expect(tabs[2].groupId).toBeUndefined();
+    });
+
+    test('restored tabs are not routed away until they leave their site', async () => {
+      await saveAndCloseGroup('Project');
+      const windowId = await restoreGroupSession('Project', mockStorage.groupSessions.Project[0].id);
+      const mail = getTabsByWindow(windowId)[0];
+
+      // Unmatched, so the catch-all would take it — but it was restored here
+      await handleTabNavigation(mail.id, mail.url, mail.title, windowId);
+      expect(mail.windowId).toBe(windowId);
+
+      mail.url = 'https://news.example.net/';
+      await handleTabNavigation(mail.id, mail.url, mail.title, windowId);
+      expect(mail.windowId).toBe(100);
+    });
+
+    test('keeps at most SESSIONS_PER_GROUP snapshots, newest first', async () => {
+      for (let i = 0; i < SESSIONS_PER_GROUP + 2; i++) {
+        createWindow(300 + i);
+        createTab(300 + i, `https://github.com/org/repo/issues/${i}`, `Issue ${i}`);
+        await saveAndCloseGroup('Project', 300 + i);
+      }
+      const sessions = mockStorage.groupSessions.Project;
+      expect(sessions).toHaveLength(SESSIONS_PER_GROUP);
+      expect(sessions[0].tabs[0].url).toBe(`https://github.com/org/repo/issues/${SESSIONS_PER_GROUP + 1}`);
+
+      await deleteGroupSession('Project', sessions[0].id);
+      expect(mockStorage.groupSessions.Project).toHaveLength(SESSIONS_PER_GROUP - 1);
+    });
+
+    test('windows with nothing to save stay open', async () => {
+      createWindow(400);
+      createTab(400, 'chrome://newtab/', 'New Tab');
+      expect(await saveAndCloseGroup('Project', 400)).toBe(0);
+      expect(chrome.windows.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Closed Window Archive', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      createWindow(100);
+      createWindow(200);
+      createTab(100, 'https://example.org/', 'Home');
+      const pinned = createTab(200, 'https://github.com/org/repo', 'Repo');
+      pinned.pinned = true;
+      createTab(200, 'https://github.com/org/repo/pull/1', 'PR');
+      setConfig({
+        enabled: true,
+        groups: [{ name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 0 }]
+      });
+      setBindings({ 200: 'GitHub' });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    // Mirrors chrome.windows.onRemoved: the tabs are already gone
+    async function closeWindow(windowId) {
+      mockWindows = mockWindows.filter(w => w.id !== windowId);
+      mockTabs = mockTabs.filter(t => t.windowId !== windowId);
+      await archiveClosedWindow(windowId);
+      await unbindWindow(windowId);
+    }
+
+    test('state is cached shortly after a bound window changes', async () => {
+      scheduleWindowStateCache(200);
+      scheduleWindowStateCache(100);
+      expect(mockStorage.windowStates).toBeUndefined();
+
+      await jest.advanceTimersByTimeAsync(WINDOW_STATE_DELAY_MS);
+      expect(Object.keys(mockStorage.windowStates)).toEqual(['200']);
+      expect(mockStorage.windowStates[200]).toMatchObject({
+        group: 'GitHub',
+        tabs: [expect.objectContaining({ url: 'https://github.com/org/repo', pinned: true }), expect.objectContaining({ title: 'PR' })]
+      });
+    });
+
+    test('changes are written once they settle, and only when the state changed', async () => {
+      for (let i = 0; i < 5; i++) {
+        scheduleWindowStateCache(200);
+        await jest.advanceTimersByTimeAsync(WINDOW_STATE_DELAY_MS / 2);
+      }
+      expect(mockStorage.windowStates).toBeUndefined();
+      await jest.advanceTimersByTimeAsync(WINDOW_STATE_DELAY_MS);
+      scheduleWindowStateCache(200);
+      await jest.advanceTimersByTimeAsync(WINDOW_STATE_DELAY_MS);
+
+      const writes = chrome.storage.local.set.mock.calls.filter(([data]) => data.windowStates);
+      expect(writes).toHaveLength(1);
+    });
+
+    test('a window bound from the options page is archived even if it closes right away', async () => {
+      await setGroupWindows('GitHub', [100], false);
+      await closeWindow(100);
+
+      expect(mockStorage.closedGroupWindows).toEqual([
+        expect.objectContaining({ group: 'GitHub', tabs: [expect.objectContaining({ url: 'https://example.org/' })] })
+      ]);
+      // Window 200 lost its binding, and with it its cached state
+      expect(mockStorage.windowStates).toEqual({});
+    });
+
+    test('a tab opened just before the window closes is archived', async () => {
+      await cacheWindowState(200);
+      scheduleWindowStateCache(200);
+      createTab(200, 'https://github.com/org/repo/pull/2', 'New PR');
+      await refreshWindowState(200);
+      await closeWindow(200);
+
+      expect(mockStorage.closedGroupWindows[0].tabs.map(t => t.title)).toEqual(['Repo', 'PR', 'New PR']);
+    });
+
+    test('incognito windows are never cached or archived', async () => {
+      createWindow(300, true);
+      createTab(300, 'https://github.com/private', 'Private');
+      setBindings({ 200: 'GitHub', 300: 'GitHub' });
+
+      await cacheWindowState(300);
+      await closeWindow(300);
+
+      expect(mockStorage.windowStates).toBeUndefined();
+      expect(mockStorage.closedGroupWindows).toBeUndefined();
+    });
+
+    test('windows archived by a shutdown are dropped at the next startup', async () => {
+      await cacheWindowState(200);
+      await closeWindow(200);
+      jest.advanceTimersByTime(FINGERPRINT_SHUTDOWN_MS + 60 * 1000);
+
+      // Shutdown: the remaining bound window closes, and with it the last window
+      await bindWindow(100, 'Docs');
+      await cacheWindowState(100);
+      await closeWindow(100);
+      await noteWindowClosed();
+      expect(mockStorage.closedGroupWindows).toHaveLength(2);
+
+      await dropShutdownArchive();
+
+      expect(mockStorage.closedGroupWindows).toEqual([expect.objectContaining({ group: 'GitHub' })]);
+      expect(mockStorage.lastWindowClosedAt).toBeNull();
+    });
+
+    test('closing a window while others stay open is not a shutdown', async () => {
+      await cacheWindowState(200);
+      await closeWindow(200);
+      await noteWindowClosed();
+
+      expect(mockStorage.lastWindowClosedAt).toBeUndefined();
+      await dropShutdownArchive();
+      expect(mockStorage.closedGroupWindows).toHaveLength(1);
+    });
+
+    test('closing a bound window archives its cached tabs', async () => {
+      await cacheWindowState(200);
+      await closeWindow(200);
+
+      expect(mockStorage.windowBindings).toEqual({});
+      expect(mockStorage.windowStates).toEqual({});
+      expect(mockStorage.closedGroupWindows).toHaveLength(1);
+      expect(mockStorage.closedGroupWindows[0]).toMatchObject({ group: 'GitHub', tabs: [{ url: 'https://github.com/org/repo' }, { title: 'PR' }] });
+    });
+
+    test('reopen restores the tabs and the binding, and drops the entry', async () => {
+      await cacheWindowState(200);
+      await closeWindow(200);
+
+      const windowId = await reopenClosedWindow(mockStorage.closedGroupWindows[0].id);
+
+      expect(mockStorage.windowBindings[windowId]).toBe('GitHub');
+      expect(getTabsByWindow(windowId).map(t => t.url)).toEqual(['https://github.com/org/repo', 'https://github.com/org/repo/pull/1']);
+      expect(getTabsByWindow(windowId)[0].pinned).toBe(true);
+      expect(mockStorage.closedGroupWindows).toEqual([]);
+    });
+
+    test('windows closed by Save & close or never bound are not archived', async () => {
+      await cacheWindowState(200);
+      await saveAndCloseGroup('GitHub');
+      await archiveClosedWindow(200);
+      await closeWindow(100);
+
+      expect(mockStorage.closedGroupWindows).toBeUndefined();
+      expect(mockStorage.groupSessions.GitHub).toHaveLength(1);
+    });
+
+    test('keeps the CLOSED_WINDOWS_LIMIT most recent windows', async () => {
+      for (let i = 0; i < CLOSED_WINDOWS_LIMIT + 1; i++) {
+        createWindow(300 + i);
+        createTab(300 + i, `https://github.com/org/repo/issues/${i}`, `Issue ${i}`);
+        await bindWindow(300 + i, 'GitHub');
+        await cacheWindowState(300 + i);
+        await closeWindow(300 + i);
+      }
+      expect(mockStorage.closedGroupWindows).toHaveLength(CLOSED_WINDOWS_LIMIT);
+      expect(mockStorage.closedGroupWindows[0].tabs[0].title).toBe(`Issue ${CLOSED_WINDOWS_LIMIT}`);
+    });
+  });
+
+  describe('Duplicate Tabs', () => {
+    let existing;
+
+    beforeEach(() => {
+      createWindow(100);
+      createWindow(200);
+      createTab(100, 'https://example.org/', 'Home');
+      existing = createTab(200, 'https://github.com/org/repo#readme', 'Repo');
+      createTab(200, 'https://github.com/org/repo/issues', 'Issues');
+      setBindings({ 200: 'GitHub' });
+    });
+
+    function setDuplicates(duplicates) {
+      setConfig({
+        enabled: true,
+        groups: [{ name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 0, duplicates }]
+      });
+    }
+
+    test('duplicateKey drops the hash and, optionally, the query', () => {
+      const url = 'https://github.com/org/repo?tab=code#readme';
+      expect(duplicateKey(url, getDuplicateRules())).toBe('https://github.com/org/repo?tab=code');
+      expect(duplicateKey(url, getDuplicateRules({ ignoreQuery: true }))).toBe('https://github.com/org/repo');
+      expect(duplicateKey(url, getDuplicateRules({ ignoreHash: false }))).toBe(url);
+    });
+
+    test('allow keeps both copies', async () => {
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await moveTabToWindow(tab.id, 200, 'GitHub', { duplicates: { mode: 'allow' } });
+
+      expect(mockTabs.filter(t => t.windowId === 200)).toHaveLength(3);
+    });
+
+    test('focusExisting closes the routed tab and activates the open copy', async () => {
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      const result = await moveTabToWindow(tab.id, 200, 'GitHub', { duplicates: { mode: 'focusExisting' } });
+
+      expect(result).toBe(true);
+      expect(mockTabs.find(t => t.id === tab.id)).toBeUndefined();
+      expect(existing.active).toBe(true);
+      expect(chrome.windows.update).toHaveBeenCalledWith(200, { focused: true });
+    });
+
+    test('keepNewest moves the routed tab and closes the older copy', async () => {
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await moveTabToWindow(tab.id, 200, 'GitHub', { duplicates: { mode: 'keepNewest' } });
+
+      expect(mockTabs.find(t => t.id === existing.id)).toBeUndefined();
+      expect(tab.windowId).toBe(200);
+    });
+
+    test('keepNewest never closes a pinned copy', async () => {
+      existing.pinned = true;
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await moveTabToWindow(tab.id, 200, 'GitHub', { duplicates: { mode: 'keepNewest' } });
+
+      expect(mockTabs.find(t => t.id === existing.id)).toBeDefined();
+      expect(tab.windowId).toBe(200);
+    });
+
+    test('the query counts unless ignoreQuery is set', async () => {
+      const tab = createTab(100, 'https://github.com/org/repo?tab=code', 'Repo');
+      await moveTabToWindow(tab.id, 200, 'GitHub', { duplicates: { mode: 'focusExisting' } });
+      expect(tab.windowId).toBe(200);
+
+      const other = createTab(100, 'https://github.com/org/repo/issues?q=open', 'Issues');
+      await moveTabToWindow(other.id, 200, 'GitHub', { duplicates: { mode: 'focusExisting', ignoreQuery: true } });
+      expect(mockTabs.find(t => t.id === other.id)).toBeUndefined();
+    });
+
+    test('routing a navigation applies the group duplicate mode', async () => {
+      setDuplicates({ mode: 'focusExisting' });
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await handleTabNavigation(tab.id, tab.url);
+
+      expect(mockTabs.find(t => t.id === tab.id)).toBeUndefined();
+      expect(mockTabs.filter(t => t.windowId === 200)).toHaveLength(2);
+    });
+
+    test('Sort All counts the duplicates it closes', async () => {
+      setDuplicates({ mode: 'focusExisting' });
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      createTab(100, 'https://github.com/org/repo/pulls', 'Pulls');
+
       const result = await sortAllTabs();
 
-      // Assert
+      expect(result.duplicatesClosed).toBe(1);
       expect(result.moved).toBe(1);
-      expect(newGroupTab.windowId).not.toBe(100); // Should be in a NEW window
-      expect(mockWindows.length).toBe(2); // New window was created
+      expect(mockTabs.find(t => t.id === tab.id)).toBeUndefined();
+      expect(existing.active).toBeFalsy();
+    });
+
+    test('closeDuplicateTabs keeps the active copy across the group windows', async () => {
+      setDuplicates();
+      createWindow(300);
+      setBindings({ 200: 'GitHub', 300: 'GitHub' });
+      const active = createTab(300, 'https://github.com/org/repo', 'Repo');
+      active.active = true;
+      createTab(300, 'https://github.com/org/repo/issues#new', 'Issues');
+      createTab(100, 'https://github.com/org/repo', 'Repo');
+
+      const closed = await closeDuplicateTabs();
+
+      expect(closed).toBe(2);
+      expect(mockTabs.find(t => t.id === existing.id)).toBeUndefined();
+      expect(mockTabs.find(t => t.id === active.id)).toBeDefined();
+      expect(mockTabs.filter(t => t.url.includes('issues'))).toHaveLength(1);
+      // Unbound windows are left alone
+      expect(mockTabs.filter(t => t.windowId === 100)).toHaveLength(2);
+    });
+
+    test('closeDuplicateTabs leaves pinned copies open', async () => {
+      setDuplicates();
+      existing.pinned = true;
+      const pinned = createTab(200, 'https://github.com/org/repo', 'Repo');
+      pinned.pinned = true;
+
+      expect(await closeDuplicateTabs()).toBe(0);
+    });
+  });
+
+  describe('Tab Limits', () => {
+    let tabs;
+
+    beforeEach(() => {
+      createWindow(100);
+      createWindow(200);
+      createTab(100, 'https://example.org/', 'Home');
+      tabs = [1, 2, 3].map(n => {
+        const tab = createTab(200, `https://github.com/org/repo/issues/${n}`, `Issue ${n}`);
+        tab.lastAccessed = n * 1000;
+        return tab;
+      });
+      setBindings({ 200: 'GitHub' });
+    });
+
+    function setTabLimit(tabLimit) {
+      setConfig({
+        enabled: true,
+        groups: [{ name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 0, tabLimit }]
+      });
+    }
+
+    test('groups without a limit are left alone', async () => {
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await moveTabToWindow(tab.id, 200, 'GitHub');
+
+      expect(mockTabs.filter(t => t.windowId === 200)).toHaveLength(4);
+      expect(chrome.tabs.discard).not.toHaveBeenCalled();
+    });
+
+    test('discard unloads the least recently used tabs', async () => {
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await moveTabToWindow(tab.id, 200, 'GitHub', { tabLimit: { max: 2, policy: 'discard' } });
+
+      expect(tabs.map(t => !!t.discarded)).toEqual([true, true, false]);
+      expect(tab.discarded).toBeUndefined();
+      expect(mockTabs.filter(t => t.windowId === 200)).toHaveLength(4);
+    });
+
+    test('close removes the least recently used tabs', async () => {
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await moveTabToWindow(tab.id, 200, 'GitHub', { tabLimit: { max: 3, policy: 'close' } });
+
+      expect(mockTabs.find(t => t.id === tabs[0].id)).toBeUndefined();
+      expect(mockTabs.filter(t => t.windowId === 200)).toHaveLength(3);
+      expect(mockStorage.archivedTabs).toBeUndefined();
+    });
+
+    test('archive closes the tabs and keeps them for restoring', async () => {
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await moveTabToWindow(tab.id, 200, 'GitHub', { tabLimit: { max: 3, policy: 'archive' } });
+
+      expect(mockTabs.find(t => t.id === tabs[0].id)).toBeUndefined();
+      expect(mockStorage.archivedTabs).toEqual([expect.objectContaining({
+        url: 'https://github.com/org/repo/issues/1',
+        title: 'Issue 1',
+        group: 'GitHub',
+        reason: 'limit'
+      })]);
+
+      const tabId = await restoreArchivedTab(mockStorage.archivedTabs[0].id);
+      expect(mockTabs.find(t => t.id === tabId)).toMatchObject({ windowId: 200, url: 'https://github.com/org/repo/issues/1' });
+      expect(mockStorage.archivedTabs).toEqual([]);
+    });
+
+    test('restoring an archived tab opens a bound window when the group has none', async () => {
+      await archiveTabs([tabs[0]], 'GitHub', 'limit');
+      setBindings({});
+
+      await restoreArchivedTab(mockStorage.archivedTabs[0].id);
+
+      const [windowId] = Object.keys(mockStorage.windowBindings);
+      expect(mockStorage.windowBindings[windowId]).toBe('GitHub');
+      expect(mockTabs.filter(t => t.windowId === parseInt(windowId, 10))).toHaveLength(1);
+    });
+
+    test('pinned and audible tabs are exempt', async () => {
+      tabs[0].pinned = true;
+      tabs[1].audible = true;
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await moveTabToWindow(tab.id, 200, 'GitHub', { tabLimit: { max: 1, policy: 'close' } });
+
+      expect(mockTabs.filter(t => t.windowId === 200).map(t => t.id)).toEqual([tabs[0].id, tabs[1].id, tab.id]);
+    });
+
+    test('the active tab is never evicted', async () => {
+      tabs[0].active = true;
+      const tab = createTab(100, 'https://github.com/org/repo', 'Repo');
+      await moveTabToWindow(tab.id, 200, 'GitHub', { tabLimit: { max: 3, policy: 'close' } });
+
+      expect(mockTabs.find(t => t.id === tabs[0].id)).toBeDefined();
+      expect(mockTabs.find(t => t.id === tabs[1].id)).toBeUndefined();
+    });
 
-      // Verify the new window is bound to the group
-      const bindings = await getWindowBindings();
-      expect(Object.values(bindings)).toContain('3003');
+    test('Sort All enforces limits and counts the evicted tabs', async () => {
+      setTabLimit({ max: 2, policy: 'close' });
+
+      const result = await sortAllTabs();
+
+      expect(result.limited).toBe(1);
+      expect(mockTabs.filter(t => t.windowId === 200).map(t => t.id)).toEqual([tabs[1].id, tabs[2].id]);
     });
 
-    test('tabs in higher-priority window stay put even if matching lower-priority group', async () => {
-      // Setup: Tab in high-priority window matches a lower-priority group
-      // This is intentional behavior - higher priority windows "own" their tabs
-      const windowA = createWindow(100);
+    test('usage reports current and maximum counts', async () => {
+      setTabLimit({ max: 2, policy: 'discard' });
+      tabs[0].discarded = true;
 
-      createTab(100, 'http://localhost:3003/app', 'App 3003');
-      const mixedTab = createTab(100, 'http://localhost:3004/app', 'App 3004'); // Matches lower priority
+      expect(await getTabLimitUsage()).toEqual({ GitHub: { count: 2, max: 2 } });
+    });
+  });
 
+  describe('Inactive Tab Expiry', () => {
+    const START = new Date('2026-03-02T09:00:00Z').getTime();
+    let current, read, pinned;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'], now: START });
+      createWindow(100);
+      createWindow(200);
+      createTab(100, 'https://example.org/', 'Home');
+      current = createTab(200, 'https://twitter.com/home', 'Home');
+      current.active = true;
+      read = createTab(200, 'https://twitter.com/some/status/1', 'Post');
+      pinned = createTab(200, 'https://twitter.com/messages', 'Messages');
+      pinned.pinned = true;
       setConfig({
         enabled: true,
         groups: [
-          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple' }, // Higher priority
-          { name: '3004', patterns: ['localhost:3004'], priority: 1, mode: 'simple' }  // Lower priority
+          { name: 'Social', patterns: ['twitter.com'], mode: 'simple', priority: 0, expiry: { hours: 2, action: 'archive' } },
+          { name: 'Docs', patterns: ['example.org'], mode: 'simple', priority: 1 }
         ]
       });
+      setBindings({ 100: 'Docs', 200: 'Social' });
+      chrome.alarms.onAlarm.addListener(handleExpiryAlarm);
+    });
 
-      setBindings({ 100: '3003' }); // Window bound to higher priority group
+    afterEach(() => {
+      jest.useRealTimers();
+    });
 
-      // Act
-      const result = await sortAllTabs();
+    const HOUR = 60 * 60 * 1000;
 
-      // Assert: Tab stays in the higher-priority window (not moved)
-      expect(result.moved).toBe(0);
-      expect(mixedTab.windowId).toBe(100);
+    test('activations are recorded in storage', async () => {
+      await recordTabActivation(read.id);
+
+      expect(mockStorage.tabActivity).toEqual({ [read.id]: START });
     });
 
-    test('does not move tab already in correct window', async () => {
-      // Setup: All tabs already in correct windows
-      const windowA = createWindow(100);
-      const windowB = createWindow(200);
+    test('the sweep alarm is created once', async () => {
+      await startExpirySweeps();
+      await startExpirySweeps();
 
-      createTab(100, 'http://localhost:3003/app', 'App 3003');
-      createTab(200, 'http://localhost:3004/app', 'App 3004');
+      expect(chrome.alarms.create).toHaveBeenCalledTimes(1);
+      expect(chrome.alarms.create).toHaveBeenCalledWith(EXPIRY_ALARM, { periodInMinutes: EXPIRY_SWEEP_MINUTES });
+    });
+
+    test('the sweep alarm exists only while some group has an expiry rule', async () => {
+      await startExpirySweeps();
+      expect(mockAlarms[EXPIRY_ALARM]).toBeDefined();
+
+      delete mockStorage.config.groups[0].expiry;
+      await startExpirySweeps();
+      expect(mockAlarms[EXPIRY_ALARM]).toBeUndefined();
+
+      await jest.advanceTimersByTimeAsync(EXPIRY_SWEEP_MINUTES * 60 * 1000);
+      await recordTabActivation(read.id);
+      expect(mockStorage.tabActivity).toBeUndefined();
+    });
+
+    test('the last tab of a window never expires', async () => {
+      current.active = false;
+      pinned.pinned = false;
+      await recordTabActivation(current.id, START - HOUR);
+      await recordTabActivation(read.id, START);
+      await recordTabActivation(pinned.id, START - 2 * HOUR);
+
+      expect(await sweepExpiredTabs(START + 3 * HOUR)).toBe(2);
+      expect(getTabsByWindow(200).map(t => t.id)).toEqual([read.id]);
+      expect(mockStorage.archivedTabs.map(t => t.title)).toEqual(expect.arrayContaining(['Home', 'Messages']));
+    });
+
+    test('tabs not activated for the group hours are archived by the periodic sweep', async () => {
+      await recordTabActivation(read.id);
+      await startExpirySweeps();
+
+      await jest.advanceTimersByTimeAsync(HOUR);
+      expect(mockTabs.find(t => t.id === read.id)).toBeDefined();
+
+      await jest.advanceTimersByTimeAsync(HOUR + 15 * 60 * 1000);
+      expect(mockTabs.find(t => t.id === read.id)).toBeUndefined();
+      expect(mockStorage.archivedTabs).toEqual([expect.objectContaining({
+        url: 'https://twitter.com/some/status/1',
+        group: 'Social',
+        reason: 'expired'
+      })]);
+      // Active and pinned tabs stay, and so do tabs of groups without expiry
+      expect(mockTabs.filter(t => t.windowId === 200).map(t => t.id)).toEqual([current.id, pinned.id]);
+      expect(mockTabs.filter(t => t.windowId === 100)).toHaveLength(1);
+      expect(mockStorage.tabActivity[read.id]).toBeUndefined();
+    });
+
+    test('activating a tab restarts its clock', async () => {
+      await recordTabActivation(read.id);
+      await startExpirySweeps();
+
+      await jest.advanceTimersByTimeAsync(HOUR + 30 * 60 * 1000);
+      await recordTabActivation(read.id);
+      await jest.advanceTimersByTimeAsync(HOUR);
+      expect(mockTabs.find(t => t.id === read.id)).toBeDefined();
+
+      await jest.advanceTimersByTimeAsync(HOUR);
+      expect(mockTabs.find(t => t.id === read.id)).toBeUndefined();
+    });
+
+    test('tabs the sweep has not seen activated start their clock at the sweep', async () => {
+      await startExpirySweeps();
+      await jest.advanceTimersByTimeAsync(15 * 60 * 1000);
+      expect(mockStorage.tabActivity[read.id]).toBe(START + 15 * 60 * 1000);
+
+      await jest.advanceTimersByTimeAsync(2 * HOUR - 15 * 60 * 1000);
+      expect(mockTabs.find(t => t.id === read.id)).toBeDefined();
+
+      await jest.advanceTimersByTimeAsync(15 * 60 * 1000);
+      expect(mockTabs.find(t => t.id === read.id)).toBeUndefined();
+    });
+
+    test('activation times are cleared at browser startup, so reused tab ids start fresh', async () => {
+      await recordTabActivation(read.id);
+      jest.setSystemTime(START + 5 * HOUR);
+
+      // Chrome restarted: the id now belongs to a tab opened just now
+      await clearTabActivity();
+      expect(mockStorage.tabActivity).toEqual({});
+
+      expect(await sweepExpiredTabs()).toBe(0);
+      expect(mockTabs.find(t => t.id === read.id)).toBeDefined();
+      expect(mockStorage.tabActivity[read.id]).toBe(START + 5 * HOUR);
+    });
+
+    test('close removes expired tabs without archiving them', async () => {
+      mockStorage.config.groups[0].expiry = { hours: 1, action: 'close' };
+      await recordTabActivation(read.id);
+
+      expect(await sweepExpiredTabs(START + HOUR)).toBe(1);
+      expect(mockTabs.find(t => t.id === read.id)).toBeUndefined();
+      expect(mockStorage.archivedTabs).toBeUndefined();
+    });
+
+    test('nothing expires while Tab Shepherd is disabled', async () => {
+      mockStorage.config.enabled = false;
+      await recordTabActivation(read.id);
+
+      expect(await sweepExpiredTabs(START + 5 * HOUR)).toBe(0);
+      expect(mockTabs.find(t => t.id === read.id)).toBeDefined();
+    });
+
+    test('an expired tab can be restored from the archive', async () => {
+      await recordTabActivation(read.id);
+      await sweepExpiredTabs(START + 3 * HOUR);
+
+      const tabId = await restoreArchivedTab(mockStorage.archivedTabs[0].id);
+
+      expect(mockTabs.find(t => t.id === tabId)).toMatchObject({ windowId: 200, url: 'https://twitter.com/some/status/1' });
+      expect(mockStorage.archivedTabs).toEqual([]);
+    });
+  });
 
+  describe('Move History', () => {
+    let docs, issue, pr;
+
+    beforeEach(() => {
+      createWindow(100);
+      createWindow(200);
+      docs = createTab(100, 'https://example.org/', 'Home');
+      issue = createTab(100, 'https://github.com/org/repo/issues/1', 'Issue');
+      pr = createTab(100, 'https://github.com/org/repo/pull/2', 'PR');
+      createTab(100, 'https://example.org/about', 'About');
+      createTab(200, 'https://github.com/org/repo', 'Repo');
       setConfig({
         enabled: true,
-        groups: [
-          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple' },
-          { name: '3004', patterns: ['localhost:3004'], priority: 1, mode: 'simple' }
-        ]
+        groups: [{ name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 0 }]
       });
+      setBindings({ 200: 'GitHub' });
+    });
 
-      setBindings({ 100: '3003', 200: '3004' });
+    test('moveTabToWindow records the move', async () => {
+      await moveTabToWindow(pr.id, 200, 'GitHub');
+
+      expect(mockStorage.moveHistory).toEqual([expect.objectContaining({
+        tabId: pr.id,
+        fromWindowId: 100,
+        fromIndex: 2,
+        toWindowId: 200,
+        groupName: 'GitHub',
+        reason: 'routed',
+        batch: null
+      })]);
+    });
 
-      // Act
+    test('a tab that opens an overflow window can be moved back', async () => {
+      const group = { name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 0, windowPolicy: 'overflow', maxTabs: 1 };
+      const windowId = await openOverflowWindow(group, pr.id);
+
+      expect(mockStorage.moveHistory).toEqual([expect.objectContaining({ tabId: pr.id, fromWindowId: 100, toWindowId: windowId, reason: 'routed' })]);
+      expect(await undoLastMove()).toEqual({ undone: 1, skipped: [] });
+      expect(pr.windowId).toBe(100);
+    });
+
+    test('a tab that opens an auto-created window can be moved back', async () => {
+      const group = { name: 'Docs', patterns: ['example.org/about'], mode: 'simple', priority: 1, createWindow: true };
+      const about = mockTabs.find(t => t.title === 'About');
+      const windowId = await autoCreateWindow(group, about.id);
+
+      expect(mockStorage.moveHistory).toEqual([expect.objectContaining({ tabId: about.id, fromWindowId: 100, toWindowId: windowId, groupName: 'Docs' })]);
+      expect(await undoLastMove()).toEqual({ undone: 1, skipped: [] });
+      expect(about.windowId).toBe(100);
+    });
+
+    test('undoLastMove puts the tab back where it was', async () => {
+      await moveTabToWindow(issue.id, 200, 'GitHub');
+      await moveTabToWindow(pr.id, 200, 'GitHub');
+
+      expect(await undoLastMove()).toEqual({ undone: 1, skipped: [] });
+      expect(getTabsByWindow(100).map(t => t.id)).toEqual([docs.id, pr.id, expect.any(Number)]);
+      expect(issue.windowId).toBe(200);
+      expect(mockStorage.moveHistory).toHaveLength(1);
+
+      await undoLastMove();
+      expect(getTabsByWindow(100).map(t => t.id).slice(0, 3)).toEqual([docs.id, issue.id, pr.id]);
+    });
+
+    test('undo skips a tab that was closed', async () => {
+      await moveTabToWindow(pr.id, 200, 'GitHub');
+      mockTabs = mockTabs.filter(t => t.id !== pr.id);
+
+      expect(await undoLastMove()).toEqual({ undone: 0, skipped: [{ title: 'PR', reason: 'the tab was closed' }] });
+      expect(mockStorage.moveHistory).toEqual([]);
+    });
+
+    test('undo skips a move whose source window was closed', async () => {
+      createWindow(300);
+      const lone = createTab(300, 'https://github.com/org/repo/issues/3', 'Lone');
+      createTab(300, 'https://example.org/help', 'Help');
+      await moveTabToWindow(lone.id, 200, 'GitHub');
+      mockWindows = mockWindows.filter(w => w.id !== 300);
+
+      expect(await undoLastMove()).toEqual({ undone: 0, skipped: [{ title: 'Lone', reason: 'its window was closed' }] });
+      expect(lone.windowId).toBe(200);
+    });
+
+    test('undo leaves a tab that has moved since', async () => {
+      await moveTabToWindow(pr.id, 200, 'GitHub');
+      createWindow(300);
+      await chrome.tabs.move(pr.id, { windowId: 300, index: -1 });
+
+      const result = await undoLastMove();
+
+      expect(result.skipped).toEqual([{ title: 'PR', reason: 'the tab has moved since' }]);
+      expect(pr.windowId).toBe(300);
+    });
+
+    test('undoSortAll reverts the whole batch of the last run', async () => {
+      await moveTabToWindow(docs.id, 200, null);
       const result = await sortAllTabs();
+      expect(result.moved).toBe(2);
+      expect(mockStorage.moveHistory.filter(e => e.batch)).toHaveLength(2);
+
+      expect(await undoSortAll()).toEqual({ undone: 2, skipped: [] });
+      expect(issue.windowId).toBe(100);
+      expect(pr.windowId).toBe(100);
+      // Earlier moves outside the batch stay put and stay in the history
+      expect(docs.windowId).toBe(200);
+      expect(mockStorage.moveHistory).toEqual([expect.objectContaining({ tabId: docs.id, batch: null })]);
+    });
 
-      // Assert
-      expect(result.moved).toBe(0);
+    test('the history is cleared at browser startup, so undo never touches reused ids', async () => {
+      await moveTabToWindow(pr.id, 200, 'GitHub');
+      await clearMoveHistory();
+
+      expect(await undoLastMove()).toEqual({ undone: 0, skipped: [] });
+      expect(pr.windowId).toBe(200);
+    });
+
+    test('undoSortAll with nothing to undo does nothing', async () => {
+      expect(await undoSortAll()).toEqual({ undone: 0, skipped: [] });
       expect(chrome.tabs.move).not.toHaveBeenCalled();
     });
   });
 
-  describe('User Bug Scenario - Multiple Windows Same Group', () => {
-    test('scenario: Window A=3003, new Window B=3004, sort should not create duplicate bindings', async () => {
-      /**
-       * User's original bug:
-       * 1. Window A assigned to 3003
-       * 2. New window B assigned to 3004
-       * 3. Click Sort All Tabs
-       * 4. Result: New window C created for 3003, A shows 3004, B unassigned
-       *
-       * Expected: No new windows created, bindings stay correct
-       */
-      const windowA = createWindow(100);
-      const windowB = createWindow(200);
-
-      // Window A has 3003 tab
-      createTab(100, 'http://localhost:3003/app', 'App 3003');
-      // Window B has 3004 tab
-      createTab(200, 'http://localhost:3004/app', 'App 3004');
-
+  describe('Debounced Routing', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      createWindow(100);
+      createWindow(200);
+      createWindow(300);
+      createTab(100, 'https://app.internal/', 'App');
+      createTab(200, 'https://github.com/', 'GitHub');
+      createTab(300, 'https://example.org/', 'Misc');
       setConfig({
         enabled: true,
+        catchAllWindowId: 300,
+        transitHosts: ['sso.example.com'],
         groups: [
-          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple' },
-          { name: '3004', patterns: ['localhost:3004'], priority: 1, mode: 'simple' }
+          { name: 'App', patterns: ['app.internal'], mode: 'simple', priority: 0 },
+          { name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 1 }
         ]
       });
+      setBindings({ 100: 'App', 200: 'GitHub' });
+    });
 
-      setBindings({ 100: '3003', 200: '3004' });
+    afterEach(() => {
+      jest.useRealTimers();
+    });
 
-      // Act
-      const result = await sortAllTabs();
-      const bindingsAfter = await getWindowBindings();
+    // Mirrors chrome.tabs.onUpdated: the tab's URL changes, then routing is scheduled
+    async function navigate(tab, url, ms = 100) {
+      tab.url = url;
+      tab.title = url;
+      await scheduleRouting(tab.id);
+      await jest.advanceTimersByTimeAsync(ms);
+    }
 
-      // Assert
-      expect(result.moved).toBe(0); // No tabs should move
-      expect(result.errors).toHaveLength(0);
-      expect(mockWindows.length).toBe(2); // No new windows created
-      expect(bindingsAfter[100]).toBe('3003'); // Window A still 3003
-      expect(bindingsAfter[200]).toBe('3004'); // Window B still 3004
+    test('routes only the final URL of a redirect chain', async () => {
+      const tab = createTab(200, 'https://github.com/login', 'Login');
+      await scheduleRouting(tab.id);
+
+      await navigate(tab, 'https://app.internal/dashboard');
+      await navigate(tab, 'https://sso.example.com/authorize?client=app');
+      await navigate(tab, 'https://sso.example.com/callback');
+      await navigate(tab, 'https://app.internal/dashboard', 0);
+      expect(chrome.tabs.move).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(750);
+
+      expect(chrome.tabs.move).toHaveBeenCalledTimes(1);
+      expect(tab.windowId).toBe(100);
+      expect(pendingRoutes.size).toBe(0);
     });
 
-    test('scenario: tabs in unbound window get sorted to correct bound windows', async () => {
-      /**
-       * Window A bound to 3003, Window B bound to 3004, Window C unbound
-       * Window C has mixed tabs (some 3003, some 3004)
-       * Sort should move tabs to correct windows
-       */
-      const windowA = createWindow(100);
-      const windowB = createWindow(200);
-      const windowC = createWindow(300); // Unbound
+    test('never routes a tab that settles on a transit host', async () => {
+      const tab = createTab(200, 'https://github.com/', 'GitHub');
 
-      createTab(100, 'http://localhost:3003/main', 'Main 3003');
-      createTab(200, 'http://localhost:3004/main', 'Main 3004');
+      await navigate(tab, 'https://login.sso.example.com/mfa', 2000);
 
-      // Mixed tabs in unbound window
-      const tab3003 = createTab(300, 'http://localhost:3003/other', 'Other 3003');
-      const tab3004 = createTab(300, 'http://localhost:3004/other', 'Other 3004');
+      expect(chrome.tabs.move).not.toHaveBeenCalled();
+      expect(tab.windowId).toBe(200);
+      expect((await explainRouting(tab.url, tab.title, 200)).skipped).toMatch(/Transit/);
+    });
 
-      setConfig({
-        enabled: true,
-        groups: [
-          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple' },
-          { name: '3004', patterns: ['localhost:3004'], priority: 1, mode: 'simple' }
-        ]
-      });
+    test('a settle delay of 0 routes immediately', async () => {
+      mockStorage.config.settleDelay = 0;
+      const tab = createTab(300, 'https://app.internal/settings', 'Settings');
 
-      setBindings({ 100: '3003', 200: '3004' }); // Window C not bound
+      await scheduleRouting(tab.id);
 
-      // Act
-      const result = await sortAllTabs();
+      expect(tab.windowId).toBe(100);
+      expect(pendingRoutes.size).toBe(0);
+    });
 
-      // Assert
-      expect(result.moved).toBe(2);
-      expect(tab3003.windowId).toBe(100); // Moved to window A
-      expect(tab3004.windowId).toBe(200); // Moved to window B
+    test('tabs closed while settling are skipped', async () => {
+      const tab = createTab(300, 'https://app.internal/settings', 'Settings');
+      await scheduleRouting(tab.id);
+      mockTabs = mockTabs.filter(t => t.id !== tab.id);
+
+      await jest.advanceTimersByTimeAsync(750);
+
+      expect(chrome.tabs.move).not.toHaveBeenCalled();
     });
 
-    test('bindWindow enforces one window per group', async () => {
-      // Setup: Window A already bound to 3003
-      setBindings({ 100: '3003' });
+    test('sortAllTabs leaves transit-host tabs alone', async () => {
+      createTab(300, 'https://sso.example.com/app.internal/login', 'app.internal login');
 
-      // Act: Bind Window B to 3003
-      await bindWindow(200, '3003');
+      const result = await sortAllTabs();
 
-      // Assert: Window A should be unbound, only Window B bound to 3003
-      const bindings = await getWindowBindings();
-      expect(bindings[100]).toBeUndefined();
-      expect(bindings[200]).toBe('3003');
+      expect(result.moved).toBe(0);
     });
   });
 
-  describe('Priority Handling', () => {
-    test('higher priority group processes first', async () => {
-      // Setup: Tab matches multiple groups, should go to higher priority
-      const windowA = createWindow(100);
-      const windowB = createWindow(200);
-
-      createTab(100, 'http://localhost:3003/app', 'Work App');
-      // This tab matches both "localhost" and "3004" patterns
-      const multiMatchTab = createTab(200, 'http://localhost:3004/app', 'Dev App');
+  describe('Incognito', () => {
+    function setup(groups) {
+      createWindow(100);
+      createWindow(200, true);
+      createWindow(300, true);
+      createTab(100, 'https://example.com/', 'Normal');
+      createTab(200, 'https://example.org/', 'Private');
+      createTab(300, 'https://example.net/', 'Private misc');
 
       setConfig({
         enabled: true,
-        groups: [
-          { name: 'Development', patterns: ['localhost'], priority: 0, mode: 'simple' }, // Higher priority
-          { name: '3004', patterns: ['3004'], priority: 1, mode: 'simple' }
+        groups: groups || [
+          { name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 0 }
         ]
       });
+    }
 
-      setBindings({ 100: 'Development' });
+    test('routes incognito tabs to the group\'s incognito window', async () => {
+      setup();
+      createWindow(400);
+      createTab(400, 'https://example.com/other', 'Other');
+      setBindings({ 100: 'GitHub', 200: 'GitHub' });
 
-      // Act
-      const result = await sortAllTabs();
+      const tab = createTab(300, 'https://github.com/org/repo', 'Repo');
+      await handleTabNavigation(tab.id, tab.url, tab.title, tab.windowId, tab.incognito);
+      const normalTab = createTab(400, 'https://github.com/org/repo', 'Repo');
+      await handleTabNavigation(normalTab.id, normalTab.url, normalTab.title, normalTab.windowId, normalTab.incognito);
 
-      // Assert: Tab should go to Development window (higher priority)
-      expect(multiMatchTab.windowId).toBe(100);
+      expect(tab.windowId).toBe(200);
+      expect(normalTab.windowId).toBe(100);
     });
 
-    test('does not steal tabs from higher priority window', async () => {
-      // Setup: Tab in high-priority window matches low-priority group too
-      const windowA = createWindow(100);
-      const windowB = createWindow(200);
+    test('never moves an incognito tab to a normal window', async () => {
+      setup();
+      setBindings({ 100: 'GitHub' });
+      mockStorage.config.catchAllWindowId = 100;
 
-      // This tab is in "Development" window and matches localhost:3004
-      const tab = createTab(100, 'http://localhost:3004/app', 'Dev App');
+      const matched = createTab(300, 'https://github.com/org/repo', 'Repo');
+      await handleTabNavigation(matched.id, matched.url, matched.title, matched.windowId, true);
+      const unmatched = createTab(300, 'https://news.example.com/', 'News');
+      await handleTabNavigation(unmatched.id, unmatched.url, unmatched.title, unmatched.windowId, true);
 
-      setConfig({
+      expect(matched.windowId).toBe(300);
+      expect(unmatched.windowId).toBe(300);
+      expect(chrome.tabs.move).not.toHaveBeenCalled();
+    });
+
+    test('moveTabToWindow refuses to cross the incognito boundary', async () => {
+      setup();
+      const tab = createTab(300, 'https://github.com/', 'GitHub');
+
+      expect(await moveTabToWindow(tab.id, 100, 'GitHub')).toBe(false);
+      expect(chrome.tabs.move).not.toHaveBeenCalled();
+    });
+
+    test('windowScope limits a group to normal or incognito windows', () => {
+      const config = {
         enabled: true,
         groups: [
-          { name: 'Development', patterns: ['localhost'], priority: 0, mode: 'simple' }, // Higher priority
-          { name: '3004', patterns: ['3004'], priority: 1, mode: 'simple' }
+          { name: 'Private', patterns: ['github.com'], mode: 'simple', priority: 0, windowScope: 'incognito' },
+          { name: 'Work', patterns: ['github.com'], mode: 'simple', priority: 1, windowScope: 'normal' },
+          { name: 'github-notes', patterns: ['notes.example.com'], mode: 'simple', priority: 2, windowScope: 'normal' }
         ]
-      });
+      };
 
-      setBindings({ 100: 'Development', 200: '3004' });
+      for (const incognito of [false, true]) {
+        for (const [url, title] of [['https://github.com/', 'GitHub'], ['https://example.com/', 'github-notes']]) {
+          expect(findMatchingGroup(url, title, config, { incognito })?.name)
+            .toBe(findMatchingGroupUncompiled(url, title, config, { incognito })?.name);
+        }
+      }
+      expect(findMatchingGroup('https://github.com/', 'GitHub', config, { incognito: true }).name).toBe('Private');
+      expect(findMatchingGroup('https://github.com/', 'GitHub', config, { incognito: false }).name).toBe('Work');
+      expect(findMatchingGroup('https://example.com/', 'github-notes', config, { incognito: true })).toBeNull();
+    });
+
+    test('bindWindow keeps one binding of each kind per group', async () => {
+      setup();
+      createWindow(400);
+
+      await bindWindow(100, 'GitHub');
+      await bindWindow(200, 'GitHub');
+      expect(mockStorage.windowBindings).toEqual({ 100: 'GitHub', 200: 'GitHub' });
+
+      await bindWindow(300, 'GitHub');
+      await bindWindow(400, 'GitHub');
+      expect(mockStorage.windowBindings).toEqual({ 300: 'GitHub', 400: 'GitHub' });
+    });
+
+    test('sortAllTabs skips tabs whose group only has a window of the other kind', async () => {
+      setup();
+      setBindings({ 100: 'GitHub' });
+      const privateTab = createTab(300, 'https://github.com/org/repo', 'Repo');
 
-      // Act
       const result = await sortAllTabs();
 
-      // Assert: Tab should stay in Development (won't be stolen by lower priority)
-      expect(tab.windowId).toBe(100);
       expect(result.moved).toBe(0);
+      expect(privateTab.windowId).toBe(300);
+      expect(result.skipped).toEqual([
+        expect.objectContaining({ title: 'Repo', group: 'GitHub', reason: expect.stringMatching(/incognito/) })
+      ]);
+      expect(chrome.windows.create).not.toHaveBeenCalled();
     });
-  });
 
-  describe('Regex Mode', () => {
-    test('matches tabs using regex patterns', async () => {
-      const windowA = createWindow(100);
-      const windowB = createWindow(200);
+    test('sortAllTabs sorts incognito tabs among incognito windows', async () => {
+      setup();
+      setBindings({ 100: 'GitHub', 200: 'GitHub' });
+      const privateTab = createTab(300, 'https://github.com/org/repo', 'Repo');
 
-      createTab(100, 'http://localhost:3000/app', 'App 3000');
-      const tab3001 = createTab(200, 'http://localhost:3001/app', 'App 3001');
-      const tab3002 = createTab(200, 'http://localhost:3002/app', 'App 3002');
+      const result = await sortAllTabs();
 
-      setConfig({
-        enabled: true,
-        groups: [
-          { name: 'Dev Ports', patterns: ['localhost:300[0-2]'], priority: 0, mode: 'regex' }
-        ]
-      });
+      expect(result.moved).toBe(1);
+      expect(result.skipped).toEqual([]);
+      expect(privateTab.windowId).toBe(200);
+    });
 
-      setBindings({ 100: 'Dev Ports' });
+    test('explainRouting marks out-of-scope groups and other-kind windows', async () => {
+      setup([
+        { name: 'Work', patterns: ['github.com'], mode: 'simple', priority: 0, windowScope: 'normal' },
+        { name: 'GitHub', patterns: ['github.com'], mode: 'simple', priority: 1 }
+      ]);
+      setBindings({ 100: 'GitHub' });
 
-      // Act
-      const result = await sortAllTabs();
+      const trace = await explainRouting('https://github.com/', 'GitHub', 300, null, true);
 
-      // Assert: Both tabs should move to window A (regex matches 3000-3002)
-      expect(result.moved).toBe(2);
-      expect(tab3001.windowId).toBe(100);
-      expect(tab3002.windowId).toBe(100);
+      expect(trace.groups[0]).toMatchObject({ name: 'Work', outOfScope: true, matched: false });
+      expect(trace.matchedGroup).toBe('GitHub');
+      expect(trace.binding).toMatchObject({ windowId: null, otherKindWindowId: 100 });
+      expect(trace.outcome).toMatch(/only window is a normal window/);
     });
   });
 
@@ -658,11 +6047,12 @@ describe('Tab Shepherd - Happy Path Tests', () => {
 
       const windowA = createWindow(100);
       const tab = createTab(100, 'http://localhost:3003/app', 'App');
+      createTab(100, 'https://news.example.org/', 'News'); // Keeps window A open
 
       setConfig({
         enabled: true,
         groups: [
-          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple' }
+          { name: '3003', patterns: ['localhost:3003'], priority: 0, mode: 'simple', createWindow: true }
         ]
       });
 
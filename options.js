@@ -1,5 +1,61 @@
 // Tab Shepherd - Options Page Script
 
+// The option lists and defaults below mirror the constants of the same name in
+// background.js; keep the two in sync.
+const MATCH_MODES = ['simple', 'glob', 'regex'];
+const TITLE_MATCH_MODES = ['contains', 'word', 'tag'];
+
+// Groups created before title-name matching was configurable behave like this
+const LEGACY_TITLE_MATCH = { enabled: true, mode: 'contains', aliases: [] };
+const DEFAULT_TITLE_MATCH = { enabled: true, mode: 'word', aliases: [] };
+
+// Weekdays 09:00–18:00; distraction templates default to "active outside" this
+const WORK_HOURS_OFF_SCHEDULE = {
+  enabled: true,
+  activeWhen: 'outside',
+  days: [1, 2, 3, 4, 5],
+  ranges: [{ start: '09:00', end: '18:00' }]
+};
+
+const KEEP_CHILDREN_MODES = ['off', 'above', 'below'];
+
+const WINDOW_SCOPES = ['both', 'normal', 'incognito'];
+
+const ROUTING_ACTIONS = ['move', 'group', 'duplicate', 'notify'];
+
+const FOCUS_MODES = ['always', 'never', 'foreground'];
+
+const TAB_PLACEMENTS = ['end', 'start', 'afterActive', 'tabGroup', 'domain', 'title'];
+
+const DUPLICATE_MODES = ['allow', 'focusExisting', 'keepNewest'];
+const DEFAULT_DUPLICATES = { mode: 'allow', ignoreHash: true, ignoreQuery: false };
+
+const WINDOW_POLICIES = ['single', 'overflow', 'roundRobin', 'recent'];
+const DEFAULT_MAX_TABS = 80;
+
+const TAB_LIMIT_POLICIES = ['discard', 'archive', 'close'];
+const MAX_TAB_LIMIT = 1000;
+
+const EXPIRY_ACTIONS = ['archive', 'close'];
+const MAX_EXPIRY_HOURS = 8760;
+
+// Chrome tab group colors
+const TAB_GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange', 'grey'];
+
+const DEFAULT_NORMALIZATION = {
+  enabled: false,
+  decode: true,
+  lowercaseHost: true,
+  stripWww: false,
+  stripParams: ['utm_*', 'fbclid', 'gclid'],
+  unwrapRedirects: true
+};
+const NORMALIZATION_FLAGS = ['decode', 'lowercaseHost', 'stripWww', 'unwrapRedirects'];
+
+const DEFAULT_SETTLE_DELAY = 750;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
 // Template definitions
 const TEMPLATES = {
   development: {
@@ -30,13 +86,15 @@ const TEMPLATES = {
     name: 'Social',
     icon: '&#x1F310;',
     patterns: ['twitter.com', 'x.com', 'linkedin.com', 'reddit.com'],
-    mode: 'simple'
+    mode: 'simple',
+    schedule: WORK_HOURS_OFF_SCHEDULE
   },
   entertainment: {
     name: 'Entertainment',
     icon: '&#x1F3AC;',
     patterns: ['youtube.com', 'netflix.com', 'spotify.com'],
-    mode: 'simple'
+    mode: 'simple',
+    schedule: WORK_HOURS_OFF_SCHEDULE
   }
 };
 
@@ -65,14 +123,55 @@ document.addEventListener('DOMContentLoaded', async () => {
   const modalCloseBtn = document.getElementById('modalCloseBtn');
   const groupNameInput = document.getElementById('groupNameInput');
   const groupPatternsInput = document.getElementById('groupPatternsInput');
+  const groupExcludeInput = document.getElementById('groupExcludeInput');
+  const titleMatchEnabledInput = document.getElementById('titleMatchEnabledInput');
+  const titleMatchModeInput = document.getElementById('titleMatchModeInput');
+  const titleAliasesInput = document.getElementById('titleAliasesInput');
+  const keepChildrenInput = document.getElementById('keepChildrenInput');
+  const windowScopeInput = document.getElementById('windowScopeInput');
+  const windowPolicyInput = document.getElementById('windowPolicyInput');
+  const maxTabsInput = document.getElementById('maxTabsInput');
+  const createWindowInput = document.getElementById('createWindowInput');
+  const tabLimitMaxInput = document.getElementById('tabLimitMaxInput');
+  const tabLimitPolicyInput = document.getElementById('tabLimitPolicyInput');
+  const expiryHoursInput = document.getElementById('expiryHoursInput');
+  const expiryActionInput = document.getElementById('expiryActionInput');
+  const routingActionInput = document.getElementById('routingActionInput');
+  const groupFocusInput = document.getElementById('groupFocusInput');
+  const focusModeInput = document.getElementById('focusModeInput');
+  const placementInput = document.getElementById('placementInput');
+  const duplicateModeInput = document.getElementById('duplicateModeInput');
+  const duplicateIgnoreHashInput = document.getElementById('duplicateIgnoreHashInput');
+  const duplicateIgnoreQueryInput = document.getElementById('duplicateIgnoreQueryInput');
+  const reorderOnSortInput = document.getElementById('reorderOnSortInput');
+  const normalizationModeInput = document.getElementById('normalizationModeInput');
+  const groupNormalizationEditor = document.getElementById('groupNormalizationEditor');
+  const globalNormalizationEditor = document.getElementById('globalNormalizationEditor');
+  const globalNormalizationEnabled = document.getElementById('globalNormalizationEnabled');
+  const settleDelayInput = document.getElementById('settleDelayInput');
+  const transitHostsInput = document.getElementById('transitHostsInput');
+  const scheduleEnabledInput = document.getElementById('scheduleEnabledInput');
+  const scheduleEditor = document.getElementById('scheduleEditor');
+  const scheduleWhenInput = document.getElementById('scheduleWhenInput');
+  const weekdayInputs = document.querySelectorAll('#weekdayPicker input[data-day]');
+  const scheduleRanges = document.getElementById('scheduleRanges');
+  const addRangeBtn = document.getElementById('addRangeBtn');
   const matchModeInput = document.getElementById('matchModeInput');
   const modalCancelBtn = document.getElementById('modalCancelBtn');
   const modalSaveBtn = document.getElementById('modalSaveBtn');
-  const modeButtons = document.querySelectorAll('.mode-btn');
+  const modeButtons = document.querySelectorAll('.mode-btn[data-mode]');
+  const logicButtons = document.querySelectorAll('.mode-btn[data-logic]');
+  const conditionLogicInput = document.getElementById('conditionLogicInput');
+  const conditionsList = document.getElementById('conditionsList');
+  const addConditionBtn = document.getElementById('addConditionBtn');
+  const subgroupsList = document.getElementById('subgroupsList');
+  const addSubgroupBtn = document.getElementById('addSubgroupBtn');
   const simpleTips = document.getElementById('simpleTips');
+  const globTips = document.getElementById('globTips');
   const regexTips = document.getElementById('regexTips');
   const testerResults = document.getElementById('testerResults');
   const matchCount = document.getElementById('matchCount');
+  const routingTrace = document.getElementById('routingTrace');
 
   // Template modal elements
   const templateModal = document.getElementById('templateModal');
@@ -83,9 +182,15 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   let currentConfig = null;
   let windowsList = [];
+  let groupSessions = {}; // groupName -> saved sessions, newest first
+  let tabLimitUsage = {}; // groupName -> { count, max }
+  let patternIssues = {}; // group name → regex safety issues, from checkPatterns
   let editingGroupIndex = null;
   let draggedRow = null;
   let patternTestDebounce = null;
+  let modalConditions = [];
+  let modalSubgroups = [];
+  let modalRanges = [];
 
   // ============================================================================
   // Helpers
@@ -112,6 +217,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   async function refreshWindows() {
     windowsList = await sendMessage({ action: 'getAllWindows' });
+    groupSessions = await sendMessage({ action: 'getGroupSessions' }) || {};
+    tabLimitUsage = await sendMessage({ action: 'getTabLimitUsage' }) || {};
+    await refreshPatternIssues();
     renderGroupsTable();
     renderCatchAllSelect();
   }
@@ -131,7 +239,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     } else {
       name = `Window ${w.id}`;
     }
-    return `${truncate(name)} (${w.tabCount} tabs)`;
+    return `${truncate(name)} (${w.tabCount} tabs${w.incognito ? ', incognito' : ''})`;
   }
 
   function escapeHtml(str) {
@@ -140,6 +248,187 @@ document.addEventListener('DOMContentLoaded', async () => {
     return div.innerHTML;
   }
 
+  function describeCondition(c) {
+    switch (c.type) {
+      case 'host': return `host=${c.value}`;
+      case 'path': return c.match === 'regex' ? `path~/${c.value}/` : `path^=${c.value}`;
+      case 'query': return c.value ? `?${c.key}=${c.value}` : `?${c.key}`;
+      case 'title': return c.match === 'regex' ? `title~/${c.value}/` : `title*=${c.value}`;
+      case 'port': return `port=${c.value}`;
+      default: return c.type;
+    }
+  }
+
+  function describeTitleMatch(group) {
+    const titleMatch = group.titleMatch || LEGACY_TITLE_MATCH;
+    if (titleMatch.enabled === false) {
+      return '<span class="badge off" title="Title-name matching disabled">title: off</span>';
+    }
+    const modeLabel = { contains: 'anywhere', word: 'word', tag: '[tag]' }[titleMatch.mode] || 'anywhere';
+    const terms = [group.name, ...(titleMatch.aliases || [])].join(', ');
+    return `<span class="badge" title="Title-name matching on: ${escapeHtml(terms)}">title: ${modeLabel}</span>`;
+  }
+
+  function describeSchedule(group) {
+    const schedule = group.schedule;
+    if (!schedule || schedule.enabled === false) return '';
+
+    const days = schedule.days && schedule.days.length > 0 && schedule.days.length < 7
+      ? [...schedule.days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).map(d => DAY_NAMES[d]).join(' ')
+      : 'every day';
+    const ranges = (schedule.ranges || []).map(r => `${r.start}–${r.end}`).join(', ') || 'all day';
+    const when = schedule.activeWhen === 'outside' ? 'outside' : 'during';
+    return `<span class="badge schedule" title="Only routes ${when} ${escapeHtml(days)} ${escapeHtml(ranges)}">&#x23F0; ${when} ${escapeHtml(days)} ${escapeHtml(ranges)}</span>`;
+  }
+
+  function describeKeepChildren(group) {
+    if (group.keepChildren === 'above') {
+      return '<span class="badge" title="Tabs opened from this window stay here, even if another group matches">keeps children</span>';
+    }
+    if (group.keepChildren === 'below') {
+      return '<span class="badge" title="Tabs opened from this window stay here unless another group matches">keeps unmatched children</span>';
+    }
+    return '';
+  }
+
+  // Regex safety analysis lives in the background (checkRegexSafety), which also
+  // refuses to compile unsafe patterns
+  async function checkPatterns(groups) {
+    return (await sendMessage({ action: 'checkPatterns', groups })) || groups.map(() => []);
+  }
+
+  async function refreshPatternIssues() {
+    const results = await checkPatterns(currentConfig.groups);
+    patternIssues = {};
+    currentConfig.groups.forEach((group, i) => {
+      if (results[i] && results[i].length) patternIssues[group.name] = results[i];
+    });
+  }
+
+  function describeIssue(issue) {
+    return `${issue.where} ${issue.pattern}: ${issue.reason}`;
+  }
+
+  function describePatternIssues(group) {
+    const issues = patternIssues[group.name] || [];
+    if (issues.length === 0) return '';
+    const unsafe = issues.some(issue => issue.severity === 'unsafe');
+    const title = issues.map(describeIssue).join('\n');
+    return unsafe
+      ? `<span class="badge unsafe" title="${escapeAttr(title)}\nUnsafe patterns are disabled until fixed.">&#x26A0; unsafe regex</span>`
+      : `<span class="badge risky" title="${escapeAttr(title)}">&#x26A0; slow regex</span>`;
+  }
+
+  function escapeAttr(str) {
+    return escapeHtml(str).replace(/"/g, '&quot;');
+  }
+
+  function describeNormalization(group) {
+    if (!group.normalization) return '';
+    if (group.normalization.enabled === false) {
+      return '<span class="badge off" title="Patterns match the raw URL">raw URLs</span>';
+    }
+    return '<span class="badge" title="This group overrides the global URL normalization">custom URL normalization</span>';
+  }
+
+  function describeRoutingAction(group) {
+    if (group.action === 'group') {
+      return '<span class="badge" title="Matching tabs stay in their window, inside a tab group named after this group">groups in place</span>';
+    }
+    if (group.action === 'duplicate') {
+      return '<span class="badge" title="Matching tabs are copied to this group\'s window; the original stays">copies</span>';
+    }
+    if (group.action === 'notify') {
+      return '<span class="badge" title="Matching tabs stay put; a notification offers to send them here">notifies</span>';
+    }
+    return '';
+  }
+
+  function describeFocus(group) {
+    if (group.focus === 'never') {
+      return '<span class="badge" title="Tabs move here in the background">silent</span>';
+    }
+    if (group.focus === 'foreground') {
+      return '<span class="badge" title="Chrome follows only the tab you are looking at">follows foreground</span>';
+    }
+    if (group.focus === 'always') {
+      return '<span class="badge" title="Chrome always switches to this window when a tab moves here">follows</span>';
+    }
+    return '';
+  }
+
+  function describePlacement(group) {
+    const labels = {
+      start: 'placed first',
+      afterActive: 'placed by active tab',
+      tabGroup: 'placed in tab group',
+      domain: 'sorted by site',
+      title: 'sorted by title'
+    };
+    const label = labels[group.placement];
+    return label ? `<span class="badge" title="Where routed tabs land in this group's window">${label}</span>` : '';
+  }
+
+  function describeDuplicates(group) {
+    const mode = group.duplicates && group.duplicates.mode;
+    if (mode === 'focusExisting') {
+      return '<span class="badge" title="Closes a routed tab whose page is already open and focuses the open one">no duplicates</span>';
+    }
+    if (mode === 'keepNewest') {
+      return '<span class="badge" title="Closes older copies of a routed tab\'s page">keeps newest</span>';
+    }
+    return '';
+  }
+
+  function describeSubgroups(group) {
+    const subgroups = group.subgroups || [];
+    if (subgroups.length === 0) return '';
+    const titles = subgroups.map(sub => sub.title).join(', ');
+    return `<span class="badge" title="Sub-groups: ${escapeAttr(titles)}">${subgroups.length + 1} tab groups</span>`;
+  }
+
+  function describeWindowPolicy(group) {
+    if (group.windowPolicy === 'overflow') {
+      const maxTabs = group.maxTabs || DEFAULT_MAX_TABS;
+      return `<span class="badge" title="Fills each window up to ${maxTabs} tabs, then opens a new one">${maxTabs} tabs/window</span>`;
+    }
+    if (group.windowPolicy === 'roundRobin') {
+      return '<span class="badge" title="Routed tabs take turns between this group\'s windows">round-robin</span>';
+    }
+    if (group.windowPolicy === 'recent') {
+      return '<span class="badge" title="Routed tabs go to the most recently focused of this group\'s windows">recent window</span>';
+    }
+    return '';
+  }
+
+  function describeCreateWindow(group) {
+    if (!group.createWindow) return '';
+    return '<span class="badge" title="Opens a new window for the first matching tab when none is assigned">opens window</span>';
+  }
+
+  function describeExpiry(group) {
+    if (!group.expiry || !group.expiry.hours) return '';
+    const verb = group.expiry.action === 'close' ? 'Closes' : 'Archives';
+    return `<span class="badge" title="${verb} tabs not activated for ${group.expiry.hours} hours">expires after ${group.expiry.hours}h</span>`;
+  }
+
+  function describeWindowScope(group) {
+    if (group.windowScope === 'normal') {
+      return '<span class="badge" title="Only routes tabs in normal windows">normal only</span>';
+    }
+    if (group.windowScope === 'incognito') {
+      return '<span class="badge" title="Only routes tabs in incognito windows">incognito only</span>';
+    }
+    return '';
+  }
+
+  function describeConditions(group) {
+    const conditions = group.conditions || [];
+    if (conditions.length === 0) return '';
+    const joiner = group.conditionLogic === 'any' ? ' OR ' : ' AND ';
+    return conditions.map(describeCondition).join(joiner);
+  }
+
   // ============================================================================
   // Quick Start / Onboarding
   // ============================================================================
@@ -170,6 +459,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         name: template.name,
         patterns: template.patterns,
         mode: template.mode || 'simple',
+        titleMatch: { ...DEFAULT_TITLE_MATCH },
+        ...(template.schedule ? { schedule: structuredClone(template.schedule) } : {}),
         priority: maxPriority + 1
       });
       added++;
@@ -199,15 +490,20 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     const sortedGroups = [...currentConfig.groups].sort((a, b) => a.priority - b.priority);
 
+    // Incognito windows get their own select: a group binds windows of each kind separately
+    const hasIncognito = windowsList.some(w => w.incognito);
+
     groupsTableBody.innerHTML = sortedGroups.map((group) => {
-      const boundWindow = windowsList.find(w => w.boundGroup === group.name);
-      const modeLabel = group.mode === 'regex' ? ' <span style="font-size:10px;color:#888;">(regex)</span>' : '';
+      const modeLabel = group.mode === 'regex' || group.mode === 'glob'
+        ? ` <span style="font-size:10px;color:#888;">(${group.mode})</span>`
+        : '';
+      const conditionsLabel = describeConditions(group);
+      const excludes = group.excludePatterns || [];
 
-      // Build window options
-      const windowOptions = windowsList.map(w => {
-        const selected = boundWindow && boundWindow.id === w.id ? 'selected' : '';
-        return `<option value="${w.id}" ${selected}>${escapeHtml(getWindowLabel(w))}</option>`;
-      }).join('');
+      const windowSelects = [false, ...(hasIncognito ? [true] : [])]
+        .filter(incognito => appliesToWindow(group, incognito))
+        .map(incognito => renderWindowSelect(group, incognito))
+        .join('');
 
       return `
         <tr draggable="true" data-name="${escapeHtml(group.name)}">
@@ -216,18 +512,16 @@ document.addEventListener('DOMContentLoaded', async () => {
           </td>
           <td class="col-group">
             <div class="group-info">
-              <div class="group-name" data-name="${escapeHtml(group.name)}">${escapeHtml(group.name)}${modeLabel}</div>
+              <div class="group-name" data-name="${escapeHtml(group.name)}">${escapeHtml(group.name)}${modeLabel}${describeTitleMatch(group)}${describeSchedule(group)}${describeKeepChildren(group)}${describeRoutingAction(group)}${describeFocus(group)}${describePlacement(group)}${describeDuplicates(group)}${describeSubgroups(group)}${describeWindowPolicy(group)}${describeCreateWindow(group)}${describeExpiry(group)}${describeWindowScope(group)}${describeNormalization(group)}${describePatternIssues(group)}</div>
               <div class="group-patterns">${escapeHtml(group.patterns.join(' | '))}</div>
+              ${conditionsLabel ? `<div class="group-conditions">${escapeHtml(conditionsLabel)}</div>` : ''}
+              ${excludes.length ? `<div class="group-excludes">not: ${escapeHtml(excludes.join(' | '))}</div>` : ''}
             </div>
           </td>
           <td class="col-window">
-            <div class="window-select-wrapper">
-              <select class="window-select" data-group="${escapeHtml(group.name)}">
-                <option value="">(not assigned)</option>
-                ${windowOptions}
-              </select>
-              <button class="btn-identify" data-group="${escapeHtml(group.name)}" title="Identify window">&#x1F441;</button>
-            </div>
+            ${windowSelects}
+            ${renderTabUsage(group)}
+            ${renderSessionControls(group)}
           </td>
           <td class="col-actions">
             <div class="group-actions">
@@ -242,6 +536,74 @@ document.addEventListener('DOMContentLoaded', async () => {
     setupTableEventHandlers();
   }
 
+  // One select per bound window; groups with several windows get an extra empty
+  // select to add another
+  function renderWindowSelect(group, incognito) {
+    const kindWindows = windowsList.filter(w => !!w.incognito === incognito);
+    const boundWindows = kindWindows.filter(w => w.boundGroup === group.name);
+    const multiWindow = (group.windowPolicy || 'single') !== 'single';
+    const slots = multiWindow ? [...boundWindows, null] : [boundWindows[0] || null];
+
+    return slots.map((boundWindow, i) => {
+      const windowOptions = kindWindows.map(w => {
+        const selected = boundWindow && boundWindow.id === w.id ? 'selected' : '';
+        return `<option value="${w.id}" ${selected}>${escapeHtml(getWindowLabel(w))}</option>`;
+      }).join('');
+      const emptyLabel = multiWindow && i > 0 ? '(add a window)' : incognito ? '(no incognito window)' : '(not assigned)';
+
+      return `
+        <div class="window-select-wrapper">
+          <select class="window-select" data-group="${escapeHtml(group.name)}" data-incognito="${incognito}">
+            <option value="">${emptyLabel}</option>
+            ${windowOptions}
+          </select>
+          <button class="btn-identify" data-group="${escapeHtml(group.name)}" title="Identify window">&#x1F441;</button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Current tab count of the group's windows, against its limit if it has one
+  function renderTabUsage(group) {
+    const usage = tabLimitUsage[group.name];
+    if (!usage) return '';
+    if (!usage.max) return `<div class="tab-usage">${usage.count} tab${usage.count !== 1 ? 's' : ''}</div>`;
+    const policy = (group.tabLimit && group.tabLimit.policy) || 'discard';
+    const over = usage.count > usage.max ? ' over-limit' : '';
+    return `<div class="tab-usage${over}" title="Past the limit, least recently used tabs are ${policy === 'discard' ? 'discarded' : policy === 'archive' ? 'archived' : 'closed'}">${usage.count} / ${usage.max} tabs</div>`;
+  }
+
+  // "Save & close" while the group has a window; restore or delete its saved sessions
+  function renderSessionControls(group) {
+    const hasWindow = windowsList.some(w => w.boundGroup === group.name);
+    const sessions = groupSessions[group.name] || [];
+    if (!hasWindow && sessions.length === 0) return '';
+
+    const sessionOptions = sessions.map(session => {
+      const when = new Date(session.savedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+      return `<option value="${escapeAttr(session.id)}">${escapeHtml(when)} · ${session.tabs.length} tab${session.tabs.length > 1 ? 's' : ''}</option>`;
+    }).join('');
+
+    return `
+      <div class="session-controls" data-group="${escapeHtml(group.name)}">
+        ${hasWindow ? '<button class="btn-session save-close" title="Save this group\'s window as a session, then close it">Save &amp; close</button>' : ''}
+        ${sessions.length > 0 ? `
+          <select class="session-select" title="Saved sessions">${sessionOptions}</select>
+          <button class="btn-session restore" title="Reopen the selected session in a new window">Restore</button>
+          <button class="btn-icon delete-session" title="Delete the selected session">&#x2715;</button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  // Mirrors appliesToWindow() in background.js
+  function appliesToWindow(group, incognito) {
+    const scope = group.windowScope || 'both';
+    if (scope === 'normal') return !incognito;
+    if (scope === 'incognito') return incognito;
+    return true;
+  }
+
   function setupTableEventHandlers() {
     // Drag and drop
     const rows = groupsTableBody.querySelectorAll('tr[draggable="true"]');
@@ -274,10 +636,17 @@ document.addEventListener('DOMContentLoaded', async () => {
         const groupName = select.dataset.group;
         const windowId = select.value ? parseInt(select.value) : null;
 
+        // The group's windows of this kind are whatever its selects now show
+        const cell = select.closest('.col-window');
+        const windowIds = [...cell.querySelectorAll(`.window-select[data-incognito="${select.dataset.incognito}"]`)]
+          .map(s => parseInt(s.value))
+          .filter(id => !isNaN(id));
+
         await sendMessage({
           action: 'bindWindowToGroup',
           groupName: groupName,
-          windowId: windowId
+          windowIds: [...new Set(windowIds)],
+          incognito: select.dataset.incognito === 'true'
         });
 
         await refreshWindows();
@@ -285,6 +654,38 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
     });
 
+    // Saved sessions
+    groupsTableBody.querySelectorAll('.session-controls').forEach(controls => {
+      const groupName = controls.dataset.group;
+      const sessionSelect = controls.querySelector('.session-select');
+
+      controls.querySelector('.save-close')?.addEventListener('click', async () => {
+        const result = await sendMessage({ action: 'saveAndCloseGroup', groupName });
+        if (result.error) {
+          showStatus(result.error, 'error');
+          return;
+        }
+        await refreshWindows();
+        showStatus(`Saved and closed "${groupName}"`, 'success');
+      });
+
+      controls.querySelector('.restore')?.addEventListener('click', async () => {
+        const result = await sendMessage({ action: 'restoreGroupSession', groupName, sessionId: sessionSelect.value });
+        if (result.error) {
+          showStatus(result.error, 'error');
+          return;
+        }
+        await refreshWindows();
+        showStatus(`Restored "${groupName}"`, 'success');
+      });
+
+      controls.querySelector('.delete-session')?.addEventListener('click', async () => {
+        if (!confirm(`Delete this saved session of "${groupName}"?`)) return;
+        await sendMessage({ action: 'deleteGroupSession', groupName, sessionId: sessionSelect.value });
+        await refreshWindows();
+      });
+    });
+
     // Identify window button
     groupsTableBody.querySelectorAll('.btn-identify').forEach(btn => {
       btn.addEventListener('click', async () => {
@@ -320,50 +721,139 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Pattern Tester
   // ============================================================================
 
-  async function testPatterns() {
-    const patterns = groupPatternsInput.value
+  function parseLines(textarea) {
+    return textarea.value
       .split('\n')
       .map(p => p.trim())
       .filter(p => p.length > 0);
+  }
 
-    if (patterns.length === 0) {
+  async function testPatterns() {
+    const patterns = parseLines(groupPatternsInput);
+    const excludePatterns = parseLines(groupExcludeInput);
+    const conditions = getModalConditions();
+
+    if (patterns.length === 0 && conditions.length === 0) {
       testerResults.innerHTML = '<p class="tester-hint">Enter patterns to see which tabs would match.</p>';
       matchCount.textContent = '0 matches';
       matchCount.classList.add('no-match');
       return;
     }
 
-    const isSimpleMode = matchModeInput.value === 'simple';
-
     const tabs = await sendMessage({
       action: 'testPatterns',
       patterns,
-      simpleMode: isSimpleMode
+      mode: matchModeInput.value,
+      conditions,
+      conditionLogic: conditionLogicInput.value,
+      excludePatterns,
+      subgroups: getModalSubgroups(),
+      normalization: getModalNormalization()
     });
 
     const matches = tabs.filter(t => t.matches);
-    const nonMatches = tabs.filter(t => !t.matches);
+    const excluded = tabs.filter(t => t.excludedBy);
+    const nonMatches = tabs.filter(t => !t.matches && !t.excludedBy);
 
-    matchCount.textContent = `${matches.length} match${matches.length !== 1 ? 'es' : ''}`;
+    matchCount.textContent = `${matches.length} match${matches.length !== 1 ? 'es' : ''}` +
+      (excluded.length ? `, ${excluded.length} excluded` : '');
     matchCount.classList.toggle('no-match', matches.length === 0);
 
-    // Show matches first, then non-matches
-    const sortedTabs = [...matches, ...nonMatches].slice(0, 20); // Limit to 20 tabs
+    // Show matches first, then tabs removed by an exclude rule, then non-matches
+    const sortedTabs = [...matches, ...excluded, ...nonMatches].slice(0, 20); // Limit to 20 tabs
 
     if (sortedTabs.length === 0) {
       testerResults.innerHTML = '<p class="tester-hint">No open tabs to test against.</p>';
       return;
     }
 
-    testerResults.innerHTML = sortedTabs.map(tab => `
-      <div class="tester-item ${tab.matches ? 'match' : 'no-match'}">
-        <span class="tester-icon">${tab.matches ? '&#x2714;' : '&#x2718;'}</span>
-        <div class="tester-info">
-          <div class="tester-title">${escapeHtml(truncate(tab.title, 40))}</div>
-          <div class="tester-url">${escapeHtml(truncate(tab.url.replace(/^https?:\/\//, ''), 50))}</div>
+    testerResults.innerHTML = sortedTabs.map(tab => {
+      const state = tab.matches ? 'match' : tab.excludedBy ? 'excluded' : 'no-match';
+      const icon = tab.matches ? '&#x2714;' : tab.excludedBy ? '&#x2298;' : '&#x2718;';
+      return `
+        <div class="tester-item ${state}" data-tab-id="${tab.id}" title="Click to explain how this tab is routed today">
+          <span class="tester-icon">${icon}</span>
+          <div class="tester-info">
+            <div class="tester-title">${escapeHtml(truncate(tab.title, 40))}</div>
+            <div class="tester-url">${escapeHtml(truncate(tab.url.replace(/^https?:\/\//, ''), 50))}</div>
+            ${tab.normalizedUrl && tab.normalizedUrl !== tab.url ? `<div class="tester-normalized" title="${escapeAttr(tab.normalizedUrl)}">&rarr; ${escapeHtml(truncate(tab.normalizedUrl.replace(/^https?:\/\//, ''), 48))}</div>` : ''}
+            ${tab.excludedBy ? `<div class="tester-excluded">excluded by ${escapeHtml(truncate(tab.excludedBy, 40))}</div>` : ''}
+            ${tab.subgroup ? `<div class="tester-normalized">tab group: ${escapeHtml(truncate(tab.subgroup, 40))}</div>` : ''}
+          </div>
         </div>
-      </div>
-    `).join('');
+      `;
+    }).join('');
+
+    testerResults.querySelectorAll('.tester-item[data-tab-id]').forEach(item => {
+      item.addEventListener('click', () => explainTab(item));
+    });
+  }
+
+  // Shows the decision trace for an open tab under the current (saved) configuration
+  async function explainTab(item) {
+    testerResults.querySelectorAll('.tester-item.selected').forEach(el => el.classList.remove('selected'));
+    item.classList.add('selected');
+
+    const trace = await sendMessage({ action: 'explainRouting', tabId: parseInt(item.dataset.tabId, 10) });
+    if (!trace || trace.error) {
+      routingTrace.innerHTML = `<div class="trace-note">${escapeHtml(trace?.error || 'Could not explain routing')}</div>`;
+      routingTrace.style.display = 'block';
+      return;
+    }
+
+    routingTrace.innerHTML = renderTrace(trace);
+    routingTrace.style.display = 'block';
+  }
+
+  function renderTrace(trace) {
+    const note = '<div class="trace-note">Routing with the saved configuration:</div>';
+    if (trace.skipped) {
+      return `${note}<div class="trace-outcome">${escapeHtml(trace.outcome)}</div>`;
+    }
+
+    const titleHits = trace.titleHits.map(hit => {
+      const cls = hit.excludedBy ? 'excluded' : hit.inactive || hit.outOfScope ? '' : hit.group === trace.matchedGroup && trace.tier === 1 ? 'chosen' : 'matched';
+      const suffix = hit.excludedBy ? ` (excluded by ${escapeHtml(hit.excludedBy)})` : hit.inactive ? ' (inactive)' : hit.outOfScope ? ' (other window type)' : '';
+      return `<li class="${cls}">"${escapeHtml(hit.term)}" &rarr; ${escapeHtml(hit.group)}${suffix}</li>`;
+    }).join('');
+
+    const groups = trace.groups.map(g => {
+      let detail = 'no match';
+      let cls = '';
+      if (g.inactive) {
+        detail = 'inactive (outside its schedule)';
+      } else if (g.outOfScope) {
+        detail = trace.incognito ? 'normal windows only' : 'incognito windows only';
+      } else if (g.excludedBy) {
+        detail = `excluded by ${escapeHtml(g.excludedBy)}`;
+        cls = 'excluded';
+      } else if (g.matched) {
+        detail = g.pattern ? `pattern ${escapeHtml(g.pattern)}` : 'conditions';
+        cls = g.chosen ? 'chosen' : 'matched';
+      }
+      return `<li class="${cls}">${g.chosen ? '&#x2605;' : g.matched ? '&#x2714;' : '&#x2718;'} ${escapeHtml(g.name)} (priority ${g.priority}) — ${detail}</li>`;
+    }).join('');
+
+    let fallback = '';
+    if (trace.binding) {
+      const bound = trace.binding.boundWindowIds.length ? trace.binding.boundWindowIds.join(', ') : 'none';
+      fallback = `<div class="trace-heading">Binding</div><ul class="trace-list"><li class="matched">"${escapeHtml(trace.binding.group)}" bound to window(s): ${bound}</li></ul>`;
+    } else if (trace.catchAll) {
+      const state = !trace.catchAll.exists ? ' (closed)' : trace.catchAll.crossesIncognito ? ' (other window type)' : '';
+      const status = trace.catchAll.windowId ? `window ${trace.catchAll.windowId}${state}` : 'not set';
+      fallback = `<div class="trace-heading">Catch-all</div><ul class="trace-list"><li class="matched">${status}</li></ul>`;
+    }
+
+    return `
+      ${note}
+      <div class="trace-outcome">${escapeHtml(trace.outcome)}</div>
+      ${trace.normalizedUrl && trace.normalizedUrl !== trace.url ? `<div class="trace-note">Matched as ${escapeHtml(trace.normalizedUrl)}</div>` : ''}
+      ${trace.subgroup ? `<div class="trace-note">Tab group: ${escapeHtml(trace.subgroup)}</div>` : ''}
+      ${titleHits ? `<div class="trace-heading">Tier 1: title name</div><ul class="trace-list">${titleHits}</ul>` : ''}
+      <div class="trace-heading">Tier 2: groups by priority</div>
+      <ul class="trace-list">${groups || '<li>No groups configured</li>'}</ul>
+      ${fallback}
+    `;
   }
 
   // ============================================================================
@@ -431,11 +921,14 @@ document.addEventListener('DOMContentLoaded', async () => {
       btn.classList.toggle('active', btn.dataset.mode === mode);
     });
     simpleTips.style.display = mode === 'simple' ? 'block' : 'none';
+    globTips.style.display = mode === 'glob' ? 'block' : 'none';
     regexTips.style.display = mode === 'regex' ? 'block' : 'none';
 
     // Update placeholder
     if (mode === 'simple') {
       groupPatternsInput.placeholder = 'github.com\nlocalhost:3000\nmy-project';
+    } else if (mode === 'glob') {
+      groupPatternsInput.placeholder = 'github.com/myorg/**\nlocalhost:300?/**\n*.atlassian.net/browse/PROJ-*';
     } else {
       groupPatternsInput.placeholder = 'github\\.com\nlocalhost:300[0-9]\n\\[ART-\\d+\\]';
     }
@@ -444,15 +937,378 @@ document.addEventListener('DOMContentLoaded', async () => {
     testPatterns();
   }
 
+  // ============================================================================
+  // Conditions Editor
+  // ============================================================================
+
+  const CONDITION_LABELS = {
+    host: 'Host',
+    path: 'Path',
+    query: 'Query param',
+    title: 'Title',
+    port: 'Port'
+  };
+
+  const CONDITION_PLACEHOLDERS = {
+    host: 'github.com',
+    path: '/myorg',
+    query: 'value (blank = any)',
+    title: 'text in title',
+    port: '3000'
+  };
+
+  function setConditionLogic(logic) {
+    conditionLogicInput.value = logic;
+    logicButtons.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.logic === logic);
+    });
+  }
+
+  // Conditions that are complete enough to send to the background
+  function getModalConditions() {
+    return modalConditions.filter(c =>
+      c.type === 'query' ? c.key.trim().length > 0 : c.value.trim().length > 0
+    ).map(c => ({ ...c, key: c.key.trim(), value: c.value.trim() }));
+  }
+
+  function renderConditions() {
+    conditionsList.innerHTML = modalConditions.map((c, i) => {
+      const typeOptions = Object.entries(CONDITION_LABELS).map(([type, label]) =>
+        `<option value="${type}" ${c.type === type ? 'selected' : ''}>${label}</option>`
+      ).join('');
+
+      let matchSelect = '';
+      if (c.type === 'path') {
+        matchSelect = `
+          <select class="condition-match" data-index="${i}">
+            <option value="prefix" ${c.match !== 'regex' ? 'selected' : ''}>starts with</option>
+            <option value="regex" ${c.match === 'regex' ? 'selected' : ''}>regex</option>
+          </select>`;
+      } else if (c.type === 'title') {
+        matchSelect = `
+          <select class="condition-match" data-index="${i}">
+            <option value="contains" ${c.match !== 'regex' ? 'selected' : ''}>contains</option>
+            <option value="regex" ${c.match === 'regex' ? 'selected' : ''}>regex</option>
+          </select>`;
+      }
+
+      const keyInput = c.type === 'query'
+        ? `<input type="text" class="condition-key" data-index="${i}" placeholder="key" value="${escapeHtml(c.key)}">`
+        : '';
+
+      return `
+        <div class="condition-row">
+          <select class="condition-type" data-index="${i}">${typeOptions}</select>
+          ${matchSelect}
+          ${keyInput}
+          <input type="text" class="condition-value" data-index="${i}" placeholder="${CONDITION_PLACEHOLDERS[c.type]}" value="${escapeHtml(c.value)}">
+          <button type="button" class="btn-icon delete condition-remove" data-index="${i}" title="Remove">&#x2715;</button>
+        </div>
+      `;
+    }).join('');
+
+    conditionsList.querySelectorAll('.condition-type').forEach(select => {
+      select.addEventListener('change', () => {
+        const condition = modalConditions[select.dataset.index];
+        condition.type = select.value;
+        condition.match = select.value === 'path' ? 'prefix' : select.value === 'title' ? 'contains' : undefined;
+        renderConditions();
+        testPatterns();
+      });
+    });
+
+    conditionsList.querySelectorAll('.condition-match').forEach(select => {
+      select.addEventListener('change', () => {
+        modalConditions[select.dataset.index].match = select.value;
+        testPatterns();
+      });
+    });
+
+    conditionsList.querySelectorAll('.condition-key, .condition-value').forEach(input => {
+      input.addEventListener('input', () => {
+        const field = input.classList.contains('condition-key') ? 'key' : 'value';
+        modalConditions[input.dataset.index][field] = input.value;
+        clearTimeout(patternTestDebounce);
+        patternTestDebounce = setTimeout(testPatterns, 300);
+      });
+    });
+
+    conditionsList.querySelectorAll('.condition-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        modalConditions.splice(btn.dataset.index, 1);
+        renderConditions();
+        testPatterns();
+      });
+    });
+  }
+
+  function setModalConditions(conditions, logic) {
+    modalConditions = (conditions || []).map(c => ({
+      type: c.type,
+      match: c.match,
+      key: c.key || '',
+      value: c.value || ''
+    }));
+    setConditionLogic(logic || 'all');
+    renderConditions();
+  }
+
+  // ============================================================================
+  // Sub-Groups Editor
+  // ============================================================================
+
+  // Sub-groups with a title and at least one pattern
+  function getModalSubgroups() {
+    return modalSubgroups
+      .map(sub => ({
+        title: sub.title.trim(),
+        patterns: sub.patterns.split('\n').map(p => p.trim()).filter(p => p.length > 0),
+        ...(sub.color ? { color: sub.color } : {}),
+        collapsed: sub.collapsed
+      }))
+      .filter(sub => sub.title && sub.patterns.length > 0);
+  }
+
+  function renderSubgroups() {
+    subgroupsList.innerHTML = modalSubgroups.map((sub, i) => {
+      const colorOptions = ['', ...TAB_GROUP_COLORS].map(color =>
+        `<option value="${color}" ${sub.color === color ? 'selected' : ''}>${color || 'any color'}</option>`
+      ).join('');
+      return `
+        <div class="subgroup-row">
+          <div class="condition-row">
+            <input type="text" class="subgroup-title" data-index="${i}" placeholder="Tab group title (e.g. PRs)" value="${escapeAttr(sub.title)}">
+            <select class="subgroup-color" data-index="${i}">${colorOptions}</select>
+            <label class="inline-check"><input type="checkbox" class="subgroup-collapsed" data-index="${i}" ${sub.collapsed ? 'checked' : ''}> collapsed</label>
+            <button type="button" class="btn-icon delete subgroup-remove" data-index="${i}" title="Remove">&#x2715;</button>
+          </div>
+          <textarea class="subgroup-patterns" data-index="${i}" rows="2" placeholder="Patterns, one per line (e.g. /pull/)">${escapeHtml(sub.patterns)}</textarea>
+        </div>
+      `;
+    }).join('');
+
+    subgroupsList.querySelectorAll('.subgroup-title, .subgroup-patterns').forEach(input => {
+      input.addEventListener('input', () => {
+        const field = input.classList.contains('subgroup-title') ? 'title' : 'patterns';
+        modalSubgroups[input.dataset.index][field] = input.value;
+        clearTimeout(patternTestDebounce);
+        patternTestDebounce = setTimeout(testPatterns, 300);
+      });
+    });
+
+    subgroupsList.querySelectorAll('.subgroup-color').forEach(select => {
+      select.addEventListener('change', () => {
+        modalSubgroups[select.dataset.index].color = select.value;
+      });
+    });
+
+    subgroupsList.querySelectorAll('.subgroup-collapsed').forEach(input => {
+      input.addEventListener('change', () => {
+        modalSubgroups[input.dataset.index].collapsed = input.checked;
+      });
+    });
+
+    subgroupsList.querySelectorAll('.subgroup-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        modalSubgroups.splice(btn.dataset.index, 1);
+        renderSubgroups();
+        testPatterns();
+      });
+    });
+  }
+
+  function setModalSubgroups(subgroups) {
+    modalSubgroups = (subgroups || []).map(sub => ({
+      title: sub.title || '',
+      patterns: (sub.patterns || []).join('\n'),
+      color: sub.color || '',
+      collapsed: !!sub.collapsed
+    }));
+    renderSubgroups();
+  }
+
+  function setModalWindowPolicy(policy, maxTabs) {
+    windowPolicyInput.value = policy;
+    maxTabsInput.value = maxTabs;
+    maxTabsInput.style.display = policy === 'overflow' ? '' : 'none';
+  }
+
+  function setModalTabLimit(tabLimit) {
+    tabLimitMaxInput.value = tabLimit && tabLimit.max ? tabLimit.max : '';
+    tabLimitPolicyInput.value = (tabLimit && tabLimit.policy) || 'discard';
+  }
+
+  function setModalExpiry(expiry) {
+    expiryHoursInput.value = expiry && expiry.hours ? expiry.hours : '';
+    expiryActionInput.value = (expiry && expiry.action) || 'archive';
+  }
+
+  function setModalTitleMatch(titleMatch) {
+    titleMatchEnabledInput.checked = titleMatch.enabled !== false;
+    titleMatchModeInput.value = titleMatch.mode || 'contains';
+    titleAliasesInput.value = (titleMatch.aliases || []).join(', ');
+    titleMatchModeInput.disabled = !titleMatchEnabledInput.checked;
+    titleAliasesInput.disabled = !titleMatchEnabledInput.checked;
+  }
+
+  function getModalTitleMatch() {
+    return {
+      enabled: titleMatchEnabledInput.checked,
+      mode: titleMatchModeInput.value,
+      aliases: titleAliasesInput.value.split(',').map(a => a.trim()).filter(a => a.length > 0)
+    };
+  }
+
+  // ============================================================================
+  // URL Normalization
+  // ============================================================================
+  // The same fields (data-field="…") appear in the global section and in the
+  // modal's "Custom" editor
+
+  function globalNormalizationSettings() {
+    return { ...DEFAULT_NORMALIZATION, ...currentConfig.normalization };
+  }
+
+  function renderRoutingSettings() {
+    settleDelayInput.value = currentConfig.settleDelay ?? DEFAULT_SETTLE_DELAY;
+    transitHostsInput.value = (currentConfig.transitHosts || []).join('\n');
+    focusModeInput.value = currentConfig.focus || 'always';
+    reorderOnSortInput.checked = !!currentConfig.reorderOnSort;
+  }
+
+  function renderGlobalNormalization() {
+    const settings = globalNormalizationSettings();
+    globalNormalizationEnabled.checked = settings.enabled !== false;
+    setNormalizationFields(globalNormalizationEditor, settings);
+  }
+
+  function setNormalizationFields(container, settings) {
+    NORMALIZATION_FLAGS.forEach(flag => {
+      container.querySelector(`[data-field="${flag}"]`).checked = !!settings[flag];
+    });
+    container.querySelector('[data-field="stripParams"]').value = (settings.stripParams || []).join(', ');
+  }
+
+  function getNormalizationFields(container) {
+    const settings = {};
+    NORMALIZATION_FLAGS.forEach(flag => {
+      settings[flag] = container.querySelector(`[data-field="${flag}"]`).checked;
+    });
+    settings.stripParams = container.querySelector('[data-field="stripParams"]').value
+      .split(',').map(p => p.trim()).filter(Boolean);
+    return settings;
+  }
+
+  // group.normalization: null (global settings), { enabled: false } or a full custom set
+  function setModalNormalization(normalization) {
+    const mode = !normalization ? 'global' : normalization.enabled === false ? 'off' : 'custom';
+    normalizationModeInput.value = mode;
+    setNormalizationFields(groupNormalizationEditor, { ...globalNormalizationSettings(), ...normalization });
+    groupNormalizationEditor.style.display = mode === 'custom' ? 'flex' : 'none';
+  }
+
+  function getModalNormalization() {
+    if (normalizationModeInput.value === 'off') return { enabled: false };
+    if (normalizationModeInput.value === 'custom') {
+      return { enabled: true, ...getNormalizationFields(groupNormalizationEditor) };
+    }
+    return null;
+  }
+
+  // ============================================================================
+  // Schedule Editor
+  // ============================================================================
+
+  function renderRanges() {
+    scheduleRanges.innerHTML = modalRanges.map((r, i) => `
+      <div class="range-row">
+        <input type="time" class="range-start" data-index="${i}" value="${escapeHtml(r.start)}">
+        <span>to</span>
+        <input type="time" class="range-end" data-index="${i}" value="${escapeHtml(r.end)}">
+        <button type="button" class="btn-icon delete range-remove" data-index="${i}" title="Remove">&#x2715;</button>
+      </div>
+    `).join('') || '<div class="range-row">All day</div>';
+
+    scheduleRanges.querySelectorAll('.range-start, .range-end').forEach(input => {
+      input.addEventListener('input', () => {
+        const field = input.classList.contains('range-start') ? 'start' : 'end';
+        modalRanges[input.dataset.index][field] = input.value;
+      });
+    });
+
+    scheduleRanges.querySelectorAll('.range-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        modalRanges.splice(btn.dataset.index, 1);
+        renderRanges();
+      });
+    });
+  }
+
+  function setModalSchedule(schedule) {
+    const enabled = !!schedule && schedule.enabled !== false;
+    const source = schedule || { activeWhen: 'during', days: [1, 2, 3, 4, 5], ranges: [{ start: '09:00', end: '18:00' }] };
+
+    scheduleEnabledInput.checked = enabled;
+    scheduleEditor.style.display = enabled ? 'block' : 'none';
+    scheduleWhenInput.value = source.activeWhen === 'outside' ? 'outside' : 'during';
+    const days = source.days && source.days.length > 0 ? source.days : [0, 1, 2, 3, 4, 5, 6];
+    weekdayInputs.forEach(input => {
+      input.checked = days.includes(parseInt(input.dataset.day, 10));
+    });
+    modalRanges = (source.ranges || []).map(r => ({ start: r.start, end: r.end }));
+    renderRanges();
+  }
+
+  // Returns the schedule to save, null when disabled, or { error } when invalid
+  function getModalSchedule() {
+    if (!scheduleEnabledInput.checked) return null;
+
+    const days = Array.from(weekdayInputs)
+      .filter(input => input.checked)
+      .map(input => parseInt(input.dataset.day, 10))
+      .sort((a, b) => a - b);
+    if (days.length === 0) return { error: 'Pick at least one day for the schedule' };
+
+    for (const range of modalRanges) {
+      if (!/^\d{2}:\d{2}$/.test(range.start) || !/^\d{2}:\d{2}$/.test(range.end)) {
+        return { error: 'Every schedule time range needs a start and an end' };
+      }
+    }
+
+    return {
+      enabled: true,
+      activeWhen: scheduleWhenInput.value,
+      days,
+      ranges: modalRanges.map(r => ({ start: r.start, end: r.end }))
+    };
+  }
+
   function openAddModal() {
     editingGroupIndex = null;
     modalTitle.textContent = 'Add Group';
     groupNameInput.value = '';
     groupPatternsInput.value = '';
+    groupExcludeInput.value = '';
+    setModalTitleMatch(DEFAULT_TITLE_MATCH);
+    setModalSchedule(null);
+    keepChildrenInput.value = 'off';
+    routingActionInput.value = 'move';
+    groupFocusInput.value = '';
+    placementInput.value = 'end';
+    setModalDuplicates(DEFAULT_DUPLICATES);
+    windowScopeInput.value = 'both';
+    setModalWindowPolicy('single', DEFAULT_MAX_TABS);
+    createWindowInput.checked = false;
+    setModalTabLimit(null);
+    setModalExpiry(null);
+    setModalNormalization(null);
+    setModalConditions([], 'all');
+    setModalSubgroups([]);
     setMatchMode('simple');
     testerResults.innerHTML = '<p class="tester-hint">Enter patterns to see which tabs would match.</p>';
     matchCount.textContent = '0 matches';
     matchCount.classList.add('no-match');
+    routingTrace.style.display = 'none';
     groupModal.style.display = 'flex';
     groupNameInput.focus();
   }
@@ -465,7 +1321,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     modalTitle.textContent = 'Edit Group';
     groupNameInput.value = group.name;
     groupPatternsInput.value = group.patterns.join('\n');
+    groupExcludeInput.value = (group.excludePatterns || []).join('\n');
+    setModalTitleMatch(group.titleMatch || LEGACY_TITLE_MATCH);
+    setModalSchedule(group.schedule);
+    keepChildrenInput.value = group.keepChildren || 'off';
+    routingActionInput.value = group.action || 'move';
+    groupFocusInput.value = group.focus || '';
+    placementInput.value = group.placement || 'end';
+    setModalDuplicates({ ...DEFAULT_DUPLICATES, ...group.duplicates });
+    windowScopeInput.value = group.windowScope || 'both';
+    setModalWindowPolicy(group.windowPolicy || 'single', group.maxTabs || DEFAULT_MAX_TABS);
+    createWindowInput.checked = !!group.createWindow;
+    setModalTabLimit(group.tabLimit);
+    setModalExpiry(group.expiry);
+    setModalNormalization(group.normalization);
+    setModalConditions(group.conditions, group.conditionLogic);
+    setModalSubgroups(group.subgroups);
     setMatchMode(group.mode || 'simple');
+    routingTrace.style.display = 'none';
     groupModal.style.display = 'flex';
     groupNameInput.focus();
 
@@ -473,6 +1346,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     setTimeout(testPatterns, 100);
   }
 
+  function setModalDuplicates(duplicates) {
+    duplicateModeInput.value = duplicates.mode;
+    duplicateIgnoreHashInput.checked = duplicates.ignoreHash;
+    duplicateIgnoreQueryInput.checked = duplicates.ignoreQuery;
+  }
+
+  function getModalDuplicates() {
+    return {
+      mode: duplicateModeInput.value,
+      ignoreHash: duplicateIgnoreHashInput.checked,
+      ignoreQuery: duplicateIgnoreQueryInput.checked
+    };
+  }
+
   function closeModal() {
     groupModal.style.display = 'none';
     editingGroupIndex = null;
@@ -480,25 +1367,78 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   async function saveModal() {
     const name = groupNameInput.value.trim();
-    const patterns = groupPatternsInput.value
-      .split('\n')
-      .map(p => p.trim())
-      .filter(p => p.length > 0);
+    const patterns = parseLines(groupPatternsInput);
+    const excludePatterns = parseLines(groupExcludeInput);
     const mode = matchModeInput.value;
+    const conditions = getModalConditions();
+    const conditionLogic = conditionLogicInput.value;
+    const subgroups = getModalSubgroups();
+    const titleMatch = getModalTitleMatch();
+    const schedule = getModalSchedule();
+    const keepChildren = keepChildrenInput.value;
+    const action = routingActionInput.value;
+    const focus = groupFocusInput.value || null;
+    const placement = placementInput.value;
+    const duplicates = getModalDuplicates();
+    const windowScope = windowScopeInput.value;
+    const windowPolicy = windowPolicyInput.value;
+    const maxTabs = parseInt(maxTabsInput.value, 10);
+    const createWindow = createWindowInput.checked;
+    const tabLimitMax = tabLimitMaxInput.value.trim() === '' ? null : parseInt(tabLimitMaxInput.value, 10);
+    const tabLimit = tabLimitMax === null ? null : { max: tabLimitMax, policy: tabLimitPolicyInput.value };
+    const expiryHours = expiryHoursInput.value.trim() === '' ? null : parseInt(expiryHoursInput.value, 10);
+    const expiry = expiryHours === null ? null : { hours: expiryHours, action: expiryActionInput.value };
+    const normalization = getModalNormalization();
 
     if (!name) {
       showStatus('Please enter a group name', 'error');
       return;
     }
 
-    if (patterns.length === 0) {
-      showStatus('Please enter at least one pattern', 'error');
+    if (patterns.length === 0 && conditions.length === 0) {
+      showStatus('Please enter at least one pattern or condition', 'error');
+      return;
+    }
+
+    if (windowPolicy === 'overflow' && (isNaN(maxTabs) || maxTabs < 1 || maxTabs > 500)) {
+      showStatus('Tabs per window must be between 1 and 500', 'error');
+      return;
+    }
+
+    if (tabLimit && (isNaN(tabLimit.max) || tabLimit.max < 1 || tabLimit.max > MAX_TAB_LIMIT)) {
+      showStatus(`Tab limit must be between 1 and ${MAX_TAB_LIMIT}`, 'error');
+      return;
+    }
+
+    if (expiry && (isNaN(expiry.hours) || expiry.hours < 1 || expiry.hours > MAX_EXPIRY_HOURS)) {
+      showStatus(`Inactive hours must be between 1 and ${MAX_EXPIRY_HOURS}`, 'error');
+      return;
+    }
+
+    if (schedule && schedule.error) {
+      showStatus(schedule.error, 'error');
+      return;
+    }
+
+    // Validate regex conditions
+    for (const condition of conditions) {
+      if (condition.match !== 'regex') continue;
+      try {
+        new RegExp(condition.value);
+      } catch (e) {
+        showStatus(`Invalid regex in ${condition.type} condition: ${condition.value}`, 'error');
+        return;
+      }
+    }
+
+    if (new Set(subgroups.map(sub => sub.title)).size !== subgroups.length) {
+      showStatus('Sub-group titles must be unique', 'error');
       return;
     }
 
     // Validate regex patterns
     if (mode === 'regex') {
-      for (const pattern of patterns) {
+      for (const pattern of [...patterns, ...excludePatterns, ...subgroups.flatMap(sub => sub.patterns)]) {
         try {
           new RegExp(pattern);
         } catch (e) {
@@ -508,11 +1448,41 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     }
 
+    // Reject patterns that can backtrack catastrophically; confirm merely slow ones
+    const [issues] = await checkPatterns([{ mode, patterns, excludePatterns, conditions, subgroups }]);
+    const unsafe = issues.find(issue => issue.severity === 'unsafe');
+    if (unsafe) {
+      showStatus(`Unsafe regex — ${describeIssue(unsafe)}`, 'error');
+      return;
+    }
+    if (issues.length > 0 &&
+        !confirm(`These patterns may be slow on long URLs:\n\n${issues.map(describeIssue).join('\n')}\n\nSave anyway?`)) {
+      return;
+    }
+
     if (editingGroupIndex !== null) {
       const oldName = currentConfig.groups[editingGroupIndex].name;
       currentConfig.groups[editingGroupIndex].name = name;
       currentConfig.groups[editingGroupIndex].patterns = patterns;
       currentConfig.groups[editingGroupIndex].mode = mode;
+      currentConfig.groups[editingGroupIndex].conditions = conditions;
+      currentConfig.groups[editingGroupIndex].conditionLogic = conditionLogic;
+      currentConfig.groups[editingGroupIndex].subgroups = subgroups;
+      currentConfig.groups[editingGroupIndex].excludePatterns = excludePatterns;
+      currentConfig.groups[editingGroupIndex].titleMatch = titleMatch;
+      currentConfig.groups[editingGroupIndex].schedule = schedule;
+      currentConfig.groups[editingGroupIndex].keepChildren = keepChildren;
+      currentConfig.groups[editingGroupIndex].action = action;
+      currentConfig.groups[editingGroupIndex].focus = focus;
+      currentConfig.groups[editingGroupIndex].placement = placement;
+      currentConfig.groups[editingGroupIndex].duplicates = duplicates;
+      currentConfig.groups[editingGroupIndex].windowScope = windowScope;
+      currentConfig.groups[editingGroupIndex].windowPolicy = windowPolicy;
+      currentConfig.groups[editingGroupIndex].maxTabs = windowPolicy === 'overflow' ? maxTabs : null;
+      currentConfig.groups[editingGroupIndex].createWindow = createWindow;
+      currentConfig.groups[editingGroupIndex].tabLimit = tabLimit;
+      currentConfig.groups[editingGroupIndex].expiry = expiry;
+      currentConfig.groups[editingGroupIndex].normalization = normalization;
 
       if (currentConfig.catchAllGroupName === oldName) {
         currentConfig.catchAllGroupName = name;
@@ -528,6 +1498,24 @@ document.addEventListener('DOMContentLoaded', async () => {
         name,
         patterns,
         mode,
+        conditions,
+        conditionLogic,
+        subgroups,
+        excludePatterns,
+        titleMatch,
+        schedule,
+        keepChildren,
+        action,
+        focus,
+        placement,
+        duplicates,
+        windowScope,
+        windowPolicy,
+        maxTabs: windowPolicy === 'overflow' ? maxTabs : null,
+        createWindow,
+        tabLimit,
+        expiry,
+        normalization,
         priority: maxPriority + 1
       });
     }
@@ -626,6 +1614,22 @@ document.addEventListener('DOMContentLoaded', async () => {
     showStatus('Config exported', 'success');
   }
 
+  function validateNormalization(normalization, where) {
+    if (normalization === undefined || normalization === null) return;
+    if (typeof normalization !== 'object' || Array.isArray(normalization)) {
+      throw new Error(`Invalid config: ${where} must be an object`);
+    }
+    for (const flag of ['enabled', ...NORMALIZATION_FLAGS]) {
+      if (normalization[flag] !== undefined && typeof normalization[flag] !== 'boolean') {
+        throw new Error(`Invalid config: ${where}.${flag} must be true or false`);
+      }
+    }
+    const { stripParams } = normalization;
+    if (stripParams !== undefined && (!Array.isArray(stripParams) || stripParams.some(p => typeof p !== 'string'))) {
+      throw new Error(`Invalid config: ${where}.stripParams must be a list of strings`);
+    }
+  }
+
   async function importConfig(file) {
     try {
       const text = await file.text();
@@ -634,28 +1638,210 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (!imported.groups || !Array.isArray(imported.groups)) {
         throw new Error('Invalid config: missing groups array');
       }
+      validateNormalization(imported.normalization, 'normalization');
+      if (imported.settleDelay !== undefined &&
+          (typeof imported.settleDelay !== 'number' || imported.settleDelay < 0 || imported.settleDelay > 10000)) {
+        throw new Error('Invalid config: settleDelay must be between 0 and 10000 ms');
+      }
+      if (imported.focus !== undefined && !FOCUS_MODES.includes(imported.focus)) {
+        throw new Error('Invalid config: focus must be "always", "never" or "foreground"');
+      }
+      if (imported.reorderOnSort !== undefined && typeof imported.reorderOnSort !== 'boolean') {
+        throw new Error('Invalid config: reorderOnSort must be true or false');
+      }
+      if (imported.transitHosts !== undefined &&
+          (!Array.isArray(imported.transitHosts) || imported.transitHosts.some(h => typeof h !== 'string'))) {
+        throw new Error('Invalid config: transitHosts must be a list of hosts');
+      }
 
+      const conditionTypes = ['host', 'path', 'query', 'title', 'port'];
       for (const group of imported.groups) {
-        if (!group.name || !Array.isArray(group.patterns)) {
+        const hasPatterns = Array.isArray(group.patterns);
+        const hasConditions = Array.isArray(group.conditions);
+        if (!group.name || (!hasPatterns && !hasConditions)) {
           throw new Error('Invalid config: group missing name or patterns');
         }
+        if (group.patterns !== undefined && !hasPatterns) {
+          throw new Error(`Invalid config: patterns of "${group.name}" must be an array`);
+        }
+        if (group.mode !== undefined && !MATCH_MODES.includes(group.mode)) {
+          throw new Error(`Invalid config: unknown mode "${group.mode}" in "${group.name}"`);
+        }
+        if (group.excludePatterns !== undefined && !Array.isArray(group.excludePatterns)) {
+          throw new Error(`Invalid config: excludePatterns of "${group.name}" must be an array`);
+        }
+        if (group.titleMatch !== undefined) {
+          const { enabled, mode, aliases } = group.titleMatch || {};
+          if (enabled !== undefined && typeof enabled !== 'boolean') {
+            throw new Error(`Invalid config: titleMatch.enabled of "${group.name}" must be true or false`);
+          }
+          if (mode !== undefined && !TITLE_MATCH_MODES.includes(mode)) {
+            throw new Error(`Invalid config: unknown titleMatch mode "${mode}" in "${group.name}"`);
+          }
+          if (aliases !== undefined && (!Array.isArray(aliases) || aliases.some(a => typeof a !== 'string'))) {
+            throw new Error(`Invalid config: titleMatch.aliases of "${group.name}" must be a list of strings`);
+          }
+        }
+        if (group.keepChildren !== undefined && !KEEP_CHILDREN_MODES.includes(group.keepChildren)) {
+          throw new Error(`Invalid config: keepChildren of "${group.name}" must be "off", "above" or "below"`);
+        }
+        if (group.action !== undefined && !ROUTING_ACTIONS.includes(group.action)) {
+          throw new Error(`Invalid config: action of "${group.name}" must be "move", "group", "duplicate" or "notify"`);
+        }
+        if (group.focus !== undefined && group.focus !== null && !FOCUS_MODES.includes(group.focus)) {
+          throw new Error(`Invalid config: focus of "${group.name}" must be "always", "never" or "foreground"`);
+        }
+        if (group.placement !== undefined && !TAB_PLACEMENTS.includes(group.placement)) {
+          throw new Error(`Invalid config: placement of "${group.name}" must be one of ${TAB_PLACEMENTS.join(', ')}`);
+        }
+        if (group.duplicates !== undefined && group.duplicates !== null) {
+          const { mode, ignoreHash, ignoreQuery } = group.duplicates;
+          if (mode !== undefined && !DUPLICATE_MODES.includes(mode)) {
+            throw new Error(`Invalid config: duplicates.mode of "${group.name}" must be one of ${DUPLICATE_MODES.join(', ')}`);
+          }
+          if ([ignoreHash, ignoreQuery].some(v => v !== undefined && typeof v !== 'boolean')) {
+            throw new Error(`Invalid config: duplicates.ignoreHash and ignoreQuery of "${group.name}" must be true or false`);
+          }
+        }
+        if (group.createWindow !== undefined && typeof group.createWindow !== 'boolean') {
+          throw new Error(`Invalid config: createWindow of "${group.name}" must be true or false`);
+        }
+        if (group.windowPolicy !== undefined && !WINDOW_POLICIES.includes(group.windowPolicy)) {
+          throw new Error(`Invalid config: windowPolicy of "${group.name}" must be one of ${WINDOW_POLICIES.join(', ')}`);
+        }
+        if (group.maxTabs !== undefined && group.maxTabs !== null &&
+            (!Number.isInteger(group.maxTabs) || group.maxTabs < 1 || group.maxTabs > 500)) {
+          throw new Error(`Invalid config: maxTabs of "${group.name}" must be between 1 and 500`);
+        }
+        if (group.tabLimit !== undefined && group.tabLimit !== null) {
+          const { max, policy } = group.tabLimit;
+          if (!Number.isInteger(max) || max < 1 || max > MAX_TAB_LIMIT) {
+            throw new Error(`Invalid config: tabLimit.max of "${group.name}" must be between 1 and ${MAX_TAB_LIMIT}`);
+          }
+          if (policy !== undefined && !TAB_LIMIT_POLICIES.includes(policy)) {
+            throw new Error(`Invalid config: tabLimit.policy of "${group.name}" must be one of ${TAB_LIMIT_POLICIES.join(', ')}`);
+          }
+        }
+        if (group.expiry !== undefined && group.expiry !== null) {
+          const { hours, action } = group.expiry;
+          if (!Number.isInteger(hours) || hours < 1 || hours > MAX_EXPIRY_HOURS) {
+            throw new Error(`Invalid config: expiry.hours of "${group.name}" must be between 1 and ${MAX_EXPIRY_HOURS}`);
+          }
+          if (action !== undefined && !EXPIRY_ACTIONS.includes(action)) {
+            throw new Error(`Invalid config: expiry.action of "${group.name}" must be "archive" or "close"`);
+          }
+        }
+        if (group.windowScope !== undefined && !WINDOW_SCOPES.includes(group.windowScope)) {
+          throw new Error(`Invalid config: windowScope of "${group.name}" must be "both", "normal" or "incognito"`);
+        }
+        validateNormalization(group.normalization, `normalization of "${group.name}"`);
+        if (group.schedule !== undefined && group.schedule !== null) {
+          const { activeWhen, days, ranges } = group.schedule;
+          const isTime = t => typeof t === 'string' && /^\d{1,2}:\d{2}$/.test(t);
+          if (activeWhen !== undefined && !['during', 'outside'].includes(activeWhen)) {
+            throw new Error(`Invalid config: schedule.activeWhen of "${group.name}" must be "during" or "outside"`);
+          }
+          if (days !== undefined && (!Array.isArray(days) || days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+            throw new Error(`Invalid config: schedule.days of "${group.name}" must be weekdays 0-6`);
+          }
+          if (ranges !== undefined && (!Array.isArray(ranges) || ranges.some(r => !r || !isTime(r.start) || !isTime(r.end)))) {
+            throw new Error(`Invalid config: schedule.ranges of "${group.name}" need HH:MM start and end`);
+          }
+        }
+        if (group.conditions !== undefined && !hasConditions) {
+          throw new Error(`Invalid config: conditions of "${group.name}" must be an array`);
+        }
+        if (group.conditionLogic !== undefined && !['all', 'any'].includes(group.conditionLogic)) {
+          throw new Error(`Invalid config: conditionLogic of "${group.name}" must be "all" or "any"`);
+        }
+        if (group.subgroups !== undefined && !Array.isArray(group.subgroups)) {
+          throw new Error(`Invalid config: subgroups of "${group.name}" must be an array`);
+        }
+        for (const sub of group.subgroups || []) {
+          if (!sub || typeof sub.title !== 'string' || !sub.title ||
+              !Array.isArray(sub.patterns) || sub.patterns.some(p => typeof p !== 'string')) {
+            throw new Error(`Invalid config: each sub-group of "${group.name}" needs a title and a list of patterns`);
+          }
+          if (sub.color !== undefined && !TAB_GROUP_COLORS.includes(sub.color)) {
+            throw new Error(`Invalid config: color of sub-group "${sub.title}" must be one of ${TAB_GROUP_COLORS.join(', ')}`);
+          }
+          if ((group.mode || 'simple') === 'regex') {
+            for (const pattern of sub.patterns) {
+              try {
+                new RegExp(pattern);
+              } catch (e) {
+                throw new Error(`Invalid config: bad regex in sub-group "${sub.title}" of "${group.name}"`);
+              }
+            }
+          }
+        }
+        for (const condition of group.conditions || []) {
+          if (!condition || !conditionTypes.includes(condition.type)) {
+            throw new Error(`Invalid config: unknown condition type in "${group.name}"`);
+          }
+          if (condition.type === 'query' ? !condition.key : !condition.value) {
+            throw new Error(`Invalid config: incomplete ${condition.type} condition in "${group.name}"`);
+          }
+          if (condition.match === 'regex') {
+            try {
+              new RegExp(condition.value);
+            } catch (e) {
+              throw new Error(`Invalid config: bad regex in ${condition.type} condition of "${group.name}"`);
+            }
+          }
+        }
       }
 
+      // Refuse configs with patterns that could hang routing
+      const importIssues = await checkPatterns(imported.groups);
+      imported.groups.forEach((group, i) => {
+        const unsafe = importIssues[i].find(issue => issue.severity === 'unsafe');
+        if (unsafe) {
+          throw new Error(`Invalid config: unsafe regex in "${group.name}" — ${describeIssue(unsafe)}`);
+        }
+      });
+      const slowCount = importIssues.reduce((count, issues) => count + issues.length, 0);
+
       currentConfig = {
         enabled: imported.enabled !== false,
         groups: imported.groups.map((g, i) => ({
           name: g.name,
-          patterns: g.patterns,
+          patterns: g.patterns || [],
           mode: g.mode || 'simple',
+          conditions: g.conditions || [],
+          conditionLogic: g.conditionLogic || 'all',
+          subgroups: g.subgroups || [],
+          excludePatterns: g.excludePatterns || [],
+          titleMatch: { ...LEGACY_TITLE_MATCH, ...g.titleMatch },
+          schedule: g.schedule || null,
+          keepChildren: g.keepChildren || 'off',
+          action: g.action || 'move',
+          focus: g.focus || null,
+          placement: g.placement || 'end',
+          duplicates: { ...DEFAULT_DUPLICATES, ...g.duplicates },
+          windowScope: g.windowScope || 'both',
+          windowPolicy: g.windowPolicy || 'single',
+          maxTabs: g.maxTabs || null,
+          createWindow: !!g.createWindow,
+          tabLimit: g.tabLimit ? { policy: 'discard', ...g.tabLimit } : null,
+          expiry: g.expiry ? { action: 'archive', ...g.expiry } : null,
+          normalization: g.normalization || null,
           priority: g.priority ?? i
         })),
+        ...(imported.normalization ? { normalization: imported.normalization } : {}),
+        ...(imported.settleDelay !== undefined ? { settleDelay: imported.settleDelay } : {}),
+        transitHosts: imported.transitHosts || [],
+        focus: imported.focus || 'always',
+        reorderOnSort: !!imported.reorderOnSort,
         catchAllWindowId: imported.catchAllWindowId || null
       };
 
+      renderRoutingSettings();
+      renderGlobalNormalization();
       await saveConfig();
       await refreshWindows();
       checkShowQuickStart();
-      showStatus('Config imported', 'success');
+      showStatus(slowCount ? `Config imported — ${slowCount} pattern${slowCount > 1 ? 's' : ''} may be slow` : 'Config imported', 'success');
     } catch (e) {
       showStatus(`Import failed: ${e.message}`, 'error');
     }
@@ -723,10 +1909,106 @@ document.addEventListener('DOMContentLoaded', async () => {
     btn.addEventListener('click', () => setMatchMode(btn.dataset.mode));
   });
 
+  // Title-name matching
+  titleMatchEnabledInput.addEventListener('change', () => {
+    titleMatchModeInput.disabled = !titleMatchEnabledInput.checked;
+    titleAliasesInput.disabled = !titleMatchEnabledInput.checked;
+  });
+
+  // Schedule
+  scheduleEnabledInput.addEventListener('change', () => {
+    scheduleEditor.style.display = scheduleEnabledInput.checked ? 'block' : 'none';
+  });
+
+  addRangeBtn.addEventListener('click', () => {
+    modalRanges.push({ start: '09:00', end: '18:00' });
+    renderRanges();
+  });
+
+  // Conditions
+  logicButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      setConditionLogic(btn.dataset.logic);
+      testPatterns();
+    });
+  });
+
+  addConditionBtn.addEventListener('click', () => {
+    modalConditions.push({ type: 'host', key: '', value: '' });
+    renderConditions();
+    const inputs = conditionsList.querySelectorAll('.condition-value');
+    inputs[inputs.length - 1].focus();
+  });
+
+  // Number of windows
+  windowPolicyInput.addEventListener('change', () => {
+    setModalWindowPolicy(windowPolicyInput.value, maxTabsInput.value || DEFAULT_MAX_TABS);
+  });
+
+  // Sub-groups
+  addSubgroupBtn.addEventListener('click', () => {
+    modalSubgroups.push({ title: '', patterns: '', color: '', collapsed: false });
+    renderSubgroups();
+    const inputs = subgroupsList.querySelectorAll('.subgroup-title');
+    inputs[inputs.length - 1].focus();
+  });
+
+  // Redirects & sign-in pages
+  settleDelayInput.addEventListener('change', async () => {
+    const delay = parseInt(settleDelayInput.value, 10);
+    if (isNaN(delay) || delay < 0 || delay > 10000) {
+      showStatus('Settle delay must be between 0 and 10000 ms', 'error');
+      renderRoutingSettings();
+      return;
+    }
+    currentConfig.settleDelay = delay;
+    await saveConfig();
+    showStatus('Settle delay updated', 'success');
+  });
+
+  transitHostsInput.addEventListener('change', async () => {
+    currentConfig.transitHosts = parseLines(transitHostsInput).map(h => h.toLowerCase());
+    await saveConfig();
+    showStatus('Transit hosts updated', 'success');
+  });
+
+  // Window focus
+  focusModeInput.addEventListener('change', async () => {
+    currentConfig.focus = focusModeInput.value;
+    await saveConfig();
+    showStatus('Window focus updated', 'success');
+  });
+
+  // Tab placement
+  reorderOnSortInput.addEventListener('change', async () => {
+    currentConfig.reorderOnSort = reorderOnSortInput.checked;
+    await saveConfig();
+    showStatus(reorderOnSortInput.checked ? 'Sort All will reorder tabs' : 'Sort All will leave tab order alone', 'success');
+  });
+
+  // URL normalization
+  normalizationModeInput.addEventListener('change', () => {
+    groupNormalizationEditor.style.display = normalizationModeInput.value === 'custom' ? 'flex' : 'none';
+    testPatterns();
+  });
+
+  groupNormalizationEditor.addEventListener('change', testPatterns);
+
+  globalNormalizationEditor.addEventListener('change', async () => {
+    currentConfig.normalization = {
+      enabled: globalNormalizationEnabled.checked,
+      ...getNormalizationFields(globalNormalizationEditor)
+    };
+    await saveConfig();
+    showStatus('URL normalization updated', 'success');
+  });
+
   // Pattern tester - debounced
-  groupPatternsInput.addEventListener('input', () => {
-    clearTimeout(patternTestDebounce);
-    patternTestDebounce = setTimeout(testPatterns, 300);
+  [groupPatternsInput, groupExcludeInput].forEach(input => {
+    input.addEventListener('input', () => {
+      clearTimeout(patternTestDebounce);
+      patternTestDebounce = setTimeout(testPatterns, 300);
+    });
   });
 
   // Template modal handlers
@@ -755,13 +2037,18 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   currentConfig = await sendMessage({ action: 'getConfig' });
 
-  // Ensure groups have mode property
+  // Ensure groups have mode, patterns and conditions properties
   currentConfig.groups = currentConfig.groups.map(g => ({
     ...g,
-    mode: g.mode || 'simple'
+    patterns: g.patterns || [],
+    mode: g.mode || 'simple',
+    conditions: g.conditions || [],
+    excludePatterns: g.excludePatterns || []
   }));
 
   enableToggle.checked = currentConfig.enabled;
+  renderRoutingSettings();
+  renderGlobalNormalization();
   await refreshWindows();
   checkShowQuickStart();
 });
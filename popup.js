@@ -6,7 +6,17 @@ document.addEventListener('DOMContentLoaded', async () => {
   const noGroupsMessage = document.getElementById('noGroupsMessage');
   const sortAllBtn = document.getElementById('sortAllBtn');
   const labelWindowBtn = document.getElementById('labelWindowBtn');
+  const closeDuplicatesBtn = document.getElementById('closeDuplicatesBtn');
+  const saveCloseBtn = document.getElementById('saveCloseBtn');
+  const explainBtn = document.getElementById('explainBtn');
   const optionsBtn = document.getElementById('optionsBtn');
+  const traceSection = document.getElementById('traceSection');
+  const silentRoutesSection = document.getElementById('silentRoutesSection');
+  const lowConfidenceSection = document.getElementById('lowConfidenceSection');
+  const undoSection = document.getElementById('undoSection');
+  const sessionsSection = document.getElementById('sessionsSection');
+  const closedWindowsSection = document.getElementById('closedWindowsSection');
+  const archivedTabsSection = document.getElementById('archivedTabsSection');
   const statusDiv = document.getElementById('status');
 
   // Modal elements
@@ -20,7 +30,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   let currentWindowId = null;
   let currentGroupName = null;
   let pendingSelection = null;
-  let groupAssignments = {}; // groupName -> windowId
+  let groupAssignments = {}; // groupName -> [windowId, ...]
 
   // Load current state
   async function loadState() {
@@ -37,10 +47,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     console.log('Tab Shepherd loadState:', { currentWindowId, currentGroupName, bindings });
 
-    // Build reverse map: groupName -> windowId
+    // Build reverse map: groupName -> windowIds
     groupAssignments = {};
     for (const [windowId, groupName] of Object.entries(bindings)) {
-      groupAssignments[groupName] = parseInt(windowId, 10);
+      (groupAssignments[groupName] = groupAssignments[groupName] || []).push(parseInt(windowId, 10));
     }
 
     // Set enable toggle
@@ -60,9 +70,11 @@ document.addEventListener('DOMContentLoaded', async () => {
       const unassigned = [];
       const assigned = [];
 
+      // Groups with several windows never count as taken: this window just joins them
       for (const group of config.groups) {
-        const assignedWindowId = groupAssignments[group.name];
-        if (assignedWindowId && assignedWindowId !== currentWindowId) {
+        const otherWindowIds = (groupAssignments[group.name] || []).filter(id => id !== currentWindowId);
+        const multiWindow = (group.windowPolicy || 'single') !== 'single';
+        if (otherWindowIds.length > 0 && !multiWindow) {
           assigned.push(group);
         } else {
           unassigned.push(group);
@@ -75,9 +87,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       // Add unassigned groups first
       for (const group of unassigned) {
+        const windowCount = (groupAssignments[group.name] || []).length;
         const option = document.createElement('option');
         option.value = group.name;
-        option.textContent = group.name;
+        option.textContent = windowCount > 1 ? `${group.name} (${windowCount} windows)` : group.name;
         if (currentGroupName === group.name) {
           option.selected = true;
         }
@@ -98,7 +111,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         option.value = group.name;
         option.textContent = `● ${group.name}`;
         option.dataset.assigned = 'true';
-        option.dataset.windowId = groupAssignments[group.name];
+        option.dataset.windowId = groupAssignments[group.name].find(id => id !== currentWindowId);
         if (currentGroupName === group.name) {
           option.selected = true;
         }
@@ -124,6 +137,251 @@ document.addEventListener('DOMContentLoaded', async () => {
     }, 3000);
   }
 
+  function escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  // Tabs moved without following them since the popup was last opened
+  async function loadSilentRoutes() {
+    const silentRoutes = await sendMessage({ action: 'takeSilentRoutes' });
+    if (!silentRoutes || silentRoutes.count === 0) return;
+
+    const items = silentRoutes.recent
+      .map(r => `<li>${escapeHtml(r.title)}${r.group ? ` &rarr; ${escapeHtml(r.group)}` : ' &rarr; catch-all'}</li>`)
+      .join('');
+    const more = silentRoutes.count > silentRoutes.recent.length
+      ? `<div class="trace-url">…and ${silentRoutes.count - silentRoutes.recent.length} more</div>`
+      : '';
+    silentRoutesSection.innerHTML = `
+      <div class="trace-outcome">${silentRoutes.count} tab${silentRoutes.count > 1 ? 's' : ''} routed in the background since you last looked</div>
+      <ul class="trace-list">${items}</ul>
+      ${more}
+    `;
+    silentRoutesSection.style.display = 'block';
+  }
+
+  // Windows whose group was guessed with little confidence after a restart
+  async function loadLowConfidenceBindings() {
+    const entries = await sendMessage({ action: 'getLowConfidenceBindings' });
+    if (!entries || entries.length === 0) {
+      lowConfidenceSection.style.display = 'none';
+      return;
+    }
+
+    const items = entries
+      .map(e => `<li>${escapeHtml(e.group)} — ${escapeHtml(e.reason)} <button class="link-btn" data-window-id="${e.windowId}">Show</button></li>`)
+      .join('');
+    lowConfidenceSection.innerHTML = `
+      <div class="trace-outcome">Check ${entries.length === 1 ? 'this window' : `these ${entries.length} windows`} after the restart</div>
+      <ul class="trace-list">${items}</ul>
+      <button class="link-btn" id="dismissLowConfidence">They look right</button>
+    `;
+    lowConfidenceSection.style.display = 'block';
+  }
+
+  lowConfidenceSection.addEventListener('click', async (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    if (button.id === 'dismissLowConfidence') {
+      await sendMessage({ action: 'dismissLowConfidenceBindings' });
+      lowConfidenceSection.style.display = 'none';
+    } else {
+      await sendMessage({ action: 'identifyWindow', windowId: parseInt(button.dataset.windowId, 10) });
+    }
+  });
+
+  // The last move and the last Sort All run, each with its undo button
+  async function loadMoveHistory() {
+    const history = await sendMessage({ action: 'getMoveHistory' });
+    if (!history || history.length === 0) {
+      undoSection.style.display = 'none';
+      return;
+    }
+
+    const [last] = history;
+    const lastSort = history.find(entry => entry.batch);
+    const sortCount = lastSort ? history.filter(entry => entry.batch === lastSort.batch).length : 0;
+    undoSection.innerHTML = `
+      <div class="trace-heading">Recent moves</div>
+      <ul class="trace-list">
+        <li>
+          <span>${escapeHtml(last.title || '(no title)')}${last.groupName ? ` &rarr; ${escapeHtml(last.groupName)}` : ''}</span>
+          <button class="link-btn" data-undo="undoLastMove" title="Move this tab back">Undo</button>
+        </li>
+        ${lastSort ? `
+          <li>
+            <span>Last Sort All — ${sortCount} tab${sortCount > 1 ? 's' : ''}</span>
+            <button class="link-btn" data-undo="undoSortAll" title="Move every tab of that run back">Undo Sort All</button>
+          </li>
+        ` : ''}
+      </ul>
+    `;
+    undoSection.style.display = 'block';
+  }
+
+  undoSection.addEventListener('click', async (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    const result = await sendMessage({ action: button.dataset.undo });
+    if (result.skipped.length > 0) {
+      const reasons = result.skipped.map(s => `"${s.title}": ${s.reason}`).join('; ');
+      showStatus(`Moved back ${result.undone}, skipped ${result.skipped.length} (${reasons})`, 'info');
+    } else {
+      showStatus(`Moved back ${result.undone} tab${result.undone !== 1 ? 's' : ''}`, 'success');
+    }
+    await loadMoveHistory();
+  });
+
+  // Saved group sessions, newest first
+  async function loadSessions() {
+    const sessions = await sendMessage({ action: 'getGroupSessions' });
+    const entries = Object.entries(sessions || {})
+      .flatMap(([groupName, list]) => list.map(session => ({ groupName, session })))
+      .sort((a, b) => b.session.savedAt - a.session.savedAt);
+    if (entries.length === 0) {
+      sessionsSection.style.display = 'none';
+      return;
+    }
+
+    const items = entries.map(({ groupName, session }) => {
+      const when = new Date(session.savedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+      return `
+        <li>
+          <span>${escapeHtml(groupName)} — ${session.tabs.length} tab${session.tabs.length > 1 ? 's' : ''}, ${escapeHtml(when)}</span>
+          <button class="link-btn" data-group="${escapeHtml(groupName)}" data-session-id="${escapeHtml(session.id)}">Restore</button>
+        </li>
+      `;
+    }).join('');
+    sessionsSection.innerHTML = `
+      <div class="trace-heading">Saved sessions</div>
+      <ul class="trace-list">${items}</ul>
+    `;
+    sessionsSection.style.display = 'block';
+  }
+
+  sessionsSection.addEventListener('click', async (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    const result = await sendMessage({
+      action: 'restoreGroupSession',
+      groupName: button.dataset.group,
+      sessionId: button.dataset.sessionId
+    });
+    if (result.error) showStatus(result.error, 'error');
+  });
+
+  // Group windows closed recently, reopenable with their binding
+  async function loadClosedWindows() {
+    const closed = await sendMessage({ action: 'getClosedGroupWindows' });
+    if (!closed || closed.length === 0) {
+      closedWindowsSection.style.display = 'none';
+      return;
+    }
+
+    const items = closed.map(entry => {
+      const when = new Date(entry.closedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      return `
+        <li>
+          <span>${escapeHtml(entry.group)} — ${entry.tabs.length} tab${entry.tabs.length > 1 ? 's' : ''}, closed ${escapeHtml(when)}</span>
+          <button class="link-btn" data-entry-id="${escapeHtml(entry.id)}">Reopen</button>
+        </li>
+      `;
+    }).join('');
+    closedWindowsSection.innerHTML = `
+      <div class="trace-heading">Recently closed group windows</div>
+      <ul class="trace-list">${items}</ul>
+    `;
+    closedWindowsSection.style.display = 'block';
+  }
+
+  closedWindowsSection.addEventListener('click', async (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    const result = await sendMessage({ action: 'reopenClosedWindow', entryId: button.dataset.entryId });
+    if (result.error) {
+      showStatus(result.error, 'error');
+      return;
+    }
+    await loadClosedWindows();
+  });
+
+  // Tabs archived by a group's tab limit or inactive-tab expiry, newest first
+  const ARCHIVED_TABS_SHOWN = 10;
+
+  async function loadArchivedTabs() {
+    const archived = await sendMessage({ action: 'getArchivedTabs' });
+    if (!archived || archived.length === 0) {
+      archivedTabsSection.style.display = 'none';
+      return;
+    }
+
+    const items = archived.slice(0, ARCHIVED_TABS_SHOWN).map(entry => `
+      <li>
+        <span>${escapeHtml(entry.title || entry.url)} — ${escapeHtml(entry.group)}${entry.reason === 'expired' ? ', inactive' : ''}</span>
+        <button class="link-btn" data-entry-id="${escapeHtml(entry.id)}">Restore</button>
+      </li>
+    `).join('');
+    const more = archived.length - ARCHIVED_TABS_SHOWN;
+    archivedTabsSection.innerHTML = `
+      <div class="trace-heading">Archived tabs</div>
+      <ul class="trace-list">${items}</ul>
+      ${more > 0 ? `<div class="hint">and ${more} more</div>` : ''}
+    `;
+    archivedTabsSection.style.display = 'block';
+  }
+
+  archivedTabsSection.addEventListener('click', async (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    const result = await sendMessage({ action: 'restoreArchivedTab', entryId: button.dataset.entryId });
+    if (result.error) {
+      showStatus(result.error, 'error');
+      return;
+    }
+    await loadArchivedTabs();
+  });
+
+  // Render an explainRouting trace as outcome + title hits + groups in priority order
+  function renderTrace(trace) {
+    if (trace.skipped) {
+      return `<div class="trace-outcome">${escapeHtml(trace.outcome)}</div>`;
+    }
+
+    const titleHits = trace.titleHits.map(hit => `
+      <li class="${hit.excludedBy ? 'excluded' : hit.inactive || hit.outOfScope ? '' : hit.group === trace.matchedGroup && trace.tier === 1 ? 'chosen' : 'matched'}">
+        "${escapeHtml(hit.term)}" &rarr; ${escapeHtml(hit.group)}${hit.excludedBy ? ` (excluded by ${escapeHtml(hit.excludedBy)})` : hit.inactive ? ' (inactive)' : hit.outOfScope ? ' (other window type)' : ''}
+      </li>
+    `).join('');
+
+    const groups = trace.groups.map(g => {
+      let detail = 'no match';
+      let cls = '';
+      if (g.inactive) {
+        detail = 'inactive (outside its schedule)';
+      } else if (g.outOfScope) {
+        detail = trace.incognito ? 'normal windows only' : 'incognito windows only';
+      } else if (g.excludedBy) {
+        detail = `excluded by ${escapeHtml(g.excludedBy)}`;
+        cls = 'excluded';
+      } else if (g.matched) {
+        detail = g.pattern ? `pattern ${escapeHtml(g.pattern)}` : 'conditions';
+        cls = g.chosen ? 'chosen' : 'matched';
+      }
+      return `<li class="${cls}">${g.chosen ? '&#x2605;' : g.matched ? '&#x2714;' : '&#x2718;'} ${escapeHtml(g.name)} — ${detail}</li>`;
+    }).join('');
+
+    return `
+      <div class="trace-outcome">${escapeHtml(trace.outcome)}</div>
+      ${trace.normalizedUrl && trace.normalizedUrl !== trace.url ? `<div class="trace-url">Matched as ${escapeHtml(trace.normalizedUrl)}</div>` : ''}
+      ${trace.subgroup ? `<div class="trace-url">Tab group: ${escapeHtml(trace.subgroup)}</div>` : ''}
+      ${titleHits ? `<div class="trace-heading">Tier 1: title name</div><ul class="trace-list">${titleHits}</ul>` : ''}
+      <div class="trace-heading">Tier 2: groups by priority</div>
+      <ul class="trace-list">${groups || '<li>No groups configured</li>'}</ul>
+    `;
+  }
+
   // Show modal
   function showModal(groupName, windowId) {
     pendingSelection = { groupName, windowId };
@@ -147,6 +405,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
     showStatus(`Window assigned to "${groupName}"`, 'success');
     await loadState();
+    await loadLowConfidenceBindings();
   }
 
   // Event: Toggle enabled
@@ -170,6 +429,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
       showStatus('Window unassigned', 'info');
       await loadState();
+      await loadLowConfidenceBindings();
       return;
     }
 
@@ -224,8 +484,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
       const result = await sendMessage({ action: 'sortAllTabs' });
 
-      if (result.moved > 0) {
-        showStatus(`Moved ${result.moved} tab${result.moved > 1 ? 's' : ''}`, 'success');
+      const plural = n => `${n} tab${n > 1 ? 's' : ''}`;
+      const done = [
+        result.moved > 0 && `Moved ${plural(result.moved)}`,
+        result.grouped > 0 && `grouped ${plural(result.grouped)} in place`,
+        result.copied > 0 && `copied ${plural(result.copied)}`,
+        result.notified > 0 && `sent ${result.notified} notification${result.notified > 1 ? 's' : ''}`,
+        result.reordered > 0 && `reordered ${plural(result.reordered)}`,
+        result.duplicatesClosed > 0 && `closed ${result.duplicatesClosed} duplicate${result.duplicatesClosed > 1 ? 's' : ''}`,
+        result.limited > 0 && `trimmed ${plural(result.limited)} over group limits`
+      ].filter(Boolean);
+
+      if (done.length > 0) {
+        const summary = done.join(', ');
+        showStatus(summary.charAt(0).toUpperCase() + summary.slice(1), 'success');
       } else {
         showStatus('All tabs are already sorted', 'info');
       }
@@ -233,6 +505,19 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (result.errors.length > 0) {
         console.error('Sort errors:', result.errors);
       }
+      await loadArchivedTabs();
+      await loadMoveHistory();
+
+      // List tabs left alone: their group's window is across the incognito boundary,
+      // or Sort All already opened as many new windows as it may
+      if (result.skipped && result.skipped.length > 0) {
+        const items = result.skipped.map(s => `<li>${escapeHtml(s.title)} — ${escapeHtml(s.reason)}</li>`).join('');
+        traceSection.innerHTML = `
+          <div class="trace-outcome">Skipped ${result.skipped.length} tab${result.skipped.length > 1 ? 's' : ''}</div>
+          <ul class="trace-list">${items}</ul>
+        `;
+        traceSection.style.display = 'block';
+      }
     } catch (e) {
       showStatus('Error sorting tabs', 'error');
       console.error(e);
@@ -253,7 +538,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
       const result = await sendMessage({ action: 'labelWindow', windowId: currentWindowId });
       if (result.success) {
-        showStatus(`Labeled as "${currentGroupName}"`, 'success');
+        const tabGroups = result.tabGroups || [currentGroupName];
+        showStatus(tabGroups.length > 1
+          ? `Labeled ${tabGroups.length} tab groups`
+          : `Labeled as "${tabGroups[0]}"`, 'success');
       } else {
         showStatus(result.error || 'Failed to label', 'error');
       }
@@ -264,6 +552,54 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  // Event: Close duplicate tabs across all group windows
+  closeDuplicatesBtn.addEventListener('click', async () => {
+    closeDuplicatesBtn.disabled = true;
+    try {
+      const result = await sendMessage({ action: 'closeDuplicateTabs' });
+      showStatus(result.closed > 0
+        ? `Closed ${result.closed} duplicate tab${result.closed > 1 ? 's' : ''}`
+        : 'No duplicate tabs', result.closed > 0 ? 'success' : 'info');
+    } catch (e) {
+      showStatus('Error closing duplicates', 'error');
+    } finally {
+      closeDuplicatesBtn.disabled = false;
+    }
+  });
+
+  // Event: Save this window's tabs as a session of its group, then close it
+  saveCloseBtn.addEventListener('click', async () => {
+    if (!currentGroupName) {
+      showStatus('Assign a group first', 'error');
+      return;
+    }
+    const result = await sendMessage({ action: 'saveAndCloseGroup', groupName: currentGroupName, windowId: currentWindowId });
+    if (result.error) showStatus(result.error, 'error');
+  });
+
+  // Event: Explain routing for the active tab
+  explainBtn.addEventListener('click', async () => {
+    if (traceSection.style.display !== 'none') {
+      traceSection.style.display = 'none';
+      return;
+    }
+
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab) {
+      showStatus('No active tab', 'error');
+      return;
+    }
+
+    const trace = await sendMessage({ action: 'explainRouting', tabId: activeTab.id });
+    if (!trace || trace.error) {
+      showStatus(trace?.error || 'Could not explain routing', 'error');
+      return;
+    }
+
+    traceSection.innerHTML = renderTrace(trace);
+    traceSection.style.display = 'block';
+  });
+
   // Event: Open options
   optionsBtn.addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
@@ -271,4 +607,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Initial load
   await loadState();
+  await loadSilentRoutes();
+  await loadLowConfidenceBindings();
+  await loadMoveHistory();
+  await loadSessions();
+  await loadClosedWindows();
+  await loadArchivedTabs();
 });